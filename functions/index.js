@@ -0,0 +1,64 @@
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore } from 'firebase-admin/firestore';
+import { onRequest } from 'firebase-functions/https';
+import { defineString } from 'firebase-functions/params';
+import { buildFeedCalendar, getFeedName, isFeedAllowed } from './shared/icsUtils.js';
+import { toDateString } from './shared/availabilityUtils.js';
+
+// --- Calendar Feed Endpoint ---
+// Serves a `calendarFeeds/{token}` subscription as ICS for calendar apps to poll: GET <function URL>?token=<token>.
+// `shared/` is a copy of src/utils made by `npm run build` (run before every deploy), so a feed holds exactly
+// what the in-app download does. Point the client's `__calendar_feed_url` at this function's URL.
+const APP_ID = defineString('APP_ID', { default: 'default-app-id' });
+
+// Tokens are 24 random bytes in hex (createFeedToken)
+const FEED_TOKEN_PATTERN = /^[0-9a-f]{48}$/;
+
+initializeApp();
+
+const dataPath = (path) => `artifacts/${APP_ID.value()}/public/data/${path}`;
+
+const readCollection = async (db, name) => (await db.collection(dataPath(name)).get()).docs.map(d => ({ id: d.id, ...d.data() }));
+
+// Unknown, revoked and no-longer-permitted tokens all get the same 404, so the endpoint says nothing about them
+const notFound = (res) => res.status(404).send('Calendar feed not found.');
+
+export const calendarFeed = onRequest(async (req, res) => {
+  const token = String(req.query.token || '');
+  if (!['GET', 'HEAD'].includes(req.method) || !FEED_TOKEN_PATTERN.test(token)) {
+    notFound(res);
+    return;
+  }
+  try {
+    const db = getFirestore();
+    const feedSnap = await db.doc(dataPath(`calendarFeeds/${token}`)).get();
+    if (!feedSnap.exists) {
+      notFound(res);
+      return;
+    }
+    const feed = feedSnap.data();
+    const [users, shiftPatterns, teams] = await Promise.all([
+      readCollection(db, 'users'),
+      readCollection(db, 'shiftPatterns'),
+      readCollection(db, 'teams'),
+    ]);
+    if (!isFeedAllowed(feed, users.find(u => u.id === feed.ownerId))) {
+      notFound(res);
+      return;
+    }
+    const ics = buildFeedCalendar(feed, {
+      users,
+      teams,
+      shiftPatterns,
+      today: toDateString(new Date()),
+      uidDomain: APP_ID.value(),
+      name: getFeedName(feed, users),
+    });
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'private, max-age=900');
+    res.send(ics);
+  } catch (error) {
+    console.error("Error serving calendar feed:", error);
+    res.status(500).send('Error building the calendar feed.');
+  }
+});
@@ -2,7 +2,15 @@ import React from 'react';
 import { useFirebase } from './hooks/useFirebase.js';
 import { useUsers } from './hooks/useUsers.js';
 import { useSkills } from './hooks/useSkills.js';
+import { useSrs } from './hooks/useSrs.js';
+import { useLeaveRequests } from './hooks/useLeaveRequests.js';
+import { useSettings } from './hooks/useSettings.js';
+import { useCoverageRules } from './hooks/useCoverageRules.js';
+import { useShiftPatterns } from './hooks/useShiftPatterns.js';
+import { useOnCallSchedules } from './hooks/useOnCallSchedules.js';
+import { useTeams } from './hooks/useTeams.js';
 import { LoadingSpinner } from './components/LoadingSpinner.js';
+import { SignInPage, EmailVerificationNotice } from './components/SignInPage.js';
 // import { signOut } from 'firebase/auth'; // Not directly used in App, but in auth context/config
 import AdminView from './views/AdminView.js';
 
@@ -13,29 +21,47 @@ import ManagerView from './views/ManagerView.js';
 // const ManagerView = ({ currentUser, users, skills, db }) => <div>Manager View Placeholder: {currentUser.name}</div>; // Original placeholder removed
 import EngineerView from './views/EngineerView.js';
 // const EngineerView = ({ currentUser, users, skills, db }) => <div>Engineer View Placeholder: {currentUser.name}</div>; // Original placeholder removed
-const ViewerView = ({ currentUser, users, skills, db }) => <div>Viewer View Placeholder: {currentUser.name}</div>;
+import ViewerView from './views/ViewerView.js';
 
 // --- Main Application Layout and Routing ---
 function App() {
-  const { db, auth, currentUser, isAuthReady } = useFirebase();
-  const { users, loading: usersLoading, error: usersError } = useUsers(db, currentUser?.id);
-  const { skills, loading: skillsLoading, error: skillsError } = useSkills(db);
+  const { db, auth, currentUser, authUser, isAuthReady } = useFirebase();
+  // Security rules only allow reads once signed in with a profile, so don't subscribe before then
+  const dataDb = currentUser ? db : null;
+  const { users, loading: usersLoading, error: usersError } = useUsers(dataDb, currentUser?.id);
+  const { skills, loading: skillsLoading, error: skillsError } = useSkills(dataDb);
+  const { srs, loading: srsLoading, error: srsError } = useSrs(dataDb);
+  const { leaveRequests, loading: leaveLoading, error: leaveError } = useLeaveRequests(dataDb);
+  const { settings, loading: settingsLoading, error: settingsError } = useSettings(dataDb);
+  const { coverageRules, loading: rulesLoading, error: rulesError } = useCoverageRules(dataDb);
+  const { shiftPatterns, loading: patternsLoading, error: patternsError } = useShiftPatterns(dataDb);
+  const { onCallSchedules, loading: onCallLoading, error: onCallError } = useOnCallSchedules(dataDb);
+  const { teams, loading: teamsLoading, error: teamsError } = useTeams(dataDb);
 
   // Show loading spinner until authentication and initial data are ready
-  if (!isAuthReady || usersLoading || skillsLoading) {
+  if (!isAuthReady || usersLoading || skillsLoading || srsLoading || leaveLoading || settingsLoading || rulesLoading || patternsLoading || onCallLoading || teamsLoading) {
     return <LoadingSpinner />;
   }
 
-  if (usersError || skillsError) {
+  if (usersError || skillsError || srsError || leaveError || settingsError || rulesError || patternsError || onCallError || teamsError) {
     return (
       <div className="flex flex-col items-center justify-center h-screen bg-red-50 text-red-800 p-4 rounded-lg shadow-md">
         <h2 className="text-2xl font-bold mb-4">Error Loading Application</h2>
-        <p className="text-center">{usersError || skillsError}</p>
+        <p className="text-center">{usersError || skillsError || srsError || leaveError || settingsError || rulesError || patternsError || onCallError || teamsError}</p>
         <p className="mt-4 text-sm text-gray-600">Please try refreshing the page.</p>
       </div>
     );
   }
 
+  if (!authUser && !currentUser) {
+    return <SignInPage />;
+  }
+
+  // Email accounts must be verified before they can claim their profile
+  if (!currentUser && authUser?.email && !authUser.emailVerified) {
+    return <EmailVerificationNotice />;
+  }
+
   // Determine which view to render based on user role
   const renderView = () => {
     if (!currentUser) {
@@ -55,7 +81,7 @@ function App() {
                 onClick={() => auth.signOut()} // signOut is a method on the auth instance
                 className="mt-6 px-6 py-3 bg-red-600 text-white rounded-md hover:bg-red-700 transition duration-200 ease-in-out shadow-md"
               >
-                Sign Out (if signed in anonymously)
+                Sign Out
               </button>
             )}
           </div>
@@ -65,13 +91,13 @@ function App() {
 
     switch (currentUser.role) {
       case 'Admin':
-        return <AdminView currentUser={currentUser} users={users} skills={skills} db={db} />;
+        return <AdminView currentUser={currentUser} users={users} skills={skills} srs={srs} settings={settings} coverageRules={coverageRules} shiftPatterns={shiftPatterns} onCallSchedules={onCallSchedules} teams={teams} db={db} />;
       case 'Manager':
-        return <ManagerView currentUser={currentUser} users={users} skills={skills} db={db} />;
+        return <ManagerView currentUser={currentUser} users={users} skills={skills} srs={srs} leaveRequests={leaveRequests} settings={settings} coverageRules={coverageRules} shiftPatterns={shiftPatterns} onCallSchedules={onCallSchedules} teams={teams} db={db} />;
       case 'Engineer':
-        return <EngineerView currentUser={currentUser} users={users} skills={skills} db={db} />;
+        return <EngineerView currentUser={currentUser} users={users} skills={skills} srs={srs} leaveRequests={leaveRequests} settings={settings} coverageRules={coverageRules} shiftPatterns={shiftPatterns} onCallSchedules={onCallSchedules} teams={teams} db={db} />;
       case 'Viewer':
-        return <ViewerView currentUser={currentUser} users={users} skills={skills} db={db} />;
+        return <ViewerView currentUser={currentUser} users={users} skills={skills} srs={srs} settings={settings} shiftPatterns={shiftPatterns} onCallSchedules={onCallSchedules} teams={teams} />;
       default:
         return (
           <div className="flex flex-col items-center justify-center min-h-screen bg-gray-100 p-6">
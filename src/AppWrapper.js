@@ -1,5 +1,6 @@
 import React from 'react';
 import { FirebaseProvider } from './contexts/FirebaseContext.js';
+import { RosterFilterProvider } from './contexts/RosterFilterContext.js';
 import App from './App.js';
 
 // --- Root Component Wrapping the App with Firebase Provider ---
@@ -7,7 +8,9 @@ import App from './App.js';
 export default function AppWrapper() {
   return (
     <FirebaseProvider>
-      <App />
+      <RosterFilterProvider>
+        <App />
+      </RosterFilterProvider>
     </FirebaseProvider>
   );
 }
@@ -0,0 +1,242 @@
+import React, { useState } from 'react';
+import {
+  signInWithEmailAndPassword,
+  createUserWithEmailAndPassword,
+  sendEmailVerification,
+  sendPasswordResetEmail,
+  signInWithPopup,
+  GoogleAuthProvider,
+  OAuthProvider,
+} from 'firebase/auth';
+import { ssoProviders } from '../config/firebase.js';
+import { useFirebase } from '../hooks/useFirebase.js';
+
+const SSO_LABELS = {
+  'google.com': 'Google',
+  'microsoft.com': 'Microsoft',
+  'apple.com': 'Apple',
+};
+
+const getSsoProvider = (providerId) => (providerId === 'google.com' ? new GoogleAuthProvider() : new OAuthProvider(providerId));
+
+// Firebase error codes -> messages worth showing to the user
+const describeAuthError = (error) => {
+  switch (error.code) {
+    case 'auth/invalid-credential':
+    case 'auth/wrong-password':
+    case 'auth/user-not-found':
+      return 'Incorrect email or password.';
+    case 'auth/email-already-in-use':
+      return 'An account with this email already exists. Sign in instead.';
+    case 'auth/weak-password':
+      return 'Please choose a password of at least 6 characters.';
+    case 'auth/invalid-email':
+      return 'Please enter a valid email address.';
+    case 'auth/popup-closed-by-user':
+      return 'Sign-in was cancelled.';
+    default:
+      return error.message;
+  }
+};
+
+// --- Sign-In Page ---
+// Email/password sign-in and sign-up, password reset and any configured SSO providers.
+function SignInPage() {
+  const { auth } = useFirebase();
+  const [mode, setMode] = useState('sign-in'); // 'sign-in', 'sign-up' or 'reset'
+  const [form, setForm] = useState({ email: '', password: '' });
+  const [message, setMessage] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const switchMode = (nextMode) => {
+    setMode(nextMode);
+    setMessage('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setMessage('');
+    try {
+      const email = form.email.trim();
+      if (mode === 'sign-up') {
+        const credential = await createUserWithEmailAndPassword(auth, email, form.password);
+        await sendEmailVerification(credential.user);
+      } else if (mode === 'reset') {
+        await sendPasswordResetEmail(auth, email);
+        setMessage('If an account exists for that email, a password reset link is on its way.');
+      } else {
+        await signInWithEmailAndPassword(auth, email, form.password);
+      }
+    } catch (error) {
+      console.error("Error signing in:", error);
+      setMessage(`Error: ${describeAuthError(error)}`);
+    }
+    setIsSubmitting(false);
+  };
+
+  const handleSsoSignIn = async (providerId) => {
+    setMessage('');
+    try {
+      await signInWithPopup(auth, getSsoProvider(providerId));
+    } catch (error) {
+      console.error("Error signing in with SSO:", error);
+      setMessage(`Error: ${describeAuthError(error)}`);
+    }
+  };
+
+  const title = mode === 'sign-up' ? 'Create your account' : mode === 'reset' ? 'Reset your password' : 'Sign in to Team Roster';
+
+  return (
+    <div className="flex flex-col items-center justify-center min-h-screen bg-gray-100 p-6">
+      <div className="bg-white rounded-lg shadow-lg p-8 max-w-md w-full">
+        <h2 className="text-2xl font-bold text-gray-800 mb-2 text-center">{title}</h2>
+        {mode === 'sign-up' && (
+          <p className="text-sm text-gray-600 mb-4 text-center">
+            Use the email your administrator invited. Once you verify it you will be linked to your profile.
+          </p>
+        )}
+
+        {message && (
+          <div className={`p-3 mb-4 rounded-md text-white ${message.includes('Error') ? 'bg-red-500' : 'bg-green-500'}`}>
+            {message}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label htmlFor="signInEmail" className="block text-sm font-medium text-gray-700">Email</label>
+            <input
+              type="email"
+              id="signInEmail"
+              name="email"
+              value={form.email}
+              onChange={handleChange}
+              required
+              autoComplete="email"
+              className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+          </div>
+          {mode !== 'reset' && (
+            <div>
+              <label htmlFor="signInPassword" className="block text-sm font-medium text-gray-700">Password</label>
+              <input
+                type="password"
+                id="signInPassword"
+                name="password"
+                value={form.password}
+                onChange={handleChange}
+                required
+                autoComplete={mode === 'sign-up' ? 'new-password' : 'current-password'}
+                className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+            </div>
+          )}
+          <button
+            type="submit"
+            disabled={isSubmitting}
+            className="w-full px-6 py-3 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition duration-200 ease-in-out shadow-md disabled:opacity-50"
+          >
+            {mode === 'sign-up' ? 'Create Account' : mode === 'reset' ? 'Send Reset Link' : 'Sign In'}
+          </button>
+        </form>
+
+        {ssoProviders.length > 0 && mode === 'sign-in' && (
+          <div className="mt-6 space-y-2">
+            <p className="text-center text-sm text-gray-500">or</p>
+            {ssoProviders.map(providerId => (
+              <button
+                key={providerId}
+                onClick={() => handleSsoSignIn(providerId)}
+                className="w-full px-6 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 transition duration-200 ease-in-out shadow-sm"
+              >
+                Continue with {SSO_LABELS[providerId] || providerId}
+              </button>
+            ))}
+          </div>
+        )}
+
+        <div className="mt-6 flex justify-between text-sm">
+          {mode === 'sign-in' ? (
+            <>
+              <button onClick={() => switchMode('sign-up')} className="text-blue-600 hover:text-blue-900">Create an account</button>
+              <button onClick={() => switchMode('reset')} className="text-blue-600 hover:text-blue-900">Forgot password?</button>
+            </>
+          ) : (
+            <button onClick={() => switchMode('sign-in')} className="text-blue-600 hover:text-blue-900">Back to sign in</button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// --- Email Verification Notice ---
+// Shown to email/password accounts until they verify; profiles are only claimed with a verified email.
+function EmailVerificationNotice() {
+  const { auth, authUser, refreshProfile } = useFirebase();
+  const [message, setMessage] = useState('');
+
+  const handleResend = async () => {
+    try {
+      await sendEmailVerification(auth.currentUser);
+      setMessage('Verification email sent.');
+    } catch (error) {
+      console.error("Error sending verification email:", error);
+      setMessage(`Error sending verification email: ${error.message}`);
+    }
+  };
+
+  const handleRefresh = async () => {
+    try {
+      await refreshProfile();
+      if (!auth.currentUser?.emailVerified) setMessage('Error: your email is not verified yet.');
+    } catch (error) {
+      console.error("Error refreshing profile:", error);
+      setMessage(`Error refreshing profile: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="flex flex-col items-center justify-center min-h-screen bg-gray-100 p-6">
+      <div className="bg-white rounded-lg shadow-lg p-8 max-w-md w-full text-center">
+        <h2 className="text-2xl font-bold text-gray-800 mb-4">Verify your email</h2>
+        <p className="text-gray-600 mb-6">
+          We sent a verification link to <strong>{authUser?.email}</strong>. Open it, then continue here.
+        </p>
+        {message && (
+          <div className={`p-3 mb-4 rounded-md text-white ${message.includes('Error') ? 'bg-red-500' : 'bg-green-500'}`}>
+            {message}
+          </div>
+        )}
+        <div className="flex justify-center space-x-3">
+          <button
+            onClick={handleRefresh}
+            className="px-6 py-3 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition duration-200 ease-in-out shadow-md"
+          >
+            I've Verified
+          </button>
+          <button
+            onClick={handleResend}
+            className="px-6 py-3 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 transition duration-200 ease-in-out shadow-sm"
+          >
+            Resend Email
+          </button>
+        </div>
+        <button
+          onClick={() => auth.signOut()} // signOut is a method on the auth instance
+          className="mt-6 text-sm text-red-600 hover:text-red-900"
+        >
+          Sign Out
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export { SignInPage, EmailVerificationNotice };
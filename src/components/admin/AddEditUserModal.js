@@ -1,19 +1,27 @@
 import React, { useState, useEffect } from 'react';
+import { LeaveEntryForm } from '../shared/LeaveEntryForm.js';
+import { LeaveList } from '../shared/LeaveList.js';
+import { getLeaveEntries, toLeaveEntry, sortLeaveEntries, validateLeaveEntry } from '../../utils/leaveUtils.js';
+import { WorkingScheduleEditor } from './WorkingScheduleEditor.js';
+import { getWorkingSchedule, createDefaultSchedule } from '../../utils/workingHoursUtils.js';
+import { SkillEntriesEditor } from './SkillEntriesEditor.js';
+import { getSkillEntries, toSkillFields } from '../../utils/skillUtils.js';
 
 // --- Add/Edit User Modal Component ---
 // This component now renders the form content, and expects to be wrapped by a generic Modal component.
-function AddEditUserModal({ onSave, onClose, user, managers, availableSkills }) {
+// `managers` should already leave out anyone who reports to `user`, so a reporting loop cannot be picked.
+function AddEditUserModal({ onSave, onClose, user, managers, skills, shiftPatterns }) {
   const [formData, setFormData] = useState({
     name: '',
     email: '',
     role: 'Engineer', // Default role for new users
     managerId: '',
-    workingHours: '',
-    shiftPattern: '',
-    vacationDates: [],
-    skills: [],
+    workingSchedule: createDefaultSchedule(),
+    shiftPatternId: '',
+    shiftPatternOffset: 0,
+    leaveEntries: [],
+    skillEntries: [],
     srThreshold: 0,
-    currentSrCount: 0, // currentSrCount is usually managed by SR assignment, not direct edit. Included for completeness from original.
   });
 
   useEffect(() => {
@@ -23,12 +31,12 @@ function AddEditUserModal({ onSave, onClose, user, managers, availableSkills })
         email: user.email || '',
         role: user.role || 'Engineer',
         managerId: user.managerId || '',
-        workingHours: user.workingHours || '',
-        shiftPattern: user.shiftPattern || '',
-        vacationDates: user.vacationDates || [],
-        skills: user.skills || [],
+        workingSchedule: getWorkingSchedule(user) || createDefaultSchedule(null), // Parses legacy free-text hours; the zone stays unset until chosen
+        shiftPatternId: user.shiftPatternId || '',
+        shiftPatternOffset: user.shiftPatternOffset || 0,
+        leaveEntries: getLeaveEntries(user), // Also converts legacy vacationDates
+        skillEntries: getSkillEntries(user), // Also reads the legacy flat skill ID list
         srThreshold: user.srThreshold || 0,
-        currentSrCount: user.currentSrCount || 0,
       });
     } else {
       setFormData({
@@ -36,12 +44,12 @@ function AddEditUserModal({ onSave, onClose, user, managers, availableSkills })
         email: '',
         role: 'Engineer',
         managerId: '',
-        workingHours: '',
-        shiftPattern: '',
-        vacationDates: [],
-        skills: [],
+        workingSchedule: createDefaultSchedule(),
+        shiftPatternId: '',
+        shiftPatternOffset: 0,
+        leaveEntries: [],
+        skillEntries: [],
         srThreshold: 0,
-        currentSrCount: 0,
       });
     }
   }, [user]);
@@ -51,34 +59,28 @@ function AddEditUserModal({ onSave, onClose, user, managers, availableSkills })
     setFormData(prev => ({ ...prev, [name]: value }));
   };
 
-  const handleSkillsChange = (e) => {
-    const selectedOptions = Array.from(e.target.selectedOptions).map(option => option.value);
-    setFormData(prev => ({ ...prev, skills: selectedOptions }));
-  };
-
-  const handleAddVacationDate = (e) => {
-    e.preventDefault();
-    const dateInput = e.target.form.elements.newVacationDate; // Access input relative to form
-    const newDate = dateInput.value;
-    if (newDate && !formData.vacationDates.includes(newDate)) {
-      setFormData(prev => ({
-        ...prev,
-        vacationDates: [...prev.vacationDates, newDate].sort()
-      }));
-      dateInput.value = '';
-    }
+  // Returns an error message for LeaveEntryForm to show
+  const handleAddLeaveEntry = (entry) => {
+    const validationError = validateLeaveEntry(entry, formData.leaveEntries);
+    if (validationError) return validationError;
+    setFormData(prev => ({
+      ...prev,
+      leaveEntries: sortLeaveEntries([...prev.leaveEntries, toLeaveEntry(entry)])
+    }));
+    return null;
   };
 
-  const handleRemoveVacationDate = (dateToRemove) => {
+  const handleRemoveLeaveEntry = (entryToRemove) => {
     setFormData(prev => ({
       ...prev,
-      vacationDates: prev.vacationDates.filter(date => date !== dateToRemove)
+      leaveEntries: prev.leaveEntries.filter(entry => entry.id !== entryToRemove.id)
     }));
   };
 
   const handleSubmit = (e) => {
     e.preventDefault();
-    onSave(formData);
+    // The picker's "none" option is '', but profiles store no manager as null (security rules follow managerId chains)
+    onSave({ ...formData, managerId: formData.managerId || null, ...toSkillFields(formData.skillEntries) });
     // onClose(); // Typically, the parent (UserManagement) closes the modal after save
   };
 
@@ -123,9 +125,9 @@ function AddEditUserModal({ onSave, onClose, user, managers, availableSkills })
           <option value="Viewer">Viewer</option>
         </select>
       </div>
-      {(formData.role === 'Engineer' || formData.role === 'Viewer') && (
+      {formData.role !== 'Admin' && (
         <div>
-          <label htmlFor="managerId" className="block text-sm font-medium text-gray-700">Manager</label>
+          <label htmlFor="managerId" className="block text-sm font-medium text-gray-700">{formData.role === 'Manager' ? 'Reports To' : 'Manager'}</label>
           <select
             id="managerId"
             name="managerId"
@@ -141,42 +143,53 @@ function AddEditUserModal({ onSave, onClose, user, managers, availableSkills })
         </div>
       )}
       <div>
-        <label htmlFor="workingHours" className="block text-sm font-medium text-gray-700">Working Hours (e.g., 9 AM - 5 PM)</label>
-        <input
-          type="text"
-          id="workingHours"
-          name="workingHours"
-          value={formData.workingHours}
-          onChange={handleChange}
-          className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
+        <label className="block text-sm font-medium text-gray-700 mb-1">Working Hours</label>
+        {user?.workingHours && !user.workingSchedule && !getWorkingSchedule(user) && (
+          <p className="text-xs text-yellow-700 mb-1">Could not read the previous hours "{user.workingHours}"; please set them below.</p>
+        )}
+        <WorkingScheduleEditor
+          schedule={formData.workingSchedule}
+          onChange={(workingSchedule) => setFormData(prev => ({ ...prev, workingSchedule }))}
         />
       </div>
       <div>
-        <label htmlFor="shiftPattern" className="block text-sm font-medium text-gray-700">Shift Pattern (e.g., Day Shift, Rotational)</label>
-        <input
-          type="text"
-          id="shiftPattern"
-          name="shiftPattern"
-          value={formData.shiftPattern}
-          onChange={handleChange}
-          className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
-        />
+        <label htmlFor="shiftPatternId" className="block text-sm font-medium text-gray-700">Shift Pattern</label>
+        {user?.shiftPattern && !formData.shiftPatternId && (
+          <p className="text-xs text-gray-500 mb-1">Previous label: "{user.shiftPattern}"</p>
+        )}
+        <div className="flex space-x-2">
+          <select
+            id="shiftPatternId"
+            name="shiftPatternId"
+            value={formData.shiftPatternId}
+            onChange={handleChange}
+            className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
+          >
+            <option value="">-- None (use working hours) --</option>
+            {(shiftPatterns || []).map(pattern => (
+              <option key={pattern.id} value={pattern.id}>{pattern.name}</option>
+            ))}
+          </select>
+          {formData.shiftPatternId && (
+            <input
+              type="number"
+              id="shiftPatternOffset"
+              title="Offset in days, to stagger people on the same pattern"
+              value={formData.shiftPatternOffset}
+              onChange={(e) => setFormData(prev => ({ ...prev, shiftPatternOffset: parseInt(e.target.value, 10) || 0 }))}
+              className="mt-1 block w-24 border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+          )}
+        </div>
+        {formData.shiftPatternId && <p className="text-xs text-gray-500 mt-1">Offset (days) staggers people on the same pattern.</p>}
       </div>
       <div>
-        <label htmlFor="skills" className="block text-sm font-medium text-gray-700">Skills</label>
-        <select
-          id="skills"
-          name="skills"
-          multiple
-          value={formData.skills}
-          onChange={handleSkillsChange}
-          className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500 h-24"
-        >
-          {availableSkills.map(skill => (
-            <option key={skill.value} value={skill.value}>{skill.label}</option>
-          ))}
-        </select>
-        <p className="text-xs text-gray-500 mt-1">Hold Ctrl/Cmd to select multiple skills.</p>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Skills</label>
+        <SkillEntriesEditor
+          entries={formData.skillEntries}
+          onChange={(skillEntries) => setFormData(prev => ({ ...prev, skillEntries }))}
+          skills={skills}
+        />
       </div>
       {formData.role === 'Engineer' && (
         <div>
@@ -193,39 +206,11 @@ function AddEditUserModal({ onSave, onClose, user, managers, availableSkills })
         </div>
       )}
       <div>
-        <label htmlFor="vacationDates" className="block text-sm font-medium text-gray-700 mb-2">Vacation Dates</label>
-        <div className="flex items-center space-x-2 mb-2">
-          <input
-            type="date"
-            id="newVacationDate" // Keep ID for label association if any, or direct access
-            name="newVacationDate" // Add name for form handling
-            className="border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
-          />
-          <button
-            type="button" // Important: type="button" to prevent form submission
-            onClick={handleAddVacationDate}
-            className="px-3 py-2 bg-green-500 text-white rounded-md hover:bg-green-600 transition duration-200 ease-in-out shadow-sm text-sm"
-          >
-            Add Date
-          </button>
-        </div>
-        <div className="flex flex-wrap gap-2">
-          {formData.vacationDates.map(date => (
-            <span key={date} className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
-              {date}
-              <button
-                type="button" // Important: type="button"
-                onClick={() => handleRemoveVacationDate(date)}
-                className="ml-1 -mr-0.5 h-4 w-4 flex-shrink-0 rounded-full inline-flex items-center justify-center text-blue-400 hover:bg-blue-200 hover:text-blue-500 focus:outline-none focus:bg-blue-500 focus:text-white"
-              >
-                <span className="sr-only">Remove date</span>
-                <svg className="h-2 w-2" stroke="currentColor" fill="none" viewBox="0 0 8 8">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="1.5" d="M1 1l6 6m0-6L1 7" />
-                </svg>
-              </button>
-            </span>
-          ))}
+        <label className="block text-sm font-medium text-gray-700 mb-2">Leave</label>
+        <div className="mb-2 text-sm text-gray-700">
+          <LeaveList entries={formData.leaveEntries} onRemove={handleRemoveLeaveEntry} emptyText={<span className="text-gray-500">No leave recorded.</span>} />
         </div>
+        <LeaveEntryForm onSubmit={handleAddLeaveEntry} submitLabel="Add Leave" />
       </div>
 
       <div className="flex justify-end pt-4 border-t border-gray-200 mt-4">
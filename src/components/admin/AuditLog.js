@@ -0,0 +1,168 @@
+import React, { useState } from 'react';
+import { useAuditLog } from '../../hooks/useAuditLog.js';
+import { AUDIT_ACTIONS, getAuditActionLabel } from '../../utils/auditUtils.js';
+import { formatTimestamp } from '../../utils/srUtils.js';
+
+const formatAuditValue = (value) => {
+  if (value === null) return '—';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+};
+
+// --- Audit Log Component (Admin Only) ---
+// Filters are applied by the Firestore query, so older pages of any user, action or date range can be browsed.
+function AuditLog({ users, db }) {
+  const [filters, setFilters] = useState({ actorId: '', action: '', fromDate: '', toDate: '' });
+  const { auditEntries, loading, loadingMore, hasMore, loadMore, error } = useAuditLog(db, filters);
+
+  const updateFilter = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  // Current users plus any other actors seen in the loaded entries (deleted users), by their recorded name
+  const actors = [...new Map([
+    ...auditEntries.map(entry => [entry.actorId, users.find(u => u.id === entry.actorId)?.name || entry.actorName]),
+    ...users.map(u => [u.id, u.name || u.id]),
+  ]).entries()]
+    .filter(([actorId]) => actorId)
+    .sort((a, b) => a[1].localeCompare(b[1]));
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md">
+      <h3 className="text-2xl font-semibold mb-4 text-gray-800">Audit Log</h3>
+
+      {error && <div className="p-3 mb-4 rounded-md text-white bg-red-500">{error}</div>}
+
+      <div className="flex flex-wrap items-end gap-3 mb-4">
+        <div>
+          <label htmlFor="auditActor" className="block text-sm font-medium text-gray-700">User</label>
+          <select
+            id="auditActor"
+            name="actorId"
+            value={filters.actorId}
+            onChange={updateFilter}
+            className="mt-1 block border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
+          >
+            <option value="">All users</option>
+            {actors.map(([actorId, name]) => (
+              <option key={actorId} value={actorId}>{name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="auditAction" className="block text-sm font-medium text-gray-700">Action</label>
+          <select
+            id="auditAction"
+            name="action"
+            value={filters.action}
+            onChange={updateFilter}
+            className="mt-1 block border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
+          >
+            <option value="">All actions</option>
+            {AUDIT_ACTIONS.map(action => (
+              <option key={action.value} value={action.value}>{action.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="auditFrom" className="block text-sm font-medium text-gray-700">From</label>
+          <input
+            type="date"
+            id="auditFrom"
+            name="fromDate"
+            value={filters.fromDate}
+            onChange={updateFilter}
+            className="mt-1 block border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
+          />
+        </div>
+        <div>
+          <label htmlFor="auditTo" className="block text-sm font-medium text-gray-700">To</label>
+          <input
+            type="date"
+            id="auditTo"
+            name="toDate"
+            value={filters.toDate}
+            onChange={updateFilter}
+            className="mt-1 block border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
+          />
+        </div>
+        <button
+          onClick={() => setFilters({ actorId: '', action: '', fromDate: '', toDate: '' })}
+          className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 transition duration-200 ease-in-out shadow-sm"
+        >
+          Clear Filters
+        </button>
+      </div>
+
+      <p className="text-sm text-gray-500 mb-2">
+        {`Showing ${auditEntries.length} matching entries, newest first${hasMore ? '; older entries can be loaded below' : ''}.`}
+      </p>
+
+      <div className="overflow-x-auto rounded-lg shadow-sm border border-gray-200">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">When</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">User</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Action</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Target</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Changes</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {loading ? (
+              <tr>
+                <td colSpan="5" className="px-6 py-4 text-center text-sm text-gray-500">Loading audit log...</td>
+              </tr>
+            ) : auditEntries.length === 0 ? (
+              <tr>
+                <td colSpan="5" className="px-6 py-4 text-center text-sm text-gray-500">No audit entries match these filters.</td>
+              </tr>
+            ) : (
+              auditEntries.map(entry => {
+                const changes = Object.entries(entry.changes || {});
+                return (
+                  <tr key={entry.id}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{formatTimestamp(entry.createdAt)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{entry.actorName}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{getAuditActionLabel(entry.action)}</td>
+                    <td className="px-6 py-4 text-sm text-gray-600">
+                      <div>{entry.targetLabel || entry.targetId}</div>
+                      <div className="text-xs text-gray-400">{entry.targetType} &middot; {entry.targetId}</div>
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-600">
+                      {changes.length === 0 ? (
+                        <span className="text-gray-400 italic">No field changes</span>
+                      ) : (
+                        <ul className="space-y-1">
+                          {changes.map(([field, { before, after }]) => (
+                            <li key={field} title={`${JSON.stringify(before)} → ${JSON.stringify(after)}`}>
+                              <span className="font-mono text-xs text-gray-800">{field}</span>: {formatAuditValue(before)} &rarr; {formatAuditValue(after)}
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {hasMore && !loading && (
+        <button
+          onClick={loadMore}
+          disabled={loadingMore}
+          className="mt-4 px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 transition duration-200 ease-in-out shadow-sm disabled:opacity-50"
+        >
+          {loadingMore ? 'Loading...' : 'Load Older Entries'}
+        </button>
+      )}
+    </div>
+  );
+}
+
+export { AuditLog };
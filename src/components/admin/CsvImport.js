@@ -0,0 +1,166 @@
+import React, { useState } from 'react';
+import { parseCsv } from '../../utils/csvUtils.js';
+import { guessColumnMapping } from '../../utils/importUtils.js';
+
+const ACTION_STYLES = {
+  create: { label: 'Create', className: 'bg-green-100 text-green-800' },
+  update: { label: 'Update', className: 'bg-blue-100 text-blue-800' },
+  unchanged: { label: 'No change', className: 'bg-gray-100 text-gray-700' },
+  skip: { label: 'Error', className: 'bg-red-100 text-red-800' },
+};
+
+// --- CSV Import Panel ---
+// Paste or upload CSV/TSV, map its columns to `fields`, then review a dry run before anything is written.
+// `buildPlan(rows, mapping)` returns one item per data row (see importUtils); `onImport(items)` writes the
+// items that are valid and change something, and resolves once they are committed.
+function CsvImport({ title, fields, buildPlan, describeItem, onImport, onClose }) {
+  const [text, setText] = useState('');
+  const [headers, setHeaders] = useState(null); // null until the text has been read
+  const [rows, setRows] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [isImporting, setIsImporting] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => setText(String(reader.result));
+    reader.readAsText(file);
+  };
+
+  const handleRead = () => {
+    const [headerRow, ...dataRows] = parseCsv(text);
+    if (!headerRow || dataRows.length === 0) {
+      setError('Expected a header row followed by at least one data row.');
+      return;
+    }
+    setError('');
+    setHeaders(headerRow.map(h => h.trim()));
+    setRows(dataRows);
+    setMapping(guessColumnMapping(headerRow, fields));
+  };
+
+  const missingRequired = fields.filter(f => f.required && !(mapping[f.key] >= 0));
+  const plan = headers && missingRequired.length === 0 ? buildPlan(rows, mapping) : [];
+  const toWrite = plan.filter(item => item.action === 'create' || item.action === 'update');
+  const countOf = (action) => plan.filter(item => item.action === action).length;
+
+  const handleImport = async () => {
+    setIsImporting(true);
+    await onImport(toWrite);
+    setIsImporting(false);
+  };
+
+  return (
+    <div className="mb-6 p-4 border border-blue-200 bg-blue-50 rounded-lg">
+      <div className="flex justify-between items-center mb-3">
+        <h4 className="text-lg font-semibold text-gray-800">{title}</h4>
+        <button onClick={onClose} className="text-sm text-gray-600 hover:text-gray-900">Close</button>
+      </div>
+
+      {!headers ? (
+        <div className="space-y-3">
+          <p className="text-sm text-gray-600">
+            Paste comma- or tab-separated text with a header row, or choose a file. Recognised columns: {fields.map(f => f.label).join(', ')}.
+          </p>
+          <input type="file" accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values" onChange={handleFileChange} className="block text-sm text-gray-700" />
+          <textarea
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            rows="6"
+            placeholder={fields.map(f => f.key).join(',')}
+            className="block w-full border border-gray-300 rounded-md shadow-sm p-2 font-mono text-sm focus:ring-blue-500 focus:border-blue-500"
+          />
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          <button
+            onClick={handleRead}
+            disabled={!text.trim()}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition duration-200 ease-in-out shadow-sm disabled:opacity-50"
+          >
+            Preview Import
+          </button>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          <div className="flex flex-wrap gap-3">
+            {fields.map(field => (
+              <div key={field.key}>
+                <label htmlFor={`importColumn-${field.key}`} className="block text-sm font-medium text-gray-700">
+                  {field.label}{field.required && ' *'}
+                </label>
+                <select
+                  id={`importColumn-${field.key}`}
+                  value={mapping[field.key] ?? -1}
+                  onChange={(e) => setMapping(prev => ({ ...prev, [field.key]: Number(e.target.value) }))}
+                  className="mt-1 block border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
+                >
+                  <option value={-1}>-- Not imported --</option>
+                  {headers.map((header, idx) => <option key={idx} value={idx}>{header || `Column ${idx + 1}`}</option>)}
+                </select>
+              </div>
+            ))}
+          </div>
+
+          {missingRequired.length > 0 ? (
+            <p className="text-sm text-red-600">Choose a column for: {missingRequired.map(f => f.label).join(', ')}.</p>
+          ) : (
+            <>
+              <p className="text-sm text-gray-700">
+                {`${countOf('create')} to create, ${countOf('update')} to update, ${countOf('unchanged')} unchanged, ${countOf('skip')} with errors (skipped).`}
+              </p>
+              <div className="overflow-x-auto max-h-96 rounded-lg shadow-sm border border-gray-200 bg-white">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Row</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Action</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Details</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {plan.map(item => (
+                      <tr key={item.rowNumber}>
+                        <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-600">{item.rowNumber}</td>
+                        <td className="px-4 py-2 whitespace-nowrap text-sm">
+                          <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${ACTION_STYLES[item.action].className}`}>
+                            {ACTION_STYLES[item.action].label}
+                          </span>
+                        </td>
+                        <td className="px-4 py-2 text-sm text-gray-700">
+                          {item.errors.length > 0 ? (
+                            <ul className="text-red-600 list-disc list-inside">
+                              {item.errors.map(message => <li key={message}>{message}</li>)}
+                            </ul>
+                          ) : describeItem(item)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+
+          <div className="flex space-x-3">
+            <button
+              onClick={() => setHeaders(null)}
+              className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 transition duration-200 ease-in-out shadow-sm"
+            >
+              Back
+            </button>
+            <button
+              onClick={handleImport}
+              disabled={isImporting || toWrite.length === 0}
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition duration-200 ease-in-out shadow-sm disabled:opacity-50"
+            >
+              {isImporting ? 'Importing...' : `Import ${toWrite.length} Row${toWrite.length === 1 ? '' : 's'}`}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export { CsvImport };
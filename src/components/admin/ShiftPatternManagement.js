@@ -0,0 +1,349 @@
+import React, { useState } from 'react';
+import { doc, collection, writeBatch } from 'firebase/firestore';
+import { appId } from '../../config/firebase.js';
+import { Modal } from '../Modal.js';
+import { getTimeZoneOptions, getBrowserTimeZone } from '../../utils/workingHoursUtils.js';
+import { addDays } from '../../utils/leaveUtils.js';
+import { toDateString } from '../../utils/availabilityUtils.js';
+import { SHIFT_PATTERN_TEMPLATES, getPatternShift, formatShift } from '../../utils/shiftPatternUtils.js';
+import { addAuditEntry } from '../../utils/auditUtils.js';
+import { useFirebase } from '../../hooks/useFirebase.js';
+
+const createEmptyPattern = () => ({
+  name: '',
+  timeZone: getBrowserTimeZone(),
+  anchorDate: toDateString(new Date()),
+  cycle: [{ label: 'Day', start: '09:00', end: '17:00' }],
+});
+
+// --- Shift Pattern Management Component (Admin Only) ---
+// A pattern is a repeating cycle of days starting on the anchor date; each day is a shift or a day off.
+function ShiftPatternManagement({ users, shiftPatterns, db }) {
+  const { currentUser } = useFirebase(); // Recorded as the actor in audit entries
+  const [formData, setFormData] = useState(createEmptyPattern());
+  const [editingPattern, setEditingPattern] = useState(null); // Pattern object if editing
+  const [isDeleteModalOpen, setIsDeleteModalOpen] = useState(false);
+  const [patternToDelete, setPatternToDelete] = useState(null);
+  const [message, setMessage] = useState('');
+
+  const timeZoneOptions = getTimeZoneOptions();
+  const countAssignedUsers = (pattern) => users.filter(u => u.shiftPatternId === pattern.id).length;
+
+  const updateCycleDay = (index, day) => {
+    setFormData(prev => ({ ...prev, cycle: prev.cycle.map((d, i) => (i === index ? day : d)) }));
+  };
+
+  const applyTemplate = (template) => {
+    setFormData(prev => ({ ...prev, name: prev.name || template.name, timeZone: template.timeZone, cycle: template.cycle }));
+  };
+
+  const resetForm = () => {
+    setEditingPattern(null);
+    setFormData(createEmptyPattern());
+  };
+
+  const handleEditClick = (pattern) => {
+    setEditingPattern(pattern);
+    setFormData({
+      name: pattern.name || '',
+      timeZone: pattern.timeZone || getBrowserTimeZone(),
+      anchorDate: pattern.anchorDate || toDateString(new Date()),
+      cycle: pattern.cycle || [],
+    });
+  };
+
+  const handleSavePattern = async (e) => {
+    e.preventDefault();
+    if (formData.name.trim() === '' || !formData.timeZone || !formData.anchorDate || formData.cycle.length === 0) {
+      setMessage('Pattern name, time zone, anchor date and at least one cycle day are required.');
+      return;
+    }
+    const patternData = { ...formData, name: formData.name.trim() };
+    try {
+      const batch = writeBatch(db);
+      if (editingPattern) {
+        const patternDocRef = doc(db, `artifacts/${appId}/public/data/shiftPatterns`, editingPattern.id);
+        batch.update(patternDocRef, patternData);
+        addAuditEntry(batch, db, currentUser, { action: 'shift-pattern.update', targetType: 'shiftPattern', targetId: editingPattern.id, targetLabel: patternData.name, before: editingPattern, after: patternData });
+        await batch.commit();
+        setMessage('Shift pattern updated successfully!');
+      } else {
+        const patternDocRef = doc(collection(db, `artifacts/${appId}/public/data/shiftPatterns`));
+        batch.set(patternDocRef, patternData);
+        addAuditEntry(batch, db, currentUser, { action: 'shift-pattern.create', targetType: 'shiftPattern', targetId: patternDocRef.id, targetLabel: patternData.name, after: patternData });
+        await batch.commit();
+        setMessage('Shift pattern added successfully!');
+      }
+      resetForm();
+      setTimeout(() => setMessage(''), 3000);
+    } catch (error) {
+      console.error("Error saving shift pattern:", error);
+      setMessage(`Error saving shift pattern: ${error.message}`);
+    }
+  };
+
+  const handleDeleteClick = (pattern) => {
+    setPatternToDelete(pattern);
+    setIsDeleteModalOpen(true);
+  };
+
+  const confirmDeletePattern = async () => {
+    if (patternToDelete) {
+      try {
+        const batch = writeBatch(db);
+        const patternDocRef = doc(db, `artifacts/${appId}/public/data/shiftPatterns`, patternToDelete.id);
+        batch.delete(patternDocRef);
+        addAuditEntry(batch, db, currentUser, { action: 'shift-pattern.delete', targetType: 'shiftPattern', targetId: patternToDelete.id, targetLabel: patternToDelete.name, before: patternToDelete });
+        await batch.commit();
+        setMessage('Shift pattern deleted successfully!');
+        setIsDeleteModalOpen(false);
+        setPatternToDelete(null);
+        setTimeout(() => setMessage(''), 3000);
+      } catch (error) {
+        console.error("Error deleting shift pattern:", error);
+        setMessage(`Error deleting shift pattern: ${error.message}`);
+        setIsDeleteModalOpen(false); // Close modal on error too
+      }
+    }
+  };
+
+  // Two-week preview starting at the anchor date
+  const previewDates = Array.from({ length: 14 }, (_, i) => addDays(formData.anchorDate || toDateString(new Date()), i));
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md">
+      <h3 className="text-2xl font-semibold mb-4 text-gray-800">Manage Shift Patterns</h3>
+
+      {message && (
+        <div className={`p-3 mb-4 rounded-md text-white ${message.includes('Error') ? 'bg-red-500' : 'bg-green-500'}`}>
+          {message}
+        </div>
+      )}
+
+      <form onSubmit={handleSavePattern} className="mb-6 space-y-4">
+        <div className="flex flex-wrap gap-2 text-sm">
+          <span className="text-gray-700 self-center">Start from a template:</span>
+          {SHIFT_PATTERN_TEMPLATES.map(template => (
+            <button
+              key={template.key}
+              type="button"
+              onClick={() => applyTemplate(template)}
+              className="px-3 py-1 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 transition duration-200 ease-in-out"
+            >
+              {template.name}
+            </button>
+          ))}
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+          <div>
+            <label htmlFor="patternName" className="block text-sm font-medium text-gray-700">Name</label>
+            <input
+              type="text"
+              id="patternName"
+              value={formData.name}
+              onChange={(e) => setFormData(prev => ({ ...prev, name: e.target.value }))}
+              className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+          </div>
+          <div>
+            <label htmlFor="patternTimeZone" className="block text-sm font-medium text-gray-700">Time Zone</label>
+            <select
+              id="patternTimeZone"
+              value={formData.timeZone}
+              onChange={(e) => setFormData(prev => ({ ...prev, timeZone: e.target.value }))}
+              className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
+            >
+              {!formData.timeZone && <option value="">-- Select a time zone --</option>}
+              {formData.timeZone && !timeZoneOptions.includes(formData.timeZone) && <option value={formData.timeZone}>{formData.timeZone}</option>}
+              {timeZoneOptions.map(zone => (
+                <option key={zone} value={zone}>{zone}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="patternAnchor" className="block text-sm font-medium text-gray-700">Anchor Date (cycle day 1)</label>
+            <input
+              type="date"
+              id="patternAnchor"
+              value={formData.anchorDate}
+              onChange={(e) => setFormData(prev => ({ ...prev, anchorDate: e.target.value }))}
+              className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+          </div>
+        </div>
+
+        <div>
+          <h4 className="block text-sm font-medium text-gray-700 mb-1">Cycle ({formData.cycle.length} days)</h4>
+          <div className="max-h-64 overflow-y-auto border border-gray-200 rounded-md p-2 space-y-1">
+            {formData.cycle.map((day, index) => (
+              <div key={index} className="flex items-center space-x-2 text-sm">
+                <span className="w-14 text-gray-500">Day {index + 1}</span>
+                <label className="flex items-center w-20">
+                  <input
+                    type="checkbox"
+                    checked={!!day}
+                    onChange={(e) => updateCycleDay(index, e.target.checked ? { label: 'Day', start: '09:00', end: '17:00' } : null)}
+                    className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                  />
+                  <span className="ml-2">Working</span>
+                </label>
+                {day ? (
+                  <>
+                    <input
+                      type="text"
+                      value={day.label}
+                      onChange={(e) => updateCycleDay(index, { ...day, label: e.target.value })}
+                      className="w-24 border border-gray-300 rounded-md shadow-sm p-1 focus:ring-blue-500 focus:border-blue-500"
+                    />
+                    <input
+                      type="time"
+                      value={day.start}
+                      onChange={(e) => updateCycleDay(index, { ...day, start: e.target.value })}
+                      className="border border-gray-300 rounded-md shadow-sm p-1 focus:ring-blue-500 focus:border-blue-500"
+                    />
+                    <span>to</span>
+                    <input
+                      type="time"
+                      value={day.end}
+                      onChange={(e) => updateCycleDay(index, { ...day, end: e.target.value })}
+                      className="border border-gray-300 rounded-md shadow-sm p-1 focus:ring-blue-500 focus:border-blue-500"
+                    />
+                    {day.end < day.start && <span className="text-xs text-gray-500">(ends next day)</span>}
+                  </>
+                ) : (
+                  <span className="text-gray-400">Day off</span>
+                )}
+              </div>
+            ))}
+          </div>
+          <div className="flex space-x-3 mt-2 text-sm">
+            <button
+              type="button"
+              onClick={() => setFormData(prev => ({ ...prev, cycle: [...prev.cycle, prev.cycle[prev.cycle.length - 1] ?? null] }))}
+              className="text-blue-600 hover:text-blue-900"
+            >
+              + Add Day
+            </button>
+            {formData.cycle.length > 1 && (
+              <button
+                type="button"
+                onClick={() => setFormData(prev => ({ ...prev, cycle: prev.cycle.slice(0, -1) }))}
+                className="text-red-600 hover:text-red-900"
+              >
+                Remove Last Day
+              </button>
+            )}
+          </div>
+        </div>
+
+        <div>
+          <h4 className="block text-sm font-medium text-gray-700 mb-1">Preview</h4>
+          <div className="flex flex-wrap gap-1 text-xs">
+            {previewDates.map(date => {
+              const shift = getPatternShift(formData, 0, date);
+              return (
+                <span key={date} className={`px-2 py-1 rounded ${shift ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-500'}`}>
+                  {date.slice(5)} {formatShift(shift)}
+                </span>
+              );
+            })}
+          </div>
+        </div>
+
+        <div className="flex space-x-3">
+          <button
+            type="submit"
+            className="px-5 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition duration-200 ease-in-out shadow-md"
+          >
+            {editingPattern ? 'Update Pattern' : 'Add Pattern'}
+          </button>
+          {editingPattern && (
+            <button
+              type="button"
+              onClick={resetForm}
+              className="px-5 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 transition duration-200 ease-in-out shadow-sm"
+            >
+              Cancel Edit
+            </button>
+          )}
+        </div>
+      </form>
+
+      <div className="overflow-x-auto rounded-lg shadow-sm border border-gray-200">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Cycle</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Time Zone</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Anchor</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Users</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {(shiftPatterns || []).map(pattern => (
+              <tr key={pattern.id}>
+                <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{pattern.name}</td>
+                <td className="px-6 py-4 text-sm text-gray-600">
+                  {(pattern.cycle || []).map(day => (day ? day.label.charAt(0) : '·')).join(' ')}
+                  <span className="ml-2 text-gray-400">({(pattern.cycle || []).length} days)</span>
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{pattern.timeZone}</td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{pattern.anchorDate}</td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{countAssignedUsers(pattern)}</td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                  <button
+                    onClick={() => handleEditClick(pattern)}
+                    className="text-blue-600 hover:text-blue-900 mr-3 transition duration-200 ease-in-out"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => handleDeleteClick(pattern)}
+                    className="text-red-600 hover:text-red-900 transition duration-200 ease-in-out"
+                  >
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            ))}
+            {(shiftPatterns || []).length === 0 && (
+              <tr>
+                <td colSpan="6" className="px-6 py-4 text-center text-sm text-gray-500">No shift patterns defined yet.</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <Modal
+        isOpen={isDeleteModalOpen}
+        onClose={() => { setIsDeleteModalOpen(false); setPatternToDelete(null); }}
+        title="Confirm Deletion"
+      >
+        <p className="text-gray-700 mb-6">
+          {`Are you sure you want to delete shift pattern "${patternToDelete?.name}"?`}
+          {patternToDelete && countAssignedUsers(patternToDelete) > 0 && ` ${countAssignedUsers(patternToDelete)} user(s) will fall back to their weekly working hours.`}
+        </p>
+        <div className="flex justify-end space-x-3">
+          <button
+            onClick={() => { setIsDeleteModalOpen(false); setPatternToDelete(null); }}
+            className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 transition duration-200 ease-in-out shadow-sm"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={confirmDeletePattern}
+            className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 transition duration-200 ease-in-out shadow-md"
+          >
+            Confirm Delete
+          </button>
+        </div>
+      </Modal>
+    </div>
+  );
+}
+
+export { ShiftPatternManagement };
@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import { SKILL_LEVELS, toSkillEntry, getSkillPath } from '../../utils/skillUtils.js';
+import { SkillPicker } from '../shared/SkillPicker.js';
+
+const inputClassName = 'block w-full border border-gray-300 rounded-md shadow-sm p-1 text-sm focus:ring-blue-500 focus:border-blue-500';
+
+// --- Skill Entries Editor ---
+// One row per held skill with its proficiency level, optional certification and expiry, and the date the
+// level was last verified. Retired skills stay on the people who hold them but cannot be added.
+function SkillEntriesEditor({ entries, onChange, skills }) {
+  const [skillToAdd, setSkillToAdd] = useState('');
+  const heldIds = entries.map(entry => entry.skillId);
+  const canAdd = skills.some(skill => !skill.retired && !heldIds.includes(skill.id));
+
+  const getSkillLabel = (skillId) => {
+    const skill = skills.find(s => s.id === skillId);
+    if (!skill) return 'Deleted skill';
+    return skill.retired ? `${getSkillPath(skills, skillId)} (retired)` : getSkillPath(skills, skillId);
+  };
+
+  const updateEntry = (skillId, field, value) => {
+    onChange(entries.map(entry => (entry.skillId === skillId ? { ...entry, [field]: value } : entry)));
+  };
+
+  const handleAdd = () => {
+    if (!skillToAdd) return;
+    onChange([...entries, toSkillEntry({ skillId: skillToAdd })]);
+    setSkillToAdd('');
+  };
+
+  return (
+    <div className="space-y-2">
+      {entries.length === 0 && <p className="text-sm text-gray-500">No skills assigned.</p>}
+      {entries.map(entry => (
+        <div key={entry.skillId} className="p-2 border border-gray-200 rounded-md bg-gray-50">
+          <div className="flex items-center justify-between mb-1">
+            <span className="text-sm font-medium text-gray-800">{getSkillLabel(entry.skillId)}</span>
+            <button
+              type="button"
+              onClick={() => onChange(entries.filter(e => e.skillId !== entry.skillId))}
+              className="text-xs text-red-600 hover:text-red-900"
+            >
+              Remove
+            </button>
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            <label className="text-xs text-gray-600">
+              Level
+              <select
+                value={entry.level || ''}
+                onChange={(e) => updateEntry(entry.skillId, 'level', e.target.value ? Number(e.target.value) : null)}
+                className={inputClassName}
+              >
+                <option value="">Unrated</option>
+                {SKILL_LEVELS.map(level => <option key={level.value} value={level.value}>{`${level.value} – ${level.label}`}</option>)}
+              </select>
+            </label>
+            <label className="text-xs text-gray-600">
+              Last verified
+              <input
+                type="date"
+                value={entry.lastVerified || ''}
+                onChange={(e) => updateEntry(entry.skillId, 'lastVerified', e.target.value || null)}
+                className={inputClassName}
+              />
+            </label>
+            <label className="text-xs text-gray-600">
+              Certification
+              <input
+                type="text"
+                value={entry.certification}
+                onChange={(e) => updateEntry(entry.skillId, 'certification', e.target.value)}
+                placeholder="Optional"
+                className={inputClassName}
+              />
+            </label>
+            <label className="text-xs text-gray-600">
+              Expires
+              <input
+                type="date"
+                value={entry.certificationExpiry || ''}
+                onChange={(e) => updateEntry(entry.skillId, 'certificationExpiry', e.target.value || null)}
+                disabled={!entry.certification}
+                className={`${inputClassName} disabled:bg-gray-100`}
+              />
+            </label>
+          </div>
+        </div>
+      ))}
+      {canAdd && (
+        <div className="flex items-end space-x-2">
+          <SkillPicker
+            skills={skills}
+            value={skillToAdd}
+            onChange={setSkillToAdd}
+            excludeIds={heldIds}
+            placeholder="-- Add a Skill --"
+            className="flex-grow"
+          />
+          <button
+            type="button"
+            onClick={handleAdd}
+            disabled={!skillToAdd}
+            className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 transition duration-200 ease-in-out shadow-sm disabled:opacity-50"
+          >
+            Add
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export { SkillEntriesEditor };
@@ -1,26 +1,88 @@
 import React, { useState } from 'react';
-import { doc, addDoc, updateDoc, deleteDoc, collection } from 'firebase/firestore';
-import { appId } from '../../../config/firebase.js'; // Path is ../../../ from src/components/admin to root then src/config
-import { Modal } from '../../Modal.js'; // Path is ../../ from src/components/admin to src/components
+import { doc, collection, writeBatch } from 'firebase/firestore';
+import { appId } from '../../config/firebase.js';
+import { Modal } from '../Modal.js';
+import { COVERAGE_RULE_SCOPES } from '../../utils/coverageUtils.js';
+import { addAuditEntry } from '../../utils/auditUtils.js';
+import { useFirebase } from '../../hooks/useFirebase.js';
+import { CsvImport } from './CsvImport.js';
+import { SKILL_IMPORT_FIELDS, buildSkillImportPlan, chunkItems } from '../../utils/importUtils.js';
+import {
+  getSkillHolders,
+  removeSkillFromUser,
+  mergeSkillForUser,
+  getSkillPath,
+  getSkillDescendantIds,
+  wouldCreateSkillCycle,
+  findSkillByName,
+  parseAliases,
+  matchesSkillSearch,
+  getSkillCategories,
+  groupSkillsByCategory,
+} from '../../utils/skillUtils.js';
+import { SkillPicker } from '../shared/SkillPicker.js';
+import { addSkillSnapshotUpdates } from '../../utils/skillMatrixUtils.js';
+
+const EMPTY_SKILL_FORM = { name: '', category: '', parentId: '', description: '', aliases: '' };
 
 // --- Skill Management Component (Admin Only) ---
-function SkillManagement({ skills, db }) {
-  const [newSkillName, setNewSkillName] = useState('');
+function SkillManagement({ users, skills, coverageRules, onCallSchedules, db }) {
+  const { currentUser } = useFirebase(); // Recorded as the actor in audit entries
+  const [skillForm, setSkillForm] = useState(EMPTY_SKILL_FORM);
+  const [skillSearch, setSkillSearch] = useState('');
   const [editingSkill, setEditingSkill] = useState(null); // Skill object if editing
   const [isDeleteModalOpen, setIsDeleteModalOpen] = useState(false);
   const [skillToDelete, setSkillToDelete] = useState(null);
   const [message, setMessage] = useState('');
+  const [newRule, setNewRule] = useState({ skillId: '', minimum: 1, appliesTo: 'weekdays' });
+  const [showImport, setShowImport] = useState(false);
+  const [mergeSource, setMergeSource] = useState(null); // Skill being merged away
+  const [mergeTargetId, setMergeTargetId] = useState('');
+
+  // Coverage rules and on-call schedules that name a skill, so deletes and merges can update them too
+  const rulesForSkill = (skillId) => (coverageRules || []).filter(rule => rule.skillId === skillId);
+  const schedulesForSkill = (skillId) => (onCallSchedules || []).filter(schedule => schedule.skillId === skillId);
+  const childrenOfSkill = (skillId) => skills.filter(skill => skill.parentId === skillId);
+
+  const handleFormChange = (e) => {
+    const { name, value } = e.target;
+    setSkillForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  // The document fields for the form, or an error message. Names and aliases must not collide with another
+  // skill's, and a skill cannot be nested under itself or one of its own children.
+  const readSkillForm = (skillId) => {
+    const name = skillForm.name.trim();
+    if (name === '') return { error: 'Skill name cannot be empty.' };
+    const aliases = parseAliases(skillForm.aliases);
+    const clash = [name, ...aliases].map(term => findSkillByName(skills, term)).find(skill => skill && skill.id !== skillId);
+    if (clash) return { error: `"${clash.name}" already uses that name or alias.` };
+    if (skillId && wouldCreateSkillCycle(skills, skillId, skillForm.parentId)) return { error: 'A skill cannot be nested under itself or one of its sub-skills.' };
+    return {
+      data: {
+        name,
+        category: skillForm.category.trim(),
+        parentId: skillForm.parentId || null,
+        description: skillForm.description.trim(),
+        aliases,
+      },
+    };
+  };
 
   const handleAddSkill = async (e) => {
     e.preventDefault();
-    if (newSkillName.trim() === '') {
-      setMessage('Skill name cannot be empty.');
+    const { data: skillData, error } = readSkillForm(null);
+    if (error) {
+      setMessage(error);
       return;
     }
     try {
-      const skillsColRef = collection(db, `artifacts/${appId}/public/data/skills`);
-      await addDoc(skillsColRef, { name: newSkillName.trim() });
-      setNewSkillName('');
+      const batch = writeBatch(db);
+      const skillDocRef = doc(collection(db, `artifacts/${appId}/public/data/skills`));
+      batch.set(skillDocRef, skillData);
+      addAuditEntry(batch, db, currentUser, { action: 'skill.create', targetType: 'skill', targetId: skillDocRef.id, targetLabel: skillData.name, after: skillData });
+      await batch.commit();
+      setSkillForm(EMPTY_SKILL_FORM);
       setMessage('Skill added successfully!');
       setTimeout(() => setMessage(''), 3000);
     } catch (error) {
@@ -29,22 +91,65 @@ function SkillManagement({ skills, db }) {
     }
   };
 
+  const buildImportPlan = (rows, mapping) => buildSkillImportPlan(rows, mapping, { skills }, () => (
+    doc(collection(db, `artifacts/${appId}/public/data/skills`)).id
+  ));
+
+  // Creates the new skills of an import; names that already exist are never written
+  const handleImportSkills = async (items) => {
+    let written = 0;
+    try {
+      for (const chunk of chunkItems(items)) {
+        const batch = writeBatch(db);
+        chunk.forEach(item => {
+          batch.set(doc(db, `artifacts/${appId}/public/data/skills`, item.docId), item.data);
+          addAuditEntry(batch, db, currentUser, { action: 'skill.create', targetType: 'skill', targetId: item.docId, targetLabel: item.data.name, after: item.data });
+        });
+        await batch.commit();
+        written += chunk.length;
+      }
+      setShowImport(false);
+      setMessage(`Imported ${written} skills.`);
+      setTimeout(() => setMessage(''), 3000);
+    } catch (error) {
+      console.error("Error importing skills:", error);
+      setMessage(`Error importing skills after ${written} rows: ${error.message}`);
+    }
+  };
+
   const handleEditClick = (skill) => {
     setEditingSkill(skill);
-    setNewSkillName(skill.name);
+    setSkillForm({
+      name: skill.name,
+      category: skill.category || '',
+      parentId: skill.parentId || '',
+      description: skill.description || '',
+      aliases: (skill.aliases || []).join(', '),
+    });
+  };
+
+  const handleCancelEdit = () => {
+    setEditingSkill(null);
+    setSkillForm(EMPTY_SKILL_FORM);
   };
 
   const handleUpdateSkill = async (e) => {
     e.preventDefault();
-    if (!editingSkill || newSkillName.trim() === '') {
-      setMessage('Skill name cannot be empty.');
+    if (!editingSkill) return;
+    const { data: updates, error } = readSkillForm(editingSkill.id);
+    if (error) {
+      setMessage(error);
       return;
     }
     try {
+      const batch = writeBatch(db);
       const skillDocRef = doc(db, `artifacts/${appId}/public/data/skills`, editingSkill.id);
-      await updateDoc(skillDocRef, { name: newSkillName.trim() });
-      setEditingSkill(null);
-      setNewSkillName('');
+      batch.update(skillDocRef, updates);
+      addAuditEntry(batch, db, currentUser, { action: 'skill.update', targetType: 'skill', targetId: editingSkill.id, targetLabel: updates.name, before: editingSkill, after: updates });
+      // Moving a skill changes which parents its holders count toward
+      addSkillSnapshotUpdates(batch, db, currentUser, { users, skills }, { users, skills: skills.map(s => (s.id === editingSkill.id ? { ...s, ...updates } : s)) });
+      await batch.commit();
+      handleCancelEdit();
       setMessage('Skill updated successfully!');
       setTimeout(() => setMessage(''), 3000);
     } catch (error) {
@@ -58,11 +163,42 @@ function SkillManagement({ skills, db }) {
     setIsDeleteModalOpen(true);
   };
 
+  // Strips the skill from everyone who holds it, drops its coverage rules, unlinks its on-call schedules
+  // and moves its sub-skills up to its parent in the same batch as the delete, so nothing is left pointing
+  // at a missing skill
   const confirmDeleteSkill = async () => {
     if (skillToDelete) {
       try {
+        const batch = writeBatch(db);
+        getSkillHolders(users, skillToDelete.id).forEach(user => {
+          const updates = removeSkillFromUser(user, skillToDelete.id);
+          batch.update(doc(db, `artifacts/${appId}/public/data/users`, user.id), updates);
+          addAuditEntry(batch, db, currentUser, { action: 'user.update', targetType: 'user', targetId: user.id, targetLabel: user.name, before: user, after: updates });
+        });
+        rulesForSkill(skillToDelete.id).forEach(rule => {
+          batch.delete(doc(db, `artifacts/${appId}/public/data/coverageRules`, rule.id));
+          addAuditEntry(batch, db, currentUser, { action: 'coverage-rule.delete', targetType: 'coverageRule', targetId: rule.id, targetLabel: skillToDelete.name, before: rule });
+        });
+        schedulesForSkill(skillToDelete.id).forEach(schedule => {
+          const updates = { skillId: '' };
+          batch.update(doc(db, `artifacts/${appId}/public/data/onCallSchedules`, schedule.id), updates);
+          addAuditEntry(batch, db, currentUser, { action: 'on-call.update', targetType: 'onCallSchedule', targetId: schedule.id, targetLabel: schedule.name, before: schedule, after: updates });
+        });
+        childrenOfSkill(skillToDelete.id).forEach(child => {
+          const updates = { parentId: skillToDelete.parentId || null };
+          batch.update(doc(db, `artifacts/${appId}/public/data/skills`, child.id), updates);
+          addAuditEntry(batch, db, currentUser, { action: 'skill.update', targetType: 'skill', targetId: child.id, targetLabel: child.name, before: child, after: updates });
+        });
         const skillDocRef = doc(db, `artifacts/${appId}/public/data/skills`, skillToDelete.id);
-        await deleteDoc(skillDocRef);
+        batch.delete(skillDocRef);
+        addAuditEntry(batch, db, currentUser, { action: 'skill.delete', targetType: 'skill', targetId: skillToDelete.id, targetLabel: skillToDelete.name, before: skillToDelete });
+        addSkillSnapshotUpdates(batch, db, currentUser, { users, skills }, {
+          users: users.map(u => ({ ...u, ...removeSkillFromUser(u, skillToDelete.id) })),
+          skills: skills
+            .filter(s => s.id !== skillToDelete.id)
+            .map(s => (s.parentId === skillToDelete.id ? { ...s, parentId: skillToDelete.parentId || null } : s)),
+        });
+        await batch.commit();
         setMessage('Skill deleted successfully!');
         setIsDeleteModalOpen(false);
         setSkillToDelete(null);
@@ -75,6 +211,134 @@ function SkillManagement({ skills, db }) {
     }
   };
 
+  const handleToggleRetired = async (skill) => {
+    try {
+      const batch = writeBatch(db);
+      const updates = { retired: !skill.retired };
+      batch.update(doc(db, `artifacts/${appId}/public/data/skills`, skill.id), updates);
+      addAuditEntry(batch, db, currentUser, { action: skill.retired ? 'skill.restore' : 'skill.retire', targetType: 'skill', targetId: skill.id, targetLabel: skill.name, before: skill, after: updates });
+      await batch.commit();
+      setMessage(skill.retired ? `${skill.name} restored.` : `${skill.name} retired; it stays on existing profiles but is no longer offered.`);
+      setTimeout(() => setMessage(''), 3000);
+    } catch (error) {
+      console.error("Error retiring skill:", error);
+      setMessage(`Error updating skill: ${error.message}`);
+    }
+  };
+
+  const handleMergeClick = (skill) => {
+    setMergeSource(skill);
+    setMergeTargetId('');
+  };
+
+  // Rewrites every reference to the source skill (holders, coverage rules, on-call schedules, sub-skills)
+  // to the target, then deletes the source, all in one batch. The target picker leaves out the source's own
+  // sub-skills, which keeps the hierarchy acyclic.
+  const confirmMergeSkill = async () => {
+    const target = skills.find(s => s.id === mergeTargetId);
+    if (!mergeSource || !target) {
+      setMessage('Please select the skill to merge into.');
+      return;
+    }
+    try {
+      const batch = writeBatch(db);
+      const holders = getSkillHolders(users, mergeSource.id);
+      holders.forEach(user => {
+        const updates = mergeSkillForUser(user, mergeSource.id, target.id);
+        batch.update(doc(db, `artifacts/${appId}/public/data/users`, user.id), updates);
+        addAuditEntry(batch, db, currentUser, { action: 'user.update', targetType: 'user', targetId: user.id, targetLabel: user.name, before: user, after: updates });
+      });
+      rulesForSkill(mergeSource.id).forEach(rule => {
+        const updates = { skillId: target.id };
+        batch.update(doc(db, `artifacts/${appId}/public/data/coverageRules`, rule.id), updates);
+        addAuditEntry(batch, db, currentUser, { action: 'coverage-rule.update', targetType: 'coverageRule', targetId: rule.id, targetLabel: target.name, before: rule, after: updates });
+      });
+      schedulesForSkill(mergeSource.id).forEach(schedule => {
+        const updates = { skillId: target.id };
+        batch.update(doc(db, `artifacts/${appId}/public/data/onCallSchedules`, schedule.id), updates);
+        addAuditEntry(batch, db, currentUser, { action: 'on-call.update', targetType: 'onCallSchedule', targetId: schedule.id, targetLabel: schedule.name, before: schedule, after: updates });
+      });
+      childrenOfSkill(mergeSource.id).forEach(child => {
+        const updates = { parentId: target.id };
+        batch.update(doc(db, `artifacts/${appId}/public/data/skills`, child.id), updates);
+        addAuditEntry(batch, db, currentUser, { action: 'skill.update', targetType: 'skill', targetId: child.id, targetLabel: child.name, before: child, after: updates });
+      });
+      batch.delete(doc(db, `artifacts/${appId}/public/data/skills`, mergeSource.id));
+      addAuditEntry(batch, db, currentUser, {
+        action: 'skill.merge',
+        targetType: 'skill',
+        targetId: target.id,
+        targetLabel: `${mergeSource.name} → ${target.name}`,
+        before: { mergedSkillId: mergeSource.id, mergedSkillName: mergeSource.name },
+        after: { holders: holders.length, coverageRules: rulesForSkill(mergeSource.id).length },
+      });
+      addSkillSnapshotUpdates(batch, db, currentUser, { users, skills }, {
+        users: users.map(u => (holders.includes(u) ? { ...u, ...mergeSkillForUser(u, mergeSource.id, target.id) } : u)),
+        skills: skills
+          .filter(s => s.id !== mergeSource.id)
+          .map(s => (s.parentId === mergeSource.id ? { ...s, parentId: target.id } : s)),
+      });
+      await batch.commit();
+      setMessage(`Merged ${mergeSource.name} into ${target.name} (${holders.length} ${holders.length === 1 ? 'person' : 'people'} updated).`);
+      setMergeSource(null);
+      setTimeout(() => setMessage(''), 3000);
+    } catch (error) {
+      console.error("Error merging skills:", error);
+      setMessage(`Error merging skills: ${error.message}`);
+      setMergeSource(null);
+    }
+  };
+
+  const handleAddRule = async (e) => {
+    e.preventDefault();
+    const minimum = parseInt(newRule.minimum, 10);
+    if (!newRule.skillId || !(minimum > 0)) {
+      setMessage('Please select a skill and a minimum of at least 1.');
+      return;
+    }
+    try {
+      const batch = writeBatch(db);
+      const ruleDocRef = doc(collection(db, `artifacts/${appId}/public/data/coverageRules`));
+      const ruleData = { skillId: newRule.skillId, minimum, appliesTo: newRule.appliesTo };
+      batch.set(ruleDocRef, ruleData);
+      addAuditEntry(batch, db, currentUser, {
+        action: 'coverage-rule.create',
+        targetType: 'coverageRule',
+        targetId: ruleDocRef.id,
+        targetLabel: skills.find(s => s.id === newRule.skillId)?.name || '',
+        after: ruleData,
+      });
+      await batch.commit();
+      setNewRule({ skillId: '', minimum: 1, appliesTo: 'weekdays' });
+      setMessage('Coverage rule added successfully!');
+      setTimeout(() => setMessage(''), 3000);
+    } catch (error) {
+      console.error("Error adding coverage rule:", error);
+      setMessage(`Error adding coverage rule: ${error.message}`);
+    }
+  };
+
+  const handleDeleteRule = async (rule) => {
+    try {
+      const batch = writeBatch(db);
+      const ruleDocRef = doc(db, `artifacts/${appId}/public/data/coverageRules`, rule.id);
+      batch.delete(ruleDocRef);
+      addAuditEntry(batch, db, currentUser, {
+        action: 'coverage-rule.delete',
+        targetType: 'coverageRule',
+        targetId: rule.id,
+        targetLabel: skills.find(s => s.id === rule.skillId)?.name || '',
+        before: rule,
+      });
+      await batch.commit();
+      setMessage('Coverage rule deleted successfully!');
+      setTimeout(() => setMessage(''), 3000);
+    } catch (error) {
+      console.error("Error deleting coverage rule:", error);
+      setMessage(`Error deleting coverage rule: ${error.message}`);
+    }
+  };
+
   return (
     <div className="bg-white p-6 rounded-lg shadow-md">
       <h3 className="text-2xl font-semibold mb-4 text-gray-800">Manage Skills</h3>
@@ -85,52 +349,239 @@ function SkillManagement({ skills, db }) {
         </div>
       )}
 
-      <form onSubmit={editingSkill ? handleUpdateSkill : handleAddSkill} className="mb-6 flex space-x-3">
-        <input
-          type="text"
-          placeholder="New Skill Name"
-          value={newSkillName}
-          onChange={(e) => setNewSkillName(e.target.value)}
-          className="flex-grow border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
+      {showImport && (
+        <CsvImport
+          title="Import Skills"
+          fields={SKILL_IMPORT_FIELDS}
+          buildPlan={buildImportPlan}
+          describeItem={(item) => {
+            if (item.action === 'unchanged') return `${item.existing.name} already exists`;
+            return [item.data.category, item.values.parent ? `${item.values.parent} > ${item.data.name}` : item.data.name].filter(Boolean).join(': ');
+          }}
+          onImport={handleImportSkills}
+          onClose={() => setShowImport(false)}
         />
+      )}
+
+      <form onSubmit={editingSkill ? handleUpdateSkill : handleAddSkill} className="mb-6 grid grid-cols-1 md:grid-cols-2 gap-3">
+        <div>
+          <label htmlFor="skillName" className="block text-sm font-medium text-gray-700">Name</label>
+          <input
+            type="text"
+            id="skillName"
+            name="name"
+            placeholder="New Skill Name"
+            value={skillForm.name}
+            onChange={handleFormChange}
+            className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
+          />
+        </div>
+        <div>
+          <label htmlFor="skillCategory" className="block text-sm font-medium text-gray-700">Category</label>
+          <input
+            type="text"
+            id="skillCategory"
+            name="category"
+            list="skillCategoryOptions"
+            placeholder="e.g. Networking"
+            value={skillForm.category}
+            onChange={handleFormChange}
+            className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
+          />
+          <datalist id="skillCategoryOptions">
+            {getSkillCategories(skills).map(category => <option key={category} value={category} />)}
+          </datalist>
+        </div>
+        <div>
+          <label htmlFor="skillParent" className="block text-sm font-medium text-gray-700">Parent Skill</label>
+          <SkillPicker
+            id="skillParent"
+            skills={skills}
+            value={skillForm.parentId}
+            onChange={(parentId) => setSkillForm(prev => ({ ...prev, parentId }))}
+            excludeIds={editingSkill ? getSkillDescendantIds(skills, editingSkill.id) : []}
+            placeholder="-- None (top level) --"
+            className="mt-1"
+          />
+        </div>
+        <div>
+          <label htmlFor="skillAliases" className="block text-sm font-medium text-gray-700">Aliases</label>
+          <input
+            type="text"
+            id="skillAliases"
+            name="aliases"
+            placeholder="Comma separated, e.g. K8s, Kube"
+            value={skillForm.aliases}
+            onChange={handleFormChange}
+            className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
+          />
+        </div>
+        <div className="md:col-span-2">
+          <label htmlFor="skillDescription" className="block text-sm font-medium text-gray-700">Description</label>
+          <textarea
+            id="skillDescription"
+            name="description"
+            rows="2"
+            value={skillForm.description}
+            onChange={handleFormChange}
+            className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
+          />
+        </div>
+        <div className="md:col-span-2 flex space-x-3">
+          <button
+            type="submit"
+            className="px-5 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition duration-200 ease-in-out shadow-md"
+          >
+            {editingSkill ? 'Update Skill' : 'Add Skill'}
+          </button>
+          {editingSkill && (
+            <button
+              type="button"
+              onClick={handleCancelEdit}
+              className="px-5 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 transition duration-200 ease-in-out shadow-sm"
+            >
+              Cancel Edit
+            </button>
+          )}
+          {!showImport && (
+            <button
+              type="button"
+              onClick={() => setShowImport(true)}
+              className="px-5 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 transition duration-200 ease-in-out shadow-sm"
+            >
+              Import CSV
+            </button>
+          )}
+        </div>
+      </form>
+
+      <input
+        type="search"
+        value={skillSearch}
+        onChange={(e) => setSkillSearch(e.target.value)}
+        placeholder="Search skills, categories or aliases..."
+        className="mb-4 block w-full md:w-1/2 border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
+      />
+
+      <div className="overflow-x-auto rounded-lg shadow-sm border border-gray-200">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Skill Name</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">People</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+            </tr>
+          </thead>
+          {groupSkillsByCategory(skills.filter(skill => matchesSkillSearch(skill, skills, skillSearch)), skills).map(group => (
+            <tbody key={group.category} className="bg-white divide-y divide-gray-200">
+              <tr className="bg-gray-100">
+                <td colSpan="3" className="px-6 py-2 text-xs font-semibold text-gray-600 uppercase tracking-wider">{group.category}</td>
+              </tr>
+              {group.skills.map(skill => (
+                <tr key={skill.id}>
+                  <td className="px-6 py-4 text-sm text-gray-900">
+                    <span className="font-medium">{skill.path}</span>
+                    {skill.retired && <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-gray-200 text-gray-700">Retired</span>}
+                    {skill.description && <p className="text-xs text-gray-600">{skill.description}</p>}
+                    {(skill.aliases || []).length > 0 && <p className="text-xs text-gray-500">Also known as: {skill.aliases.join(', ')}</p>}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">{getSkillHolders(users, skill.id).length}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                    <button
+                      onClick={() => handleEditClick(skill)}
+                      className="text-blue-600 hover:text-blue-900 mr-3 transition duration-200 ease-in-out"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => handleMergeClick(skill)}
+                      className="text-blue-600 hover:text-blue-900 mr-3 transition duration-200 ease-in-out"
+                    >
+                      Merge
+                    </button>
+                    <button
+                      onClick={() => handleToggleRetired(skill)}
+                      className="text-gray-600 hover:text-gray-900 mr-3 transition duration-200 ease-in-out"
+                    >
+                      {skill.retired ? 'Restore' : 'Retire'}
+                    </button>
+                    <button
+                      onClick={() => handleDeleteClick(skill)}
+                      className="text-red-600 hover:text-red-900 transition duration-200 ease-in-out"
+                    >
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          ))}
+        </table>
+      </div>
+
+      <h3 className="text-2xl font-semibold mt-8 mb-2 text-gray-800">Coverage Rules</h3>
+      <p className="text-sm text-gray-600 mb-4">Leave requests that would leave fewer available holders of a skill than its minimum are flagged to the submitter and need a justification to approve.</p>
+
+      <form onSubmit={handleAddRule} className="mb-6 flex flex-wrap items-end gap-3">
+        <div>
+          <label htmlFor="ruleSkill" className="block text-sm font-medium text-gray-700">Skill</label>
+          <SkillPicker
+            id="ruleSkill"
+            skills={skills}
+            value={newRule.skillId}
+            onChange={(skillId) => setNewRule(prev => ({ ...prev, skillId }))}
+            className="mt-1"
+          />
+        </div>
+        <div>
+          <label htmlFor="ruleMinimum" className="block text-sm font-medium text-gray-700">Minimum Available</label>
+          <input
+            type="number"
+            id="ruleMinimum"
+            min="1"
+            value={newRule.minimum}
+            onChange={(e) => setNewRule(prev => ({ ...prev, minimum: e.target.value }))}
+            className="mt-1 block w-24 border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
+          />
+        </div>
+        <div>
+          <label htmlFor="ruleAppliesTo" className="block text-sm font-medium text-gray-700">Applies On</label>
+          <select
+            id="ruleAppliesTo"
+            value={newRule.appliesTo}
+            onChange={(e) => setNewRule(prev => ({ ...prev, appliesTo: e.target.value }))}
+            className="mt-1 block border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
+          >
+            {COVERAGE_RULE_SCOPES.map(scope => (
+              <option key={scope.value} value={scope.value}>{scope.label}</option>
+            ))}
+          </select>
+        </div>
         <button
           type="submit"
           className="px-5 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition duration-200 ease-in-out shadow-md"
         >
-          {editingSkill ? 'Update Skill' : 'Add Skill'}
+          Add Rule
         </button>
-        {editingSkill && (
-          <button
-            type="button"
-            onClick={() => { setEditingSkill(null); setNewSkillName(''); }}
-            className="px-5 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 transition duration-200 ease-in-out shadow-sm"
-          >
-            Cancel Edit
-          </button>
-        )}
       </form>
 
       <div className="overflow-x-auto rounded-lg shadow-sm border border-gray-200">
         <table className="min-w-full divide-y divide-gray-200">
           <thead className="bg-gray-50">
             <tr>
-              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Skill Name</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Rule</th>
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
             </tr>
           </thead>
           <tbody className="bg-white divide-y divide-gray-200">
-            {skills.map(skill => (
-              <tr key={skill.id}>
-                <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{skill.name}</td>
+            {(coverageRules || []).map(rule => (
+              <tr key={rule.id}>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                  {`At least ${rule.minimum} ${rule.minimum === 1 ? 'person' : 'people'} with ${getSkillPath(skills, rule.skillId) || 'a deleted skill'} (or a sub-skill) available on ${rule.appliesTo === 'all-days' ? 'every day' : 'weekdays'}`}
+                </td>
                 <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
                   <button
-                    onClick={() => handleEditClick(skill)}
-                    className="text-blue-600 hover:text-blue-900 mr-3 transition duration-200 ease-in-out"
-                  >
-                    Edit
-                  </button>
-                  <button
-                    onClick={() => handleDeleteClick(skill)}
+                    onClick={() => handleDeleteRule(rule)}
                     className="text-red-600 hover:text-red-900 transition duration-200 ease-in-out"
                   >
                     Delete
@@ -138,6 +589,11 @@ function SkillManagement({ skills, db }) {
                 </td>
               </tr>
             ))}
+            {(coverageRules || []).length === 0 && (
+              <tr>
+                <td colSpan="2" className="px-6 py-4 text-center text-sm text-gray-500">No coverage rules defined yet.</td>
+              </tr>
+            )}
           </tbody>
         </table>
       </div>
@@ -147,7 +603,16 @@ function SkillManagement({ skills, db }) {
         onClose={() => { setIsDeleteModalOpen(false); setSkillToDelete(null); }}
         title="Confirm Deletion"
       >
-        <p className="text-gray-700 mb-6">{`Are you sure you want to delete skill "${skillToDelete?.name}"? This will remove it from all users.`}</p>
+        <p className="text-gray-700 mb-2">{`Are you sure you want to delete skill "${skillToDelete?.name}"?`}</p>
+        {skillToDelete && (
+          <ul className="list-disc list-inside text-sm text-gray-700 mb-4">
+            <li>{`It will be removed from ${getSkillHolders(users, skillToDelete.id).length} people who hold it.`}</li>
+            {rulesForSkill(skillToDelete.id).length > 0 && <li>{`${rulesForSkill(skillToDelete.id).length} coverage rules for it will be deleted.`}</li>}
+            {schedulesForSkill(skillToDelete.id).length > 0 && <li>{`${schedulesForSkill(skillToDelete.id).length} on-call schedules will be left without a skill.`}</li>}
+            {childrenOfSkill(skillToDelete.id).length > 0 && <li>{`${childrenOfSkill(skillToDelete.id).length} sub-skills will move up a level.`}</li>}
+          </ul>
+        )}
+        <p className="text-sm text-gray-600 mb-6">To keep it on existing profiles, retire it instead.</p>
         <div className="flex justify-end space-x-3">
           <button
             onClick={() => { setIsDeleteModalOpen(false); setSkillToDelete(null); }}
@@ -163,6 +628,38 @@ function SkillManagement({ skills, db }) {
           </button>
         </div>
       </Modal>
+
+      <Modal
+        isOpen={!!mergeSource}
+        onClose={() => setMergeSource(null)}
+        title="Merge Skill"
+      >
+        <p className="text-gray-700 mb-4">{`Merge "${mergeSource?.name}" into another skill. Its ${mergeSource ? getSkillHolders(users, mergeSource.id).length : 0} holders, coverage rules, on-call schedules and sub-skills move to the chosen skill, and "${mergeSource?.name}" is deleted.`}</p>
+        <label htmlFor="mergeTarget" className="block text-sm font-medium text-gray-700">Merge into</label>
+        <SkillPicker
+          id="mergeTarget"
+          skills={skills}
+          value={mergeTargetId}
+          onChange={setMergeTargetId}
+          excludeIds={mergeSource ? getSkillDescendantIds(skills, mergeSource.id) : []}
+          className="mt-1 mb-6"
+        />
+        <div className="flex justify-end space-x-3">
+          <button
+            onClick={() => setMergeSource(null)}
+            className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 transition duration-200 ease-in-out shadow-sm"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={confirmMergeSkill}
+            disabled={!mergeTargetId}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition duration-200 ease-in-out shadow-md disabled:opacity-50"
+          >
+            Confirm Merge
+          </button>
+        </div>
+      </Modal>
     </div>
   );
 }
@@ -0,0 +1,308 @@
+import React, { useState } from 'react';
+import { doc, collection, writeBatch } from 'firebase/firestore';
+import { appId } from '../../config/firebase.js';
+import { Modal } from '../Modal.js';
+import { SrCountingSettings } from '../shared/SrCountingSettings.js';
+import { createEmptyTeam, getTeamLeads, getTeamMembers, getMembersNeedingDefaultThreshold } from '../../utils/teamUtils.js';
+import { SR_COUNTING_TYPES } from '../../utils/srPeriodUtils.js';
+import { addAuditEntry } from '../../utils/auditUtils.js';
+import { useFirebase } from '../../hooks/useFirebase.js';
+
+const selectedValues = (e) => Array.from(e.target.selectedOptions).map(option => option.value);
+
+// --- Team Management Component (Admin Only) ---
+// Teams group people regardless of reporting line; anyone can be on several. Leads may change their team's
+// settings from the Manager Dashboard, membership is managed here.
+function TeamManagement({ users, teams, settings, db }) {
+  const { currentUser } = useFirebase(); // Recorded as the actor in audit entries
+  const [formData, setFormData] = useState(createEmptyTeam());
+  const [editingTeam, setEditingTeam] = useState(null); // Team object if editing
+  const [isDeleteModalOpen, setIsDeleteModalOpen] = useState(false);
+  const [teamToDelete, setTeamToDelete] = useState(null);
+  const [message, setMessage] = useState('');
+
+  const people = [...(users || [])].sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+  // The live document, so the counting period below reflects saves made while editing
+  const liveEditingTeam = editingTeam && (teams || []).find(t => t.id === editingTeam.id);
+
+  const updateSettings = (changes) => {
+    setFormData(prev => ({ ...prev, settings: { ...prev.settings, ...changes } }));
+  };
+
+  const resetForm = () => {
+    setEditingTeam(null);
+    setFormData(createEmptyTeam());
+  };
+
+  const handleEditClick = (team) => {
+    setEditingTeam(team);
+    setFormData({
+      name: team.name || '',
+      description: team.description || '',
+      leadIds: team.leadIds || [],
+      memberIds: team.memberIds || [],
+      settings: { srThreshold: 0, minimumHeadcount: 0, ...(team.settings || {}) },
+    });
+  };
+
+  const handleSaveTeam = async (e) => {
+    e.preventDefault();
+    const name = formData.name.trim();
+    if (name === '') {
+      setMessage('Team name is required.');
+      return;
+    }
+    if ((teams || []).some(t => t.id !== editingTeam?.id && (t.name || '').toLowerCase() === name.toLowerCase())) {
+      setMessage(`A team named "${name}" already exists.`);
+      return;
+    }
+    // The counting period is saved on its own, so keep whatever the document holds now
+    const teamData = {
+      ...formData,
+      name,
+      description: formData.description.trim(),
+      settings: { ...(liveEditingTeam?.settings || {}), srThreshold: formData.settings.srThreshold, minimumHeadcount: formData.settings.minimumHeadcount },
+    };
+    try {
+      const batch = writeBatch(db);
+      const teamDocRef = editingTeam
+        ? doc(db, `artifacts/${appId}/public/data/teams`, editingTeam.id)
+        : doc(collection(db, `artifacts/${appId}/public/data/teams`));
+      if (editingTeam) {
+        batch.update(teamDocRef, teamData);
+        addAuditEntry(batch, db, currentUser, { action: 'team.update', targetType: 'team', targetId: editingTeam.id, targetLabel: name, before: editingTeam, after: teamData });
+      } else {
+        batch.set(teamDocRef, teamData);
+        addAuditEntry(batch, db, currentUser, { action: 'team.create', targetType: 'team', targetId: teamDocRef.id, targetLabel: name, after: teamData });
+      }
+      // New members without a threshold of their own start from the team's default
+      getMembersNeedingDefaultThreshold(teamData, editingTeam?.memberIds, users).forEach(member => {
+        const updates = { srThreshold: teamData.settings.srThreshold };
+        batch.update(doc(db, `artifacts/${appId}/public/data/users`, member.id), updates);
+        addAuditEntry(batch, db, currentUser, { action: 'user.update', targetType: 'user', targetId: member.id, targetLabel: member.name, before: member, after: updates });
+      });
+      await batch.commit();
+      setMessage(editingTeam ? 'Team updated successfully!' : 'Team added successfully!');
+      resetForm();
+      setTimeout(() => setMessage(''), 3000);
+    } catch (error) {
+      console.error("Error saving team:", error);
+      setMessage(`Error saving team: ${error.message}`);
+    }
+  };
+
+  const handleDeleteClick = (team) => {
+    setTeamToDelete(team);
+    setIsDeleteModalOpen(true);
+  };
+
+  const confirmDeleteTeam = async () => {
+    if (teamToDelete) {
+      try {
+        const batch = writeBatch(db);
+        batch.delete(doc(db, `artifacts/${appId}/public/data/teams`, teamToDelete.id));
+        addAuditEntry(batch, db, currentUser, { action: 'team.delete', targetType: 'team', targetId: teamToDelete.id, targetLabel: teamToDelete.name, before: teamToDelete });
+        await batch.commit();
+        setMessage('Team deleted successfully!');
+        if (editingTeam?.id === teamToDelete.id) resetForm();
+        setIsDeleteModalOpen(false);
+        setTeamToDelete(null);
+        setTimeout(() => setMessage(''), 3000);
+      } catch (error) {
+        console.error("Error deleting team:", error);
+        setMessage(`Error deleting team: ${error.message}`);
+        setIsDeleteModalOpen(false); // Close modal on error too
+      }
+    }
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md">
+      <h3 className="text-2xl font-semibold mb-4 text-gray-800">Manage Teams</h3>
+
+      {message && (
+        <div className={`p-3 mb-4 rounded-md text-white ${message.includes('Error') ? 'bg-red-500' : 'bg-green-500'}`}>
+          {message}
+        </div>
+      )}
+
+      <form onSubmit={handleSaveTeam} className="mb-6 space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+          <div>
+            <label htmlFor="teamName" className="block text-sm font-medium text-gray-700">Name</label>
+            <input
+              type="text"
+              id="teamName"
+              value={formData.name}
+              onChange={(e) => setFormData(prev => ({ ...prev, name: e.target.value }))}
+              className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+          </div>
+          <div>
+            <label htmlFor="teamDescription" className="block text-sm font-medium text-gray-700">Description</label>
+            <input
+              type="text"
+              id="teamDescription"
+              value={formData.description}
+              onChange={(e) => setFormData(prev => ({ ...prev, description: e.target.value }))}
+              className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+          </div>
+          <div>
+            <label htmlFor="teamLeads" className="block text-sm font-medium text-gray-700">Leads</label>
+            <select
+              id="teamLeads"
+              multiple
+              value={formData.leadIds}
+              onChange={(e) => setFormData(prev => ({ ...prev, leadIds: selectedValues(e) }))}
+              className="mt-1 block w-full h-32 border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
+            >
+              {people.filter(u => u.role === 'Manager' || u.role === 'Admin' || formData.leadIds.includes(u.id)).map(u => (
+                <option key={u.id} value={u.id}>{u.name} ({u.role})</option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500 mt-1">Leads who are Managers can change this team's settings.</p>
+          </div>
+          <div>
+            <label htmlFor="teamMembers" className="block text-sm font-medium text-gray-700">Members ({formData.memberIds.length})</label>
+            <select
+              id="teamMembers"
+              multiple
+              value={formData.memberIds}
+              onChange={(e) => setFormData(prev => ({ ...prev, memberIds: selectedValues(e) }))}
+              className="mt-1 block w-full h-32 border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
+            >
+              {people.map(u => (
+                <option key={u.id} value={u.id}>{u.name} ({u.role})</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="teamSrThreshold" className="block text-sm font-medium text-gray-700">Default SR Threshold</label>
+            <input
+              type="number"
+              id="teamSrThreshold"
+              min="0"
+              value={formData.settings.srThreshold}
+              onChange={(e) => updateSettings({ srThreshold: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+              className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+            <p className="text-xs text-gray-500 mt-1">Given to members added without a threshold of their own.</p>
+          </div>
+          <div>
+            <label htmlFor="teamMinimumHeadcount" className="block text-sm font-medium text-gray-700">Minimum Headcount</label>
+            <input
+              type="number"
+              id="teamMinimumHeadcount"
+              min="0"
+              value={formData.settings.minimumHeadcount}
+              onChange={(e) => updateSettings({ minimumHeadcount: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+              className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+          </div>
+        </div>
+
+        {liveEditingTeam && (
+          <SrCountingSettings settings={settings} team={liveEditingTeam} label="SR counting period (saved immediately)" canEdit db={db} />
+        )}
+
+        <div className="flex space-x-3">
+          <button
+            type="submit"
+            className="px-5 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition duration-200 ease-in-out shadow-md"
+          >
+            {editingTeam ? 'Update Team' : 'Add Team'}
+          </button>
+          {editingTeam && (
+            <button
+              type="button"
+              onClick={resetForm}
+              className="px-5 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 transition duration-200 ease-in-out shadow-sm"
+            >
+              Cancel Edit
+            </button>
+          )}
+        </div>
+      </form>
+
+      <div className="overflow-x-auto rounded-lg shadow-sm border border-gray-200">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Leads</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Members</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Settings</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {(teams || []).map(team => (
+              <tr key={team.id}>
+                <td className="px-6 py-4 text-sm text-gray-900">
+                  <div className="font-medium">{team.name}</div>
+                  {team.description && <div className="text-xs text-gray-500">{team.description}</div>}
+                </td>
+                <td className="px-6 py-4 text-sm text-gray-600">{getTeamLeads(team, users).map(u => u.name).join(', ') || 'None'}</td>
+                <td className="px-6 py-4 text-sm text-gray-600">
+                  {getTeamMembers(team, users).length}
+                  <div className="text-xs text-gray-500">{getTeamMembers(team, users).map(u => u.name).join(', ')}</div>
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-xs text-gray-600">
+                  <div>Default SR threshold: {team.settings?.srThreshold || 0}</div>
+                  <div>Minimum headcount: {team.settings?.minimumHeadcount || 0}</div>
+                  <div>Counting period: {SR_COUNTING_TYPES.find(type => type.value === team.settings?.srCounting?.type)?.label || 'Organisation default'}</div>
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                  <button
+                    onClick={() => handleEditClick(team)}
+                    className="text-blue-600 hover:text-blue-900 mr-3 transition duration-200 ease-in-out"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => handleDeleteClick(team)}
+                    className="text-red-600 hover:text-red-900 transition duration-200 ease-in-out"
+                  >
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            ))}
+            {(teams || []).length === 0 && (
+              <tr>
+                <td colSpan="5" className="px-6 py-4 text-center text-sm text-gray-500">No teams defined yet.</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <Modal
+        isOpen={isDeleteModalOpen}
+        onClose={() => { setIsDeleteModalOpen(false); setTeamToDelete(null); }}
+        title="Confirm Deletion"
+      >
+        <p className="text-gray-700 mb-6">
+          {`Are you sure you want to delete team "${teamToDelete?.name}"? Its members keep their managers and other teams.`}
+        </p>
+        <div className="flex justify-end space-x-3">
+          <button
+            onClick={() => { setIsDeleteModalOpen(false); setTeamToDelete(null); }}
+            className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 transition duration-200 ease-in-out shadow-sm"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={confirmDeleteTeam}
+            className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 transition duration-200 ease-in-out shadow-md"
+          >
+            Confirm Delete
+          </button>
+        </div>
+      </Modal>
+    </div>
+  );
+}
+
+export { TeamManagement };
@@ -1,36 +1,100 @@
 import React, { useState } from 'react';
-import { doc, updateDoc, addDoc, deleteDoc, collection } from 'firebase/firestore';
-import { appId } from '../../../config/firebase.js'; // Path is ../../../ from src/components/admin to root then src/config
-import { Modal } from '../../Modal.js'; // Path is ../../ from src/components/admin to src/components
+import { doc, collection, writeBatch, deleteField, serverTimestamp } from 'firebase/firestore';
+import { appId } from '../../config/firebase.js';
+import { Modal } from '../Modal.js';
 import { AddEditUserModal } from './AddEditUserModal.js';
+import { getLeaveEntries } from '../../utils/leaveUtils.js';
+import { parseLegacyWorkingHours } from '../../utils/workingHoursUtils.js';
+import { addAuditEntry } from '../../utils/auditUtils.js';
+import { useFirebase } from '../../hooks/useFirebase.js';
+import { normalizeEmail, isAutoCreatedProfile, getSignInStatus } from '../../utils/authUtils.js';
+import { useRosterFilters } from '../../hooks/useRosterFilters.js';
+import { filterRoster, sortRows } from '../../utils/rosterFilterUtils.js';
+import { toDateString } from '../../utils/availabilityUtils.js';
+import { RosterFilterBar } from '../shared/RosterFilterBar.js';
+import { SortableHeader } from '../shared/SortableHeader.js';
+import { CsvImport } from './CsvImport.js';
+import { USER_IMPORT_FIELDS, buildUserImportPlan, chunkItems } from '../../utils/importUtils.js';
+import { formatUserSkills } from '../../utils/skillUtils.js';
+import { wouldCreateReportingCycle } from '../../utils/orgUtils.js';
+import { formatUserTeams, removeUserFromTeams } from '../../utils/teamUtils.js';
+import { addSkillSnapshotUpdates } from '../../utils/skillMatrixUtils.js';
+
+const SIGN_IN_STATUS_LABELS = {
+  linked: { label: 'Linked', className: 'bg-green-100 text-green-800' },
+  invited: { label: 'Invited', className: 'bg-yellow-100 text-yellow-800' },
+  auto: { label: 'Auto-created', className: 'bg-gray-100 text-gray-700' },
+};
 
 // --- User Management Component (Admin Only) ---
-function UserManagement({ users, skills, db }) {
+function UserManagement({ users, skills, shiftPatterns, teams, db }) {
+  const { currentUser } = useFirebase(); // Recorded as the actor in audit entries
+  const { filters, updateFilter, clearFilters, sort, toggleSort } = useRosterFilters('user-management');
   const [showAddEditModal, setShowAddEditModal] = useState(false);
   const [editingUser, setEditingUser] = useState(null); // User object if editing, null if adding
   const [isDeleteModalOpen, setIsDeleteModalOpen] = useState(false);
   const [userToDelete, setUserToDelete] = useState(null);
   const [message, setMessage] = useState(''); // For success/error messages
+  const [mergeTargets, setMergeTargets] = useState({}); // Auto-created profile id -> chosen profile id
+  const [mergeToConfirm, setMergeToConfirm] = useState(null); // { source, target }
+  const [showImport, setShowImport] = useState(false);
 
   const managers = users.filter(u => u.role === 'Manager');
-  const availableSkills = skills.map(s => ({ value: s.id, label: s.name }));
+  // Users still carrying pre-migration fields: flat vacationDates, free-text working hours that can be parsed, an
+  // email saved before emails were lower-cased (sign-in looks invites up by the normalized address), or '' for
+  // "no manager" where profiles now store null
+  const hasUnnormalizedEmail = (u) => Boolean(u.email) && u.email !== normalizeEmail(u.email);
+  const usersNeedingMigration = users.filter(u => Array.isArray(u.vacationDates) || (!u.workingSchedule && parseLegacyWorkingHours(u.workingHours))
+    || hasUnnormalizedEmail(u) || u.managerId === '');
+  // Viewer documents created for sign-ins that matched no invite, and the unclaimed profiles they can be merged into
+  const autoCreatedProfiles = users.filter(isAutoCreatedProfile);
+  const unclaimedProfiles = users.filter(u => getSignInStatus(u) === 'invited');
+
+  const getManagerName = (user) => users.find(m => m.id === user.managerId)?.name || '';
+  const visibleUsers = sortRows(filterRoster(users, filters, shiftPatterns, toDateString(new Date()), skills), sort, {
+    name: u => u.name,
+    email: u => u.email,
+    signIn: u => getSignInStatus(u),
+    role: u => u.role,
+    manager: getManagerName,
+    srThreshold: u => u.srThreshold || 0,
+  });
 
   // Handles adding or updating a user in Firestore
-  const handleSaveUser = async (userData) => {
+  const handleSaveUser = async (formData) => {
+    // A sign-in claims its profile by email, so emails must be unique (auto-created profiles are merged away)
+    const userData = { ...formData, email: normalizeEmail(formData.email) };
+    if (userData.email && users.some(u => u.id !== editingUser?.id && !isAutoCreatedProfile(u) && normalizeEmail(u.email) === userData.email)) {
+      setMessage(`Error saving user: another profile already uses ${userData.email}.`);
+      return;
+    }
+    if (editingUser && wouldCreateReportingCycle(users, editingUser.id, userData.managerId)) {
+      setMessage(`Error saving user: ${userData.name} cannot report to someone in their own reporting line.`);
+      return;
+    }
     try {
+      const batch = writeBatch(db);
       if (editingUser) {
         // Update existing user
         const userDocRef = doc(db, `artifacts/${appId}/public/data/users`, editingUser.id);
-        await updateDoc(userDocRef, userData);
+        const updates = { ...userData, vacationDates: deleteField(), workingHours: deleteField() }; // Legacy fields now live in leaveEntries/workingSchedule
+        batch.update(userDocRef, updates);
+        addAuditEntry(batch, db, currentUser, { action: 'user.update', targetType: 'user', targetId: editingUser.id, targetLabel: userData.name, before: editingUser, after: updates });
+        addSkillSnapshotUpdates(batch, db, currentUser, { users, skills }, { users: users.map(u => (u.id === editingUser.id ? { ...u, ...userData } : u)), skills });
+        await batch.commit();
         setMessage('User updated successfully!');
       } else {
         // Add new user
-        // For a real app with auth, this would be more complex, potentially creating an auth user first.
-        // Here, we're just adding a document to the users collection. Firestore will generate an ID.
-        const usersColRef = collection(db, `artifacts/${appId}/public/data/users`);
+        // Adds an invited profile; Firestore generates the ID and the first sign-in with a verified
+        // matching email claims it (see FirebaseProvider)
+        const userDocRef = doc(collection(db, `artifacts/${appId}/public/data/users`));
         // We need to ensure the userData doesn't accidentally include an 'id' field if it's a new user.
-        const { id, ...dataWithoutId } = userData; // Make sure no 'id' is passed for addDoc
-        await addDoc(usersColRef, dataWithoutId);
+        const { id, ...userFields } = userData; // Make sure no 'id' is written for new users
+        const dataWithoutId = { ...userFields, authUid: null }; // Unlinked until claimed by a sign-in with this email
+        batch.set(userDocRef, dataWithoutId);
+        addAuditEntry(batch, db, currentUser, { action: 'user.create', targetType: 'user', targetId: userDocRef.id, targetLabel: userData.name, after: dataWithoutId });
+        addSkillSnapshotUpdates(batch, db, currentUser, { users, skills }, { users: [...users, { ...dataWithoutId, id: userDocRef.id }], skills });
+        await batch.commit();
         setMessage('User added successfully!');
       }
       setShowAddEditModal(false);
@@ -42,6 +106,112 @@ function UserManagement({ users, skills, db }) {
     }
   };
 
+  // Converts legacy `vacationDates` into `leaveEntries` and parseable free-text hours into `workingSchedule`, and
+  // lower-cases emails, in batches sized to Firestore's write limit (a user update plus its audit entry each). Unparseable
+  // hours are left in place for an admin to fix by hand in the edit dialog.
+  const handleMigrateLegacyData = async () => {
+    let migrated = 0;
+    try {
+      for (const chunk of chunkItems(usersNeedingMigration)) {
+        const batch = writeBatch(db);
+        chunk.forEach(user => {
+          const userDocRef = doc(db, `artifacts/${appId}/public/data/users`, user.id);
+          const updates = {};
+          if (Array.isArray(user.vacationDates)) {
+            updates.leaveEntries = getLeaveEntries(user);
+            updates.vacationDates = deleteField();
+          }
+          const parsedSchedule = !user.workingSchedule && parseLegacyWorkingHours(user.workingHours);
+          if (parsedSchedule) {
+            updates.workingSchedule = parsedSchedule;
+            updates.workingHours = deleteField();
+          }
+          if (hasUnnormalizedEmail(user)) updates.email = normalizeEmail(user.email);
+          if (user.managerId === '') updates.managerId = null;
+          batch.update(userDocRef, updates);
+          addAuditEntry(batch, db, currentUser, { action: 'user.migrate', targetType: 'user', targetId: user.id, targetLabel: user.name, before: user, after: updates });
+        });
+        await batch.commit();
+        migrated += chunk.length;
+      }
+      setMessage(`Migrated legacy data for ${migrated} users.`);
+      setTimeout(() => setMessage(''), 3000);
+    } catch (error) {
+      console.error("Error migrating legacy data:", error);
+      setMessage(`Error migrating legacy data after ${migrated} users: ${error.message}`);
+    }
+  };
+
+  // Dry run for the import panel. Rows are matched to profiles by email (auto-created ones are merged away
+  // instead) and new users get their document IDs up front so rows can name a manager created by the same file.
+  const buildImportPlan = (rows, mapping) => buildUserImportPlan(rows, mapping, { users: users.filter(u => !isAutoCreatedProfile(u)), skills, shiftPatterns }, () => (
+    doc(collection(db, `artifacts/${appId}/public/data/users`)).id
+  ));
+
+  // Writes the valid rows of an import, in as many batches as needed
+  const handleImportUsers = async (items) => {
+    let written = 0;
+    try {
+      for (const chunk of chunkItems(items)) {
+        const batch = writeBatch(db);
+        chunk.forEach(item => {
+          const userDocRef = doc(db, `artifacts/${appId}/public/data/users`, item.docId);
+          if (item.action === 'create') {
+            batch.set(userDocRef, item.data);
+            addAuditEntry(batch, db, currentUser, { action: 'user.create', targetType: 'user', targetId: item.docId, targetLabel: item.data.name, after: item.data });
+          } else {
+            // Imported leave is written in the new format, so any legacy dates it was merged with go
+            const updates = item.data.leaveEntries ? { ...item.data, vacationDates: deleteField() } : item.data;
+            batch.update(userDocRef, updates);
+            addAuditEntry(batch, db, currentUser, { action: 'user.update', targetType: 'user', targetId: item.docId, targetLabel: item.existing.name, before: item.existing, after: updates });
+          }
+        });
+        await batch.commit();
+        written += chunk.length;
+      }
+      // The skill trend is recorded once for the whole import
+      const importedUsers = [
+        ...users.map(u => ({ ...u, ...(items.find(item => item.action !== 'create' && item.docId === u.id)?.data || {}) })),
+        ...items.filter(item => item.action === 'create').map(item => ({ ...item.data, id: item.docId })),
+      ];
+      const snapshotBatch = writeBatch(db);
+      if (addSkillSnapshotUpdates(snapshotBatch, db, currentUser, { users, skills }, { users: importedUsers, skills }) > 0) await snapshotBatch.commit();
+      setShowImport(false);
+      setMessage(`Imported ${written} users.`);
+      setTimeout(() => setMessage(''), 3000);
+    } catch (error) {
+      console.error("Error importing users:", error);
+      setMessage(`Error importing users after ${written} rows: ${error.message}`);
+    }
+  };
+
+  // Links the sign-in behind an auto-created Viewer document to an admin-created profile, then removes the placeholder
+  const confirmMergeProfile = async () => {
+    const { source, target } = mergeToConfirm;
+    try {
+      const batch = writeBatch(db);
+      const targetDocRef = doc(db, `artifacts/${appId}/public/data/users`, target.id);
+      const updates = { authUid: source.id, claimedAt: serverTimestamp() };
+      batch.set(doc(db, `artifacts/${appId}/public/data/authLinks`, source.id), { userId: target.id, linkedBy: currentUser.id, createdAt: serverTimestamp() });
+      batch.update(targetDocRef, updates);
+      batch.delete(doc(db, `artifacts/${appId}/public/data/users`, source.id));
+      addAuditEntry(batch, db, currentUser, { action: 'user.merge', targetType: 'user', targetId: target.id, targetLabel: `${source.name} → ${target.name}`, before: target, after: updates });
+      addAuditEntry(batch, db, currentUser, { action: 'user.delete', targetType: 'user', targetId: source.id, targetLabel: source.name, before: source });
+      addSkillSnapshotUpdates(batch, db, currentUser, { users, skills }, { users: users.filter(u => u.id !== source.id), skills });
+      await batch.commit();
+      setMergeTargets(prev => {
+        const { [source.id]: _, ...rest } = prev;
+        return rest;
+      });
+      setMessage(`${source.name} now signs in as ${target.name}.`);
+      setTimeout(() => setMessage(''), 3000);
+    } catch (error) {
+      console.error("Error merging profiles:", error);
+      setMessage(`Error merging profiles: ${error.message}`);
+    }
+    setMergeToConfirm(null);
+  };
+
   const handleEditClick = (user) => {
     setEditingUser(user);
     setShowAddEditModal(true);
@@ -55,8 +225,17 @@ function UserManagement({ users, skills, db }) {
   const confirmDeleteUser = async () => {
     if (userToDelete) {
       try {
+        const batch = writeBatch(db);
         const userDocRef = doc(db, `artifacts/${appId}/public/data/users`, userToDelete.id);
-        await deleteDoc(userDocRef);
+        batch.delete(userDocRef);
+        addAuditEntry(batch, db, currentUser, { action: 'user.delete', targetType: 'user', targetId: userToDelete.id, targetLabel: userToDelete.name, before: userToDelete });
+        // Take them off every team they led or belonged to
+        removeUserFromTeams(teams, userToDelete.id).forEach(({ team, updates }) => {
+          batch.update(doc(db, `artifacts/${appId}/public/data/teams`, team.id), updates);
+          addAuditEntry(batch, db, currentUser, { action: 'team.update', targetType: 'team', targetId: team.id, targetLabel: team.name, before: team, after: updates });
+        });
+        addSkillSnapshotUpdates(batch, db, currentUser, { users, skills }, { users: users.filter(u => u.id !== userToDelete.id), skills });
+        await batch.commit();
         setMessage('User deleted successfully!');
         setIsDeleteModalOpen(false);
         setUserToDelete(null);
@@ -77,6 +256,20 @@ function UserManagement({ users, skills, db }) {
       >
         Add New User
       </button>
+      <button
+        onClick={() => setShowImport(true)}
+        className="mb-6 ml-3 px-6 py-3 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 transition duration-200 ease-in-out shadow-md"
+      >
+        Import CSV
+      </button>
+      {usersNeedingMigration.length > 0 && (
+        <button
+          onClick={handleMigrateLegacyData}
+          className="mb-6 ml-3 px-6 py-3 bg-yellow-500 text-white rounded-md hover:bg-yellow-600 transition duration-200 ease-in-out shadow-md"
+        >
+          Migrate Legacy Data ({usersNeedingMigration.length})
+        </button>
+      )}
 
       {message && (
         <div className={`p-3 mb-4 rounded-md text-white ${message.includes('Error') ? 'bg-red-500' : 'bg-green-500'}`}>
@@ -84,30 +277,99 @@ function UserManagement({ users, skills, db }) {
         </div>
       )}
 
+      {showImport && (
+        <CsvImport
+          title="Import Users"
+          fields={USER_IMPORT_FIELDS}
+          buildPlan={buildImportPlan}
+          describeItem={(item) => (item.action === 'update' ? `${item.existing.name}: ${Object.keys(item.data).join(', ')}` : `${item.data?.name || item.existing?.name} <${item.email}>`)}
+          onImport={handleImportUsers}
+          onClose={() => setShowImport(false)}
+        />
+      )}
+
+      {autoCreatedProfiles.length > 0 && (
+        <div className="mb-6 p-4 border border-yellow-300 bg-yellow-50 rounded-lg">
+          <h4 className="text-lg font-semibold text-gray-800 mb-1">Unlinked Sign-ins</h4>
+          <p className="text-sm text-gray-600 mb-3">
+            These Viewer profiles were created automatically for sign-ins that matched no invite. Merge each into the profile it belongs to.
+          </p>
+          <ul className="space-y-2">
+            {autoCreatedProfiles.map(source => (
+              <li key={source.id} className="flex flex-wrap items-center gap-3 text-sm">
+                <span className="font-medium text-gray-900">{source.name}</span>
+                <span className="text-gray-500">{source.email}</span>
+                <select
+                  value={mergeTargets[source.id] || ''}
+                  onChange={(e) => setMergeTargets(prev => ({ ...prev, [source.id]: e.target.value }))}
+                  className="border border-gray-300 rounded-md shadow-sm p-1 focus:ring-blue-500 focus:border-blue-500"
+                >
+                  <option value="">Merge into...</option>
+                  {unclaimedProfiles.map(target => (
+                    <option key={target.id} value={target.id}>{target.name} ({target.email || 'no email'})</option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => setMergeToConfirm({ source, target: users.find(u => u.id === mergeTargets[source.id]) })}
+                  disabled={!mergeTargets[source.id]}
+                  className="px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition duration-200 ease-in-out shadow-sm disabled:opacity-50"
+                >
+                  Merge
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <RosterFilterBar
+        filters={filters}
+        onChange={updateFilter}
+        onClear={clearFilters}
+        users={users}
+        skills={skills}
+        shiftPatterns={shiftPatterns}
+        shownCount={visibleUsers.length}
+        totalCount={users.length}
+      />
+
       <div className="overflow-x-auto rounded-lg shadow-sm border border-gray-200">
         <table className="min-w-full divide-y divide-gray-200">
           <thead className="bg-gray-50">
             <tr>
-              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
-              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Email</th>
-              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Role</th>
-              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Manager</th>
+              <SortableHeader label="Name" sortKey="name" sort={sort} onSort={toggleSort} />
+              <SortableHeader label="Email" sortKey="email" sort={sort} onSort={toggleSort} />
+              <SortableHeader label="Sign-in" sortKey="signIn" sort={sort} onSort={toggleSort} />
+              <SortableHeader label="Role" sortKey="role" sort={sort} onSort={toggleSort} />
+              <SortableHeader label="Manager" sortKey="manager" sort={sort} onSort={toggleSort} />
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Teams</th>
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Skills</th>
-              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">SR Threshold</th>
+              <SortableHeader label="SR Threshold" sortKey="srThreshold" sort={sort} onSort={toggleSort} />
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
             </tr>
           </thead>
           <tbody className="bg-white divide-y divide-gray-200">
-            {users.map(user => (
+            {visibleUsers.length === 0 && (
+              <tr>
+                <td colSpan="9" className="px-6 py-4 text-center text-sm text-gray-500">No users match these filters.</td>
+              </tr>
+            )}
+            {visibleUsers.map(user => (
               <tr key={user.id}>
                 <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{user.name}</td>
                 <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{user.email}</td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm">
+                  <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${SIGN_IN_STATUS_LABELS[getSignInStatus(user)].className}`}>
+                    {SIGN_IN_STATUS_LABELS[getSignInStatus(user)].label}
+                  </span>
+                </td>
                 <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{user.role}</td>
                 <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
                   {user.managerId ? users.find(m => m.id === user.managerId)?.name || 'N/A' : 'None'}
                 </td>
+                <td className="px-6 py-4 text-sm text-gray-600">{formatUserTeams(teams, user.id) || 'None'}</td>
                 <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
-                  {(user.skills || []).map(skillId => skills.find(s => s.id === skillId)?.name).filter(Boolean).join(', ') || 'N/A'}
+                  {formatUserSkills(user, skills) || 'N/A'}
                 </td>
                 <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{user.srThreshold || 0}</td>
                 <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
@@ -140,11 +402,37 @@ function UserManagement({ users, skills, db }) {
           onSave={handleSaveUser}
           onClose={() => { setShowAddEditModal(false); setEditingUser(null); }}
           user={editingUser}
-          managers={managers}
-          availableSkills={availableSkills}
+          managers={managers.filter(manager => !wouldCreateReportingCycle(users, editingUser?.id, manager.id))}
+          skills={skills}
+          shiftPatterns={shiftPatterns}
         />
       </Modal>
 
+      {/* Merge Confirmation Modal */}
+      <Modal
+        isOpen={Boolean(mergeToConfirm)}
+        onClose={() => setMergeToConfirm(null)}
+        title="Confirm Merge"
+      >
+        <p className="text-gray-700 mb-6">
+          {`Link the sign-in of "${mergeToConfirm?.source.name}" to "${mergeToConfirm?.target?.name}"? The auto-created Viewer profile will be deleted and they will sign in as ${mergeToConfirm?.target?.name} from now on.`}
+        </p>
+        <div className="flex justify-end space-x-3">
+          <button
+            onClick={() => setMergeToConfirm(null)}
+            className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 transition duration-200 ease-in-out shadow-sm"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={confirmMergeProfile}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition duration-200 ease-in-out shadow-md"
+          >
+            Confirm Merge
+          </button>
+        </div>
+      </Modal>
+
       {/* Delete Confirmation Modal (uses the generic Modal directly) */}
       <Modal
         isOpen={isDeleteModalOpen}
@@ -0,0 +1,70 @@
+import React from 'react';
+import { WEEKDAY_ORDER, WEEKDAY_LABELS, getTimeZoneOptions } from '../../utils/workingHoursUtils.js';
+
+// --- Working Schedule Editor ---
+// Per-weekday start/end times plus an IANA time zone. Unchecked days are days off.
+function WorkingScheduleEditor({ schedule, onChange }) {
+  const timeZoneOptions = getTimeZoneOptions();
+
+  const updateDay = (key, day) => {
+    onChange({ ...schedule, days: { ...schedule.days, [key]: day } });
+  };
+
+  return (
+    <div className="space-y-2">
+      <div>
+        <label htmlFor="timeZone" className="block text-xs font-medium text-gray-600">Time Zone</label>
+        <select
+          id="timeZone"
+          value={schedule.timeZone || ''}
+          onChange={(e) => onChange({ ...schedule, timeZone: e.target.value || null })}
+          className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
+        >
+          <option value="">-- Not set --</option>
+          {schedule.timeZone && !timeZoneOptions.includes(schedule.timeZone) && <option value={schedule.timeZone}>{schedule.timeZone}</option>}
+          {timeZoneOptions.map(zone => (
+            <option key={zone} value={zone}>{zone}</option>
+          ))}
+        </select>
+      </div>
+      {WEEKDAY_ORDER.map(key => {
+        const day = schedule.days?.[key] || null;
+        return (
+          <div key={key} className="flex items-center space-x-2 text-sm">
+            <label className="flex items-center w-20">
+              <input
+                type="checkbox"
+                checked={!!day}
+                onChange={(e) => updateDay(key, e.target.checked ? { start: '09:00', end: '17:00' } : null)}
+                className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+              />
+              <span className="ml-2">{WEEKDAY_LABELS[key]}</span>
+            </label>
+            {day ? (
+              <>
+                <input
+                  type="time"
+                  value={day.start}
+                  onChange={(e) => updateDay(key, { ...day, start: e.target.value })}
+                  className="border border-gray-300 rounded-md shadow-sm p-1 focus:ring-blue-500 focus:border-blue-500"
+                />
+                <span>to</span>
+                <input
+                  type="time"
+                  value={day.end}
+                  onChange={(e) => updateDay(key, { ...day, end: e.target.value })}
+                  className="border border-gray-300 rounded-md shadow-sm p-1 focus:ring-blue-500 focus:border-blue-500"
+                />
+                {day.end < day.start && <span className="text-xs text-gray-500">(ends next day)</span>}
+              </>
+            ) : (
+              <span className="text-gray-400">Day off</span>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export { WorkingScheduleEditor };
@@ -1,46 +1,129 @@
 import React from 'react';
+import { getOpenSrCount } from '../../utils/srUtils.js';
+import { getLeaveEntries } from '../../utils/leaveUtils.js';
+import { LeaveList } from '../shared/LeaveList.js';
+import { ShiftStatusBadge } from '../shared/ShiftStatusBadge.js';
+import { describeShiftPattern } from '../../utils/shiftPatternUtils.js';
+import { describeWorkingHours } from '../../utils/workingHoursUtils.js';
+import { OnCallSummary } from '../shared/OnCallSummary.js';
+import { SrCountingSettings } from '../shared/SrCountingSettings.js';
+import { SrLoadTrend } from '../shared/SrLoadTrend.js';
+import { getSrCountingConfig, getSrCountHistory } from '../../utils/srPeriodUtils.js';
+import { useRosterFilters } from '../../hooks/useRosterFilters.js';
+import { filterRoster, sortRows, getSrUtilization, hasActiveFilters } from '../../utils/rosterFilterUtils.js';
+import { toDateString } from '../../utils/availabilityUtils.js';
+import { RosterFilterBar } from '../shared/RosterFilterBar.js';
+import { SortableHeader } from '../shared/SortableHeader.js';
+import { RosterExportMenu } from '../shared/RosterExportMenu.js';
+import { CertificationWarnings } from '../shared/CertificationWarnings.js';
+import { formatUserSkills } from '../../utils/skillUtils.js';
+import { getTeamSrCountingConfig } from '../../utils/teamUtils.js';
+
+// Manager's Team Roster Display. `myTeam` is every engineer anywhere below `scopeManager` (the signed-in manager or
+// a manager below them), or the members of `scopeTeam`; when it spans several managers a Manager column shows who
+// each engineer reports to.
+function ManagerTeamRoster({ currentUser, scopeManager = currentUser, scopeTeam = null, canEditTeamSettings = false, myTeam, users, skills, srs, settings, shiftPatterns, onCallSchedules, db }) {
+  const { filters, updateFilter, clearFilters, sort, toggleSort } = useRosterFilters('manager-team-roster');
 
-// Manager's Team Roster Display
-function ManagerTeamRoster({ myTeam, skills }) {
   if (!myTeam || myTeam.length === 0) {
-    return <p className="text-gray-600 p-4">You currently have no engineers assigned to your team.</p>;
+    if (scopeTeam) return <p className="text-gray-600 p-4">{`${scopeTeam.name} has no engineers yet.`}</p>;
+    return <p className="text-gray-600 p-4">{scopeManager.id === currentUser.id ? 'You currently have no engineers assigned to your team.' : `${scopeManager.name} has no engineers in their team.`}</p>;
   }
 
+  const isOwnScope = !scopeTeam && scopeManager.id === currentUser.id;
+  const title = scopeTeam ? `${scopeTeam.name} Roster` : isOwnScope ? 'My Team Roster' : `${scopeManager.name}'s Team Roster`;
+  const showManagers = !!scopeTeam || myTeam.some(engineer => engineer.managerId !== scopeManager.id);
+  const teamCountingConfig = scopeTeam && getTeamSrCountingConfig(settings, scopeTeam);
+  const managerName = (engineer) => users.find(u => u.id === engineer.managerId)?.name || 'N/A';
+  const rows = filterRoster(myTeam, filters, shiftPatterns, toDateString(new Date()), skills).map(engineer => {
+    // Each engineer is counted by their own team's SR period, which may differ between sub-teams; a team
+    // entity's period applies to all of its members
+    const history = getSrCountHistory(srs, engineer.id, teamCountingConfig || getSrCountingConfig(settings, engineer.managerId));
+    return { engineer, history, periodCount: history[history.length - 1].count };
+  });
+  const visibleRows = sortRows(rows, sort, {
+    name: row => row.engineer.name,
+    manager: row => managerName(row.engineer),
+    shiftPattern: row => describeShiftPattern(row.engineer, shiftPatterns),
+    srUtilization: row => getSrUtilization(row.periodCount, row.engineer.srThreshold || 0),
+  });
+
   return (
     <div className="bg-white p-6 rounded-lg shadow-md">
-      <h3 className="text-2xl font-semibold mb-4 text-gray-800">My Team Roster</h3>
+      <h3 className="text-2xl font-semibold mb-4 text-gray-800">{title}</h3>
+      {scopeTeam?.description && <p className="text-sm text-gray-600 mb-4">{scopeTeam.description}</p>}
+      <CertificationWarnings people={myTeam} skills={skills} />
+      <OnCallSummary schedules={onCallSchedules} users={users} skills={skills} />
+      {scopeTeam ? (
+        <SrCountingSettings settings={settings} team={scopeTeam} canEdit={canEditTeamSettings} db={db} />
+      ) : (
+        <SrCountingSettings settings={settings} settingsKey={scopeManager.id} canEdit={isOwnScope} db={db} />
+      )}
+      <RosterFilterBar
+        filters={filters}
+        onChange={updateFilter}
+        onClear={clearFilters}
+        users={users}
+        skills={skills}
+        shiftPatterns={shiftPatterns}
+        facets={['skill', 'shiftPattern', 'availableToday']}
+        shownCount={visibleRows.length}
+        totalCount={myTeam.length}
+      />
+      <RosterExportMenu
+        users={visibleRows.map(row => row.engineer)}
+        allUsers={users}
+        skills={skills}
+        srs={srs}
+        settings={settings}
+        shiftPatterns={shiftPatterns}
+        title={scopeTeam ? title : `${scopeManager.name}'s Team Roster`}
+        filenamePrefix="team-roster"
+        isFiltered={hasActiveFilters(filters)}
+      />
       <div className="overflow-x-auto rounded-lg shadow-sm border border-gray-200">
         <table className="min-w-full divide-y divide-gray-200">
           <thead className="bg-gray-50">
             <tr>
-              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+              <SortableHeader label="Name" sortKey="name" sort={sort} onSort={toggleSort} />
+              {showManagers && <SortableHeader label="Manager" sortKey="manager" sort={sort} onSort={toggleSort} />}
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Working Hours</th>
-              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Shift Pattern</th>
+              <SortableHeader label="Shift Pattern" sortKey="shiftPattern" sort={sort} onSort={toggleSort} />
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Skills</th>
-              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">SRs (Current/Threshold)</th>
+              <SortableHeader label="SRs This Period / Threshold" sortKey="srUtilization" sort={sort} onSort={toggleSort} />
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Trend</th>
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Vacations</th>
             </tr>
           </thead>
           <tbody className="bg-white divide-y divide-gray-200">
-            {myTeam.map(engineer => (
+            {visibleRows.length === 0 && (
+              <tr>
+                <td colSpan={showManagers ? 8 : 7} className="px-6 py-4 text-center text-sm text-gray-500">No team members match these filters.</td>
+              </tr>
+            )}
+            {visibleRows.map(({ engineer, history, periodCount }) => (
               <tr key={engineer.id}>
                 <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{engineer.name}</td>
-                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{engineer.workingHours || 'N/A'}</td>
-                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{engineer.shiftPattern || 'N/A'}</td>
+                {showManagers && <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{managerName(engineer)}</td>}
                 <td className="px-6 py-4 text-sm text-gray-600">
-                  {(engineer.skills || []).map(skillId => skills.find(s => s.id === skillId)?.name).filter(Boolean).join(', ') || 'N/A'}
+                  <div>{describeWorkingHours(engineer)}</div>
+                  <ShiftStatusBadge user={engineer} patterns={shiftPatterns} />
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{describeShiftPattern(engineer, shiftPatterns)}</td>
+                <td className="px-6 py-4 text-sm text-gray-600">
+                  {formatUserSkills(engineer, skills) || 'N/A'}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
+                  <div className={periodCount >= (engineer.srThreshold || 0) ? 'font-semibold text-red-600' : ''}>
+                    {`${periodCount} / ${engineer.srThreshold || 0}`}
+                  </div>
+                  <div className="text-xs text-gray-500">{getOpenSrCount(srs, engineer.id)} open</div>
                 </td>
                 <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
-                  {`${engineer.currentSrCount || 0} / ${engineer.srThreshold || 0}`}
+                  <SrLoadTrend history={history} threshold={engineer.srThreshold || 0} />
                 </td>
                 <td className="px-6 py-4 text-sm text-gray-600">
-                  {(engineer.vacationDates || []).length > 0 ? (
-                    <ul className="list-disc list-inside">
-                      {engineer.vacationDates.map((date, idx) => (
-                        <li key={idx}>{date}</li>
-                      ))}
-                    </ul>
-                  ) : 'None'}
+                  <LeaveList entries={getLeaveEntries(engineer)} />
                 </td>
               </tr>
             ))}
@@ -1,68 +1,133 @@
 import React, { useState } from 'react';
-import { doc, updateDoc } from 'firebase/firestore';
-import { appId } from '../../../config/firebase.js';
-import { Modal } from '../../Modal.js';
+import { doc, collection, writeBatch, serverTimestamp, deleteField } from 'firebase/firestore';
+import { appId } from '../../config/firebase.js';
+import { Modal } from '../Modal.js';
+import { LeaveEntryForm } from '../shared/LeaveEntryForm.js';
+import { LeaveList } from '../shared/LeaveList.js';
+import {
+  getLeaveEntries,
+  getPendingRequestsForTeam,
+  toLeaveEntry,
+  sortLeaveEntries,
+  validateLeaveEntry,
+  formatLeaveEntry,
+} from '../../utils/leaveUtils.js';
+import { findCoverageConflicts, summarizeConflicts } from '../../utils/coverageUtils.js';
+import { CoverageConflictList } from '../shared/CoverageConflictList.js';
+import { addAuditEntry } from '../../utils/auditUtils.js';
 
 // Manager's Vacation Management Component
-function ManagerVacationManagement({ myTeam, db }) {
+function ManagerVacationManagement({ currentUser, myTeam, users, skills, leaveRequests, coverageRules, shiftPatterns, db }) {
   const [selectedEngineerId, setSelectedEngineerId] = useState('');
-  const [newVacationDate, setNewVacationDate] = useState('');
+  const [decisionComments, setDecisionComments] = useState({}); // requestId -> comment
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [modalMessage, setModalMessage] = useState('');
-  const [modalAction, setModalAction] = useState(null);
-
-  const handleAddVacation = async () => {
-    if (!selectedEngineerId || !newVacationDate) {
-      setModalMessage('Please select an engineer and a date.');
-      setModalAction(null);
-      setIsModalOpen(true);
-      return;
-    }
+  const [modalAction, setModalAction] = useState(null); // Called with the override justification on confirm
+  const [modalConflicts, setModalConflicts] = useState([]); // Coverage conflicts that need a justification
+  const [overrideJustification, setOverrideJustification] = useState('');
 
+  // Leave added by the manager is approved on creation. Returns an error message for LeaveEntryForm to show.
+  const handleAddVacation = async (entry) => {
     const engineer = myTeam.find(e => e.id === selectedEngineerId);
-    if (!engineer) return; // Should not happen if selectedEngineerId is from myTeam
+    if (!engineer) return 'Please select an engineer.';
 
-    if ((engineer.vacationDates || []).includes(newVacationDate)) {
-      setModalMessage(`Engineer ${engineer.name} already has vacation on ${newVacationDate}.`);
-      setModalAction(null);
-      setIsModalOpen(true);
-      return;
-    }
+    const existingEntries = getLeaveEntries(engineer);
+    const validationError = validateLeaveEntry(entry, existingEntries);
+    if (validationError) return validationError;
 
-    setModalMessage(`Add vacation for ${engineer.name} on ${newVacationDate}?`);
-    setModalAction(() => () => confirmAddVacation(engineer, newVacationDate));
-    setIsModalOpen(true);
+    const conflicts = findCoverageConflicts(coverageRules, users, skills, engineer, entry, shiftPatterns);
+    if (conflicts.length > 0) {
+      openOverrideModal(`Add ${engineer.name}'s leave on ${formatLeaveEntry(toLeaveEntry(entry))} despite the coverage conflicts?`, conflicts,
+        (justification) => commitAddVacation(engineer, entry, conflicts, justification));
+      return null;
+    }
+    return commitAddVacation(engineer, entry, [], '');
   };
 
-  const confirmAddVacation = async (engineer, dateToAdd) => {
+  const commitAddVacation = async (engineer, entry, conflicts, justification) => {
+    const existingEntries = getLeaveEntries(engineer);
     try {
+      const batch = writeBatch(db);
+      const requestDocRef = doc(collection(db, `artifacts/${appId}/public/data/leaveRequests`));
+      const newEntry = toLeaveEntry({ ...entry, id: requestDocRef.id, requestId: requestDocRef.id });
       const engineerDocRef = doc(db, `artifacts/${appId}/public/data/users`, engineer.id);
-      const updatedVacations = [...(engineer.vacationDates || []), dateToAdd].sort();
-      await updateDoc(engineerDocRef, { vacationDates: updatedVacations });
-      setNewVacationDate(''); // Clear input after successful add
+      const updates = { leaveEntries: sortLeaveEntries([...existingEntries, newEntry]), vacationDates: deleteField() };
+      batch.update(engineerDocRef, updates);
+      addAuditEntry(batch, db, currentUser, { action: 'leave.add', targetType: 'user', targetId: engineer.id, targetLabel: engineer.name, before: engineer, after: updates });
+      batch.set(requestDocRef, {
+        ...entry,
+        userId: engineer.id,
+        status: 'approved',
+        requestedBy: currentUser.id,
+        approverId: currentUser.id,
+        decisionComment: 'Added by manager',
+        coverageOverride: buildCoverageOverride(conflicts, justification),
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp(),
+        decidedAt: serverTimestamp(),
+      });
+      await batch.commit();
       // UI will update via onSnapshot from useUsers hook in parent
     } catch (error) {
       console.error("Error adding vacation:", error);
-      // Display error in modal or as a toast message if available
       setModalMessage(`Error adding vacation: ${error.message}`);
-      setModalAction(null); // Clear action if it fails
-      setIsModalOpen(true); // Re-open modal to show error (or use a different error display mechanism)
-      return; // Prevent closing modal immediately if error is shown in same modal
+      setModalAction(null);
+      setModalConflicts([]);
+      setIsModalOpen(true);
+      return `Error adding vacation: ${error.message}`;
     }
-    setIsModalOpen(false); // Close confirmation modal on success
+    setIsModalOpen(false);
+    return null;
   };
 
-  const handleRemoveVacation = (engineer, dateToRemove) => {
-    setModalMessage(`Remove vacation for ${engineer.name} on ${dateToRemove}?`);
-    setModalAction(() => () => confirmRemoveVacation(engineer, dateToRemove));
+  // Approving leave that breaks coverage rules requires a justification, recorded on the request
+  const openOverrideModal = (text, conflicts, action) => {
+    setModalMessage(text);
+    setModalConflicts(conflicts);
+    setOverrideJustification('');
+    setModalAction(() => action);
     setIsModalOpen(true);
   };
 
-  const confirmRemoveVacation = async (engineer, dateToRemove) => {
+  const buildCoverageOverride = (conflicts, justification) => (
+    conflicts.length > 0
+      ? { justification: justification.trim(), overriddenBy: currentUser.id, conflicts: summarizeConflicts(conflicts) }
+      : null
+  );
+
+  const closeModal = () => {
+    setIsModalOpen(false);
+    setModalConflicts([]);
+    setOverrideJustification('');
+  };
+
+  const handleRemoveVacation = (engineer, entry) => {
+    setModalMessage(`Remove ${engineer.name}'s leave on ${formatLeaveEntry(entry)}?`);
+    setModalAction(() => () => confirmRemoveVacation(engineer, entry));
+    setIsModalOpen(true);
+  };
+
+  const confirmRemoveVacation = async (engineer, entry) => {
     try {
+      const batch = writeBatch(db);
       const engineerDocRef = doc(db, `artifacts/${appId}/public/data/users`, engineer.id);
-      const updatedVacations = (engineer.vacationDates || []).filter(date => date !== dateToRemove);
-      await updateDoc(engineerDocRef, { vacationDates: updatedVacations });
+      const updates = { leaveEntries: getLeaveEntries(engineer).filter(e => e.id !== entry.id), vacationDates: deleteField() };
+      batch.update(engineerDocRef, updates);
+      addAuditEntry(batch, db, currentUser, { action: 'leave.remove', targetType: 'user', targetId: engineer.id, targetLabel: engineer.name, before: engineer, after: updates });
+      // Cancel the approved request behind this entry so the engineer sees it was withdrawn
+      if (entry.requestId) {
+        const cancellation = { status: 'cancelled', updatedAt: serverTimestamp() };
+        batch.update(doc(db, `artifacts/${appId}/public/data/leaveRequests`, entry.requestId), cancellation);
+        addAuditEntry(batch, db, currentUser, {
+          action: 'leave.cancel',
+          targetType: 'leaveRequest',
+          targetId: entry.requestId,
+          targetLabel: `${engineer.name}: ${formatLeaveEntry(entry)}`,
+          before: entry,
+          after: cancellation,
+        });
+      }
+      await batch.commit();
       // UI will update via onSnapshot
     } catch (error) {
       console.error("Error removing vacation:", error);
@@ -74,18 +139,166 @@ function ManagerVacationManagement({ myTeam, db }) {
     setIsModalOpen(false);
   };
 
+  const handleDecision = (request, status) => {
+    const engineer = myTeam.find(e => e.id === request.userId);
+    if (!engineer) return;
+    if (status === 'approved') {
+      // Leave added or approved since the request was submitted may now overlap it
+      const overlapError = validateApproval(engineer, request);
+      if (overlapError) {
+        setModalMessage(`Cannot approve ${engineer.name}'s request. ${overlapError}`);
+        setModalAction(null);
+        setModalConflicts([]);
+        setIsModalOpen(true);
+        return;
+      }
+    }
+    const verb = status === 'approved' ? 'Approve' : 'Reject';
+    const text = `${verb} ${engineer.name}'s leave request for ${formatLeaveEntry(toLeaveEntry(request))}?`;
+    // Re-check coverage at decision time, since other leave may have been approved since submission
+    const conflicts = status === 'approved' ? findCoverageConflicts(coverageRules, users, skills, engineer, toLeaveEntry(request), shiftPatterns) : [];
+    if (conflicts.length > 0) {
+      openOverrideModal(text, conflicts, (justification) => confirmDecision(engineer, request, status, conflicts, justification));
+      return;
+    }
+    setModalMessage(text);
+    setModalConflicts([]);
+    setModalAction(() => () => confirmDecision(engineer, request, status, [], ''));
+    setIsModalOpen(true);
+  };
+
+  // Entries already created from this request don't count as overlaps
+  const validateApproval = (engineer, request) => validateLeaveEntry(
+    toLeaveEntry({ ...request, id: request.id, requestId: request.id }),
+    getLeaveEntries(engineer).filter(e => e.requestId !== request.id)
+  );
+
+  // Records the decision on the request; approval also adds the entry to the engineer's leaveEntries
+  const confirmDecision = async (engineer, request, status, conflicts, justification) => {
+    if (status === 'approved') {
+      const overlapError = validateApproval(engineer, request);
+      if (overlapError) {
+        setModalMessage(`Cannot approve ${engineer.name}'s request. ${overlapError}`);
+        setModalAction(null);
+        setModalConflicts([]);
+        setIsModalOpen(true);
+        return;
+      }
+    }
+    try {
+      const batch = writeBatch(db);
+      const decision = {
+        status,
+        approverId: currentUser.id,
+        decisionComment: (decisionComments[request.id] || '').trim(),
+        coverageOverride: buildCoverageOverride(conflicts, justification),
+        updatedAt: serverTimestamp(),
+        decidedAt: serverTimestamp(),
+      };
+      batch.update(doc(db, `artifacts/${appId}/public/data/leaveRequests`, request.id), decision);
+      addAuditEntry(batch, db, currentUser, {
+        action: status === 'approved' ? 'leave.approve' : 'leave.reject',
+        targetType: 'leaveRequest',
+        targetId: request.id,
+        targetLabel: `${engineer.name}: ${formatLeaveEntry(toLeaveEntry(request))}`,
+        before: request,
+        after: decision,
+      });
+      const existingEntries = getLeaveEntries(engineer);
+      if (status === 'approved' && !existingEntries.some(e => e.requestId === request.id)) {
+        const engineerDocRef = doc(db, `artifacts/${appId}/public/data/users`, engineer.id);
+        const newEntry = toLeaveEntry({ ...request, id: request.id, requestId: request.id });
+        const updates = { leaveEntries: sortLeaveEntries([...existingEntries, newEntry]), vacationDates: deleteField() };
+        batch.update(engineerDocRef, updates);
+        addAuditEntry(batch, db, currentUser, { action: 'leave.add', targetType: 'user', targetId: engineer.id, targetLabel: engineer.name, before: engineer, after: updates });
+      }
+      await batch.commit();
+      setDecisionComments(prev => {
+        const { [request.id]: _, ...rest } = prev;
+        return rest;
+      });
+    } catch (error) {
+      console.error("Error recording leave decision:", error);
+      setModalMessage(`Error recording leave decision: ${error.message}`);
+      setModalAction(null);
+      setModalConflicts([]);
+      setIsModalOpen(true);
+      return;
+    }
+    closeModal();
+  };
+
+  const pendingRequests = getPendingRequestsForTeam(leaveRequests, myTeam);
 
   return (
     <div className="bg-white p-6 rounded-lg shadow-md">
       <h3 className="text-2xl font-semibold mb-4 text-gray-800">Manage Team Vacations</h3>
 
+      <h4 className="text-xl font-semibold mb-3 text-gray-800">Pending Leave Requests</h4>
+      {pendingRequests.length === 0 ? (
+        <p className="text-gray-600 mb-6">No leave requests are waiting for your approval.</p>
+      ) : (
+        <div className="overflow-x-auto rounded-lg shadow-sm border border-gray-200 mb-6">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Engineer</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Leave</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Note</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Comment</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {pendingRequests.map(request => (
+                <tr key={request.id}>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{myTeam.find(e => e.id === request.userId)?.name || 'N/A'}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
+                    {formatLeaveEntry(toLeaveEntry(request))}
+                    {(request.coverageConflicts || []).length > 0 && (
+                      <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800" title="Submitted despite skill coverage conflicts">
+                        Coverage warning
+                      </span>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-600">{request.note || '-'}</td>
+                  <td className="px-6 py-4 text-sm text-gray-600">
+                    <input
+                      type="text"
+                      placeholder="Optional comment"
+                      value={decisionComments[request.id] || ''}
+                      onChange={(e) => setDecisionComments(prev => ({ ...prev, [request.id]: e.target.value }))}
+                      className="w-full border border-gray-300 rounded-md shadow-sm p-1 focus:ring-blue-500 focus:border-blue-500"
+                    />
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                    <button
+                      onClick={() => handleDecision(request, 'approved')}
+                      className="text-green-600 hover:text-green-900 mr-3 transition duration-200 ease-in-out"
+                    >
+                      Approve
+                    </button>
+                    <button
+                      onClick={() => handleDecision(request, 'rejected')}
+                      className="text-red-600 hover:text-red-900 transition duration-200 ease-in-out"
+                    >
+                      Reject
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
       <div className="flex flex-col space-y-4 mb-6">
         <div>
           <label htmlFor="engineerVacationSelect" className="block text-sm font-medium text-gray-700">Select Engineer</label>
           <select
             id="engineerVacationSelect"
             value={selectedEngineerId}
-            onChange={(e) => { setSelectedEngineerId(e.target.value); setNewVacationDate(''); }}
+            onChange={(e) => setSelectedEngineerId(e.target.value)}
             className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
           >
             <option value="">-- Select an Engineer --</option>
@@ -96,25 +309,11 @@ function ManagerVacationManagement({ myTeam, db }) {
         </div>
 
         {selectedEngineerId && (
-          <div className="flex items-center space-x-2">
-            <input
-              type="date"
-              value={newVacationDate}
-              onChange={(e) => setNewVacationDate(e.target.value)}
-              className="border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
-            />
-            <button
-              onClick={handleAddVacation}
-              disabled={!newVacationDate}
-              className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 transition duration-200 ease-in-out shadow-md disabled:opacity-50"
-            >
-              Add Vacation
-            </button>
-          </div>
+          <LeaveEntryForm onSubmit={handleAddVacation} submitLabel="Add Leave" />
         )}
       </div>
 
-      <h4 className="text-xl font-semibold mb-3 text-gray-800">Current Team Vacations</h4>
+      <h4 className="text-xl font-semibold mb-3 text-gray-800">Approved Team Vacations</h4>
       {myTeam.length === 0 ? (
         <p className="text-gray-600">No engineers in your team to display vacations for.</p>
       ) : (
@@ -123,7 +322,7 @@ function ManagerVacationManagement({ myTeam, db }) {
             <thead className="bg-gray-50">
               <tr>
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Engineer</th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Vacation Dates</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Leave</th>
               </tr>
             </thead>
             <tbody className="bg-white divide-y divide-gray-200">
@@ -131,24 +330,7 @@ function ManagerVacationManagement({ myTeam, db }) {
                 <tr key={engineer.id}>
                   <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{engineer.name}</td>
                   <td className="px-6 py-4 text-sm text-gray-600">
-                    {(engineer.vacationDates || []).length > 0 ? (
-                      <ul className="space-y-1">
-                        {engineer.vacationDates.map((date, idx) => (
-                          <li key={idx} className="flex items-center justify-between">
-                            <span>{date}</span>
-                            <button
-                              onClick={() => handleRemoveVacation(engineer, date)}
-                              className="ml-2 text-red-500 hover:text-red-700 focus:outline-none p-1 rounded-full hover:bg-red-100"
-                              title="Remove this vacation date"
-                            >
-                              <svg className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
-                              </svg>
-                            </button>
-                          </li>
-                        ))}
-                      </ul>
-                    ) : 'None'}
+                    <LeaveList entries={getLeaveEntries(engineer)} onRemove={(entry) => handleRemoveVacation(engineer, entry)} />
                   </td>
                 </tr>
               ))}
@@ -157,24 +339,38 @@ function ManagerVacationManagement({ myTeam, db }) {
         </div>
       )}
 
-      <Modal isOpen={isModalOpen} onClose={() => setIsModalOpen(false)} title="Confirm Action">
+      <Modal isOpen={isModalOpen} onClose={closeModal} title="Confirm Action">
+        <CoverageConflictList conflicts={modalConflicts} />
         <p className="text-gray-700 mb-6">{modalMessage}</p>
+        {modalAction && modalConflicts.length > 0 && (
+          <div className="mb-4">
+            <label htmlFor="overrideJustification" className="block text-sm font-medium text-gray-700">Justification (required)</label>
+            <textarea
+              id="overrideJustification"
+              value={overrideJustification}
+              onChange={(e) => setOverrideJustification(e.target.value)}
+              rows="3"
+              className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+          </div>
+        )}
         {modalAction && ( // Only show buttons if there's an action to confirm
           <div className="flex justify-end space-x-3 mt-4">
             <button
-              onClick={() => setIsModalOpen(false)}
+              onClick={closeModal}
               className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 transition duration-200 ease-in-out shadow-sm"
             >
               Cancel
             </button>
             <button
               onClick={() => {
-                if (modalAction) modalAction();
+                if (modalAction) modalAction(overrideJustification);
                 // setIsModalOpen(false); // Action itself should close on success/failure or re-set message
               }}
-              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition duration-200 ease-in-out shadow-md"
+              disabled={modalConflicts.length > 0 && overrideJustification.trim() === ''}
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition duration-200 ease-in-out shadow-md disabled:opacity-50"
             >
-              Confirm
+              {modalConflicts.length > 0 ? 'Approve Anyway' : 'Confirm'}
             </button>
           </div>
         )}
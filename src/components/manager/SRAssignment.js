@@ -1,18 +1,63 @@
 import React, { useState } from 'react';
-import { doc, updateDoc } from 'firebase/firestore';
-import { appId } from '../../../config/firebase.js';
-import { Modal } from '../../Modal.js';
+import { doc, collection, writeBatch, serverTimestamp } from 'firebase/firestore';
+import { appId } from '../../config/firebase.js';
+import { Modal } from '../Modal.js';
+import { SR_STATUSES, SR_PRIORITIES, getOpenSrsForUser, getOpenSrCount, formatTimestamp } from '../../utils/srUtils.js';
+import { rankCandidates } from '../../utils/routingUtils.js';
+import { getPeriodSrCount, getPeriodForDate, formatPeriod } from '../../utils/srPeriodUtils.js';
+import { toDateString } from '../../utils/availabilityUtils.js';
+import { ShiftStatusBadge } from '../shared/ShiftStatusBadge.js';
+import { addAuditEntry } from '../../utils/auditUtils.js';
+import { useRosterFilters } from '../../hooks/useRosterFilters.js';
+import { filterRoster, sortRows, getSrUtilization } from '../../utils/rosterFilterUtils.js';
+import { RosterFilterBar } from '../shared/RosterFilterBar.js';
+import { SortableHeader } from '../shared/SortableHeader.js';
+import { SkillPicker } from '../shared/SkillPicker.js';
+import { getUserSrCountingConfig } from '../../utils/teamUtils.js';
+
+const emptySrForm = { title: '', customer: '', priority: 'P3', requiredSkills: [] };
 
 // SR Assignment Component (Manager Only)
-function SRAssignment({ myTeam, db }) {
+function SRAssignment({ currentUser, myTeam, skills, srs, settings, shiftPatterns, teams, db }) {
+  const [srForm, setSrForm] = useState(emptySrForm);
   const [selectedEngineerId, setSelectedEngineerId] = useState('');
   const [isForceAssign, setIsForceAssign] = useState(false);
   const [message, setMessage] = useState('');
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [modalMessage, setModalMessage] = useState('');
   const [modalAction, setModalAction] = useState(null); // Function to execute on confirm
+  const { filters, updateFilter, clearFilters, sort, toggleSort } = useRosterFilters('sr-status');
+
+  const teamIds = myTeam.map(e => e.id);
+  const teamSrs = (srs || []).filter(sr => teamIds.includes(sr.assigneeId));
+  // Each engineer's threshold runs over their own team's or manager's counting period, which differs across a rolled-up tree
+  const getCountingConfig = (engineer) => getUserSrCountingConfig(settings, teams, engineer);
+  const getPeriodCount = (engineer) => getPeriodSrCount(srs, engineer.id, getCountingConfig(engineer));
+  const getCurrentPeriod = (engineer) => getPeriodForDate(getCountingConfig(engineer), toDateString(new Date()));
+  const periodLabels = [...new Set(myTeam.map(engineer => formatPeriod(getCurrentPeriod(engineer))))];
+  const candidates = rankCandidates(myTeam, srForm.requiredSkills, skills, srs, shiftPatterns, getCountingConfig);
+  const statusRows = sortRows(filterRoster(myTeam, filters, shiftPatterns, toDateString(new Date()), skills), sort, {
+    name: e => e.name,
+    openSrs: e => getOpenSrCount(srs, e.id),
+    periodSrs: e => getPeriodCount(e),
+    srThreshold: e => e.srThreshold || 0,
+    srUtilization: e => getSrUtilization(getPeriodCount(e), e.srThreshold || 0),
+  });
+
+  const handleFormChange = (e) => {
+    const { name, value } = e.target;
+    setSrForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleRequiredSkillsChange = (requiredSkills) => {
+    setSrForm(prev => ({ ...prev, requiredSkills }));
+  };
 
   const handleAssignSR = async () => {
+    if (srForm.title.trim() === '') {
+      setMessage('Please enter a title for the SR.');
+      return;
+    }
     if (!selectedEngineerId) {
       setMessage('Please select an engineer.');
       return;
@@ -24,8 +69,8 @@ function SRAssignment({ myTeam, db }) {
       return;
     }
 
-    if (!isForceAssign && (engineer.currentSrCount || 0) >= (engineer.srThreshold || 0)) {
-      setModalMessage(`Engineer ${engineer.name} has reached their SR threshold (${engineer.srThreshold || 0}). Do you want to force assign?`);
+    if (!isForceAssign && getPeriodCount(engineer) >= (engineer.srThreshold || 0)) {
+      setModalMessage(`Engineer ${engineer.name} has reached their SR threshold for this period (${engineer.srThreshold || 0} in ${formatPeriod(getCurrentPeriod(engineer))}). Do you want to force assign?`);
       setModalAction(() => () => confirmAssignSR(engineer, true));
       setIsModalOpen(true);
       return;
@@ -35,10 +80,27 @@ function SRAssignment({ myTeam, db }) {
 
   const confirmAssignSR = async (engineer, force) => {
     try {
-      const engineerDocRef = doc(db, `artifacts/${appId}/public/data/users`, engineer.id);
-      const newSrCount = (engineer.currentSrCount || 0) + 1;
-      await updateDoc(engineerDocRef, { currentSrCount: newSrCount });
-      setMessage(`SR assigned to ${engineer.name}. New count: ${newSrCount}.`);
+      const batch = writeBatch(db);
+      const srDocRef = doc(collection(db, `artifacts/${appId}/public/data/srs`));
+      const srData = {
+        title: srForm.title.trim(),
+        customer: srForm.customer.trim(),
+        priority: srForm.priority,
+        requiredSkills: srForm.requiredSkills,
+        assigneeId: engineer.id,
+        assignedBy: currentUser.id,
+        forceAssigned: force,
+        status: 'open',
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp(),
+        resolvedAt: null,
+        closedAt: null,
+      };
+      batch.set(srDocRef, srData);
+      addAuditEntry(batch, db, currentUser, { action: 'sr.assign', targetType: 'sr', targetId: srDocRef.id, targetLabel: `${srData.title} → ${engineer.name}`, after: srData });
+      await batch.commit();
+      setMessage(`SR assigned to ${engineer.name}. SRs this period: ${getPeriodCount(engineer) + 1}.`);
+      setSrForm(emptySrForm);
       setSelectedEngineerId('');
       setIsForceAssign(false); // Reset force assign checkbox
       setTimeout(() => setMessage(''), 3000);
@@ -49,21 +111,46 @@ function SRAssignment({ myTeam, db }) {
     setIsModalOpen(false); // Close modal if it was open
   };
 
+  const handleStatusChange = async (sr, status) => {
+    try {
+      const srDocRef = doc(db, `artifacts/${appId}/public/data/srs`, sr.id);
+      const updates = { status, updatedAt: serverTimestamp() };
+      if (status === 'resolved') updates.resolvedAt = serverTimestamp();
+      if (status === 'closed') updates.closedAt = serverTimestamp();
+      const batch = writeBatch(db);
+      batch.update(srDocRef, updates);
+      addAuditEntry(batch, db, currentUser, { action: 'sr.status', targetType: 'sr', targetId: sr.id, targetLabel: sr.title, before: sr, after: updates });
+      await batch.commit();
+      setMessage(`SR "${sr.title}" marked as ${status}.`);
+      setTimeout(() => setMessage(''), 3000);
+    } catch (error) {
+      console.error("Error updating SR status:", error);
+      setMessage(`Error updating SR status: ${error.message}`);
+    }
+  };
+
   const handleResetSR = (engineer) => {
-    setModalMessage(`Are you sure you want to reset SR count for ${engineer.name} to 0?`);
+    setModalMessage(`Are you sure you want to close all ${getOpenSrCount(srs, engineer.id)} open SRs for ${engineer.name}?`);
     setModalAction(() => () => confirmResetSR(engineer));
     setIsModalOpen(true);
   };
 
+  // Closes every open SR held by the engineer, which brings their derived count back to 0
   const confirmResetSR = async (engineer) => {
     try {
-      const engineerDocRef = doc(db, `artifacts/${appId}/public/data/users`, engineer.id);
-      await updateDoc(engineerDocRef, { currentSrCount: 0 });
-      setMessage(`SR count for ${engineer.name} reset to 0.`);
+      const batch = writeBatch(db);
+      getOpenSrsForUser(srs, engineer.id).forEach(sr => {
+        const srDocRef = doc(db, `artifacts/${appId}/public/data/srs`, sr.id);
+        const updates = { status: 'closed', updatedAt: serverTimestamp(), closedAt: serverTimestamp() };
+        batch.update(srDocRef, updates);
+        addAuditEntry(batch, db, currentUser, { action: 'sr.reset', targetType: 'sr', targetId: sr.id, targetLabel: `${sr.title} (${engineer.name})`, before: sr, after: updates });
+      });
+      await batch.commit();
+      setMessage(`All open SRs for ${engineer.name} closed.`);
       setTimeout(() => setMessage(''), 3000);
     } catch (error) {
-      console.error("Error resetting SR count:", error);
-      setMessage(`Error resetting SR count: ${error.message}`);
+      console.error("Error closing SRs:", error);
+      setMessage(`Error closing SRs: ${error.message}`);
     }
     setIsModalOpen(false);
   };
@@ -83,8 +170,93 @@ function SRAssignment({ myTeam, db }) {
       )}
 
       <div className="flex flex-col space-y-4 mb-6">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label htmlFor="srTitle" className="block text-sm font-medium text-gray-700">Title</label>
+            <input
+              type="text"
+              id="srTitle"
+              name="title"
+              value={srForm.title}
+              onChange={handleFormChange}
+              className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+          </div>
+          <div>
+            <label htmlFor="srCustomer" className="block text-sm font-medium text-gray-700">Customer</label>
+            <input
+              type="text"
+              id="srCustomer"
+              name="customer"
+              value={srForm.customer}
+              onChange={handleFormChange}
+              className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+          </div>
+          <div>
+            <label htmlFor="srPriority" className="block text-sm font-medium text-gray-700">Priority</label>
+            <select
+              id="srPriority"
+              name="priority"
+              value={srForm.priority}
+              onChange={handleFormChange}
+              className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
+            >
+              {SR_PRIORITIES.map(priority => (
+                <option key={priority} value={priority}>{priority}</option>
+              ))}
+            </select>
+          </div>
+        </div>
         <div>
-          <label htmlFor="engineerSelect" className="block text-sm font-medium text-gray-700">Select Engineer</label>
+          <label htmlFor="srRequiredSkills" className="block text-sm font-medium text-gray-700">Required Skills</label>
+          <SkillPicker
+            id="srRequiredSkills"
+            skills={skills}
+            multiple
+            value={srForm.requiredSkills}
+            onChange={handleRequiredSkillsChange}
+            className="mt-1"
+          />
+          <p className="text-xs text-gray-500 mt-1">Engineers with a more specific skill (e.g. BGP for Networking) count as a match.</p>
+        </div>
+        <div>
+          <h4 className="text-sm font-medium text-gray-700 mb-2">Recommended Engineers</h4>
+          <ol className="space-y-2">
+            {candidates.map(({ engineer, score, reasons, onVacation, halfDayLeave, overThreshold }, idx) => (
+              <li
+                key={engineer.id}
+                className={`p-3 rounded-md border ${selectedEngineerId === engineer.id ? 'border-blue-500 bg-blue-50' : 'border-gray-200 bg-gray-50'}`}
+              >
+                <div className="flex items-center justify-between">
+                  <span className="font-medium text-gray-900">
+                    {idx + 1}. {engineer.name}
+                    <span className="ml-2 text-sm text-gray-500">Score {score}</span>
+                    <span className="ml-2"><ShiftStatusBadge user={engineer} patterns={shiftPatterns} /></span>
+                    {onVacation && <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">On vacation</span>}
+                    {halfDayLeave && <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">{`Half day off (${halfDayLeave})`}</span>}
+                    {overThreshold && <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-orange-100 text-orange-800">At threshold</span>}
+                  </span>
+                  <button
+                    onClick={() => setSelectedEngineerId(engineer.id)}
+                    className="px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition duration-200 ease-in-out shadow-sm text-sm"
+                  >
+                    Select
+                  </button>
+                </div>
+                <ul className="mt-1 text-xs text-gray-600 flex flex-wrap gap-x-4">
+                  {reasons.map((reason, reasonIdx) => (
+                    <li key={reasonIdx} className={reason.points < 0 ? 'text-red-600' : ''}>
+                      {reason.label} ({reason.points >= 0 ? '+' : ''}{reason.points})
+                    </li>
+                  ))}
+                </ul>
+              </li>
+            ))}
+          </ol>
+        </div>
+        <div>
+          <label htmlFor="engineerSelect" className="block text-sm font-medium text-gray-700">Select Engineer (or override the recommendation)</label>
           <select
             id="engineerSelect"
             value={selectedEngineerId}
@@ -111,7 +283,7 @@ function SRAssignment({ myTeam, db }) {
         </div>
         <button
           onClick={handleAssignSR}
-          disabled={!selectedEngineerId}
+          disabled={!selectedEngineerId || srForm.title.trim() === ''}
           className="px-6 py-3 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition duration-200 ease-in-out shadow-md disabled:opacity-50"
         >
           Assign SR
@@ -119,28 +291,53 @@ function SRAssignment({ myTeam, db }) {
       </div>
 
       <h4 className="text-xl font-semibold mb-3 text-gray-800">Team SR Status</h4>
-      <div className="overflow-x-auto rounded-lg shadow-sm border border-gray-200">
+      <RosterFilterBar
+        filters={filters}
+        onChange={updateFilter}
+        onClear={clearFilters}
+        users={myTeam}
+        skills={skills}
+        shiftPatterns={shiftPatterns}
+        facets={['skill', 'shiftPattern', 'availableToday']}
+        shownCount={statusRows.length}
+        totalCount={myTeam.length}
+      />
+      <div className="overflow-x-auto rounded-lg shadow-sm border border-gray-200 mb-6">
         <table className="min-w-full divide-y divide-gray-200">
           <thead className="bg-gray-50">
             <tr>
-              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Engineer</th>
-              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Current SRs</th>
-              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">SR Threshold</th>
+              <SortableHeader label="Engineer" sortKey="name" sort={sort} onSort={toggleSort} />
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Shift</th>
+              <SortableHeader label="Open SRs" sortKey="openSrs" sort={sort} onSort={toggleSort} />
+              <SortableHeader label={periodLabels.length === 1 ? `This Period (${periodLabels[0]})` : 'This Period'} sortKey="periodSrs" sort={sort} onSort={toggleSort} />
+              <SortableHeader label="SR Threshold" sortKey="srThreshold" sort={sort} onSort={toggleSort} />
+              <SortableHeader label="Utilization" sortKey="srUtilization" sort={sort} onSort={toggleSort} />
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
             </tr>
           </thead>
           <tbody className="bg-white divide-y divide-gray-200">
-            {myTeam.map(engineer => (
+            {statusRows.length === 0 && (
+              <tr>
+                <td colSpan="7" className="px-6 py-4 text-center text-sm text-gray-500">No engineers match these filters.</td>
+              </tr>
+            )}
+            {statusRows.map(engineer => (
               <tr key={engineer.id}>
                 <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{engineer.name}</td>
-                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{engineer.currentSrCount || 0}</td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm"><ShiftStatusBadge user={engineer} patterns={shiftPatterns} /></td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{getOpenSrCount(srs, engineer.id)}</td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600" title={formatPeriod(getCurrentPeriod(engineer))}>{getPeriodCount(engineer)}</td>
                 <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{engineer.srThreshold || 0}</td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
+                  {engineer.srThreshold ? `${Math.round(getSrUtilization(getPeriodCount(engineer), engineer.srThreshold) * 100)}%` : 'N/A'}
+                </td>
                 <td className="px-6 py-4 whitespace-nowrap text-sm">
                   <button
                     onClick={() => handleResetSR(engineer)}
-                    className="text-orange-600 hover:text-orange-900 transition duration-200 ease-in-out"
+                    disabled={getOpenSrCount(srs, engineer.id) === 0}
+                    className="text-orange-600 hover:text-orange-900 transition duration-200 ease-in-out disabled:opacity-50"
                   >
-                    Reset SR
+                    Close All Open SRs
                   </button>
                 </td>
               </tr>
@@ -149,6 +346,51 @@ function SRAssignment({ myTeam, db }) {
         </table>
       </div>
 
+      <h4 className="text-xl font-semibold mb-3 text-gray-800">Team Service Requests</h4>
+      {teamSrs.length === 0 ? (
+        <p className="text-gray-600">No service requests have been assigned to your team yet.</p>
+      ) : (
+        <div className="overflow-x-auto rounded-lg shadow-sm border border-gray-200">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Title</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Customer</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Priority</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Assignee</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Created</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {teamSrs.map(sr => (
+                <tr key={sr.id}>
+                  <td className="px-6 py-4 text-sm font-medium text-gray-900">
+                    {sr.title}
+                    {sr.forceAssigned && <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-orange-100 text-orange-800">Forced</span>}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{sr.customer || 'N/A'}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{sr.priority}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{myTeam.find(e => e.id === sr.assigneeId)?.name || 'N/A'}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{formatTimestamp(sr.createdAt)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">
+                    <select
+                      value={sr.status}
+                      onChange={(e) => handleStatusChange(sr, e.target.value)}
+                      className="border border-gray-300 rounded-md shadow-sm p-1 focus:ring-blue-500 focus:border-blue-500"
+                    >
+                      {SR_STATUSES.map(status => (
+                        <option key={status} value={status}>{status}</option>
+                      ))}
+                    </select>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
       <Modal isOpen={isModalOpen} onClose={() => setIsModalOpen(false)} title="Confirmation">
         <p className="text-gray-700 mb-6">{modalMessage}</p>
         <div className="flex justify-end space-x-3 mt-4">
@@ -0,0 +1,164 @@
+import React, { useState } from 'react';
+import { doc, writeBatch, serverTimestamp } from 'firebase/firestore';
+import { appId, calendarFeedUrl } from '../../config/firebase.js';
+import { Modal } from '../Modal.js';
+import { useCalendarFeeds } from '../../hooks/useCalendarFeeds.js';
+import { addAuditEntry } from '../../utils/auditUtils.js';
+import { downloadFile } from '../../utils/csvUtils.js';
+import { toDateString } from '../../utils/availabilityUtils.js';
+import { formatTimestamp } from '../../utils/srUtils.js';
+import { getAvailableFeedScopes, getFeedName, buildFeedCalendar, createFeedToken } from '../../utils/icsUtils.js';
+
+const getFeedUrl = (token) => `${calendarFeedUrl}?token=${token}`;
+
+// --- Calendar Feeds ---
+// Download leave and shifts as an .ics file, or create a private feed URL that calendar apps poll.
+// A feed URL works until its token is revoked here.
+function CalendarFeedPanel({ currentUser, users, shiftPatterns, teams, db }) {
+  const { calendarFeeds } = useCalendarFeeds(db, currentUser.id);
+  const scopes = getAvailableFeedScopes(currentUser);
+  const [scopeValue, setScopeValue] = useState(scopes[0].value);
+  const [feedToRevoke, setFeedToRevoke] = useState(null);
+  const [message, setMessage] = useState('');
+
+  const selectedScope = scopes.find(s => s.value === scopeValue) || scopes[0];
+  const getCalendarName = (scope) => getFeedName({ scope: scope.value, targetId: scope.targetId }, users);
+  const describeFeed = (feed) => getCalendarName(scopes.find(s => s.value === feed.scope && s.targetId === feed.targetId) || { value: feed.scope, targetId: feed.targetId });
+
+  const handleDownload = () => {
+    const ics = buildFeedCalendar(
+      { scope: selectedScope.value, targetId: selectedScope.targetId },
+      { users, teams, shiftPatterns, today: toDateString(new Date()), uidDomain: appId, name: getCalendarName(selectedScope) },
+    );
+    downloadFile(`${selectedScope.value}-calendar.ics`, ics, 'text/calendar;charset=utf-8');
+  };
+
+  const handleCreateFeed = async () => {
+    try {
+      const batch = writeBatch(db);
+      const token = createFeedToken();
+      const feedData = { ownerId: currentUser.id, scope: selectedScope.value, targetId: selectedScope.targetId, createdAt: serverTimestamp() };
+      batch.set(doc(db, `artifacts/${appId}/public/data/calendarFeeds`, token), feedData);
+      addAuditEntry(batch, db, currentUser, { action: 'calendar-feed.create', targetType: 'calendarFeed', targetId: token, targetLabel: getCalendarName(selectedScope), after: feedData });
+      await batch.commit();
+      setMessage('Feed URL created. Add it to your calendar app as a subscription.');
+      setTimeout(() => setMessage(''), 3000);
+    } catch (error) {
+      console.error("Error creating calendar feed:", error);
+      setMessage(`Error creating calendar feed: ${error.message}`);
+    }
+  };
+
+  const handleCopy = async (feed) => {
+    try {
+      await navigator.clipboard.writeText(getFeedUrl(feed.id));
+      setMessage('Feed URL copied.');
+      setTimeout(() => setMessage(''), 3000);
+    } catch (error) {
+      setMessage(`Error copying feed URL: ${error.message}`);
+    }
+  };
+
+  const confirmRevokeFeed = async () => {
+    try {
+      const batch = writeBatch(db);
+      batch.delete(doc(db, `artifacts/${appId}/public/data/calendarFeeds`, feedToRevoke.id));
+      addAuditEntry(batch, db, currentUser, { action: 'calendar-feed.revoke', targetType: 'calendarFeed', targetId: feedToRevoke.id, targetLabel: describeFeed(feedToRevoke), before: feedToRevoke });
+      await batch.commit();
+      setMessage('Feed URL revoked. Calendars subscribed to it will stop updating.');
+      setTimeout(() => setMessage(''), 3000);
+    } catch (error) {
+      console.error("Error revoking calendar feed:", error);
+      setMessage(`Error revoking calendar feed: ${error.message}`);
+    }
+    setFeedToRevoke(null);
+  };
+
+  return (
+    <div className="bg-gray-50 p-6 rounded-lg shadow-md border border-gray-200">
+      <h3 className="text-xl font-semibold mb-4 text-gray-800">Calendar Feeds</h3>
+
+      {message && (
+        <div className={`p-3 mb-4 rounded-md text-white ${message.includes('Error') ? 'bg-red-500' : 'bg-green-500'}`}>
+          {message}
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-end gap-3 mb-4">
+        <div>
+          <label htmlFor="calendarFeedScope" className="block text-sm font-medium text-gray-700">Calendar</label>
+          <select
+            id="calendarFeedScope"
+            value={selectedScope.value}
+            onChange={(e) => setScopeValue(e.target.value)}
+            className="mt-1 block border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
+          >
+            {scopes.map(scope => <option key={scope.value} value={scope.value}>{scope.label}</option>)}
+          </select>
+        </div>
+        <button
+          onClick={handleDownload}
+          className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 transition duration-200 ease-in-out shadow-sm"
+        >
+          Download .ics
+        </button>
+        {calendarFeedUrl && (
+          <button
+            onClick={handleCreateFeed}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition duration-200 ease-in-out shadow-md"
+          >
+            Create Feed URL
+          </button>
+        )}
+      </div>
+
+      {!calendarFeedUrl ? (
+        <p className="text-sm text-gray-500">Subscribable feed URLs are not enabled on this deployment; download the file instead.</p>
+      ) : (
+        <ul className="space-y-2">
+          {calendarFeeds.map(feed => (
+            <li key={feed.id} className="bg-white p-3 rounded-md shadow-sm border border-gray-200">
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <span className="text-sm font-medium text-gray-800">
+                  {describeFeed(feed)} <span className="text-gray-500 font-normal">· created {formatTimestamp(feed.createdAt)}</span>
+                </span>
+                <span>
+                  <button onClick={() => handleCopy(feed)} className="text-sm text-blue-600 hover:text-blue-900 mr-3">Copy URL</button>
+                  <button onClick={() => setFeedToRevoke(feed)} className="text-sm text-red-600 hover:text-red-900">Revoke</button>
+                </span>
+              </div>
+              <input
+                type="text"
+                readOnly
+                value={getFeedUrl(feed.id)}
+                onFocus={(e) => e.target.select()}
+                className="mt-2 block w-full border border-gray-300 rounded-md p-1 font-mono text-xs text-gray-600"
+              />
+            </li>
+          ))}
+          {calendarFeeds.length === 0 && <li className="text-sm text-gray-500 italic">No feed URLs yet.</li>}
+        </ul>
+      )}
+
+      <Modal isOpen={Boolean(feedToRevoke)} onClose={() => setFeedToRevoke(null)} title="Revoke Feed URL">
+        <p className="text-gray-700 mb-6">{`Revoke the "${feedToRevoke ? describeFeed(feedToRevoke) : ''}" feed URL? Calendars subscribed to it will stop updating.`}</p>
+        <div className="flex justify-end space-x-3">
+          <button
+            onClick={() => setFeedToRevoke(null)}
+            className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 transition duration-200 ease-in-out shadow-sm"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={confirmRevokeFeed}
+            className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 transition duration-200 ease-in-out shadow-md"
+          >
+            Revoke
+          </button>
+        </div>
+      </Modal>
+    </div>
+  );
+}
+
+export { CalendarFeedPanel };
@@ -0,0 +1,27 @@
+import React from 'react';
+import { toDateString } from '../../utils/availabilityUtils.js';
+import { getCertificationWarnings, CERTIFICATION_WARNING_DAYS } from '../../utils/skillUtils.js';
+
+// --- Certification Warnings ---
+// Expired certifications, and those expiring within CERTIFICATION_WARNING_DAYS, for the given people.
+// Renders nothing when there are none.
+function CertificationWarnings({ people, skills }) {
+  const warnings = getCertificationWarnings(people, skills, toDateString(new Date()));
+  if (warnings.length === 0) return null;
+
+  return (
+    <div className="p-4 mb-4 rounded-md bg-yellow-50 border border-yellow-300">
+      <h4 className="font-semibold text-yellow-900 mb-2">Certifications needing renewal</h4>
+      <ul className="space-y-1 text-sm">
+        {warnings.map(({ user, entry, skillName, status }) => (
+          <li key={`${user.id}-${entry.skillId}`} className={status === 'expired' ? 'text-red-700' : 'text-yellow-900'}>
+            <strong>{user.name}</strong> – {entry.certification} ({skillName}) {status === 'expired' ? 'expired' : 'expires'} on {entry.certificationExpiry}
+          </li>
+        ))}
+      </ul>
+      <p className="text-xs text-yellow-800 mt-2">Listed from {CERTIFICATION_WARNING_DAYS} days before expiry.</p>
+    </div>
+  );
+}
+
+export { CertificationWarnings };
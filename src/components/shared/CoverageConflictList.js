@@ -0,0 +1,28 @@
+import React from 'react';
+
+// --- Coverage Conflict List ---
+// Shows the days and skills a leave request would leave under-covered, with the colleagues involved.
+function CoverageConflictList({ conflicts }) {
+  if (!conflicts || conflicts.length === 0) return null;
+
+  return (
+    <div className="p-3 mb-4 rounded-md bg-yellow-50 border border-yellow-300 text-sm text-yellow-900 max-h-60 overflow-y-auto">
+      <p className="font-semibold mb-2">This leave would break {conflicts.length} skill coverage rule{conflicts.length === 1 ? '' : 's'}:</p>
+      <ul className="space-y-2">
+        {conflicts.map((conflict, idx) => (
+          <li key={`${conflict.date}-${conflict.skillId}-${idx}`}>
+            <strong>{conflict.date}</strong> &middot; {conflict.skillName}: {conflict.remaining} of {conflict.minimum} required would remain
+            {conflict.awayColleagues?.length > 0 && (
+              <div className="text-xs">Also away: {conflict.awayColleagues.join(', ')}</div>
+            )}
+            {conflict.availableColleagues && (
+              <div className="text-xs">Still available: {conflict.availableColleagues.join(', ') || 'nobody'}</div>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export { CoverageConflictList };
@@ -0,0 +1,116 @@
+import React, { useState } from 'react';
+import { LEAVE_TYPES } from '../../utils/leaveUtils.js';
+
+const emptyLeaveForm = { startDate: '', endDate: '', type: 'pto', halfDay: '', note: '' };
+
+// --- Leave Entry Form ---
+// Collects a date range, leave type, optional half day and note. Renders no <form> element so it can
+// sit inside other forms (e.g. AddEditUserModal); `onSubmit` receives the entry and may return an
+// error message to display instead of clearing the form.
+function LeaveEntryForm({ onSubmit, submitLabel = 'Add Leave', disabled = false }) {
+  const [leaveForm, setLeaveForm] = useState(emptyLeaveForm);
+  const [error, setError] = useState('');
+
+  const isSingleDay = leaveForm.startDate && (!leaveForm.endDate || leaveForm.endDate === leaveForm.startDate);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setLeaveForm(prev => {
+      const next = { ...prev, [name]: value };
+      // Default the end date to the start date so single days need one pick
+      if (name === 'startDate' && (!prev.endDate || prev.endDate < value)) next.endDate = value;
+      return next;
+    });
+    setError('');
+  };
+
+  const handleSubmit = async () => {
+    const entry = {
+      startDate: leaveForm.startDate,
+      endDate: leaveForm.endDate || leaveForm.startDate,
+      type: leaveForm.type,
+      halfDay: isSingleDay && leaveForm.halfDay ? leaveForm.halfDay : null,
+      note: leaveForm.note.trim(),
+    };
+    const submitError = await onSubmit(entry);
+    if (submitError) {
+      setError(submitError);
+      return;
+    }
+    setLeaveForm(emptyLeaveForm);
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="grid grid-cols-2 gap-2">
+        <div>
+          <label className="block text-xs font-medium text-gray-600">From</label>
+          <input
+            type="date"
+            name="startDate"
+            value={leaveForm.startDate}
+            onChange={handleChange}
+            className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600">To</label>
+          <input
+            type="date"
+            name="endDate"
+            value={leaveForm.endDate}
+            min={leaveForm.startDate || undefined}
+            onChange={handleChange}
+            className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600">Type</label>
+          <select
+            name="type"
+            value={leaveForm.type}
+            onChange={handleChange}
+            className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
+          >
+            {LEAVE_TYPES.map(type => (
+              <option key={type.value} value={type.value}>{type.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600">Half Day</label>
+          <select
+            name="halfDay"
+            value={isSingleDay ? leaveForm.halfDay : ''}
+            onChange={handleChange}
+            disabled={!isSingleDay}
+            className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-100"
+          >
+            <option value="">Full day</option>
+            <option value="AM">Morning (AM)</option>
+            <option value="PM">Afternoon (PM)</option>
+          </select>
+        </div>
+      </div>
+      <input
+        type="text"
+        name="note"
+        placeholder="Note (optional)"
+        value={leaveForm.note}
+        onChange={handleChange}
+        className="block w-full border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
+      />
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      <button
+        type="button" // Never submit a surrounding form
+        onClick={handleSubmit}
+        disabled={disabled || !leaveForm.startDate}
+        className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition duration-200 ease-in-out shadow-md disabled:opacity-50"
+      >
+        {submitLabel}
+      </button>
+    </div>
+  );
+}
+
+export { LeaveEntryForm };
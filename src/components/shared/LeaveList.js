@@ -0,0 +1,37 @@
+import React from 'react';
+import { LEAVE_TYPE_STYLES, formatLeaveRange, getLeaveTypeLabel } from '../../utils/leaveUtils.js';
+
+// --- Compact Leave List ---
+// Renders leave entries as one line per range for roster tables. Pass `onRemove` to show remove buttons.
+function LeaveList({ entries, onRemove, emptyText = 'None' }) {
+  if (!entries || entries.length === 0) return emptyText;
+
+  return (
+    <ul className="space-y-1">
+      {entries.map(entry => (
+        <li key={entry.id} className="flex items-center justify-between" title={entry.note || undefined}>
+          <span className="whitespace-nowrap">
+            {formatLeaveRange(entry)}
+            <span className={`ml-2 px-2 py-0.5 rounded-full text-xs font-medium ${LEAVE_TYPE_STYLES[entry.type] || ''}`}>
+              {getLeaveTypeLabel(entry.type)}
+            </span>
+          </span>
+          {onRemove && (
+            <button
+              type="button"
+              onClick={() => onRemove(entry)}
+              className="ml-2 text-red-500 hover:text-red-700 focus:outline-none p-1 rounded-full hover:bg-red-100"
+              title="Remove this leave"
+            >
+              <svg className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export { LeaveList };
@@ -0,0 +1,447 @@
+import React, { useState } from 'react';
+import { doc, collection, writeBatch } from 'firebase/firestore';
+import { appId } from '../../config/firebase.js';
+import { Modal } from '../Modal.js';
+import { useNow } from '../../hooks/useNow.js';
+import { getTimeZoneOptions, getBrowserTimeZone } from '../../utils/workingHoursUtils.js';
+import { toDateString } from '../../utils/availabilityUtils.js';
+import { getCurrentOnCall, getOnCallDay, getOnCallPeriods, formatOnCallPeriod } from '../../utils/onCallUtils.js';
+import { addDays } from '../../utils/leaveUtils.js';
+import { addAuditEntry } from '../../utils/auditUtils.js';
+import { useFirebase } from '../../hooks/useFirebase.js';
+import { SkillPicker } from './SkillPicker.js';
+import { holdsSkill } from '../../utils/skillUtils.js';
+
+const createEmptySchedule = () => ({
+  name: '',
+  skillId: '',
+  participantIds: [],
+  rotationDays: 7,
+  handoffTime: '09:00',
+  timeZone: getBrowserTimeZone(),
+  startDate: toDateString(new Date()),
+});
+
+const emptyOverride = { userId: '', startDate: '', endDate: '', note: '' };
+
+// --- On-Call Schedule Management ---
+// Admins (canEditSchedules) create rotations; anyone given this view can record one-off overrides for swaps.
+function OnCallScheduleManagement({ schedules, users, skills, canEditSchedules = false, db }) {
+  const { currentUser } = useFirebase(); // Recorded as the actor in audit entries
+  const now = useNow();
+  const [formData, setFormData] = useState(createEmptySchedule());
+  const [editingSchedule, setEditingSchedule] = useState(null); // Schedule object if editing
+  const [participantToAdd, setParticipantToAdd] = useState('');
+  const [overrideForms, setOverrideForms] = useState({}); // scheduleId -> override form
+  const [scheduleToDelete, setScheduleToDelete] = useState(null);
+  const [message, setMessage] = useState('');
+
+  const timeZoneOptions = getTimeZoneOptions();
+  const rotaUsers = users.filter(u => u.role === 'Engineer' || u.role === 'Manager');
+  const userName = (userId) => users.find(u => u.id === userId)?.name || 'Unknown user';
+
+  const resetForm = () => {
+    setEditingSchedule(null);
+    setFormData(createEmptySchedule());
+    setParticipantToAdd('');
+  };
+
+  const handleEditClick = (schedule) => {
+    setEditingSchedule(schedule);
+    setFormData({
+      name: schedule.name || '',
+      skillId: schedule.skillId || '',
+      participantIds: schedule.participantIds || [],
+      rotationDays: schedule.rotationDays || 7,
+      handoffTime: schedule.handoffTime || '09:00',
+      timeZone: schedule.timeZone || getBrowserTimeZone(),
+      startDate: schedule.startDate || toDateString(new Date()),
+    });
+  };
+
+  const moveParticipant = (index, direction) => {
+    const participantIds = [...formData.participantIds];
+    const target = index + direction;
+    if (target < 0 || target >= participantIds.length) return;
+    [participantIds[index], participantIds[target]] = [participantIds[target], participantIds[index]];
+    setFormData(prev => ({ ...prev, participantIds }));
+  };
+
+  const handleAddParticipant = () => {
+    if (!participantToAdd || formData.participantIds.includes(participantToAdd)) return;
+    setFormData(prev => ({ ...prev, participantIds: [...prev.participantIds, participantToAdd] }));
+    setParticipantToAdd('');
+  };
+
+  const handleSaveSchedule = async (e) => {
+    e.preventDefault();
+    const rotationDays = parseInt(formData.rotationDays, 10);
+    if (formData.name.trim() === '' || !formData.skillId || formData.participantIds.length === 0 || !(rotationDays > 0) || !formData.startDate) {
+      setMessage('Name, skill, start date, a rotation length of at least 1 day and at least one participant are required.');
+      return;
+    }
+    const scheduleData = { ...formData, name: formData.name.trim(), rotationDays };
+    try {
+      const batch = writeBatch(db);
+      if (editingSchedule) {
+        const scheduleDocRef = doc(db, `artifacts/${appId}/public/data/onCallSchedules`, editingSchedule.id);
+        batch.update(scheduleDocRef, scheduleData);
+        addAuditEntry(batch, db, currentUser, { action: 'on-call.update', targetType: 'onCallSchedule', targetId: editingSchedule.id, targetLabel: scheduleData.name, before: editingSchedule, after: scheduleData });
+        await batch.commit();
+        setMessage('On-call schedule updated successfully!');
+      } else {
+        const scheduleDocRef = doc(collection(db, `artifacts/${appId}/public/data/onCallSchedules`));
+        const newSchedule = { ...scheduleData, overrides: [] };
+        batch.set(scheduleDocRef, newSchedule);
+        addAuditEntry(batch, db, currentUser, { action: 'on-call.create', targetType: 'onCallSchedule', targetId: scheduleDocRef.id, targetLabel: scheduleData.name, after: newSchedule });
+        await batch.commit();
+        setMessage('On-call schedule added successfully!');
+      }
+      resetForm();
+      setTimeout(() => setMessage(''), 3000);
+    } catch (error) {
+      console.error("Error saving on-call schedule:", error);
+      setMessage(`Error saving on-call schedule: ${error.message}`);
+    }
+  };
+
+  const confirmDeleteSchedule = async () => {
+    try {
+      const batch = writeBatch(db);
+      const scheduleDocRef = doc(db, `artifacts/${appId}/public/data/onCallSchedules`, scheduleToDelete.id);
+      batch.delete(scheduleDocRef);
+      addAuditEntry(batch, db, currentUser, { action: 'on-call.delete', targetType: 'onCallSchedule', targetId: scheduleToDelete.id, targetLabel: scheduleToDelete.name, before: scheduleToDelete });
+      await batch.commit();
+      setMessage('On-call schedule deleted successfully!');
+      setTimeout(() => setMessage(''), 3000);
+    } catch (error) {
+      console.error("Error deleting on-call schedule:", error);
+      setMessage(`Error deleting on-call schedule: ${error.message}`);
+    }
+    setScheduleToDelete(null);
+  };
+
+  const updateOverrideForm = (scheduleId, changes) => {
+    setOverrideForms(prev => ({ ...prev, [scheduleId]: { ...(prev[scheduleId] || emptyOverride), ...changes } }));
+  };
+
+  const handleAddOverride = async (schedule) => {
+    const override = overrideForms[schedule.id] || emptyOverride;
+    const endDate = override.endDate || override.startDate;
+    if (!override.userId || !override.startDate || endDate < override.startDate) {
+      setMessage('Please choose who is covering and a valid date range for the override.');
+      return;
+    }
+    try {
+      const scheduleDocRef = doc(db, `artifacts/${appId}/public/data/onCallSchedules`, schedule.id);
+      const newOverride = { ...override, endDate, note: override.note.trim(), id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}` };
+      const updates = { overrides: [...(schedule.overrides || []), newOverride] };
+      const batch = writeBatch(db);
+      batch.update(scheduleDocRef, updates);
+      addAuditEntry(batch, db, currentUser, { action: 'on-call.update', targetType: 'onCallSchedule', targetId: schedule.id, targetLabel: schedule.name, before: schedule, after: updates });
+      await batch.commit();
+      setOverrideForms(prev => ({ ...prev, [schedule.id]: emptyOverride }));
+      setMessage('Override added successfully!');
+      setTimeout(() => setMessage(''), 3000);
+    } catch (error) {
+      console.error("Error adding on-call override:", error);
+      setMessage(`Error adding on-call override: ${error.message}`);
+    }
+  };
+
+  const handleRemoveOverride = async (schedule, overrideId) => {
+    try {
+      const scheduleDocRef = doc(db, `artifacts/${appId}/public/data/onCallSchedules`, schedule.id);
+      const updates = { overrides: (schedule.overrides || []).filter(o => o.id !== overrideId) };
+      const batch = writeBatch(db);
+      batch.update(scheduleDocRef, updates);
+      addAuditEntry(batch, db, currentUser, { action: 'on-call.update', targetType: 'onCallSchedule', targetId: schedule.id, targetLabel: schedule.name, before: schedule, after: updates });
+      await batch.commit();
+      setMessage('Override removed.');
+      setTimeout(() => setMessage(''), 3000);
+    } catch (error) {
+      console.error("Error removing on-call override:", error);
+      setMessage(`Error removing on-call override: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md">
+      <h3 className="text-2xl font-semibold mb-4 text-gray-800">On-Call Schedules</h3>
+
+      {message && (
+        <div className={`p-3 mb-4 rounded-md text-white ${message.includes('Error') ? 'bg-red-500' : 'bg-green-500'}`}>
+          {message}
+        </div>
+      )}
+
+      {canEditSchedules && (
+        <form onSubmit={handleSaveSchedule} className="mb-8 space-y-4 border border-gray-200 rounded-lg p-4 bg-gray-50">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            <div>
+              <label htmlFor="onCallName" className="block text-sm font-medium text-gray-700">Name</label>
+              <input
+                type="text"
+                id="onCallName"
+                value={formData.name}
+                onChange={(e) => setFormData(prev => ({ ...prev, name: e.target.value }))}
+                className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+            </div>
+            <div>
+              <label htmlFor="onCallSkill" className="block text-sm font-medium text-gray-700">Skill Area</label>
+              <SkillPicker
+                id="onCallSkill"
+                skills={skills}
+                value={formData.skillId}
+                onChange={(skillId) => setFormData(prev => ({ ...prev, skillId }))}
+                className="mt-1"
+              />
+            </div>
+            <div>
+              <label htmlFor="onCallTimeZone" className="block text-sm font-medium text-gray-700">Time Zone</label>
+              <select
+                id="onCallTimeZone"
+                value={formData.timeZone}
+                onChange={(e) => setFormData(prev => ({ ...prev, timeZone: e.target.value }))}
+                className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
+              >
+                {!timeZoneOptions.includes(formData.timeZone) && <option value={formData.timeZone}>{formData.timeZone}</option>}
+                {timeZoneOptions.map(zone => (
+                  <option key={zone} value={zone}>{zone}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="onCallStart" className="block text-sm font-medium text-gray-700">First Handoff Date</label>
+              <input
+                type="date"
+                id="onCallStart"
+                value={formData.startDate}
+                onChange={(e) => setFormData(prev => ({ ...prev, startDate: e.target.value }))}
+                className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+            </div>
+            <div>
+              <label htmlFor="onCallHandoff" className="block text-sm font-medium text-gray-700">Handoff Time</label>
+              <input
+                type="time"
+                id="onCallHandoff"
+                value={formData.handoffTime}
+                onChange={(e) => setFormData(prev => ({ ...prev, handoffTime: e.target.value }))}
+                className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+            </div>
+            <div>
+              <label htmlFor="onCallRotation" className="block text-sm font-medium text-gray-700">Rotation Length (days)</label>
+              <input
+                type="number"
+                id="onCallRotation"
+                min="1"
+                value={formData.rotationDays}
+                onChange={(e) => setFormData(prev => ({ ...prev, rotationDays: e.target.value }))}
+                className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+            </div>
+          </div>
+
+          <div>
+            <h4 className="block text-sm font-medium text-gray-700 mb-1">Participants (in rotation order)</h4>
+            <ol className="space-y-1 mb-2">
+              {formData.participantIds.map((userId, index) => {
+                const participant = users.find(u => u.id === userId);
+                const hasSkill = holdsSkill(participant, formData.skillId, skills);
+                return (
+                  <li key={userId} className="flex items-center space-x-2 text-sm bg-white p-2 rounded-md border border-gray-200">
+                    <span className="w-6 text-gray-500">{index + 1}.</span>
+                    <span className="flex-grow">
+                      {participant?.name || 'Unknown user'}
+                      {formData.skillId && !hasSkill && <span className="ml-2 text-xs text-yellow-700">(missing skill)</span>}
+                    </span>
+                    <button type="button" onClick={() => moveParticipant(index, -1)} className="text-gray-600 hover:text-gray-900">&uarr;</button>
+                    <button type="button" onClick={() => moveParticipant(index, 1)} className="text-gray-600 hover:text-gray-900">&darr;</button>
+                    <button
+                      type="button"
+                      onClick={() => setFormData(prev => ({ ...prev, participantIds: prev.participantIds.filter(id => id !== userId) }))}
+                      className="text-red-500 hover:text-red-700"
+                    >
+                      Remove
+                    </button>
+                  </li>
+                );
+              })}
+            </ol>
+            <div className="flex space-x-2">
+              <select
+                value={participantToAdd}
+                onChange={(e) => setParticipantToAdd(e.target.value)}
+                className="flex-grow border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
+              >
+                <option value="">-- Add a participant --</option>
+                {rotaUsers.filter(u => !formData.participantIds.includes(u.id)).map(user => (
+                  <option key={user.id} value={user.id}>
+                    {user.name}{formData.skillId && holdsSkill(user, formData.skillId, skills) ? ' ✓' : ''}
+                  </option>
+                ))}
+              </select>
+              <button
+                type="button"
+                onClick={handleAddParticipant}
+                className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 transition duration-200 ease-in-out shadow-sm"
+              >
+                Add
+              </button>
+            </div>
+          </div>
+
+          <div className="flex space-x-3">
+            <button
+              type="submit"
+              className="px-5 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition duration-200 ease-in-out shadow-md"
+            >
+              {editingSchedule ? 'Update Schedule' : 'Add Schedule'}
+            </button>
+            {editingSchedule && (
+              <button
+                type="button"
+                onClick={resetForm}
+                className="px-5 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 transition duration-200 ease-in-out shadow-sm"
+              >
+                Cancel Edit
+              </button>
+            )}
+          </div>
+        </form>
+      )}
+
+      {(schedules || []).length === 0 ? (
+        <p className="text-gray-600">No on-call schedules defined yet.</p>
+      ) : (
+        <div className="space-y-6">
+          {schedules.map(schedule => {
+            const current = getCurrentOnCall(schedule, users, now);
+            let upcoming = [];
+            try {
+              const today = getOnCallDay(schedule, now);
+              upcoming = getOnCallPeriods(schedule, users, addDays(today, 1), addDays(today, 42))
+                .filter(period => !current || period.startDay > current.endDay)
+                .slice(0, 5);
+            } catch (error) {
+              upcoming = []; // Invalid zone name
+            }
+            const overrideForm = overrideForms[schedule.id] || emptyOverride;
+            return (
+              <div key={schedule.id} className="border border-gray-200 rounded-lg p-5 bg-gray-50 shadow-sm">
+                <div className="flex items-start justify-between">
+                  <div>
+                    <h4 className="text-xl font-bold text-blue-700">{schedule.name}</h4>
+                    <p className="text-sm text-gray-600">
+                      {skills.find(s => s.id === schedule.skillId)?.name || 'No skill'} &middot; {schedule.rotationDays}-day rotation, handoff {schedule.handoffTime} ({schedule.timeZone})
+                    </p>
+                    <p className="text-sm text-gray-600">Order: {(schedule.participantIds || []).map(userName).join(' → ') || 'None'}</p>
+                  </div>
+                  {canEditSchedules && (
+                    <div className="text-sm font-medium whitespace-nowrap">
+                      <button onClick={() => handleEditClick(schedule)} className="text-blue-600 hover:text-blue-900 mr-3">Edit</button>
+                      <button onClick={() => setScheduleToDelete(schedule)} className="text-red-600 hover:text-red-900">Delete</button>
+                    </div>
+                  )}
+                </div>
+
+                <p className="mt-3 text-sm">
+                  <strong className="text-gray-700">On call now:</strong>{' '}
+                  {current ? `${userName(current.userId)}, ${formatOnCallPeriod(schedule, current)}` : 'Nobody'}
+                  {current?.coveringFor && <span className="text-yellow-700"> (covering for {userName(current.coveringFor)})</span>}
+                </p>
+                {upcoming.length > 0 && (
+                  <ul className="mt-1 text-sm text-gray-600 list-disc list-inside">
+                    {upcoming.map(period => (
+                      <li key={period.startDay}>
+                        {userName(period.userId)}: {formatOnCallPeriod(schedule, period)}
+                        {period.source === 'override' && ' (override)'}
+                        {period.coveringFor && ` (covering for ${userName(period.coveringFor)}'s leave)`}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+
+                <h5 className="text-sm font-semibold text-gray-700 mt-4 mb-1">Overrides</h5>
+                <ul className="space-y-1 text-sm mb-2">
+                  {(schedule.overrides || []).map(override => (
+                    <li key={override.id} className="flex items-center justify-between bg-white p-2 rounded-md border border-gray-200">
+                      <span>
+                        {userName(override.userId)}: {override.startDate}{override.endDate !== override.startDate ? ` – ${override.endDate}` : ''}
+                        {override.note && <span className="text-gray-500"> &middot; {override.note}</span>}
+                      </span>
+                      <button onClick={() => handleRemoveOverride(schedule, override.id)} className="text-red-500 hover:text-red-700">Remove</button>
+                    </li>
+                  ))}
+                  {(schedule.overrides || []).length === 0 && <li className="text-gray-500 italic">No overrides.</li>}
+                </ul>
+                <div className="flex flex-wrap items-end gap-2 text-sm">
+                  <select
+                    value={overrideForm.userId}
+                    onChange={(e) => updateOverrideForm(schedule.id, { userId: e.target.value })}
+                    className="border border-gray-300 rounded-md shadow-sm p-1 focus:ring-blue-500 focus:border-blue-500"
+                  >
+                    <option value="">-- Who covers --</option>
+                    {rotaUsers.map(user => (
+                      <option key={user.id} value={user.id}>{user.name}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="date"
+                    value={overrideForm.startDate}
+                    onChange={(e) => updateOverrideForm(schedule.id, { startDate: e.target.value })}
+                    className="border border-gray-300 rounded-md shadow-sm p-1 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                  <span>to</span>
+                  <input
+                    type="date"
+                    value={overrideForm.endDate}
+                    onChange={(e) => updateOverrideForm(schedule.id, { endDate: e.target.value })}
+                    className="border border-gray-300 rounded-md shadow-sm p-1 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                  <input
+                    type="text"
+                    placeholder="Note (e.g. swap with Alex)"
+                    value={overrideForm.note}
+                    onChange={(e) => updateOverrideForm(schedule.id, { note: e.target.value })}
+                    className="flex-grow border border-gray-300 rounded-md shadow-sm p-1 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                  <button
+                    onClick={() => handleAddOverride(schedule)}
+                    className="px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition duration-200 ease-in-out shadow-sm"
+                  >
+                    Add Override
+                  </button>
+                </div>
+                <p className="text-xs text-gray-500 mt-1">Override dates are on-call days, each starting at the {schedule.handoffTime} handoff.</p>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <Modal isOpen={!!scheduleToDelete} onClose={() => setScheduleToDelete(null)} title="Confirm Deletion">
+        <p className="text-gray-700 mb-6">{`Are you sure you want to delete on-call schedule "${scheduleToDelete?.name}"?`}</p>
+        <div className="flex justify-end space-x-3">
+          <button
+            onClick={() => setScheduleToDelete(null)}
+            className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 transition duration-200 ease-in-out shadow-sm"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={confirmDeleteSchedule}
+            className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 transition duration-200 ease-in-out shadow-md"
+          >
+            Confirm Delete
+          </button>
+        </div>
+      </Modal>
+    </div>
+  );
+}
+
+export { OnCallScheduleManagement };
@@ -0,0 +1,44 @@
+import React from 'react';
+import { useNow } from '../../hooks/useNow.js';
+import { getCurrentOnCall, formatOnCallPeriod } from '../../utils/onCallUtils.js';
+
+// --- Currently On Call ---
+// One line per on-call schedule showing who holds it right now and when they hand off.
+function OnCallSummary({ schedules, users, skills }) {
+  const now = useNow();
+
+  if ((schedules || []).length === 0) return null;
+
+  return (
+    <div className="mb-6 border border-gray-200 rounded-lg p-4 bg-gray-50 shadow-sm">
+      <h4 className="text-lg font-semibold text-gray-700 mb-2">Currently On Call</h4>
+      <ul className="space-y-1 text-sm">
+        {schedules.map(schedule => {
+          const period = getCurrentOnCall(schedule, users, now);
+          const person = period ? users.find(u => u.id === period.userId) : null;
+          const coveringFor = period?.coveringFor ? users.find(u => u.id === period.coveringFor) : null;
+          return (
+            <li key={schedule.id} className="flex flex-wrap items-center gap-2">
+              <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-purple-100 text-purple-800">
+                {skills.find(s => s.id === schedule.skillId)?.name || 'No skill'}
+              </span>
+              <span className="text-gray-600">{schedule.name}:</span>
+              {period ? (
+                <>
+                  <span className="font-medium text-gray-900">{person?.name || 'Unknown user'}</span>
+                  {period.source === 'override' && <span className="text-xs text-yellow-700">(override)</span>}
+                  {coveringFor && <span className="text-xs text-yellow-700">(covering for {coveringFor.name})</span>}
+                  <span className="text-gray-500">{formatOnCallPeriod(schedule, period)}</span>
+                </>
+              ) : (
+                <span className="text-gray-500 italic">Nobody on call</span>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+export { OnCallSummary };
@@ -1,124 +1,197 @@
-import React from 'react';
+import React, { useState } from 'react';
+import { getOpenSrCount } from '../../utils/srUtils.js';
+import { getLeaveEntries } from '../../utils/leaveUtils.js';
+import { LeaveList } from './LeaveList.js';
+import { ShiftStatusBadge } from './ShiftStatusBadge.js';
+import { describeShiftPattern } from '../../utils/shiftPatternUtils.js';
+import { describeWorkingHours } from '../../utils/workingHoursUtils.js';
+import { OnCallSummary } from './OnCallSummary.js';
+import { SrCountingSettings } from './SrCountingSettings.js';
+import { getSrCountingConfig, getPeriodSrCount } from '../../utils/srPeriodUtils.js';
+import { useRosterFilters } from '../../hooks/useRosterFilters.js';
+import { filterRoster, sortRows, hasActiveFilters, getSrUtilization } from '../../utils/rosterFilterUtils.js';
+import { toDateString } from '../../utils/availabilityUtils.js';
+import { RosterFilterBar } from './RosterFilterBar.js';
+import { SortableHeader } from './SortableHeader.js';
+import { RosterExportMenu } from './RosterExportMenu.js';
+import { formatUserSkills } from '../../utils/skillUtils.js';
+import { buildOrgForest, getAllReports } from '../../utils/orgUtils.js';
+import { groupUsersByTeam, getTeamsForUser, getTeamLeads, getTeamSrCountingConfig, getTeamMinimumHeadcount } from '../../utils/teamUtils.js';
 
 // --- Overall Roster View (Admin & Viewer) ---
-function OverallRosterView({ users, skills }) {
-  // Group users by manager
-  const managers = users.filter(u => u.role === 'Manager');
-  const engineersAndViewers = users.filter(u => u.role === 'Engineer' || u.role === 'Viewer');
+// Grouped by reporting line (managers with their sub-teams nested) or by the team entities in `teams`.
+function OverallRosterView({ users, skills, srs, settings, shiftPatterns, onCallSchedules, teams = [], canEditSettings = false, db }) {
+  const { filters, updateFilter, clearFilters, sort, toggleSort } = useRosterFilters('overall-roster');
+  const [groupBy, setGroupBy] = useState('manager'); // 'manager' or 'team'
+  const visibleUsers = filterRoster(users, filters, shiftPatterns, toDateString(new Date()), skills);
+  const getPeriodCount = (user) => getPeriodSrCount(srs, user.id, getSrCountingConfig(settings, user.managerId || 'all'));
+  const sortUsers = (rows) => sortRows(rows, sort, {
+    name: u => u.name,
+    role: u => u.role,
+    shift: u => describeShiftPattern(u, shiftPatterns),
+    srUtilization: u => (u.role === 'Engineer' ? getSrUtilization(getPeriodCount(u), u.srThreshold || 0) : null),
+  });
+
+  // Group users by manager, with managers of managers holding their sub-teams; while filtering, only teams
+  // with matching members somewhere below them are listed
+  const engineersAndViewers = visibleUsers.filter(u => u.role === 'Engineer' || u.role === 'Viewer');
+  const teamHasMatches = (node) => engineersAndViewers.some(u => u.managerId === node.manager.id) || node.subTeams.some(teamHasMatches);
+  const managerTeams = buildOrgForest(users).filter(node => !hasActiveFilters(filters) || teamHasMatches(node));
+
+  // One table of people; `getCount` gives an Engineer's SRs in the period that applies to this grouping
+  const renderUserTable = (members, emptyText, getCount = getPeriodCount) => (
+    <div className="overflow-x-auto rounded-lg shadow-sm border border-gray-200">
+      <table className="min-w-full divide-y divide-gray-200">
+        <thead className="bg-gray-100">
+          <tr>
+            <SortableHeader label="Name" sortKey="name" sort={sort} onSort={toggleSort} className="text-gray-600" />
+            <SortableHeader label="Role" sortKey="role" sort={sort} onSort={toggleSort} className="text-gray-600" />
+            <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">Working Hours</th>
+            <SortableHeader label="Shift" sortKey="shift" sort={sort} onSort={toggleSort} className="text-gray-600" />
+            <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">Skills</th>
+            <SortableHeader label="SRs This Period / Threshold" sortKey="srUtilization" sort={sort} onSort={toggleSort} className="text-gray-600" />
+            <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">Vacations</th>
+          </tr>
+        </thead>
+        <tbody className="bg-white divide-y divide-gray-200">
+          {sortUsers(members)
+            .map(user => (
+              <tr key={user.id}>
+                <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{user.name}</td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{user.role}</td>
+                <td className="px-6 py-4 text-sm text-gray-600">
+                  <div>{describeWorkingHours(user)}</div>
+                  <ShiftStatusBadge user={user} patterns={shiftPatterns} />
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{describeShiftPattern(user, shiftPatterns)}</td>
+                <td className="px-6 py-4 text-sm text-gray-600">
+                  {formatUserSkills(user, skills) || 'N/A'}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
+                  {user.role === 'Engineer' ? `${getCount(user)} / ${user.srThreshold || 0} (${getOpenSrCount(srs, user.id)} open)` : 'N/A'}
+                </td>
+                <td className="px-6 py-4 text-sm text-gray-600">
+                  <LeaveList entries={getLeaveEntries(user)} />
+                </td>
+              </tr>
+            ))}
+          {members.length === 0 && (
+            <tr>
+              <td colSpan="7" className="px-6 py-4 text-center text-sm text-gray-500">{emptyText}</td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+
+  const renderTeam = (node, depth) => {
+    const members = engineersAndViewers.filter(u => u.managerId === node.manager.id);
+    const subTeams = node.subTeams.filter(sub => !hasActiveFilters(filters) || teamHasMatches(sub));
+    return (
+      <div key={node.manager.id} className={`border border-gray-200 rounded-lg p-5 shadow-sm ${depth % 2 === 0 ? 'bg-gray-50' : 'bg-white'}`}>
+        <h4 className="text-xl font-bold text-blue-700 mb-4">{node.manager.name} (Manager)</h4>
+        <p className="text-sm text-gray-600 mb-3">
+          Email: {node.manager.email}
+          {node.subTeams.length > 0 && ` · ${getAllReports(users, node.manager.id, Infinity).length} people across ${node.subTeams.length + 1} teams`}
+        </p>
+        <h5 className="text-lg font-semibold text-gray-700 mb-3">Team Members:</h5>
+        {renderUserTable(members, node.subTeams.length > 0 ? 'No direct team members; see the teams below.' : 'No team members assigned to this manager yet.')}
+        {subTeams.length > 0 && (
+          <div className="mt-5 ml-4 pl-4 border-l-4 border-blue-200 space-y-5">
+            <h5 className="text-lg font-semibold text-gray-700">{`Teams reporting to ${node.manager.name}:`}</h5>
+            {subTeams.map(sub => renderTeam(sub, depth + 1))}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  // Team grouping: everyone is listed under each team they belong to, counted by that team's SR period
+  const teamGroups = groupUsersByTeam(visibleUsers, teams)
+    .filter(group => !hasActiveFilters(filters) || group.members.length > 0);
+  const usersWithoutTeam = visibleUsers.filter(u => getTeamsForUser(teams, u.id).length === 0);
+
+  const renderTeamGroup = ({ team, members }) => {
+    const countingConfig = getTeamSrCountingConfig(settings, team);
+    return (
+      <div key={team.id} className="border border-gray-200 rounded-lg p-5 shadow-sm bg-gray-50">
+        <h4 className="text-xl font-bold text-blue-700 mb-1">{team.name}</h4>
+        {team.description && <p className="text-sm text-gray-600 mb-1">{team.description}</p>}
+        <p className="text-sm text-gray-600 mb-3">
+          {`Leads: ${getTeamLeads(team, users).map(u => u.name).join(', ') || 'None'} · ${(team.memberIds || []).length} members · minimum headcount ${getTeamMinimumHeadcount(team)}`}
+        </p>
+        {renderUserTable(members, 'No members in this team yet.', user => getPeriodSrCount(srs, user.id, countingConfig))}
+      </div>
+    );
+  };
 
   return (
     <div className="bg-white p-6 rounded-lg shadow-md">
       <h3 className="text-2xl font-semibold mb-6 text-gray-800">Overall Team Roster</h3>
 
-      {managers.length === 0 && engineersAndViewers.length === 0 ? (
-        <p className="text-gray-600">No users configured yet. Please add users in User Management.</p>
+      <OnCallSummary schedules={onCallSchedules} users={users} skills={skills} />
+      <SrCountingSettings settings={settings} settingsKey="all" label="Default SR counting period (teams can override)" canEdit={canEditSettings} db={db} />
+      <RosterFilterBar
+        filters={filters}
+        onChange={updateFilter}
+        onClear={clearFilters}
+        users={users}
+        skills={skills}
+        shiftPatterns={shiftPatterns}
+        shownCount={visibleUsers.length}
+        totalCount={users.length}
+      />
+      <div className="flex flex-wrap items-center gap-3 mb-4 text-sm text-gray-700">
+        <label htmlFor="rosterGroupBy" className="font-medium">Group by</label>
+        <select
+          id="rosterGroupBy"
+          value={groupBy}
+          onChange={(e) => setGroupBy(e.target.value)}
+          className="border border-gray-300 rounded-md shadow-sm p-1 focus:ring-blue-500 focus:border-blue-500"
+        >
+          <option value="manager">Manager</option>
+          <option value="team">Team</option>
+        </select>
+      </div>
+      <RosterExportMenu
+        users={sortUsers(visibleUsers)}
+        allUsers={users}
+        skills={skills}
+        srs={srs}
+        settings={settings}
+        shiftPatterns={shiftPatterns}
+        title="Team Roster"
+        filenamePrefix="roster"
+        isFiltered={hasActiveFilters(filters)}
+      />
+
+      {groupBy === 'team' ? (
+        <div className="space-y-8">
+          {(teams || []).length === 0 && <p className="text-gray-600">No teams defined yet.</p>}
+          {teamGroups.map(renderTeamGroup)}
+          {(teams || []).length > 0 && teamGroups.length === 0 && <p className="text-gray-600">No team members match these filters.</p>}
+
+          <div className="border border-gray-200 rounded-lg p-5 bg-gray-50 shadow-sm">
+            <h4 className="text-xl font-bold text-gray-700 mb-4">Not in a Team</h4>
+            {renderUserTable(usersWithoutTeam, 'Everyone shown belongs to a team.')}
+          </div>
+        </div>
+      ) : managerTeams.length === 0 && engineersAndViewers.length === 0 ? (
+        <p className="text-gray-600">
+          {hasActiveFilters(filters) ? 'No users match these filters.' : 'No users configured yet. Please add users in User Management.'}
+        </p>
       ) : (
         <div className="space-y-8">
-          {managers.map(manager => (
-            <div key={manager.id} className="border border-gray-200 rounded-lg p-5 bg-gray-50 shadow-sm">
-              <h4 className="text-xl font-bold text-blue-700 mb-4">{manager.name} (Manager)</h4>
-              <p className="text-sm text-gray-600 mb-3">Email: {manager.email}</p>
-              <h5 className="text-lg font-semibold text-gray-700 mb-3">Team Members:</h5>
-              <div className="overflow-x-auto rounded-lg shadow-sm border border-gray-200">
-                <table className="min-w-full divide-y divide-gray-200">
-                  <thead className="bg-gray-100">
-                    <tr>
-                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">Name</th>
-                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">Role</th>
-                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">Working Hours</th>
-                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">Shift</th>
-                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">Skills</th>
-                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">SRs (Current/Threshold)</th>
-                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">Vacations</th>
-                    </tr>
-                  </thead>
-                  <tbody className="bg-white divide-y divide-gray-200">
-                    {engineersAndViewers
-                      .filter(u => u.managerId === manager.id)
-                      .map(user => (
-                        <tr key={user.id}>
-                          <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{user.name}</td>
-                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{user.role}</td>
-                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{user.workingHours || 'N/A'}</td>
-                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{user.shiftPattern || 'N/A'}</td>
-                          <td className="px-6 py-4 text-sm text-gray-600">
-                            {(user.skills || []).map(skillId => skills.find(s => s.id === skillId)?.name).filter(Boolean).join(', ') || 'N/A'}
-                          </td>
-                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
-                            {user.role === 'Engineer' ? `${user.currentSrCount || 0} / ${user.srThreshold || 0}` : 'N/A'}
-                          </td>
-                          <td className="px-6 py-4 text-sm text-gray-600">
-                            {(user.vacationDates || []).length > 0 ? (
-                              <ul className="list-disc list-inside">
-                                {user.vacationDates.map((date, idx) => (
-                                  <li key={idx}>{date}</li>
-                                ))}
-                              </ul>
-                            ) : 'None'}
-                          </td>
-                        </tr>
-                      ))}
-                    {engineersAndViewers.filter(u => u.managerId === manager.id).length === 0 && (
-                      <tr>
-                        <td colSpan="7" className="px-6 py-4 text-center text-sm text-gray-500">No team members assigned to this manager yet.</td>
-                      </tr>
-                    )}
-                  </tbody>
-                </table>
-              </div>
-            </div>
-          ))}
+          {managerTeams.map(node => renderTeam(node, 0))}
 
           {/* Users without a manager (Admins, Managers not listed above, or unassigned Engineers/Viewers) */}
           <div className="border border-gray-200 rounded-lg p-5 bg-gray-50 shadow-sm">
             <h4 className="text-xl font-bold text-gray-700 mb-4">Other Users (Admins, Unassigned)</h4>
-            <div className="overflow-x-auto rounded-lg shadow-sm border border-gray-200">
-              <table className="min-w-full divide-y divide-gray-200">
-                <thead className="bg-gray-100">
-                  <tr>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">Name</th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">Role</th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">Working Hours</th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">Shift</th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">Skills</th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">SRs (Current/Threshold)</th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">Vacations</th>
-                  </tr>
-                </thead>
-                <tbody className="bg-white divide-y divide-gray-200">
-                  {users
-                    .filter(u => u.role === 'Admin' || (u.role !== 'Manager' && !u.managerId)) // Admins or engineers/viewers without manager
-                    .map(user => (
-                      <tr key={user.id}>
-                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{user.name}</td>
-                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{user.role}</td>
-                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{user.workingHours || 'N/A'}</td>
-                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{user.shiftPattern || 'N/A'}</td>
-                        <td className="px-6 py-4 text-sm text-gray-600">
-                          {(user.skills || []).map(skillId => skills.find(s => s.id === skillId)?.name).filter(Boolean).join(', ') || 'N/A'}
-                        </td>
-                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
-                          {user.role === 'Engineer' ? `${user.currentSrCount || 0} / ${user.srThreshold || 0}` : 'N/A'}
-                        </td>
-                        <td className="px-6 py-4 text-sm text-gray-600">
-                          {(user.vacationDates || []).length > 0 ? (
-                            <ul className="list-disc list-inside">
-                              {user.vacationDates.map((date, idx) => (
-                                <li key={idx}>{date}</li>
-                              ))}
-                            </ul>
-                          ) : 'None'}
-                        </td>
-                      </tr>
-                    ))}
-                  {users.filter(u => u.role === 'Admin' || (u.role !== 'Manager' && !u.managerId)).length === 0 && (
-                    <tr>
-                      <td colSpan="7" className="px-6 py-4 text-center text-sm text-gray-500">No other unassigned users.</td>
-                    </tr>
-                  )}
-                </tbody>
-              </table>
-            </div>
+            {renderUserTable(
+              visibleUsers.filter(u => u.role === 'Admin' || (u.role !== 'Manager' && !u.managerId)), // Admins or engineers/viewers without manager
+              'No other unassigned users.',
+            )}
           </div>
         </div>
       )}
@@ -0,0 +1,61 @@
+import React, { useState } from 'react';
+import { useFirebase } from '../../hooks/useFirebase.js';
+import { toCsv, downloadFile } from '../../utils/csvUtils.js';
+import { toXlsx } from '../../utils/xlsxUtils.js';
+import { toDateString } from '../../utils/availabilityUtils.js';
+import { ROSTER_EXPORT_COLUMNS, getExportableUsers, buildRosterExportRows, buildRosterPrintHtml } from '../../utils/rosterExportUtils.js';
+
+const buttonClassName = 'px-3 py-1 bg-gray-200 text-gray-800 text-sm rounded-md hover:bg-gray-300 transition duration-200 ease-in-out shadow-sm disabled:opacity-50';
+
+// --- Roster Export Actions ---
+// CSV, XLSX and print/PDF downloads of exactly the users a roster table is showing (`users` is the
+// filtered, sorted list). Managers only ever get their own team, whatever list they pass in.
+function RosterExportMenu({ users, allUsers, skills, srs, settings, shiftPatterns, title, filenamePrefix, isFiltered = false }) {
+  const { currentUser } = useFirebase();
+  const [error, setError] = useState('');
+
+  const today = toDateString(new Date());
+  const exportableUsers = getExportableUsers(users, currentUser, allUsers);
+  const buildRows = () => buildRosterExportRows(exportableUsers, { allUsers, skills, srs, settings, shiftPatterns, today });
+  const filename = (extension) => `${filenamePrefix}-${today}.${extension}`;
+
+  const handlePrint = () => {
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+      setError('Allow pop-ups for this site to open the printable roster.');
+      return;
+    }
+    setError('');
+    const subtitle = `Generated ${new Date().toLocaleString()} · ${exportableUsers.length} people${isFiltered ? ' · filtered view' : ''}`;
+    printWindow.document.write(buildRosterPrintHtml(buildRows(), { title, subtitle }));
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-4">
+      <span className="text-sm text-gray-600">Export {exportableUsers.length} {exportableUsers.length === 1 ? 'person' : 'people'}:</span>
+      <button
+        onClick={() => downloadFile(filename('csv'), toCsv(buildRows(), ROSTER_EXPORT_COLUMNS))}
+        disabled={exportableUsers.length === 0}
+        className={buttonClassName}
+      >
+        CSV
+      </button>
+      <button
+        onClick={() => downloadFile(filename('xlsx'), toXlsx(buildRows(), ROSTER_EXPORT_COLUMNS, title))}
+        disabled={exportableUsers.length === 0}
+        className={buttonClassName}
+      >
+        XLSX
+      </button>
+      <button onClick={handlePrint} disabled={exportableUsers.length === 0} className={buttonClassName}>
+        Print / PDF
+      </button>
+      {error && <span className="text-sm text-red-600">{error}</span>}
+    </div>
+  );
+}
+
+export { RosterExportMenu };
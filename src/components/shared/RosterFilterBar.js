@@ -0,0 +1,95 @@
+import React from 'react';
+import { ROSTER_ROLES, hasActiveFilters } from '../../utils/rosterFilterUtils.js';
+import { groupSkillsByCategory } from '../../utils/skillUtils.js';
+
+const selectClassName = 'mt-1 block border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500';
+
+// --- Roster Filter Bar ---
+// Search and facet filters shared by the roster tables. `facets` lists which selects to show
+// (e.g. a manager's own team has no use for the manager facet).
+function RosterFilterBar({ filters, onChange, onClear, users, skills, shiftPatterns, facets = ['role', 'manager', 'skill', 'shiftPattern', 'availableToday'], shownCount, totalCount }) {
+  const managers = users.filter(u => u.role === 'Manager');
+
+  return (
+    <div className="mb-4">
+      <div className="flex flex-wrap items-end gap-3">
+        <div className="flex-1 min-w-[12rem]">
+          <label htmlFor="rosterSearch" className="block text-sm font-medium text-gray-700">Search</label>
+          <input
+            type="search"
+            id="rosterSearch"
+            value={filters.search}
+            onChange={(e) => onChange('search', e.target.value)}
+            placeholder="Name or email"
+            className={`${selectClassName} w-full`}
+          />
+        </div>
+        {facets.includes('role') && (
+          <div>
+            <label htmlFor="rosterRole" className="block text-sm font-medium text-gray-700">Role</label>
+            <select id="rosterRole" value={filters.role} onChange={(e) => onChange('role', e.target.value)} className={selectClassName}>
+              <option value="">All roles</option>
+              {ROSTER_ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+            </select>
+          </div>
+        )}
+        {facets.includes('manager') && (
+          <div>
+            <label htmlFor="rosterManager" className="block text-sm font-medium text-gray-700">Manager</label>
+            <select id="rosterManager" value={filters.managerId} onChange={(e) => onChange('managerId', e.target.value)} className={selectClassName}>
+              <option value="">All managers</option>
+              <option value="none">No manager</option>
+              {managers.map(manager => <option key={manager.id} value={manager.id}>{manager.name}</option>)}
+            </select>
+          </div>
+        )}
+        {facets.includes('skill') && (
+          <div>
+            <label htmlFor="rosterSkill" className="block text-sm font-medium text-gray-700">Skill</label>
+            <select id="rosterSkill" value={filters.skillId} onChange={(e) => onChange('skillId', e.target.value)} className={selectClassName}>
+              <option value="">All skills</option>
+              {groupSkillsByCategory(skills).map(group => (
+                <optgroup key={group.category} label={group.category}>
+                  {group.skills.map(skill => <option key={skill.id} value={skill.id}>{skill.path}</option>)}
+                </optgroup>
+              ))}
+            </select>
+          </div>
+        )}
+        {facets.includes('shiftPattern') && (
+          <div>
+            <label htmlFor="rosterShiftPattern" className="block text-sm font-medium text-gray-700">Shift Pattern</label>
+            <select id="rosterShiftPattern" value={filters.shiftPatternId} onChange={(e) => onChange('shiftPatternId', e.target.value)} className={selectClassName}>
+              <option value="">All patterns</option>
+              <option value="none">No pattern</option>
+              {(shiftPatterns || []).map(pattern => <option key={pattern.id} value={pattern.id}>{pattern.name}</option>)}
+            </select>
+          </div>
+        )}
+        {facets.includes('availableToday') && (
+          <label className="flex items-center mb-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={filters.availableToday}
+              onChange={(e) => onChange('availableToday', e.target.checked)}
+              className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+            />
+            <span className="ml-2">Available today</span>
+          </label>
+        )}
+        <button
+          onClick={onClear}
+          disabled={!hasActiveFilters(filters)}
+          className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 transition duration-200 ease-in-out shadow-sm disabled:opacity-50"
+        >
+          Clear Filters
+        </button>
+      </div>
+      {totalCount !== undefined && (
+        <p className="mt-2 text-sm text-gray-500">Showing {shownCount} of {totalCount}.</p>
+      )}
+    </div>
+  );
+}
+
+export { RosterFilterBar };
@@ -0,0 +1,25 @@
+import React from 'react';
+import { useNow } from '../../hooks/useNow.js';
+import { getCurrentShiftStatus } from '../../utils/shiftPatternUtils.js';
+
+// --- On Shift / Off Shift Badge ---
+// Shows whether the user is on shift right now (pattern, override or weekly hours), plus their local time.
+function ShiftStatusBadge({ user, patterns }) {
+  const now = useNow();
+  const { onShift, localTime, timeZone, shiftLabel } = getCurrentShiftStatus(user, patterns, now);
+
+  if (onShift === null) {
+    return <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-600">Hours unknown</span>;
+  }
+
+  return (
+    <span className="inline-flex items-center whitespace-nowrap" title={timeZone}>
+      <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${onShift ? 'bg-green-100 text-green-800' : 'bg-gray-200 text-gray-700'}`}>
+        {onShift ? `On shift${shiftLabel ? ` (${shiftLabel})` : ''}` : 'Off shift'}
+      </span>
+      <span className="ml-2 text-xs text-gray-500">{localTime} local</span>
+    </span>
+  );
+}
+
+export { ShiftStatusBadge };
@@ -0,0 +1,56 @@
+import React, { useState } from 'react';
+import { groupSkillsByCategory, matchesSkillSearch } from '../../utils/skillUtils.js';
+
+const inputClassName = 'block w-full border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500';
+
+// --- Skill Picker ---
+// A select grouped by category with a search box that matches names, parents, categories, descriptions and
+// aliases. `value` is a skill ID (or an array of them when `multiple`) and `onChange` receives the same shape.
+// Retired skills and `excludeIds` are not offered, but a skill that is already selected always stays listed.
+function SkillPicker({ id, skills, value, onChange, multiple = false, excludeIds = [], placeholder = '-- Select a Skill --', className = '' }) {
+  const [search, setSearch] = useState('');
+  const selectedIds = multiple ? value || [] : [value].filter(Boolean);
+
+  const offered = (skills || []).filter(skill => selectedIds.includes(skill.id)
+    || (!skill.retired && !excludeIds.includes(skill.id) && matchesSkillSearch(skill, skills, search)));
+  const groups = groupSkillsByCategory(offered, skills);
+
+  const handleChange = (e) => {
+    if (multiple) onChange(Array.from(e.target.selectedOptions).map(option => option.value));
+    else onChange(e.target.value);
+  };
+
+  return (
+    <div className={className}>
+      <input
+        type="search"
+        value={search}
+        onChange={(e) => setSearch(e.target.value)}
+        placeholder="Search skills..."
+        aria-label="Search skills"
+        className={`${inputClassName} mb-1 text-sm`}
+      />
+      <select
+        id={id}
+        multiple={multiple}
+        value={multiple ? selectedIds : value || ''}
+        onChange={handleChange}
+        className={`${inputClassName} ${multiple ? 'h-32' : ''}`}
+      >
+        {!multiple && <option value="">{placeholder}</option>}
+        {groups.map(group => (
+          <optgroup key={group.category} label={group.category}>
+            {group.skills.map(skill => (
+              <option key={skill.id} value={skill.id} title={skill.description || undefined}>
+                {skill.path}{skill.retired ? ' (retired)' : ''}
+              </option>
+            ))}
+          </optgroup>
+        ))}
+      </select>
+      {search && offered.length === selectedIds.length && <p className="text-xs text-gray-500 mt-1">No skills match "{search}".</p>}
+    </div>
+  );
+}
+
+export { SkillPicker };
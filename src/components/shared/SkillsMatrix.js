@@ -0,0 +1,247 @@
+import React, { useState } from 'react';
+import { doc, writeBatch } from 'firebase/firestore';
+import { appId } from '../../config/firebase.js';
+import { toDateString } from '../../utils/availabilityUtils.js';
+import { formatLeaveRange } from '../../utils/leaveUtils.js';
+import { addAuditEntry } from '../../utils/auditUtils.js';
+import { useFirebase } from '../../hooks/useFirebase.js';
+import { useSkillSnapshots } from '../../hooks/useSkillSnapshots.js';
+import { SkillPicker } from './SkillPicker.js';
+import { findHeldSkillEntry, getSkillLevelLabel, SKILL_LEVEL_STYLES } from '../../utils/skillUtils.js';
+import {
+  LEAVE_LOOKAHEAD_OPTIONS,
+  DEFAULT_LEAVE_LOOKAHEAD_WEEKS,
+  SKILL_GAP_FLAGS,
+  getSkillTargets,
+  analyzeSkillGaps,
+  toSnapshotMonth,
+  getSkillMatrixPeople,
+  getTrendMonths,
+  getSkillTrend,
+} from '../../utils/skillMatrixUtils.js';
+
+// One heatmap cell: the holder's level, "✓" when unrated and "↳" when held only through a sub-skill
+function SkillMatrixCell({ person, skill, skills }) {
+  const entry = findHeldSkillEntry(person, skill.id, skills);
+  if (!entry) return <td className="px-2 py-2 text-center border border-gray-100" />;
+  const viaSubSkill = entry.skillId !== skill.id;
+  const style = entry.level ? SKILL_LEVEL_STYLES[entry.level] : 'bg-green-50 text-green-800';
+  const title = `${person.name}: ${getSkillLevelLabel(entry.level)}${viaSubSkill ? ` (through ${skills.find(s => s.id === entry.skillId)?.name})` : ''}`;
+  return (
+    <td title={title} className={`px-2 py-2 text-center text-xs font-semibold border border-gray-100 ${style} ${viaSubSkill ? 'opacity-60' : ''}`}>
+      {viaSubSkill ? '↳' : ''}{entry.level || '✓'}
+    </td>
+  );
+}
+
+// --- Skills Matrix Component ---
+// People × skills heatmap for one team, with bus-factor flags, the monthly holder trend and target headcounts.
+// Managers see their own team (`teamKey` is their ID); with `canPickTeam` (Admins) any manager's team or the
+// whole organisation ('all') can be chosen. The trend reads the snapshots recorded by the writes that change people
+// or skills. Without `canEditTargets` (a senior manager looking at a team below them) targets are read-only.
+function SkillsMatrix({ people, users, skills, settings, coverageRules, teamKey, canPickTeam = false, canEditTargets = true, db }) {
+  const { currentUser } = useFirebase(); // Recorded as the actor in audit entries
+  const [selectedTeamKey, setSelectedTeamKey] = useState(teamKey);
+  const [weeks, setWeeks] = useState(DEFAULT_LEAVE_LOOKAHEAD_WEEKS);
+  const [newTarget, setNewTarget] = useState({ skillId: '', value: 1 });
+  const [message, setMessage] = useState('');
+
+  const activeTeamKey = canPickTeam ? selectedTeamKey : teamKey;
+  const managers = (users || []).filter(u => u.role === 'Manager');
+  const teamPeople = activeTeamKey === 'all' || !canPickTeam ? people : getSkillMatrixPeople(users, activeTeamKey);
+  const today = toDateString(new Date());
+  const targets = getSkillTargets(settings, activeTeamKey);
+  const rows = analyzeSkillGaps(teamPeople, skills, { targets, coverageRules, today, weeks });
+  const matrixSkills = [...rows].sort((a, b) => a.path.localeCompare(b.path));
+
+  const { skillSnapshots } = useSkillSnapshots(db, activeTeamKey);
+  const trendMonths = getTrendMonths(toSnapshotMonth(today));
+
+  const saveTarget = async (skill, value) => {
+    const target = Math.max(0, parseInt(value, 10) || 0);
+    try {
+      const batch = writeBatch(db);
+      const settingsDocRef = doc(db, `artifacts/${appId}/public/data/settings`, 'skillTargets');
+      batch.set(settingsDocRef, { targets: { [activeTeamKey]: { [skill.id]: target } } }, { merge: true });
+      addAuditEntry(batch, db, currentUser, {
+        action: 'settings.update',
+        targetType: 'settings',
+        targetId: 'skillTargets',
+        targetLabel: `Target headcount for ${skill.name} (${activeTeamKey})`,
+        before: { [`targets.${activeTeamKey}.${skill.id}`]: targets[skill.id] || 0 },
+        after: { [`targets.${activeTeamKey}.${skill.id}`]: target },
+      });
+      await batch.commit();
+      setMessage('Target saved.');
+      setTimeout(() => setMessage(''), 3000);
+    } catch (error) {
+      console.error("Error saving skill target:", error);
+      setMessage(`Error saving target: ${error.message}`);
+    }
+  };
+
+  const handleAddTarget = async (e) => {
+    e.preventDefault();
+    const skill = skills.find(s => s.id === newTarget.skillId);
+    if (!skill) {
+      setMessage('Please select a skill.');
+      return;
+    }
+    await saveTarget(skill, newTarget.value);
+    setNewTarget({ skillId: '', value: 1 });
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md">
+      <h3 className="text-2xl font-semibold mb-4 text-gray-800">Skills Matrix</h3>
+
+      {message && (
+        <div className={`p-3 mb-4 rounded-md text-white ${message.includes('Error') ? 'bg-red-500' : 'bg-green-500'}`}>
+          {message}
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-end gap-3 mb-4">
+        {canPickTeam && (
+          <div>
+            <label htmlFor="matrixTeam" className="block text-sm font-medium text-gray-700">Team</label>
+            <select
+              id="matrixTeam"
+              value={selectedTeamKey}
+              onChange={(e) => setSelectedTeamKey(e.target.value)}
+              className="mt-1 block border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
+            >
+              <option value="all">Whole organisation</option>
+              {managers.map(manager => <option key={manager.id} value={manager.id}>{`${manager.name}'s team`}</option>)}
+            </select>
+          </div>
+        )}
+        <div>
+          <label htmlFor="matrixWeeks" className="block text-sm font-medium text-gray-700">Leave look-ahead</label>
+          <select
+            id="matrixWeeks"
+            value={weeks}
+            onChange={(e) => setWeeks(Number(e.target.value))}
+            className="mt-1 block border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
+          >
+            {LEAVE_LOOKAHEAD_OPTIONS.map(option => <option key={option} value={option}>{`Next ${option} weeks`}</option>)}
+          </select>
+        </div>
+        <p className="text-sm text-gray-600">{teamPeople.length} people · {rows.filter(row => row.flags.length > 0).length} skills flagged</p>
+      </div>
+
+      <h4 className="text-lg font-semibold text-gray-800 mb-2">Gaps</h4>
+      <div className="overflow-x-auto rounded-lg shadow-sm border border-gray-200 mb-4">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Skill</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Holders</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Target</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Gap</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider" title={trendMonths.join(', ')}>Trend ({trendMonths.length} months)</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Flags</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {rows.map(row => (
+              <tr key={row.skill.id}>
+                <td className="px-4 py-3 text-sm font-medium text-gray-900">{row.path}</td>
+                <td className="px-4 py-3 text-sm text-gray-700" title={row.holders.map(p => p.name).join(', ')}>{row.holders.length}</td>
+                <td className="px-4 py-3 text-sm text-gray-700">
+                  <input
+                    type="number"
+                    min="0"
+                    defaultValue={row.target}
+                    key={`${activeTeamKey}-${row.skill.id}-${row.target}`}
+                    onBlur={(e) => { if ((parseInt(e.target.value, 10) || 0) !== row.target) saveTarget(row.skill, e.target.value); }}
+                    disabled={!canEditTargets}
+                    aria-label={`Target headcount for ${row.path}`}
+                    className="w-16 border border-gray-300 rounded-md shadow-sm p-1 focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-100"
+                  />
+                </td>
+                <td className={`px-4 py-3 text-sm ${row.gap > 0 ? 'text-red-700 font-semibold' : 'text-gray-500'}`}>{row.gap > 0 ? `−${row.gap}` : '—'}</td>
+                <td className="px-4 py-3 text-sm text-gray-700 whitespace-nowrap">
+                  {getSkillTrend(skillSnapshots, row.skill.id, trendMonths).map(point => (
+                    <span key={point.month} title={point.month} className="inline-block w-6 text-center">{point.count ?? '·'}</span>
+                  ))}
+                </td>
+                <td className="px-4 py-3 text-sm">
+                  {row.flags.map(flag => (
+                    <span key={flag} className={`mr-1 px-2 py-0.5 rounded-full text-xs ${SKILL_GAP_FLAGS[flag].style}`}>{SKILL_GAP_FLAGS[flag].label}</span>
+                  ))}
+                  {row.awayRanges.length > 0 && (
+                    <p className="text-xs text-gray-600 mt-1">{row.awayRanges.map(range => formatLeaveRange(range)).join(', ')}</p>
+                  )}
+                </td>
+              </tr>
+            ))}
+            {rows.length === 0 && (
+              <tr>
+                <td colSpan="6" className="px-4 py-4 text-center text-sm text-gray-500">Nobody on this team has skills recorded yet.</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {canEditTargets && (
+      <form onSubmit={handleAddTarget} className="mb-6 flex flex-wrap items-end gap-3">
+        <div>
+          <label htmlFor="targetSkill" className="block text-sm font-medium text-gray-700">Set a target for another skill</label>
+          <SkillPicker
+            id="targetSkill"
+            skills={skills}
+            value={newTarget.skillId}
+            onChange={(skillId) => setNewTarget(prev => ({ ...prev, skillId }))}
+            excludeIds={rows.map(row => row.skill.id)}
+            className="mt-1"
+          />
+        </div>
+        <div>
+          <label htmlFor="targetValue" className="block text-sm font-medium text-gray-700">People needed</label>
+          <input
+            type="number"
+            id="targetValue"
+            min="1"
+            value={newTarget.value}
+            onChange={(e) => setNewTarget(prev => ({ ...prev, value: e.target.value }))}
+            className="mt-1 block w-24 border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
+          />
+        </div>
+        <button
+          type="submit"
+          className="px-5 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition duration-200 ease-in-out shadow-md"
+        >
+          Set Target
+        </button>
+      </form>
+      )}
+
+      <h4 className="text-lg font-semibold text-gray-800 mb-2">Heatmap</h4>
+      <p className="text-xs text-gray-500 mb-2">Numbers are levels 1–4, ✓ is held but unrated and ↳ is held through a more specific sub-skill.</p>
+      <div className="overflow-x-auto rounded-lg shadow-sm border border-gray-200">
+        <table className="min-w-full border-collapse">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider sticky left-0 bg-gray-50">Person</th>
+              {matrixSkills.map(row => (
+                <th key={row.skill.id} title={row.path} className="px-2 py-2 text-xs font-medium text-gray-600 whitespace-nowrap">{row.skill.name}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {[...teamPeople].sort((a, b) => (a.name || '').localeCompare(b.name || '')).map(person => (
+              <tr key={person.id}>
+                <td className="px-4 py-2 text-sm text-gray-900 whitespace-nowrap sticky left-0 bg-white">{person.name}</td>
+                {matrixSkills.map(row => <SkillMatrixCell key={row.skill.id} person={person} skill={row.skill} skills={skills} />)}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export { SkillsMatrix };
@@ -0,0 +1,22 @@
+import React from 'react';
+
+// --- Sortable Table Header ---
+// A <th> that sorts its table by `sortKey` when clicked and shows the current direction.
+function SortableHeader({ label, sortKey, sort, onSort, className = 'text-gray-500' }) {
+  const isActive = sort?.key === sortKey;
+  return (
+    <th
+      className={`px-6 py-3 text-left text-xs font-medium uppercase tracking-wider ${className}`}
+      aria-sort={isActive ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none'}
+    >
+      <button type="button" onClick={() => onSort(sortKey)} className="inline-flex items-center uppercase tracking-wider hover:text-gray-900">
+        {label}
+        <span className={`ml-1 ${isActive ? 'text-gray-900' : 'text-gray-300'}`}>
+          {isActive && sort.direction === 'desc' ? '▼' : '▲'}
+        </span>
+      </button>
+    </th>
+  );
+}
+
+export { SortableHeader };
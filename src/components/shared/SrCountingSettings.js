@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import { doc, writeBatch } from 'firebase/firestore';
+import { appId } from '../../config/firebase.js';
+import { useFirebase } from '../../hooks/useFirebase.js';
+import { addAuditEntry } from '../../utils/auditUtils.js';
+import { SR_COUNTING_TYPES, getSrCountingConfig, getPeriodForDate, formatPeriod } from '../../utils/srPeriodUtils.js';
+import { toDateString } from '../../utils/availabilityUtils.js';
+import { getTeamSrCountingConfig } from '../../utils/teamUtils.js';
+
+// --- SR Counting Period Settings ---
+// Shows (and optionally edits) the counting period stored in `settings/srCounting` under `teams[settingsKey]`,
+// or in the team document's `settings.srCounting` when a `team` is given.
+function SrCountingSettings({ settings, settingsKey, team = null, label = 'SR counting period', canEdit = false, db }) {
+  const { currentUser } = useFirebase(); // Recorded as the actor in audit entries
+  const [message, setMessage] = useState('');
+  const config = team ? getTeamSrCountingConfig(settings, team) : getSrCountingConfig(settings, settingsKey);
+  const currentPeriod = getPeriodForDate(config, toDateString(new Date()));
+
+  const handleChange = async (changes) => {
+    const updated = { ...config, ...changes };
+    try {
+      const batch = writeBatch(db);
+      if (team) {
+        const teamSettings = { ...(team.settings || {}), srCounting: updated };
+        batch.update(doc(db, `artifacts/${appId}/public/data/teams`, team.id), { settings: teamSettings });
+        addAuditEntry(batch, db, currentUser, { action: 'team.update', targetType: 'team', targetId: team.id, targetLabel: team.name, before: { settings: team.settings || {} }, after: { settings: teamSettings } });
+        await batch.commit();
+        return;
+      }
+      const settingsDocRef = doc(db, `artifacts/${appId}/public/data/settings`, 'srCounting');
+      batch.set(settingsDocRef, { teams: { [settingsKey]: updated } }, { merge: true });
+      addAuditEntry(batch, db, currentUser, {
+        action: 'settings.update',
+        targetType: 'settings',
+        targetId: 'srCounting',
+        targetLabel: `SR counting period (${settingsKey})`,
+        before: { [`teams.${settingsKey}`]: config },
+        after: { [`teams.${settingsKey}`]: updated },
+      });
+      await batch.commit();
+    } catch (error) {
+      console.error("Error saving SR counting period:", error);
+      setMessage(`Error saving SR counting period: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-3 mb-4 text-sm text-gray-700">
+      <span className="font-medium">{label}:</span>
+      {canEdit ? (
+        <>
+          <select
+            value={config.type}
+            onChange={(e) => handleChange({ type: e.target.value })}
+            className="border border-gray-300 rounded-md shadow-sm p-1 focus:ring-blue-500 focus:border-blue-500"
+          >
+            {SR_COUNTING_TYPES.map(type => (
+              <option key={type.value} value={type.value}>{type.label}</option>
+            ))}
+          </select>
+          {config.type === 'sprint' && (
+            <>
+              <label className="flex items-center">
+                Length
+                <input
+                  type="number"
+                  min="1"
+                  value={config.sprintLength}
+                  onChange={(e) => handleChange({ sprintLength: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+                  className="ml-1 w-16 border border-gray-300 rounded-md shadow-sm p-1 focus:ring-blue-500 focus:border-blue-500"
+                />
+                <span className="ml-1">days, starting</span>
+              </label>
+              <input
+                type="date"
+                value={config.sprintStartDate}
+                onChange={(e) => e.target.value && handleChange({ sprintStartDate: e.target.value })}
+                className="border border-gray-300 rounded-md shadow-sm p-1 focus:ring-blue-500 focus:border-blue-500"
+              />
+            </>
+          )}
+          {config.type === 'rolling' && (
+            <label className="flex items-center">
+              Last
+              <input
+                type="number"
+                min="1"
+                value={config.rollingDays}
+                onChange={(e) => handleChange({ rollingDays: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+                className="ml-1 w-16 border border-gray-300 rounded-md shadow-sm p-1 focus:ring-blue-500 focus:border-blue-500"
+              />
+              <span className="ml-1">days</span>
+            </label>
+          )}
+        </>
+      ) : (
+        <span>{SR_COUNTING_TYPES.find(type => type.value === config.type)?.label}</span>
+      )}
+      <span className="text-gray-500">Current period: {formatPeriod(currentPeriod)}</span>
+      {message && <span className="text-red-600">{message}</span>}
+    </div>
+  );
+}
+
+export { SrCountingSettings };
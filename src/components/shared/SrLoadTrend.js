@@ -0,0 +1,23 @@
+import React from 'react';
+import { formatPeriod } from '../../utils/srPeriodUtils.js';
+
+// --- SR Load Trend ---
+// Tiny bar chart of SRs assigned per counting period (oldest first); bars over the threshold are red.
+function SrLoadTrend({ history, threshold }) {
+  const max = Math.max(threshold || 0, ...history.map(h => h.count), 1);
+
+  return (
+    <div className="flex items-end h-8 space-x-0.5" aria-label="SR load trend">
+      {history.map(({ period, count }, idx) => (
+        <div
+          key={period.startDate}
+          title={`${formatPeriod(period)}: ${count} SR${count === 1 ? '' : 's'}`}
+          style={{ height: `${Math.max(2, (count / max) * 100)}%` }}
+          className={`w-2 rounded-sm ${threshold > 0 && count > threshold ? 'bg-red-400' : idx === history.length - 1 ? 'bg-blue-500' : 'bg-blue-200'}`}
+        />
+      ))}
+    </div>
+  );
+}
+
+export { SrLoadTrend };
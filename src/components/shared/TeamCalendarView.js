@@ -0,0 +1,331 @@
+import React, { useState } from 'react';
+import { doc, writeBatch, deleteField } from 'firebase/firestore';
+import { appId } from '../../config/firebase.js';
+import { Modal } from '../Modal.js';
+import { addDays, getLeaveTypeLabel, formatLeaveEntry } from '../../utils/leaveUtils.js';
+import { toDateString, getWeekday, isWeekend, getDayAvailability, getHeadcount } from '../../utils/availabilityUtils.js';
+import { getShiftForDate, describeShiftPattern, formatShift } from '../../utils/shiftPatternUtils.js';
+import { addAuditEntry } from '../../utils/auditUtils.js';
+import { useFirebase } from '../../hooks/useFirebase.js';
+import { getTeamMinimumHeadcount } from '../../utils/teamUtils.js';
+
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const LEAVE_CELL_STYLES = {
+  pto: 'bg-blue-300',
+  sick: 'bg-red-300',
+  training: 'bg-purple-300',
+  'public-duty': 'bg-teal-300',
+  unpaid: 'bg-gray-400',
+};
+
+// Dates shown for the selected mode: Monday-based week, or the full month of the anchor date
+const getVisibleDates = (mode, anchorDate) => {
+  if (mode === 'week') {
+    const monday = addDays(anchorDate, -((getWeekday(anchorDate) + 6) % 7));
+    return Array.from({ length: 7 }, (_, i) => addDays(monday, i));
+  }
+  const monthStart = `${anchorDate.slice(0, 7)}-01`;
+  const dates = [];
+  for (let current = monthStart; current.slice(0, 7) === monthStart.slice(0, 7); current = addDays(current, 1)) {
+    dates.push(current);
+  }
+  return dates;
+};
+
+// Groups people under their manager, in the same spirit as OverallRosterView
+const groupByManager = (people, users) => {
+  const groups = [];
+  const managerIds = [...new Set(people.map(p => p.managerId || ''))];
+  managerIds.forEach(managerId => {
+    const manager = users.find(u => u.id === managerId);
+    groups.push({
+      key: managerId || 'unassigned',
+      label: manager ? `${manager.name}'s Team` : 'Unassigned',
+      members: people.filter(p => (p.managerId || '') === managerId),
+    });
+  });
+  return groups.sort((a, b) => (a.key === 'unassigned') - (b.key === 'unassigned') || a.label.localeCompare(b.label));
+};
+
+// --- Team Coverage Calendar ---
+// Month/week grid with one row per person and a daily headcount row. The minimum headcount is stored in
+// the `settings/coverage` document under `minimumHeadcount[settingsKey]`, or on the `team` document when one is
+// given. Cells show each person's shift
+// from their pattern; with `canEditShifts`, clicking a cell sets a per-day override on the user document.
+function TeamCalendarView({ people, users, settings, settingsKey = 'all', team = null, shiftPatterns, canEditMinimum = false, canEditShifts = false, db }) {
+  const { currentUser } = useFirebase(); // Recorded as the actor in audit entries
+  const [mode, setMode] = useState('month'); // 'month' or 'week'
+  const [anchorDate, setAnchorDate] = useState(toDateString(new Date()));
+  const [message, setMessage] = useState('');
+  const [editingCell, setEditingCell] = useState(null); // { person, date } while the override modal is open
+  const [overrideForm, setOverrideForm] = useState({ mode: 'default', label: '', start: '09:00', end: '17:00' });
+
+  const today = toDateString(new Date());
+  const dates = getVisibleDates(mode, anchorDate);
+  const groups = groupByManager(people || [], users || []);
+  const minimumHeadcount = team ? getTeamMinimumHeadcount(team) : settings?.coverage?.minimumHeadcount?.[settingsKey] ?? 0;
+
+  const shiftAnchor = (direction) => {
+    if (mode === 'week') {
+      setAnchorDate(addDays(anchorDate, direction * 7));
+      return;
+    }
+    const [year, month] = anchorDate.split('-').map(Number);
+    const target = new Date(Date.UTC(year, month - 1 + direction, 1));
+    setAnchorDate(target.toISOString().slice(0, 10));
+  };
+
+  const handleMinimumChange = async (e) => {
+    const value = Math.max(0, parseInt(e.target.value, 10) || 0);
+    try {
+      const batch = writeBatch(db);
+      if (team) {
+        const teamSettings = { ...(team.settings || {}), minimumHeadcount: value };
+        batch.update(doc(db, `artifacts/${appId}/public/data/teams`, team.id), { settings: teamSettings });
+        addAuditEntry(batch, db, currentUser, { action: 'team.update', targetType: 'team', targetId: team.id, targetLabel: team.name, before: { settings: team.settings || {} }, after: { settings: teamSettings } });
+        await batch.commit();
+        return;
+      }
+      const settingsDocRef = doc(db, `artifacts/${appId}/public/data/settings`, 'coverage');
+      batch.set(settingsDocRef, { minimumHeadcount: { [settingsKey]: value } }, { merge: true });
+      addAuditEntry(batch, db, currentUser, {
+        action: 'settings.update',
+        targetType: 'settings',
+        targetId: 'coverage',
+        targetLabel: `Minimum headcount (${settingsKey})`,
+        before: { [`minimumHeadcount.${settingsKey}`]: minimumHeadcount },
+        after: { [`minimumHeadcount.${settingsKey}`]: value },
+      });
+      await batch.commit();
+    } catch (error) {
+      console.error("Error saving minimum headcount:", error);
+      setMessage(`Error saving minimum headcount: ${error.message}`);
+    }
+  };
+
+  const openOverrideModal = (person, date) => {
+    const override = person.shiftOverrides?.[date];
+    const { shift } = getShiftForDate(person, shiftPatterns, date);
+    setOverrideForm({
+      mode: override ? (override.off ? 'off' : 'shift') : 'default',
+      label: shift?.label || 'Day',
+      start: shift?.start || '09:00',
+      end: shift?.end || '17:00',
+    });
+    setEditingCell({ person, date });
+  };
+
+  const handleSaveOverride = async () => {
+    const { person, date } = editingCell;
+    const value = overrideForm.mode === 'default'
+      ? deleteField()
+      : overrideForm.mode === 'off'
+        ? { off: true }
+        : { label: overrideForm.label.trim() || 'Shift', start: overrideForm.start, end: overrideForm.end };
+    try {
+      const batch = writeBatch(db);
+      const userDocRef = doc(db, `artifacts/${appId}/public/data/users`, person.id);
+      batch.update(userDocRef, { [`shiftOverrides.${date}`]: value });
+      addAuditEntry(batch, db, currentUser, {
+        action: 'user.shift-override',
+        targetType: 'user',
+        targetId: person.id,
+        targetLabel: `${person.name} on ${date}`,
+        before: { [`shiftOverrides.${date}`]: person.shiftOverrides?.[date] },
+        after: { [`shiftOverrides.${date}`]: value },
+      });
+      await batch.commit();
+      setEditingCell(null);
+    } catch (error) {
+      console.error("Error saving shift override:", error);
+      setMessage(`Error saving shift override: ${error.message}`);
+      setEditingCell(null);
+    }
+  };
+
+  const title = mode === 'week'
+    ? `Week of ${dates[0]}`
+    : new Date(`${dates[0]}T00:00:00Z`).toLocaleDateString(undefined, { month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md">
+      <h3 className="text-2xl font-semibold mb-4 text-gray-800">Team Coverage Calendar</h3>
+
+      {message && (
+        <div className="p-3 mb-4 rounded-md text-white bg-red-500">{message}</div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-3 mb-4">
+        <button onClick={() => shiftAnchor(-1)} className="px-3 py-1 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300">&larr;</button>
+        <span className="font-semibold text-gray-800 w-48 text-center">{title}</span>
+        <button onClick={() => shiftAnchor(1)} className="px-3 py-1 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300">&rarr;</button>
+        <button onClick={() => setAnchorDate(today)} className="px-3 py-1 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300">Today</button>
+        <select
+          value={mode}
+          onChange={(e) => setMode(e.target.value)}
+          className="border border-gray-300 rounded-md shadow-sm p-1 focus:ring-blue-500 focus:border-blue-500"
+        >
+          <option value="month">Month</option>
+          <option value="week">Week</option>
+        </select>
+        <label className="ml-auto text-sm text-gray-700 flex items-center">
+          Minimum headcount
+          {canEditMinimum ? (
+            <input
+              type="number"
+              min="0"
+              value={minimumHeadcount}
+              onChange={handleMinimumChange}
+              className="ml-2 w-20 border border-gray-300 rounded-md shadow-sm p-1 focus:ring-blue-500 focus:border-blue-500"
+            />
+          ) : (
+            <span className="ml-2 font-semibold">{minimumHeadcount}</span>
+          )}
+        </label>
+      </div>
+
+      {(people || []).length === 0 ? (
+        <p className="text-gray-600">No people to show.</p>
+      ) : (
+        <div className="overflow-x-auto rounded-lg shadow-sm border border-gray-200">
+          <table className="min-w-full text-xs border-collapse">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="sticky left-0 bg-gray-50 px-3 py-2 text-left font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                {dates.map(date => (
+                  <th
+                    key={date}
+                    className={`px-1 py-2 text-center font-medium ${date === today ? 'text-blue-700' : 'text-gray-500'} ${isWeekend(date) ? 'bg-gray-100' : ''}`}
+                  >
+                    <div>{WEEKDAY_LABELS[getWeekday(date)]}</div>
+                    <div>{Number(date.slice(8))}</div>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {groups.map(group => (
+                <React.Fragment key={group.key}>
+                  <tr className="bg-gray-100">
+                    <td colSpan={dates.length + 1} className="sticky left-0 px-3 py-1 font-semibold text-blue-700">{group.label}</td>
+                  </tr>
+                  {group.members.map(person => (
+                    <tr key={person.id} className="border-t border-gray-100">
+                      <td className="sticky left-0 bg-white px-3 py-1 whitespace-nowrap">
+                        <div className="font-medium text-gray-900">{person.name}</div>
+                        <div className="text-gray-500">{describeShiftPattern(person, shiftPatterns)}</div>
+                      </td>
+                      {dates.map(date => {
+                        const { leave, scheduled } = getDayAvailability(person, date, shiftPatterns);
+                        const { shift, source } = getShiftForDate(person, shiftPatterns, date);
+                        const showShift = source === 'pattern' || source === 'override';
+                        const cellStyle = leave
+                          ? LEAVE_CELL_STYLES[leave.type] || 'bg-blue-300'
+                          : scheduled ? 'bg-green-50' : 'bg-gray-100';
+                        return (
+                          <td
+                            key={date}
+                            title={leave ? formatLeaveEntry(leave) : `${formatShift(shift)}${source === 'override' ? ' (override)' : ''}`}
+                            onClick={canEditShifts ? () => openOverrideModal(person, date) : undefined}
+                            className={`px-1 py-1 text-center border-l border-gray-100 ${cellStyle} ${canEditShifts ? 'cursor-pointer hover:ring-2 hover:ring-blue-400' : ''} ${source === 'override' ? 'italic underline' : ''}`}
+                          >
+                            {leave
+                              ? `${getLeaveTypeLabel(leave.type).charAt(0)}${leave.halfDay ? '½' : ''}`
+                              : showShift && shift ? shift.label.charAt(0) : ''}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                </React.Fragment>
+              ))}
+              <tr className="border-t-2 border-gray-300 font-semibold">
+                <td className="sticky left-0 bg-white px-3 py-2 text-gray-700">Available</td>
+                {dates.map(date => {
+                  const headcount = getHeadcount(people, date, shiftPatterns);
+                  const belowMinimum = !isWeekend(date) && headcount < minimumHeadcount;
+                  return (
+                    <td key={date} className={`px-1 py-2 text-center ${belowMinimum ? 'bg-red-500 text-white' : 'text-gray-700'}`}>
+                      {headcount}
+                    </td>
+                  );
+                })}
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-3 mt-3 text-xs text-gray-600">
+        {Object.entries(LEAVE_CELL_STYLES).map(([type, style]) => (
+          <span key={type} className="flex items-center"><span className={`inline-block w-3 h-3 mr-1 rounded ${style}`}></span>{getLeaveTypeLabel(type)}</span>
+        ))}
+        <span className="flex items-center"><span className="inline-block w-3 h-3 mr-1 rounded bg-green-50 border border-gray-200"></span>Available</span>
+        <span className="flex items-center"><span className="inline-block w-3 h-3 mr-1 rounded bg-gray-100 border border-gray-200"></span>Not rostered</span>
+        <span className="flex items-center">½ = half day</span>
+        <span className="flex items-center">Letters = shift label; <span className="italic underline mx-1">underlined</span> = manual override</span>
+      </div>
+
+      <Modal isOpen={!!editingCell} onClose={() => setEditingCell(null)} title="Shift Override">
+        {editingCell && (
+          <div className="space-y-3">
+            <p className="text-gray-700">
+              {editingCell.person.name} on {editingCell.date}
+              {' '}(pattern: {formatShift(getShiftForDate({ ...editingCell.person, shiftOverrides: {} }, shiftPatterns, editingCell.date).shift)})
+            </p>
+            <select
+              value={overrideForm.mode}
+              onChange={(e) => setOverrideForm({ ...overrideForm, mode: e.target.value })}
+              className="block w-full border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
+            >
+              <option value="default">Use pattern (no override)</option>
+              <option value="off">Day off</option>
+              <option value="shift">Custom shift</option>
+            </select>
+            {overrideForm.mode === 'shift' && (
+              <div className="flex items-center space-x-2 text-sm">
+                <input
+                  type="text"
+                  value={overrideForm.label}
+                  onChange={(e) => setOverrideForm({ ...overrideForm, label: e.target.value })}
+                  placeholder="Label"
+                  className="w-24 border border-gray-300 rounded-md shadow-sm p-1 focus:ring-blue-500 focus:border-blue-500"
+                />
+                <input
+                  type="time"
+                  value={overrideForm.start}
+                  onChange={(e) => setOverrideForm({ ...overrideForm, start: e.target.value })}
+                  className="border border-gray-300 rounded-md shadow-sm p-1 focus:ring-blue-500 focus:border-blue-500"
+                />
+                <span>to</span>
+                <input
+                  type="time"
+                  value={overrideForm.end}
+                  onChange={(e) => setOverrideForm({ ...overrideForm, end: e.target.value })}
+                  className="border border-gray-300 rounded-md shadow-sm p-1 focus:ring-blue-500 focus:border-blue-500"
+                />
+              </div>
+            )}
+            <div className="flex justify-end space-x-3 mt-4">
+              <button
+                onClick={() => setEditingCell(null)}
+                className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 transition duration-200 ease-in-out shadow-sm"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleSaveOverride}
+                className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition duration-200 ease-in-out shadow-md"
+              >
+                Save
+              </button>
+            </div>
+          </div>
+        )}
+      </Modal>
+    </div>
+  );
+}
+
+export default TeamCalendarView;
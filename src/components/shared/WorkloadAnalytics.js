@@ -0,0 +1,229 @@
+import React, { useState } from 'react';
+import { toDateString } from '../../utils/availabilityUtils.js';
+import { addDays } from '../../utils/leaveUtils.js';
+import { toCsv, downloadFile } from '../../utils/csvUtils.js';
+import {
+  getSrsInRange,
+  getRangeDays,
+  getEngineerLoad,
+  getTeamUtilization,
+  getSkillLoad,
+  getForceAssignStats,
+} from '../../utils/analyticsUtils.js';
+
+const DEFAULT_RANGE_DAYS = 30;
+
+// One horizontal bar; `marker` draws a capacity line at that value on the same scale
+function AnalyticsBar({ label, value, max, marker = null, detail, over = false }) {
+  const toPercent = (v) => `${Math.min(100, (v / (max || 1)) * 100)}%`;
+  return (
+    <div className="flex items-center text-sm">
+      <div className="w-40 truncate text-gray-700" title={label}>{label}</div>
+      <div className="relative flex-1 h-4 bg-gray-100 rounded">
+        <div className={`h-4 rounded ${over ? 'bg-red-400' : 'bg-blue-500'}`} style={{ width: toPercent(value) }} />
+        {marker !== null && (
+          <div className="absolute top-0 h-4 w-0.5 bg-gray-800" style={{ left: toPercent(marker) }} title={`Capacity: ${marker}`} />
+        )}
+      </div>
+      <div className="w-44 pl-3 text-gray-600 whitespace-nowrap">{detail}</div>
+    </div>
+  );
+}
+
+function AnalyticsSection({ title, onDownload, children }) {
+  return (
+    <div className="mb-6 p-4 border border-gray-200 rounded-lg">
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="text-lg font-semibold text-gray-800">{title}</h4>
+        <button
+          onClick={onDownload}
+          className="px-3 py-1 text-sm bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 transition duration-200 ease-in-out shadow-sm"
+        >
+          Download CSV
+        </button>
+      </div>
+      <div className="space-y-2">{children}</div>
+    </div>
+  );
+}
+
+const formatUtilization = (utilization) => (utilization === null ? 'no threshold' : `${utilization}%`);
+
+// --- Workload Analytics Component ---
+// Charts SR load for `engineers` (a manager's team or everyone) over a date range.
+function WorkloadAnalytics({ engineers, users, skills, srs, settings, showTeams = false }) {
+  const today = toDateString(new Date());
+  const [range, setRange] = useState({ fromDate: addDays(today, -(DEFAULT_RANGE_DAYS - 1)), toDate: today });
+
+  const updateRange = (e) => {
+    const { name, value } = e.target;
+    if (value) setRange(prev => ({ ...prev, [name]: value }));
+  };
+
+  const validRange = range.fromDate <= range.toDate;
+  const engineerIds = engineers.map(e => e.id);
+  const srsInRange = validRange
+    ? getSrsInRange(srs, range.fromDate, range.toDate).filter(sr => engineerIds.includes(sr.assigneeId))
+    : [];
+
+  const engineerLoad = getEngineerLoad(engineers, srsInRange, settings, range.fromDate, range.toDate);
+  const teamUtilization = getTeamUtilization(engineerLoad, users);
+  const skillLoad = getSkillLoad(srsInRange, skills);
+  const forceAssignStats = getForceAssignStats(srsInRange, users);
+  const totalForced = srsInRange.filter(sr => sr.forceAssigned).length;
+
+  const maxEngineerLoad = Math.max(1, ...engineerLoad.map(l => Math.max(l.assigned, l.capacity)));
+  const maxTeamUtilization = Math.max(100, ...teamUtilization.map(t => t.utilization || 0));
+  const maxSkillLoad = Math.max(1, ...skillLoad.map(s => s.assigned));
+  const maxForced = Math.max(1, ...forceAssignStats.map(s => s.assigned));
+
+  const download = (name, rows, columns) => {
+    downloadFile(`${name}_${range.fromDate}_${range.toDate}.csv`, toCsv(rows, columns));
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md">
+      <h3 className="text-2xl font-semibold mb-4 text-gray-800">Workload Analytics</h3>
+
+      <div className="flex flex-wrap items-end gap-3 mb-4">
+        <div>
+          <label htmlFor="analyticsFrom" className="block text-sm font-medium text-gray-700">From</label>
+          <input
+            type="date"
+            id="analyticsFrom"
+            name="fromDate"
+            value={range.fromDate}
+            onChange={updateRange}
+            className="mt-1 block border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
+          />
+        </div>
+        <div>
+          <label htmlFor="analyticsTo" className="block text-sm font-medium text-gray-700">To</label>
+          <input
+            type="date"
+            id="analyticsTo"
+            name="toDate"
+            value={range.toDate}
+            onChange={updateRange}
+            className="mt-1 block border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
+          />
+        </div>
+        {[7, 30, 90].map(days => (
+          <button
+            key={days}
+            onClick={() => setRange({ fromDate: addDays(today, -(days - 1)), toDate: today })}
+            className="px-3 py-2 text-sm bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 transition duration-200 ease-in-out shadow-sm"
+          >
+            Last {days} days
+          </button>
+        ))}
+      </div>
+
+      {!validRange ? (
+        <div className="p-3 mb-4 rounded-md text-white bg-red-500">The start date must be on or before the end date.</div>
+      ) : (
+        <p className="text-sm text-gray-500 mb-4">
+          {srsInRange.length} SRs created over {getRangeDays(range.fromDate, range.toDate)} days, {totalForced} of them force-assigned.
+          Capacity is each engineer's SR threshold scaled to the number of counting periods in the range.
+        </p>
+      )}
+
+      <AnalyticsSection
+        title="SR Load per Engineer"
+        onDownload={() => download('engineer_load', engineerLoad, [
+          { key: 'name', label: 'Engineer' },
+          { key: 'assigned', label: 'SRs assigned' },
+          { key: 'open', label: 'Still open' },
+          { key: 'forced', label: 'Force-assigned' },
+          { key: 'threshold', label: 'Threshold per period' },
+          { key: 'capacity', label: 'Capacity in range' },
+          { key: 'utilization', label: 'Utilization %' },
+        ])}
+      >
+        {engineerLoad.length === 0 && <p className="text-sm text-gray-500">No engineers to show.</p>}
+        {engineerLoad.map(load => (
+          <AnalyticsBar
+            key={load.id}
+            label={load.name}
+            value={load.assigned}
+            max={maxEngineerLoad}
+            marker={load.capacity}
+            over={load.assigned > load.capacity}
+            detail={`${load.assigned} / ${load.capacity} (${formatUtilization(load.utilization)})`}
+          />
+        ))}
+      </AnalyticsSection>
+
+      {showTeams && (
+        <AnalyticsSection
+          title="Utilization per Team"
+          onDownload={() => download('team_utilization', teamUtilization, [
+            { key: 'name', label: 'Manager' },
+            { key: 'engineers', label: 'Engineers' },
+            { key: 'assigned', label: 'SRs assigned' },
+            { key: 'capacity', label: 'Capacity in range' },
+            { key: 'utilization', label: 'Utilization %' },
+          ])}
+        >
+          {teamUtilization.length === 0 && <p className="text-sm text-gray-500">No teams to show.</p>}
+          {teamUtilization.map(team => (
+            <AnalyticsBar
+              key={team.managerId || 'none'}
+              label={team.name}
+              value={team.utilization || 0}
+              max={maxTeamUtilization}
+              marker={100}
+              over={(team.utilization || 0) > 100}
+              detail={`${formatUtilization(team.utilization)} · ${team.engineers} engineer${team.engineers === 1 ? '' : 's'}`}
+            />
+          ))}
+        </AnalyticsSection>
+      )}
+
+      <AnalyticsSection
+        title="SR Load per Skill"
+        onDownload={() => download('skill_load', skillLoad, [
+          { key: 'name', label: 'Skill' },
+          { key: 'assigned', label: 'SRs requiring skill' },
+          { key: 'open', label: 'Still open' },
+        ])}
+      >
+        {skillLoad.length === 0 && <p className="text-sm text-gray-500">No SRs with required skills in this range.</p>}
+        {skillLoad.map(skill => (
+          <AnalyticsBar
+            key={skill.skillId}
+            label={skill.name}
+            value={skill.assigned}
+            max={maxSkillLoad}
+            detail={`${skill.assigned} SRs, ${skill.open} open`}
+          />
+        ))}
+      </AnalyticsSection>
+
+      <AnalyticsSection
+        title="Force-Assign Usage"
+        onDownload={() => download('force_assign', forceAssignStats, [
+          { key: 'name', label: 'Assigned by' },
+          { key: 'assigned', label: 'SRs assigned' },
+          { key: 'forced', label: 'Force-assigned' },
+          { key: 'rate', label: 'Force-assign %' },
+        ])}
+      >
+        {forceAssignStats.length === 0 && <p className="text-sm text-gray-500">No SRs assigned in this range.</p>}
+        {forceAssignStats.map(stat => (
+          <AnalyticsBar
+            key={stat.managerId || 'unknown'}
+            label={stat.name}
+            value={stat.forced}
+            max={maxForced}
+            marker={null}
+            over={stat.forced > 0}
+            detail={`${stat.forced} of ${stat.assigned} (${stat.rate}%)`}
+          />
+        ))}
+      </AnalyticsSection>
+    </div>
+  );
+}
+
+export { WorkloadAnalytics };
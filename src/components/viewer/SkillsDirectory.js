@@ -0,0 +1,73 @@
+import React, { useState } from 'react';
+import { isOnVacation, toDateString } from '../../utils/availabilityUtils.js';
+import { getUserSkillLevel, getSkillLevelLabel, SKILL_LEVEL_STYLES, getSkillPath, matchesSkillSearch, holdsSkill } from '../../utils/skillUtils.js';
+
+// --- Skills Directory (read-only) ---
+// "Who knows X": every skill with the people who have it (or a skill nested under it), searchable by skill or person.
+function SkillsDirectory({ people, users, skills }) {
+  const [search, setSearch] = useState('');
+  const today = toDateString(new Date());
+  const term = search.trim().toLowerCase();
+
+  const directory = skills
+    .map(skill => ({
+      skill,
+      path: getSkillPath(skills, skill.id),
+      // Most proficient first; unrated holders last
+      holders: people
+        .filter(p => holdsSkill(p, skill.id, skills))
+        .sort((a, b) => (getUserSkillLevel(b, skill.id) || 0) - (getUserSkillLevel(a, skill.id) || 0)),
+    }))
+    .sort((a, b) => a.path.localeCompare(b.path))
+    .filter(({ skill, holders }) => !term
+      || matchesSkillSearch(skill, skills, term)
+      || holders.some(p => (p.name || '').toLowerCase().includes(term)));
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md">
+      <h3 className="text-2xl font-semibold mb-4 text-gray-800">Skills Directory</h3>
+      <input
+        type="search"
+        value={search}
+        onChange={(e) => setSearch(e.target.value)}
+        placeholder="Search a skill or a person..."
+        className="mb-4 block w-full md:w-1/2 border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
+      />
+      {directory.length === 0 ? (
+        <p className="text-gray-600">No skills match "{search}".</p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {directory.map(({ skill, path, holders }) => (
+            <div key={skill.id} className="p-4 border border-gray-200 rounded-lg bg-gray-50">
+              <h4 className="font-semibold text-gray-800 mb-2" title={skill.description || undefined}>{path} <span className="text-sm font-normal text-gray-500">({holders.length})</span></h4>
+              {holders.length === 0 ? (
+                <p className="text-sm text-red-600">Nobody has this skill yet.</p>
+              ) : (
+                <ul className="space-y-1 text-sm">
+                  {holders.map(person => (
+                    <li key={person.id} className="flex items-center justify-between">
+                      <span className="text-gray-900">
+                        {person.name}
+                        {getUserSkillLevel(person, skill.id) && (
+                          <span className={`ml-2 px-2 py-0.5 rounded-full text-xs ${SKILL_LEVEL_STYLES[getUserSkillLevel(person, skill.id)]}`}>
+                            {getSkillLevelLabel(getUserSkillLevel(person, skill.id))}
+                          </span>
+                        )}
+                      </span>
+                      <span className="text-xs text-gray-500">
+                        {users.find(u => u.id === person.managerId)?.name || 'No manager'}
+                        {isOnVacation(person, today) && <span className="ml-2 px-2 py-0.5 rounded-full bg-red-100 text-red-800">On leave today</span>}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export { SkillsDirectory };
@@ -0,0 +1,49 @@
+import React from 'react';
+import { groupByDayAvailability, toDateString } from '../../utils/availabilityUtils.js';
+import { getLeaveTypeLabel } from '../../utils/leaveUtils.js';
+import { ShiftStatusBadge } from '../shared/ShiftStatusBadge.js';
+
+const AVAILABILITY_GROUPS = [
+  { key: 'available', title: 'Working today', className: 'border-green-200 bg-green-50' },
+  { key: 'halfDay', title: 'Half day', className: 'border-yellow-200 bg-yellow-50' },
+  { key: 'onLeave', title: 'On leave', className: 'border-red-200 bg-red-50' },
+  { key: 'notRostered', title: 'Not rostered', className: 'border-gray-200 bg-gray-50' },
+];
+
+// --- Today's Availability (read-only) ---
+// Who is working, on a half day, on leave or off roster today, with their live shift status.
+function TodayAvailability({ people, shiftPatterns }) {
+  const today = toDateString(new Date());
+  const groups = groupByDayAvailability(people, today, shiftPatterns);
+
+  return (
+    <div className="mb-6">
+      <h3 className="text-2xl font-semibold mb-4 text-gray-800">Today's Availability</h3>
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+        {AVAILABILITY_GROUPS.map(group => (
+          <div key={group.key} className={`p-4 border rounded-lg ${group.className}`}>
+            <h4 className="font-semibold text-gray-800 mb-2">{group.title} ({groups[group.key].length})</h4>
+            {groups[group.key].length === 0 ? (
+              <p className="text-sm text-gray-500">Nobody</p>
+            ) : (
+              <ul className="space-y-2 text-sm">
+                {groups[group.key].map(({ user, leave }) => (
+                  <li key={user.id}>
+                    <div className="font-medium text-gray-900">{user.name}</div>
+                    {leave ? (
+                      <div className="text-xs text-gray-600">{getLeaveTypeLabel(leave.type)}{leave.halfDay ? ` (${leave.halfDay})` : ''}</div>
+                    ) : (
+                      <ShiftStatusBadge user={user} patterns={shiftPatterns} />
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export { TodayAvailability };
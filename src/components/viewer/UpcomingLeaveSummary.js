@@ -0,0 +1,62 @@
+import React, { useState } from 'react';
+import { toDateString } from '../../utils/availabilityUtils.js';
+import { LEAVE_TYPE_STYLES, getUpcomingLeave, formatLeaveRange, getLeaveTypeLabel } from '../../utils/leaveUtils.js';
+
+const UPCOMING_WINDOWS = [7, 14, 30];
+
+// --- Upcoming Leave Summary (read-only) ---
+function UpcomingLeaveSummary({ people, users }) {
+  const [days, setDays] = useState(14);
+  const upcoming = getUpcomingLeave(people, toDateString(new Date()), days);
+
+  return (
+    <div className="mb-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-2xl font-semibold text-gray-800">Upcoming Leave</h3>
+        <div className="flex space-x-2">
+          {UPCOMING_WINDOWS.map(option => (
+            <button
+              key={option}
+              onClick={() => setDays(option)}
+              className={`px-3 py-1 text-sm rounded-md transition duration-200 ease-in-out ${days === option ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-800 hover:bg-gray-300'}`}
+            >
+              Next {option} days
+            </button>
+          ))}
+        </div>
+      </div>
+      {upcoming.length === 0 ? (
+        <p className="text-gray-600">No leave booked in the next {days} days.</p>
+      ) : (
+        <div className="overflow-x-auto rounded-lg shadow-sm border border-gray-200">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Manager</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Dates</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Type</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {upcoming.map(({ user, entry }) => (
+                <tr key={`${user.id}-${entry.id}`}>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{user.name}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{users.find(u => u.id === user.managerId)?.name || 'None'}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{formatLeaveRange(entry)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${LEAVE_TYPE_STYLES[entry.type] || ''}`}>
+                      {getLeaveTypeLabel(entry.type)}
+                    </span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export { UpcomingLeaveSummary };
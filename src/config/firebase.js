@@ -8,10 +8,14 @@ import { getFirestore } from 'firebase/firestore';
 const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
 const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
 const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+// SSO providers offered on the sign-in page, e.g. ["google.com", "microsoft.com"]; none by default
+const ssoProviders = typeof __sso_providers !== 'undefined' ? JSON.parse(__sso_providers) : [];
+// Base URL of the endpoint that serves `calendarFeeds` tokens as ICS (see utils/icsUtils.js); feed links are hidden without it
+const calendarFeedUrl = typeof __calendar_feed_url !== 'undefined' ? __calendar_feed_url : null;
 
 // Initialize Firebase app
 const app = initializeApp(firebaseConfig);
 const db = getFirestore(app);
 const auth = getAuth(app);
 
-export { app, db, auth, appId, firebaseConfig, initialAuthToken };
+export { app, db, auth, appId, firebaseConfig, initialAuthToken, ssoProviders, calendarFeedUrl };
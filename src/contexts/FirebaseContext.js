@@ -1,89 +1,132 @@
-import React, { useState, useEffect, createContext, useContext } from 'react';
-import { signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { doc, getDoc, setDoc } from 'firebase/firestore';
+import React, { useState, useEffect, createContext } from 'react';
+import { signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
+import { doc, getDoc, getDocs, collection, query, where, writeBatch, serverTimestamp } from 'firebase/firestore';
 import { db as firestoreDb, auth as firebaseAuth, appId, initialAuthToken } from '../config/firebase.js'; // Renamed imports for clarity
+import { createDefaultSchedule } from '../utils/workingHoursUtils.js';
+import { addAuditEntry } from '../utils/auditUtils.js';
+import { normalizeEmail, getPlaceholderEmail, isAutoCreatedProfile, findClaimableProfile } from '../utils/authUtils.js';
 
 // --- Firebase Context ---
 // Provides Firebase instances (db, auth) and user information throughout the app.
 const FirebaseContext = createContext(null);
 
+// Finds (or creates) the profile for a signed-in auth user, in order: an existing `authLinks` entry, an
+// admin-created profile claimed by verified email, the document keyed by the uid (legacy or auto-created),
+// or a new Viewer document. Returns null for email accounts that still have to verify their address.
+async function resolveProfile(user) {
+  const usersPath = `artifacts/${appId}/public/data/users`;
+  const linkDocRef = doc(firestoreDb, `artifacts/${appId}/public/data/authLinks`, user.uid);
+  const linkDocSnap = await getDoc(linkDocRef);
+  if (linkDocSnap.exists()) {
+    const profileDocSnap = await getDoc(doc(firestoreDb, usersPath, linkDocSnap.data().userId));
+    if (profileDocSnap.exists()) return { ...profileDocSnap.data(), id: profileDocSnap.id };
+  }
+
+  const userDocRef = doc(firestoreDb, usersPath, user.uid);
+  const userDocSnap = await getDoc(userDocRef);
+  const ownProfile = userDocSnap.exists() ? { ...userDocSnap.data(), id: user.uid } : null;
+
+  // Claim an invite; an auto-created Viewer document from an earlier sign-in is replaced by it
+  if (user.email && user.emailVerified && (!ownProfile || isAutoCreatedProfile(ownProfile))) {
+    const matchesSnap = await getDocs(query(collection(firestoreDb, usersPath), where('email', '==', normalizeEmail(user.email))));
+    const invite = findClaimableProfile(matchesSnap.docs.map(d => ({ ...d.data(), id: d.id })), user.email);
+    if (invite) {
+      const claim = { authUid: user.uid, claimedAt: serverTimestamp() };
+      const batch = writeBatch(firestoreDb);
+      batch.update(doc(firestoreDb, usersPath, invite.id), claim);
+      batch.set(linkDocRef, { userId: invite.id, linkedBy: invite.id, createdAt: serverTimestamp() });
+      if (ownProfile) batch.delete(userDocRef);
+      addAuditEntry(batch, firestoreDb, invite, { action: 'user.claim', targetType: 'user', targetId: invite.id, targetLabel: invite.name, before: invite, after: claim });
+      await batch.commit();
+      return { ...invite, authUid: user.uid };
+    }
+  }
+
+  if (ownProfile) return ownProfile;
+  // Don't create a placeholder profile before the email is verified: it could still claim an invite
+  if (user.email && !user.emailVerified) return null;
+
+  // If the user exists in Firebase Auth but has no profile and no invite,
+  // it means they are new or a generic anonymous user.
+  console.warn("User document not found in Firestore. Creating a default Viewer user.");
+  const defaultUser = {
+    name: user.displayName || user.email || `Anonymous User ${user.uid.substring(0, 5)}`,
+    email: normalizeEmail(user.email) || getPlaceholderEmail(user.uid),
+    role: 'Viewer', // Default role for new authenticated users not yet configured by admin
+    managerId: null,
+    workingSchedule: createDefaultSchedule(), // Mon–Fri 09:00–17:00 in the browser's time zone
+    shiftPattern: 'Day Shift',
+    leaveEntries: [],
+    skills: [],
+    srThreshold: 0,
+    autoCreated: true, // Lets Admins find and merge it into the right profile
+  };
+  const batch = writeBatch(firestoreDb);
+  batch.set(userDocRef, defaultUser);
+  addAuditEntry(batch, firestoreDb, { ...defaultUser, id: user.uid }, { action: 'user.create', targetType: 'user', targetId: user.uid, targetLabel: defaultUser.name, after: defaultUser });
+  await batch.commit();
+  return { ...defaultUser, id: user.uid };
+}
+
 // --- Firebase Provider Component ---
 // Initializes Firebase and handles authentication.
 function FirebaseProvider({ children }) {
   const [currentUser, setCurrentUser] = useState(null);
+  const [authUser, setAuthUser] = useState(null); // Firebase Auth user, set even before a profile is resolved
   const [isAuthReady, setIsAuthReady] = useState(false); // Indicates if auth state has been checked
 
-  useEffect(() => {
-    async function initializeAuth() {
-      try {
-        // Set up authentication state observer
-        const unsubscribe = onAuthStateChanged(firebaseAuth, async (user) => {
-          if (user) {
-            // User is signed in, fetch user details from Firestore
-            const userDocRef = doc(firestoreDb, `artifacts/${appId}/public/data/users`, user.uid);
-            const userDocSnap = await getDoc(userDocRef);
-            if (userDocSnap.exists()) {
-              setCurrentUser({ ...user, ...userDocSnap.data(), id: user.uid });
-            } else {
-              // If user exists in Firebase Auth but not in Firestore 'users' collection,
-              // it means they are new or a generic anonymous user.
-              console.warn("User document not found in Firestore. Creating a default Viewer user.");
-              const defaultUser = {
-                name: user.email || `Anonymous User ${user.uid.substring(0, 5)}`,
-                email: user.email || `${user.uid}@example.com`,
-                role: 'Viewer', // Default role for new authenticated users not yet configured by admin
-                managerId: null,
-                workingHours: '9 AM - 5 PM',
-                shiftPattern: 'Day Shift',
-                vacationDates: [],
-                skills: [],
-                srThreshold: 0,
-                currentSrCount: 0,
-              };
-              await setDoc(userDocRef, defaultUser);
-              setCurrentUser({ ...user, ...defaultUser, id: user.uid });
-            }
-          } else {
-            // User is signed out
-            setCurrentUser(null);
-          }
-          setIsAuthReady(true); // Auth state has been checked
-        });
+  const loadProfile = async (user) => {
+    try {
+      const profile = await resolveProfile(user);
+      setCurrentUser(profile ? { ...user, ...profile, id: profile.id } : null);
+    } catch (error) {
+      console.error("Error loading user profile:", error);
+      setCurrentUser(null);
+    }
+  };
 
-        // Attempt to sign in with custom token if provided
-        // Ensure firebaseAuth is initialized before attempting to sign in
-        if (firebaseAuth) {
-            if (initialAuthToken) {
-              await signInWithCustomToken(firebaseAuth, initialAuthToken);
-            } else {
-              // If no custom token, sign in anonymously
-              await signInAnonymously(firebaseAuth);
-            }
-        } else {
-            console.error("FirebaseAuth instance is not available.");
-            setIsAuthReady(true); // Set ready to avoid infinite loading, but with an error
-        }
+  // Re-checks the auth account (e.g. after the user clicked the verification link) and its profile
+  const refreshProfile = async () => {
+    const user = firebaseAuth?.currentUser;
+    if (!user) return;
+    await user.reload();
+    await user.getIdToken(true); // Security rules read email_verified from the token
+    setAuthUser({ ...firebaseAuth.currentUser });
+    await loadProfile(firebaseAuth.currentUser);
+  };
 
-        return () => unsubscribe(); // Cleanup auth observer on unmount
+  useEffect(() => {
+    if (!firestoreDb || !firebaseAuth) {
+      console.error("Firestore DB or Firebase Auth instance is not available from config.");
+      setIsAuthReady(true); // Set ready to avoid infinite loading if db/auth are missing
+      return undefined;
+    }
 
-      } catch (error) {
-        console.error("Error during auth setup or signing in:", error);
-        setIsAuthReady(true); // Still set ready to avoid infinite loading, but with an error
+    // Set up authentication state observer
+    const unsubscribe = onAuthStateChanged(firebaseAuth, async (user) => {
+      setAuthUser(user);
+      if (user) {
+        await loadProfile(user);
+      } else {
+        // User is signed out
+        setCurrentUser(null);
       }
-    }
+      setIsAuthReady(true); // Auth state has been checked
+    });
 
-    // Ensure db and auth are available before initializing auth logic
-    if (firestoreDb && firebaseAuth) {
-        initializeAuth();
-    } else {
-        console.error("Firestore DB or Firebase Auth instance is not available from config.");
-        setIsAuthReady(true); // Set ready to avoid infinite loading if db/auth are missing
+    // The hosting environment may hand us a custom token; otherwise the sign-in page takes over
+    if (initialAuthToken) {
+      signInWithCustomToken(firebaseAuth, initialAuthToken).catch(error => {
+        console.error("Error signing in with custom token:", error);
+      });
     }
+
+    return () => unsubscribe(); // Cleanup auth observer on unmount
   }, []); // Run once on component mount, db and auth instances are stable from config
 
   // Provide the Firebase instances and current user to children components
   return (
-    <FirebaseContext.Provider value={{ db: firestoreDb, auth: firebaseAuth, currentUser, isAuthReady }}>
+    <FirebaseContext.Provider value={{ db: firestoreDb, auth: firebaseAuth, currentUser, authUser, isAuthReady, refreshProfile }}>
       {children}
     </FirebaseContext.Provider>
   );
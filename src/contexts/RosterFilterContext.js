@@ -0,0 +1,19 @@
+import React, { useState, createContext } from 'react';
+import { EMPTY_ROSTER_FILTERS } from '../utils/rosterFilterUtils.js';
+
+// --- Roster Filter Context ---
+// Holds the shared roster filters and each table's sort above the tab views, so they survive tab switches.
+const RosterFilterContext = createContext(null);
+
+function RosterFilterProvider({ children }) {
+  const [filters, setFilters] = useState(EMPTY_ROSTER_FILTERS);
+  const [sorts, setSorts] = useState({}); // tableId -> { key, direction }
+
+  return (
+    <RosterFilterContext.Provider value={{ filters, setFilters, sorts, setSorts }}>
+      {children}
+    </RosterFilterContext.Provider>
+  );
+}
+
+export { RosterFilterContext, RosterFilterProvider };
@@ -0,0 +1,100 @@
+import { useState, useEffect, useRef } from 'react';
+import { collection, onSnapshot, query, where, orderBy, limit, startAfter, getDocs, Timestamp } from 'firebase/firestore';
+import { appId } from '../config/firebase.js';
+import { addDays } from '../utils/leaveUtils.js';
+import { compareByCreatedAtDesc } from '../utils/srUtils.js';
+
+// The log only grows, so it is read a page at a time; filters run in the query so any range can be reached
+const AUDIT_PAGE_SIZE = 100;
+
+// Newest-first query for `filters` ({ actorId, action, fromDate, toDate }, dates as local YYYY-MM-DD).
+// Combining actor or action with the date order needs the composite indexes in firestore.indexes.json.
+const buildAuditQuery = (db, filters, ...pageConstraints) => {
+  const constraints = [];
+  if (filters.actorId) constraints.push(where('actorId', '==', filters.actorId));
+  if (filters.action) constraints.push(where('action', '==', filters.action));
+  if (filters.fromDate) constraints.push(where('createdAt', '>=', Timestamp.fromDate(new Date(`${filters.fromDate}T00:00:00`))));
+  if (filters.toDate) constraints.push(where('createdAt', '<', Timestamp.fromDate(new Date(`${addDays(filters.toDate, 1)}T00:00:00`))));
+  return query(
+    collection(db, `artifacts/${appId}/public/data/auditLog`),
+    ...constraints,
+    orderBy('createdAt', 'desc'),
+    ...pageConstraints
+  );
+};
+
+// Entries by ID, newest first; later pages and live updates are merged in
+const mergeEntries = (current, docs) => {
+  const byId = new Map(current.map(entry => [entry.id, entry]));
+  docs.forEach(doc => byId.set(doc.id, { id: doc.id, ...doc.data() }));
+  return [...byId.values()].sort(compareByCreatedAtDesc);
+};
+
+// Hook for the audit log matching `filters`: the newest page stays live, `loadMore` fetches the next older page
+const useAuditLog = (db, filters) => {
+  const [auditEntries, setAuditEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [hasMore, setHasMore] = useState(false);
+  const [error, setError] = useState(null);
+  const cursorRef = useRef(null); // Oldest document fetched so far, where the next page starts
+  const olderPagesLoadedRef = useRef(false);
+  const queryKeyRef = useRef(''); // Filters of the live query, so a page requested under old filters is dropped
+
+  const { actorId, action, fromDate, toDate } = filters;
+  const queryKey = JSON.stringify([actorId, action, fromDate, toDate]);
+
+  useEffect(() => {
+    if (!db) {
+      setLoading(false); // Set loading to false if db is not available
+      return;
+    }
+
+    setLoading(true);
+    setAuditEntries([]);
+    cursorRef.current = null;
+    olderPagesLoadedRef.current = false;
+    queryKeyRef.current = queryKey;
+    const unsubscribe = onSnapshot(buildAuditQuery(db, { actorId, action, fromDate, toDate }, limit(AUDIT_PAGE_SIZE)),
+      (snapshot) => {
+        // New entries push older ones off this page; merging keeps them listed once older pages are loaded
+        setAuditEntries(prev => mergeEntries(prev, snapshot.docs));
+        if (!olderPagesLoadedRef.current) {
+          cursorRef.current = snapshot.docs[snapshot.docs.length - 1] || null;
+          setHasMore(snapshot.docs.length === AUDIT_PAGE_SIZE);
+        }
+        setError(null);
+        setLoading(false);
+      },
+      (err) => {
+        console.error("Error fetching audit log:", err);
+        setError("Failed to load audit log.");
+        setLoading(false);
+      }
+    );
+
+    return () => unsubscribe();
+  }, [db, appId, actorId, action, fromDate, toDate]);
+
+  const loadMore = async () => {
+    if (!db || !cursorRef.current || loadingMore) return;
+    setLoadingMore(true);
+    try {
+      const snapshot = await getDocs(buildAuditQuery(db, { actorId, action, fromDate, toDate }, startAfter(cursorRef.current), limit(AUDIT_PAGE_SIZE)));
+      if (queryKeyRef.current !== queryKey) return;
+      olderPagesLoadedRef.current = true;
+      if (snapshot.docs.length > 0) cursorRef.current = snapshot.docs[snapshot.docs.length - 1];
+      setAuditEntries(prev => mergeEntries(prev, snapshot.docs));
+      setHasMore(snapshot.docs.length === AUDIT_PAGE_SIZE);
+    } catch (err) {
+      console.error("Error fetching older audit entries:", err);
+      setError("Failed to load older audit entries.");
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  return { auditEntries, loading, loadingMore, hasMore, loadMore, error };
+};
+
+export { useAuditLog, AUDIT_PAGE_SIZE };
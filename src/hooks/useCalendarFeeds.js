@@ -0,0 +1,40 @@
+import { useState, useEffect } from 'react';
+import { collection, onSnapshot, query, where } from 'firebase/firestore';
+import { appId } from '../config/firebase.js';
+import { compareByCreatedAtAsc } from '../utils/srUtils.js';
+
+// Hook to manage the calendar feed tokens owned by one user (oldest first)
+const useCalendarFeeds = (db, ownerId) => {
+  const [calendarFeeds, setCalendarFeeds] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!db || !ownerId) {
+      setLoading(false); // Set loading to false if db is not available
+      return;
+    }
+
+    const feedsQuery = query(collection(db, `artifacts/${appId}/public/data/calendarFeeds`), where('ownerId', '==', ownerId));
+    const unsubscribe = onSnapshot(feedsQuery,
+      (snapshot) => {
+        const feedList = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        // Pending serverTimestamps (null) sort last
+        feedList.sort(compareByCreatedAtAsc);
+        setCalendarFeeds(feedList);
+        setLoading(false);
+      },
+      (err) => {
+        console.error("Error fetching calendar feeds:", err);
+        setError("Failed to load calendar feeds.");
+        setLoading(false);
+      }
+    );
+
+    return () => unsubscribe();
+  }, [db, ownerId, appId]);
+
+  return { calendarFeeds, loading, error };
+};
+
+export { useCalendarFeeds };
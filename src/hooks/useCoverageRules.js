@@ -0,0 +1,37 @@
+import { useState, useEffect } from 'react';
+import { collection, onSnapshot } from 'firebase/firestore';
+import { appId } from '../config/firebase.js';
+
+// Hook to manage all skill coverage rules
+const useCoverageRules = (db) => {
+  const [coverageRules, setCoverageRules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!db) {
+      setLoading(false); // Set loading to false if db is not available
+      return;
+    }
+
+    const rulesColRef = collection(db, `artifacts/${appId}/public/data/coverageRules`);
+    const unsubscribe = onSnapshot(rulesColRef,
+      (snapshot) => {
+        const rulesList = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        setCoverageRules(rulesList);
+        setLoading(false);
+      },
+      (err) => {
+        console.error("Error fetching coverage rules:", err);
+        setError("Failed to load coverage rules.");
+        setLoading(false);
+      }
+    );
+
+    return () => unsubscribe();
+  }, [db, appId]);
+
+  return { coverageRules, loading, error };
+};
+
+export { useCoverageRules };
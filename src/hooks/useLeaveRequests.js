@@ -0,0 +1,40 @@
+import { useState, useEffect } from 'react';
+import { collection, onSnapshot } from 'firebase/firestore';
+import { appId } from '../config/firebase.js';
+import { compareByCreatedAtDesc } from '../utils/srUtils.js';
+
+// Hook to manage all leave requests
+const useLeaveRequests = (db) => {
+  const [leaveRequests, setLeaveRequests] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!db) {
+      setLoading(false); // Set loading to false if db is not available
+      return;
+    }
+
+    const leaveColRef = collection(db, `artifacts/${appId}/public/data/leaveRequests`);
+    const unsubscribe = onSnapshot(leaveColRef,
+      (snapshot) => {
+        const leaveList = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        // Newest first; pending serverTimestamps (null) sort to the top
+        leaveList.sort(compareByCreatedAtDesc);
+        setLeaveRequests(leaveList);
+        setLoading(false);
+      },
+      (err) => {
+        console.error("Error fetching leave requests:", err);
+        setError("Failed to load leave requests.");
+        setLoading(false);
+      }
+    );
+
+    return () => unsubscribe();
+  }, [db, appId]);
+
+  return { leaveRequests, loading, error };
+};
+
+export { useLeaveRequests };
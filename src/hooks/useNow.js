@@ -0,0 +1,15 @@
+import { useState, useEffect } from 'react';
+
+// Hook returning the current time, refreshed on an interval so "on shift now" badges stay live
+const useNow = (intervalMs = 60000) => {
+  const [now, setNow] = useState(() => new Date());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), intervalMs);
+    return () => clearInterval(timer);
+  }, [intervalMs]);
+
+  return now;
+};
+
+export { useNow };
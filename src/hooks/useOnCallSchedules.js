@@ -0,0 +1,38 @@
+import { useState, useEffect } from 'react';
+import { collection, onSnapshot } from 'firebase/firestore';
+import { appId } from '../config/firebase.js';
+
+// Hook to manage all on-call schedules
+const useOnCallSchedules = (db) => {
+  const [onCallSchedules, setOnCallSchedules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!db) {
+      setLoading(false); // Set loading to false if db is not available
+      return;
+    }
+
+    const schedulesColRef = collection(db, `artifacts/${appId}/public/data/onCallSchedules`);
+    const unsubscribe = onSnapshot(schedulesColRef,
+      (snapshot) => {
+        const schedulesList = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        schedulesList.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+        setOnCallSchedules(schedulesList);
+        setLoading(false);
+      },
+      (err) => {
+        console.error("Error fetching on-call schedules:", err);
+        setError("Failed to load on-call schedules.");
+        setLoading(false);
+      }
+    );
+
+    return () => unsubscribe();
+  }, [db, appId]);
+
+  return { onCallSchedules, loading, error };
+};
+
+export { useOnCallSchedules };
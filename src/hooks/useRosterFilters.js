@@ -0,0 +1,29 @@
+import { useContext } from 'react';
+import { RosterFilterContext } from '../contexts/RosterFilterContext.js';
+import { EMPTY_ROSTER_FILTERS } from '../utils/rosterFilterUtils.js';
+
+// --- Custom Hook for Roster Filters ---
+// Shared filters plus the sort of one table (`tableId`); clicking the sorted column again flips its direction.
+function useRosterFilters(tableId, defaultSort = null) {
+  const context = useContext(RosterFilterContext);
+  if (!context) {
+    throw new Error('useRosterFilters must be used within a RosterFilterProvider');
+  }
+  const { filters, setFilters, sorts, setSorts } = context;
+
+  const updateFilter = (name, value) => setFilters(prev => ({ ...prev, [name]: value }));
+  const clearFilters = () => setFilters(EMPTY_ROSTER_FILTERS);
+
+  const sort = sorts[tableId] || defaultSort;
+  const toggleSort = (key) => {
+    setSorts(prev => {
+      const current = prev[tableId] || defaultSort;
+      const direction = current?.key === key && current.direction === 'asc' ? 'desc' : 'asc';
+      return { ...prev, [tableId]: { key, direction } };
+    });
+  };
+
+  return { filters, updateFilter, clearFilters, sort, toggleSort };
+}
+
+export { useRosterFilters };
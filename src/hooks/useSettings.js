@@ -0,0 +1,38 @@
+import { useState, useEffect } from 'react';
+import { collection, onSnapshot } from 'firebase/firestore';
+import { appId } from '../config/firebase.js';
+
+// Hook to manage app-wide settings documents, returned as { [docId]: data }
+const useSettings = (db) => {
+  const [settings, setSettings] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!db) {
+      setLoading(false); // Set loading to false if db is not available
+      return;
+    }
+
+    const settingsColRef = collection(db, `artifacts/${appId}/public/data/settings`);
+    const unsubscribe = onSnapshot(settingsColRef,
+      (snapshot) => {
+        const settingsMap = {};
+        snapshot.docs.forEach(doc => { settingsMap[doc.id] = doc.data(); });
+        setSettings(settingsMap);
+        setLoading(false);
+      },
+      (err) => {
+        console.error("Error fetching settings:", err);
+        setError("Failed to load settings.");
+        setLoading(false);
+      }
+    );
+
+    return () => unsubscribe();
+  }, [db, appId]);
+
+  return { settings, loading, error };
+};
+
+export { useSettings };
@@ -0,0 +1,38 @@
+import { useState, useEffect } from 'react';
+import { collection, onSnapshot } from 'firebase/firestore';
+import { appId } from '../config/firebase.js';
+
+// Hook to manage all shift patterns
+const useShiftPatterns = (db) => {
+  const [shiftPatterns, setShiftPatterns] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!db) {
+      setLoading(false); // Set loading to false if db is not available
+      return;
+    }
+
+    const patternsColRef = collection(db, `artifacts/${appId}/public/data/shiftPatterns`);
+    const unsubscribe = onSnapshot(patternsColRef,
+      (snapshot) => {
+        const patternsList = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        patternsList.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+        setShiftPatterns(patternsList);
+        setLoading(false);
+      },
+      (err) => {
+        console.error("Error fetching shift patterns:", err);
+        setError("Failed to load shift patterns.");
+        setLoading(false);
+      }
+    );
+
+    return () => unsubscribe();
+  }, [db, appId]);
+
+  return { shiftPatterns, loading, error };
+};
+
+export { useShiftPatterns };
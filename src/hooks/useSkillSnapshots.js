@@ -0,0 +1,39 @@
+import { useState, useEffect } from 'react';
+import { collection, onSnapshot, query, where } from 'firebase/firestore';
+import { appId } from '../config/firebase.js';
+
+// Hook to manage the monthly skill holder snapshots of one team (oldest month first)
+const useSkillSnapshots = (db, teamKey) => {
+  const [skillSnapshots, setSkillSnapshots] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!db || !teamKey) {
+      setLoading(false); // Set loading to false if db is not available
+      return;
+    }
+
+    setLoading(true);
+    const snapshotsQuery = query(collection(db, `artifacts/${appId}/public/data/skillSnapshots`), where('teamKey', '==', teamKey));
+    const unsubscribe = onSnapshot(snapshotsQuery,
+      (snapshot) => {
+        const snapshotList = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        snapshotList.sort((a, b) => a.month.localeCompare(b.month));
+        setSkillSnapshots(snapshotList);
+        setLoading(false);
+      },
+      (err) => {
+        console.error("Error fetching skill snapshots:", err);
+        setError("Failed to load skill trend.");
+        setLoading(false);
+      }
+    );
+
+    return () => unsubscribe();
+  }, [db, teamKey, appId]);
+
+  return { skillSnapshots, loading, error };
+};
+
+export { useSkillSnapshots };
@@ -0,0 +1,40 @@
+import { useState, useEffect } from 'react';
+import { collection, onSnapshot } from 'firebase/firestore';
+import { appId } from '../config/firebase.js';
+import { compareByCreatedAtDesc } from '../utils/srUtils.js';
+
+// Hook to manage all service requests
+const useSrs = (db) => {
+  const [srs, setSrs] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!db) {
+      setLoading(false); // Set loading to false if db is not available
+      return;
+    }
+
+    const srsColRef = collection(db, `artifacts/${appId}/public/data/srs`);
+    const unsubscribe = onSnapshot(srsColRef,
+      (snapshot) => {
+        const srsList = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        // Newest first; pending serverTimestamps (null) sort to the top
+        srsList.sort(compareByCreatedAtDesc);
+        setSrs(srsList);
+        setLoading(false);
+      },
+      (err) => {
+        console.error("Error fetching service requests:", err);
+        setError("Failed to load service requests.");
+        setLoading(false);
+      }
+    );
+
+    return () => unsubscribe();
+  }, [db, appId]);
+
+  return { srs, loading, error };
+};
+
+export { useSrs };
@@ -0,0 +1,38 @@
+import { useState, useEffect } from 'react';
+import { collection, onSnapshot } from 'firebase/firestore';
+import { appId } from '../config/firebase.js';
+
+// Hook to manage all teams
+const useTeams = (db) => {
+  const [teams, setTeams] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!db) {
+      setLoading(false); // Set loading to false if db is not available
+      return;
+    }
+
+    const teamsColRef = collection(db, `artifacts/${appId}/public/data/teams`);
+    const unsubscribe = onSnapshot(teamsColRef,
+      (snapshot) => {
+        const teamsList = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        teamsList.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+        setTeams(teamsList);
+        setLoading(false);
+      },
+      (err) => {
+        console.error("Error fetching teams:", err);
+        setError("Failed to load teams.");
+        setLoading(false);
+      }
+    );
+
+    return () => unsubscribe();
+  }, [db, appId]);
+
+  return { teams, loading, error };
+};
+
+export { useTeams };
@@ -0,0 +1,108 @@
+import { isOpenSr } from './srUtils.js';
+import { getSrCountingConfig, getPeriodLengthDays, getSrDate } from './srPeriodUtils.js';
+import { daysBetween } from './shiftPatternUtils.js';
+
+// --- Workload Analytics ---
+// Pure aggregations over the `srs` collection for the analytics tab. Every figure is restricted to SRs
+// created within an inclusive YYYY-MM-DD range. An engineer's capacity for the range is their
+// `srThreshold` scaled by how many of their team's counting periods the range spans.
+
+const getSrsInRange = (srs, fromDate, toDate, now = new Date()) => (srs || []).filter(sr => {
+  const date = getSrDate(sr, now);
+  return (!fromDate || date >= fromDate) && (!toDate || date <= toDate);
+});
+
+const getRangeDays = (fromDate, toDate) => Math.max(1, daysBetween(fromDate, toDate) + 1);
+
+// null when there is no capacity to compare against
+const toUtilization = (assigned, capacity) => (capacity > 0 ? Math.round((assigned / capacity) * 100) : null);
+
+// [{ id, name, managerId, assigned, open, forced, threshold, capacity, utilization }] sorted by load
+const getEngineerLoad = (engineers, srsInRange, settings, fromDate, toDate) => {
+  const rangeDays = getRangeDays(fromDate, toDate);
+  return engineers.map(engineer => {
+    const engineerSrs = srsInRange.filter(sr => sr.assigneeId === engineer.id);
+    const periodDays = getPeriodLengthDays(getSrCountingConfig(settings, engineer.managerId || 'all'));
+    const threshold = engineer.srThreshold || 0;
+    const capacity = Math.round((threshold * rangeDays / periodDays) * 10) / 10;
+    return {
+      id: engineer.id,
+      name: engineer.name,
+      managerId: engineer.managerId || null,
+      assigned: engineerSrs.length,
+      open: engineerSrs.filter(isOpenSr).length,
+      forced: engineerSrs.filter(sr => sr.forceAssigned).length,
+      threshold,
+      capacity,
+      utilization: toUtilization(engineerSrs.length, capacity),
+    };
+  }).sort((a, b) => b.assigned - a.assigned || a.name.localeCompare(b.name));
+};
+
+// Engineer load rolled up by `managerId`: [{ managerId, name, engineers, assigned, capacity, utilization }]
+const getTeamUtilization = (engineerLoad, users) => {
+  const teams = new Map();
+  engineerLoad.forEach(load => {
+    const key = load.managerId || '';
+    if (!teams.has(key)) {
+      teams.set(key, {
+        managerId: load.managerId,
+        name: users.find(u => u.id === load.managerId)?.name || 'No manager',
+        engineers: 0,
+        assigned: 0,
+        capacity: 0,
+      });
+    }
+    const team = teams.get(key);
+    team.engineers += 1;
+    team.assigned += load.assigned;
+    team.capacity = Math.round((team.capacity + load.capacity) * 10) / 10;
+  });
+  return [...teams.values()]
+    .map(team => ({ ...team, utilization: toUtilization(team.assigned, team.capacity) }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+// SRs per required skill: [{ skillId, name, assigned, open }]. An SR needing several skills counts once for each.
+const getSkillLoad = (srsInRange, skills) => {
+  const counts = new Map();
+  srsInRange.forEach(sr => {
+    (sr.requiredSkills || []).forEach(skillId => {
+      const entry = counts.get(skillId) || { assigned: 0, open: 0 };
+      entry.assigned += 1;
+      if (isOpenSr(sr)) entry.open += 1;
+      counts.set(skillId, entry);
+    });
+  });
+  return [...counts.entries()]
+    .map(([skillId, entry]) => ({ skillId, name: skills.find(s => s.id === skillId)?.name || 'Deleted skill', ...entry }))
+    .sort((a, b) => b.assigned - a.assigned || a.name.localeCompare(b.name));
+};
+
+// Force-assign usage per assigning manager: [{ managerId, name, assigned, forced, rate }]
+const getForceAssignStats = (srsInRange, users) => {
+  const stats = new Map();
+  srsInRange.forEach(sr => {
+    const key = sr.assignedBy || '';
+    const entry = stats.get(key) || { managerId: sr.assignedBy || null, assigned: 0, forced: 0 };
+    entry.assigned += 1;
+    if (sr.forceAssigned) entry.forced += 1;
+    stats.set(key, entry);
+  });
+  return [...stats.values()]
+    .map(entry => ({
+      ...entry,
+      name: users.find(u => u.id === entry.managerId)?.name || 'Unknown',
+      rate: Math.round((entry.forced / entry.assigned) * 100),
+    }))
+    .sort((a, b) => b.forced - a.forced || a.name.localeCompare(b.name));
+};
+
+export {
+  getSrsInRange,
+  getRangeDays,
+  getEngineerLoad,
+  getTeamUtilization,
+  getSkillLoad,
+  getForceAssignStats,
+};
@@ -0,0 +1,107 @@
+import { doc, collection, serverTimestamp, FieldValue, deleteField } from 'firebase/firestore';
+import { appId } from '../config/firebase.js';
+
+// --- Audit Trail ---
+// Every roster mutation adds an entry to the `auditLog` collection in the same write batch:
+//   { actorId, actorName, action, targetType, targetId, targetLabel, changes, createdAt }
+// where `changes` maps each changed top-level field to { before, after } (null for absent values).
+
+const AUDIT_ACTIONS = [
+  { value: 'user.create', label: 'User created' },
+  { value: 'user.update', label: 'User updated' },
+  { value: 'user.delete', label: 'User deleted' },
+  { value: 'user.migrate', label: 'User legacy data migrated' },
+  { value: 'user.claim', label: 'Profile claimed at sign-in' },
+  { value: 'user.merge', label: 'Sign-in merged into profile' },
+  { value: 'user.shift-override', label: 'Shift override set' },
+  { value: 'skill.create', label: 'Skill created' },
+  { value: 'skill.update', label: 'Skill updated' },
+  { value: 'skill.delete', label: 'Skill deleted' },
+  { value: 'skill.merge', label: 'Skill merged' },
+  { value: 'skill.retire', label: 'Skill retired' },
+  { value: 'skill.restore', label: 'Skill restored' },
+  { value: 'skill-snapshot.update', label: 'Skill trend recorded' },
+  { value: 'coverage-rule.create', label: 'Coverage rule created' },
+  { value: 'coverage-rule.update', label: 'Coverage rule updated' },
+  { value: 'coverage-rule.delete', label: 'Coverage rule deleted' },
+  { value: 'settings.update', label: 'Settings updated' },
+  { value: 'sr.assign', label: 'SR assigned' },
+  { value: 'sr.status', label: 'SR status changed' },
+  { value: 'sr.reset', label: 'SRs closed in bulk' },
+  { value: 'leave.request', label: 'Leave requested' },
+  { value: 'leave.withdraw', label: 'Leave request withdrawn' },
+  { value: 'leave.approve', label: 'Leave approved' },
+  { value: 'leave.reject', label: 'Leave rejected' },
+  { value: 'leave.add', label: 'Leave added' },
+  { value: 'leave.remove', label: 'Leave removed' },
+  { value: 'leave.cancel', label: 'Approved leave cancelled' },
+  { value: 'shift-pattern.create', label: 'Shift pattern created' },
+  { value: 'shift-pattern.update', label: 'Shift pattern updated' },
+  { value: 'shift-pattern.delete', label: 'Shift pattern deleted' },
+  { value: 'team.create', label: 'Team created' },
+  { value: 'team.update', label: 'Team updated' },
+  { value: 'team.delete', label: 'Team deleted' },
+  { value: 'on-call.create', label: 'On-call schedule created' },
+  { value: 'on-call.update', label: 'On-call schedule updated' },
+  { value: 'on-call.delete', label: 'On-call schedule deleted' },
+  { value: 'calendar-feed.create', label: 'Calendar feed created' },
+  { value: 'calendar-feed.revoke', label: 'Calendar feed revoked' },
+];
+
+// Bookkeeping fields that change on every write and would only add noise to diffs
+const IGNORED_FIELDS = ['id', 'createdAt', 'updatedAt'];
+
+const getAuditActionLabel = (action) => AUDIT_ACTIONS.find(a => a.value === action)?.label || action;
+
+// Makes a value storable and comparable: Timestamps become ISO strings, field sentinels become
+// readable markers and undefined becomes null (Firestore rejects undefined)
+const toAuditValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof FieldValue) return value.isEqual(deleteField()) ? null : '(server value)';
+  if (typeof value.toDate === 'function') return value.toDate().toISOString();
+  if (Array.isArray(value)) return value.map(toAuditValue);
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, toAuditValue(v)]));
+  }
+  return value;
+};
+
+// { field: { before, after } } for every top-level field whose value differs. `after` may be a partial
+// update; fields it does not mention are treated as unchanged unless `after` is null (a delete).
+const diffDocuments = (before, after) => {
+  const changes = {};
+  const keys = after === null
+    ? Object.keys(before || {})
+    : Object.keys(after || {});
+  keys.filter(key => !IGNORED_FIELDS.includes(key)).forEach(key => {
+    const beforeValue = toAuditValue(before?.[key]);
+    const afterValue = after === null ? null : toAuditValue(after[key]);
+    if (JSON.stringify(beforeValue) !== JSON.stringify(afterValue)) {
+      changes[key] = { before: beforeValue, after: afterValue };
+    }
+  });
+  return changes;
+};
+
+// Queues an audit entry on `batch`; commit it together with the change it describes
+const addAuditEntry = (batch, db, actor, { action, targetType, targetId, targetLabel = '', before = null, after = null }) => {
+  const auditDocRef = doc(collection(db, `artifacts/${appId}/public/data/auditLog`));
+  batch.set(auditDocRef, {
+    actorId: actor?.id || null,
+    actorName: actor?.name || 'Unknown',
+    action,
+    targetType,
+    targetId: targetId || null,
+    targetLabel,
+    changes: diffDocuments(before, after),
+    createdAt: serverTimestamp(),
+  });
+};
+
+export {
+  AUDIT_ACTIONS,
+  getAuditActionLabel,
+  toAuditValue,
+  diffDocuments,
+  addAuditEntry,
+};
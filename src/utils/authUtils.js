@@ -0,0 +1,37 @@
+// --- Sign-in / Profile Linking Helpers ---
+// Profiles in `users` keep the ID they were created with. A Firebase Auth account is linked to its profile
+// through `authLinks/{auth.uid}` = { userId }, mirrored on the profile as `authUid`. Admin-created profiles
+// start unlinked ("invited") and are claimed by the first sign-in whose verified email matches.
+// Profiles created automatically for unknown sign-ins are keyed by the auth uid itself.
+
+// Emails are stored and compared lower-cased so invites match regardless of how they were typed
+const normalizeEmail = (email) => (email || '').trim().toLowerCase();
+
+// Placeholder email given to auto-created profiles of sign-ins without one (e.g. anonymous)
+const getPlaceholderEmail = (uid) => `${uid}@example.com`;
+
+// Viewer documents created on first sign-in rather than by an Admin. Older ones predate the
+// `autoCreated` flag and are recognised by their placeholder email.
+const isAutoCreatedProfile = (user) => Boolean(user.autoCreated) || user.email === getPlaceholderEmail(user.id);
+
+// 'linked' (someone signs in as this profile), 'auto' (created on first sign-in) or 'invited' (waiting to be claimed)
+const getSignInStatus = (user) => {
+  if (user.authUid) return 'linked';
+  if (isAutoCreatedProfile(user)) return 'auto';
+  return 'invited';
+};
+
+// An unclaimed, admin-created profile with this email, if any
+const findClaimableProfile = (profiles, email) => {
+  const normalized = normalizeEmail(email);
+  if (!normalized) return null;
+  return profiles.find(p => !p.authUid && !isAutoCreatedProfile(p) && normalizeEmail(p.email) === normalized) || null;
+};
+
+export {
+  normalizeEmail,
+  getPlaceholderEmail,
+  isAutoCreatedProfile,
+  getSignInStatus,
+  findClaimableProfile,
+};
@@ -0,0 +1,78 @@
+import { getLeaveOnDate } from './leaveUtils.js';
+import { getCurrentShiftStatus, isScheduledToWork, getUserPattern } from './shiftPatternUtils.js';
+import { getWorkingSchedule, getLocalTimeParts } from './workingHoursUtils.js';
+
+// --- Availability Helpers ---
+// Pure helpers for answering "is this person around?" from user documents.
+
+// Local date as YYYY-MM-DD, the format used by leave entries
+const toDateString = (date) => {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+// Today's date where the user works: their shift pattern's or schedule's time zone, else the local date
+const getUserLocalDate = (user, patterns, now = new Date()) => {
+  const timeZone = getUserPattern(user, patterns)?.timeZone || getWorkingSchedule(user)?.timeZone;
+  if (!timeZone) return toDateString(now);
+  try {
+    return getLocalTimeParts(now, timeZone).date;
+  } catch (error) {
+    return toDateString(now); // Invalid zone name
+  }
+};
+
+// Any approved leave on the date counts, including half days
+const isOnVacation = (user, dateString) => getLeaveOnDate(user, dateString) !== null;
+
+// true/false from the user's shift pattern or working schedule (in their own time zone), null when unknown
+const isWithinWorkingHours = (user, date, patterns) => getCurrentShiftStatus(user, patterns, date).onShift;
+
+// Day-of-week for a YYYY-MM-DD string (0 = Sunday), independent of the local time zone
+const getWeekday = (dateString) => new Date(`${dateString}T00:00:00Z`).getUTCDay();
+
+const isWeekend = (dateString) => {
+  const weekday = getWeekday(dateString);
+  return weekday === 0 || weekday === 6;
+};
+
+// Availability of one person on one day: 1 = available, 0.5 = half-day leave, 0 = on leave or not rostered
+const getDayAvailability = (user, dateString, patterns) => {
+  const leave = getLeaveOnDate(user, dateString);
+  const scheduled = isScheduledToWork(user, patterns, dateString);
+  if (!scheduled) return { leave, scheduled, availability: 0 };
+  if (!leave) return { leave: null, scheduled, availability: 1 };
+  return { leave, scheduled, availability: leave.halfDay ? 0.5 : 0 };
+};
+
+// Available headcount for a day (half days count as 0.5)
+const getHeadcount = (users, dateString, patterns) => (
+  (users || []).reduce((total, user) => total + getDayAvailability(user, dateString, patterns).availability, 0)
+);
+
+// Splits people by their availability on a day: { available, halfDay, onLeave, notRostered }
+const groupByDayAvailability = (users, dateString, patterns) => {
+  const groups = { available: [], halfDay: [], onLeave: [], notRostered: [] };
+  (users || []).forEach(user => {
+    const day = getDayAvailability(user, dateString, patterns);
+    if (!day.scheduled) groups.notRostered.push({ user, leave: day.leave });
+    else if (day.availability === 1) groups.available.push({ user, leave: null });
+    else if (day.availability === 0.5) groups.halfDay.push({ user, leave: day.leave });
+    else groups.onLeave.push({ user, leave: day.leave });
+  });
+  return groups;
+};
+
+export {
+  toDateString,
+  getUserLocalDate,
+  isOnVacation,
+  isWithinWorkingHours,
+  getWeekday,
+  isWeekend,
+  getDayAvailability,
+  getHeadcount,
+  groupByDayAvailability,
+};
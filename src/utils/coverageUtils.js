@@ -0,0 +1,55 @@
+import { expandDateRange } from './leaveUtils.js';
+import { isWeekend, getDayAvailability } from './availabilityUtils.js';
+import { holdsSkill } from './skillUtils.js';
+
+// --- Skill Coverage Rules ---
+// Rules live in the `coverageRules` collection: { skillId, minimum, appliesTo: 'weekdays' | 'all-days' }.
+// A rule is broken on a day when fewer than `minimum` holders of the skill are available (half days count 0.5).
+// Holders of a child skill count toward rules on its parents.
+
+const COVERAGE_RULE_SCOPES = [
+  { value: 'weekdays', label: 'Weekdays' },
+  { value: 'all-days', label: 'Every day' },
+];
+
+const ruleAppliesOn = (rule, dateString) => rule.appliesTo === 'all-days' || !isWeekend(dateString);
+
+// Lists every (day, rule) pair that would be broken if `requester` took the leave `entry`.
+// Only rules for skills the requester holds are checked, and only days they would otherwise be working.
+// `patterns` (shift patterns) decide who is rostered on each day.
+const findCoverageConflicts = (rules, users, skills, requester, entry, patterns) => {
+  const relevantRules = (rules || []).filter(rule => holdsSkill(requester, rule.skillId, skills));
+  if (relevantRules.length === 0 || !entry.startDate) return [];
+
+  const conflicts = [];
+  expandDateRange(entry.startDate, entry.endDate || entry.startDate).forEach(date => {
+    if (getDayAvailability(requester, date, patterns).availability === 0) return; // Already away or off that day
+
+    relevantRules.filter(rule => ruleAppliesOn(rule, date)).forEach(rule => {
+      const holders = (users || []).filter(u => u.id !== requester.id && holdsSkill(u, rule.skillId, skills));
+      const availableHolders = holders.filter(u => getDayAvailability(u, date, patterns).availability === 1);
+      const awayHolders = holders.filter(u => getDayAvailability(u, date, patterns).availability < 1);
+      const remaining = holders.reduce((total, u) => total + getDayAvailability(u, date, patterns).availability, 0)
+        + (entry.halfDay ? 0.5 : 0);
+
+      if (remaining < (rule.minimum || 0)) {
+        conflicts.push({
+          date,
+          ruleId: rule.id,
+          skillId: rule.skillId,
+          skillName: (skills || []).find(s => s.id === rule.skillId)?.name || 'Unknown skill',
+          minimum: rule.minimum,
+          remaining,
+          availableColleagues: availableHolders.map(u => u.name),
+          awayColleagues: awayHolders.map(u => u.name),
+        });
+      }
+    });
+  });
+  return conflicts;
+};
+
+// Compact form stored on leave requests that were submitted or approved despite conflicts
+const summarizeConflicts = (conflicts) => conflicts.map(({ date, skillId, skillName, minimum, remaining }) => ({ date, skillId, skillName, minimum, remaining }));
+
+export { COVERAGE_RULE_SCOPES, ruleAppliesOn, findCoverageConflicts, summarizeConflicts };
@@ -0,0 +1,78 @@
+// --- CSV Helpers ---
+
+// Spreadsheets run text starting with one of these as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Quotes a cell when it contains the delimiter, a quote or a line break. Text that would be read as a formula
+// gets a leading apostrophe so it opens as plain text; numbers are left alone so negatives stay numeric.
+const escapeCsvCell = (value, delimiter = ',') => {
+  const raw = value === null || value === undefined ? '' : String(value);
+  const text = typeof value !== 'number' && FORMULA_PREFIX.test(raw) ? `'${raw}` : raw;
+  return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// rows: array of objects; columns: [{ key, label }] in output order
+const toCsv = (rows, columns, delimiter = ',') => [
+  columns.map(col => escapeCsvCell(col.label, delimiter)).join(delimiter),
+  ...rows.map(row => columns.map(col => escapeCsvCell(row[col.key], delimiter)).join(delimiter)),
+].join('\r\n');
+
+// Tab-separated when the header line has more tabs than commas
+const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  return (firstLine.match(/\t/g) || []).length > (firstLine.match(/,/g) || []).length ? '\t' : ',';
+};
+
+// Parses CSV/TSV text into rows of cells, honouring quoted cells with embedded delimiters, quotes and line breaks.
+// Blank lines are dropped.
+const parseCsv = (text, delimiter = detectDelimiter(text)) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const source = text.replace(/^\uFEFF/, ''); // Spreadsheet exports often start with a BOM
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+  return rows.filter(r => r.some(c => c.trim() !== ''));
+};
+
+// Triggers a browser download of `content` as `filename`
+const downloadFile = (filename, content, mimeType = 'text/csv;charset=utf-8') => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+export { escapeCsvCell, toCsv, detectDelimiter, parseCsv, downloadFile };
@@ -0,0 +1,181 @@
+import { addDays, getLeaveEntries, getLeaveTypeLabel } from './leaveUtils.js';
+import { expandShifts } from './shiftPatternUtils.js';
+import { getLocalTimeParts, timeToMinutes } from './workingHoursUtils.js';
+import { getAllReports } from './orgUtils.js';
+import { getTeamsForUser, getTeamMembers, getTeamLeads } from './teamUtils.js';
+
+// --- iCalendar (ICS) Output ---
+// Leave and shifts as RFC 5545 events. Event UIDs are derived from the leave entry id (or user and
+// date for shifts), never from their content, so a subscribed calendar updates an edited entry in
+// place instead of adding a second event.
+
+// Who a feed covers: one person, a manager's team, or everyone
+const CALENDAR_FEED_SCOPES = [
+  { value: 'user', label: 'My leave and shifts' },
+  { value: 'team', label: 'My team' },
+  { value: 'org', label: 'Entire organisation' },
+];
+
+// Shifts are listed for this window around today; leave entries are always listed in full
+const SHIFT_DAYS_BEFORE = 30;
+const SHIFT_DAYS_AFTER = 90;
+
+// Scopes `user` may export, each with the id it targets (their own id, or the manager whose team it is)
+const getAvailableFeedScopes = (user) => {
+  const scopes = [{ ...CALENDAR_FEED_SCOPES[0], targetId: user.id }];
+  if (user.role === 'Manager') scopes.push({ ...CALENDAR_FEED_SCOPES[1], targetId: user.id });
+  else if (user.managerId) scopes.push({ ...CALENDAR_FEED_SCOPES[1], targetId: user.managerId });
+  if (['Admin', 'Manager', 'Viewer'].includes(user.role)) scopes.push({ ...CALENDAR_FEED_SCOPES[2], targetId: 'all' });
+  return scopes;
+};
+
+// A team feed covers the manager, everyone they manage down the reporting tree, and the members and leads of
+// the teams they are on
+const getFeedUsers = (scope, targetId, users, teams = []) => {
+  if (scope === 'user') return users.filter(u => u.id === targetId);
+  if (scope === 'team') {
+    const teamIds = new Set([
+      targetId,
+      ...getAllReports(users, targetId).map(u => u.id),
+      ...getTeamsForUser(teams, targetId).flatMap(team => [...getTeamLeads(team, users), ...getTeamMembers(team, users)].map(u => u.id)),
+    ]);
+    return users.filter(u => teamIds.has(u.id));
+  }
+  return users;
+};
+
+// Calendar name shown in subscribing apps
+const getFeedName = (feed, users) => {
+  const target = users.find(u => u.id === feed.targetId);
+  if (feed.scope === 'user') return `${target?.name || 'My'} – Leave & Shifts`;
+  if (feed.scope === 'team') return `${target?.name || 'My'}'s Team`;
+  return 'Organisation Leave';
+};
+
+// True while the feed's owner may still export what it covers; a feed outlives role and manager changes otherwise
+const isFeedAllowed = (feed, owner) => !!owner && getAvailableFeedScopes(owner).some(s => s.value === feed.scope && s.targetId === feed.targetId);
+
+// Unguessable feed token, used as the id of its `calendarFeeds` document
+const createFeedToken = () => Array.from(crypto.getRandomValues(new Uint8Array(24)), byte => byte.toString(16).padStart(2, '0')).join('');
+
+const escapeIcsText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets continue on the next line after a single space
+const foldLine = (line) => {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const charBytes = encoder.encode(char).length;
+    if (currentBytes + charBytes > (chunks.length === 0 ? 75 : 74)) {
+      chunks.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+};
+
+const formatIcsDate = (dateString) => dateString.replace(/-/g, '');
+
+const formatIcsDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// UTC instant of wall-clock `time` on `dateString` in `timeZone`
+const zonedTimeToUtc = (dateString, time, timeZone) => {
+  const target = Date.parse(`${dateString}T00:00:00Z`) + timeToMinutes(time) * 60000;
+  let guess = target;
+  // Two passes settle the offset, including across a DST change
+  for (let pass = 0; pass < 2; pass += 1) {
+    const local = getLocalTimeParts(new Date(guess), timeZone);
+    guess += target - (Date.parse(`${local.date}T00:00:00Z`) + local.minutes * 60000);
+  }
+  return new Date(guess);
+};
+
+const getLeaveEvents = (user, uidDomain) => getLeaveEntries(user).map(entry => ({
+  uid: `leave-${user.id}-${entry.id}@${uidDomain}`,
+  summary: `${user.name} – ${getLeaveTypeLabel(entry.type)}${entry.halfDay ? ` (${entry.halfDay})` : ''}`,
+  description: entry.note || '',
+  startDate: entry.startDate,
+  endDate: addDays(entry.endDate, 1), // DTEND of an all-day event is exclusive
+}));
+
+// Only rota shifts (patterns and overrides); a plain weekly working schedule is not worth an event per day
+const getShiftEvents = (user, patterns, today, uidDomain) => {
+  const leaveEntries = getLeaveEntries(user);
+  return expandShifts(user, patterns, addDays(today, -SHIFT_DAYS_BEFORE), addDays(today, SHIFT_DAYS_AFTER))
+    .filter(({ date, shift, source }) => shift && source !== 'schedule' && !leaveEntries.some(e => !e.halfDay && e.startDate <= date && date <= e.endDate))
+    .map(({ date, shift }) => {
+      const timeZone = shift.timeZone || 'UTC';
+      const overnight = timeToMinutes(shift.end) <= timeToMinutes(shift.start);
+      return {
+        uid: `shift-${user.id}-${date}@${uidDomain}`,
+        summary: `${user.name} – ${shift.label} shift`,
+        description: `${shift.start}–${shift.end} (${timeZone})`,
+        start: zonedTimeToUtc(date, shift.start, timeZone),
+        end: zonedTimeToUtc(overnight ? addDays(date, 1) : date, shift.end, timeZone),
+      };
+    });
+};
+
+const buildEventLines = (event, stamp) => [
+  'BEGIN:VEVENT',
+  `UID:${event.uid}`,
+  `DTSTAMP:${stamp}`,
+  ...(event.startDate
+    ? [`DTSTART;VALUE=DATE:${formatIcsDate(event.startDate)}`, `DTEND;VALUE=DATE:${formatIcsDate(event.endDate)}`, 'TRANSP:TRANSPARENT']
+    : [`DTSTART:${formatIcsDateTime(event.start)}`, `DTEND:${formatIcsDateTime(event.end)}`]),
+  `SUMMARY:${escapeIcsText(event.summary)}`,
+  ...(event.description ? [`DESCRIPTION:${escapeIcsText(event.description)}`] : []),
+  'END:VEVENT',
+];
+
+const buildIcsCalendar = (name, events, now = new Date()) => {
+  const stamp = formatIcsDateTime(now);
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Team Roster//Leave and Shifts//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(name)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    ...events.flatMap(event => buildEventLines(event, stamp)),
+    'END:VCALENDAR',
+  ].map(foldLine).join('\r\n') + '\r\n';
+};
+
+// The whole calendar for a feed. `feed` is { scope, targetId }; `uidDomain` keeps UIDs unique per deployment.
+// Organisation-wide feeds carry leave only, to stay a reasonable size.
+const buildFeedCalendar = (feed, { users, teams, shiftPatterns, today, uidDomain, name }) => {
+  const feedUsers = getFeedUsers(feed.scope, feed.targetId, users, teams);
+  const events = feedUsers.flatMap(user => [
+    ...getLeaveEvents(user, uidDomain),
+    ...(feed.scope === 'org' ? [] : getShiftEvents(user, shiftPatterns, today, uidDomain)),
+  ]);
+  return buildIcsCalendar(name, events);
+};
+
+export {
+  CALENDAR_FEED_SCOPES,
+  getAvailableFeedScopes,
+  getFeedUsers,
+  getFeedName,
+  isFeedAllowed,
+  createFeedToken,
+  escapeIcsText,
+  foldLine,
+  zonedTimeToUtc,
+  getLeaveEvents,
+  getShiftEvents,
+  buildIcsCalendar,
+  buildFeedCalendar,
+};
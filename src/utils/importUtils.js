@@ -0,0 +1,239 @@
+import { normalizeEmail } from './authUtils.js';
+import { toLeaveEntry, sortLeaveEntries, validateLeaveEntry, getLeaveEntries } from './leaveUtils.js';
+import { createDefaultSchedule, getWorkingSchedule, normalizeTimeZone } from './workingHoursUtils.js';
+import { ROSTER_ROLES } from './rosterFilterUtils.js';
+import { getSkillEntries, toSkillEntry, toSkillFields, findSkillByName, parseAliases } from './skillUtils.js';
+import { wouldCreateReportingCycle } from './orgUtils.js';
+
+// --- Bulk Import ---
+// Turns parsed CSV/TSV rows into a dry-run plan: one item per data row with the action it would take
+// ('create', 'update', 'unchanged' or 'skip'), the document fields to write and any validation errors. Nothing is
+// written here; the importing component commits the valid items.
+
+// Fields an import can map columns to. `aliases` are header spellings recognised automatically.
+const USER_IMPORT_FIELDS = [
+  { key: 'name', label: 'Name', required: true, aliases: ['full name', 'display name'] },
+  { key: 'email', label: 'Email', required: true, aliases: ['e-mail', 'email address', 'mail'] },
+  { key: 'role', label: 'Role', aliases: [] },
+  { key: 'manager', label: 'Manager (name or email)', aliases: ['manager', 'manager email', 'manager name', 'reports to'] },
+  { key: 'skills', label: 'Skills (names or aliases, separated by ;)', aliases: ['skills', 'skill'] },
+  { key: 'srThreshold', label: 'SR Threshold', aliases: ['sr threshold', 'threshold'] },
+  { key: 'timeZone', label: 'Time Zone (IANA name, e.g. Europe/London)', aliases: ['time zone', 'timezone', 'tz', 'zone'] },
+  { key: 'shiftPattern', label: 'Shift Pattern (name)', aliases: ['shift pattern', 'pattern', 'shift'] },
+  { key: 'leave', label: 'Leave (YYYY-MM-DD or YYYY-MM-DD..YYYY-MM-DD, separated by ;)', aliases: ['leave', 'vacation', 'vacations', 'vacation dates', 'pto'] },
+];
+
+const SKILL_IMPORT_FIELDS = [
+  { key: 'name', label: 'Skill Name', required: true, aliases: ['skill', 'skill name'] },
+  { key: 'category', label: 'Category', aliases: ['group'] },
+  { key: 'parent', label: 'Parent Skill (name)', aliases: ['parent', 'parent skill'] },
+  { key: 'description', label: 'Description', aliases: ['notes'] },
+  { key: 'aliases', label: 'Aliases (separated by ,)', aliases: ['alias', 'also known as'] },
+];
+
+const normalizeHeader = (header) => header.trim().toLowerCase().replace(/[_-]+/g, ' ');
+
+// { fieldKey: columnIndex } guessed from the header row; unmatched fields map to -1
+const guessColumnMapping = (headers, fields) => Object.fromEntries(fields.map(field => {
+  const candidates = [field.key, field.label, ...field.aliases].map(normalizeHeader);
+  return [field.key, headers.findIndex(header => candidates.includes(normalizeHeader(header)))];
+}));
+
+// { fieldKey: trimmed cell } for one data row
+const readRow = (row, mapping) => Object.fromEntries(
+  Object.entries(mapping).map(([key, index]) => [key, index >= 0 ? (row[index] || '').trim() : ''])
+);
+
+const splitList = (value) => value.split(/[;|]/).map(part => part.trim()).filter(Boolean);
+
+const findByNameOrEmail = (people, value) => {
+  const term = value.trim().toLowerCase();
+  return people.find(p => normalizeEmail(p.email) === term) || people.find(p => (p.name || '').trim().toLowerCase() === term) || null;
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// "2026-03-02..2026-03-06; 2026-04-10" -> PTO entries, or an error message
+const parseLeaveCell = (value) => {
+  const entries = [];
+  for (const part of splitList(value)) {
+    const [startDate, endDate = startDate] = part.split('..').map(s => s.trim());
+    if (!DATE_PATTERN.test(startDate) || !DATE_PATTERN.test(endDate)) {
+      return { entries: [], error: `Leave "${part}" is not YYYY-MM-DD or YYYY-MM-DD..YYYY-MM-DD.` };
+    }
+    entries.push(toLeaveEntry({ startDate, endDate, type: 'pto' }));
+  }
+  return { entries, error: null };
+};
+
+// `users`, `skills`, `shiftPatterns` are the current collections; `createId` returns a new document ID
+// so rows can name a manager that is created by an earlier row of the same file.
+const buildUserImportPlan = (rows, mapping, { users, skills, shiftPatterns }, createId) => {
+  const seenEmails = new Map(); // email -> row number, to catch duplicates within the file
+  const drafts = rows.map((row, idx) => {
+    const values = readRow(row, mapping);
+    const email = normalizeEmail(values.email);
+    const existing = users.find(u => normalizeEmail(u.email) === email) || null;
+    const errors = [];
+    if (!values.name && !existing) errors.push('Name is required.');
+    if (!email) errors.push('Email is required.');
+    else if (!/^[^@\s]+@[^@\s]+$/.test(email)) errors.push(`"${values.email}" is not a valid email.`);
+    else if (seenEmails.has(email)) errors.push(`Duplicate of row ${seenEmails.get(email)} in this file.`);
+    if (email && !seenEmails.has(email)) seenEmails.set(email, idx + 2);
+    return { rowNumber: idx + 2, values, email, existing, errors, docId: existing ? existing.id : createId() }; // Row 1 is the header
+  });
+
+  // Managers can be existing users or rows of this file that will be Managers
+  const managerPool = [
+    ...users.filter(u => u.role === 'Manager'),
+    ...drafts
+      .filter(d => d.errors.length === 0 && (d.values.role || d.existing?.role || '').toLowerCase() === 'manager')
+      .map(d => ({ id: d.docId, name: d.values.name || d.existing?.name, email: d.email })),
+  ];
+
+  // Reporting lines as they will be after the rows accepted so far, to refuse loops across rows
+  const reportingLines = [
+    ...users.map(u => ({ id: u.id, managerId: u.managerId })),
+    ...drafts.filter(d => !d.existing).map(d => ({ id: d.docId, managerId: null })),
+  ];
+
+  return drafts.map(draft => {
+    const { values, existing, errors } = draft;
+    const fields = {};
+    if (values.name) fields.name = values.name;
+    fields.email = draft.email;
+    if (values.role) {
+      const role = ROSTER_ROLES.find(r => r.toLowerCase() === values.role.toLowerCase());
+      if (role) fields.role = role;
+      else errors.push(`Unknown role "${values.role}".`);
+    }
+    if (values.manager) {
+      const manager = findByNameOrEmail(managerPool, values.manager);
+      if (!manager) errors.push(`No manager named "${values.manager}".`);
+      else if (manager.id === draft.docId) errors.push('A user cannot be their own manager.');
+      else if (wouldCreateReportingCycle(reportingLines, draft.docId, manager.id)) errors.push(`${manager.name} already reports to this user.`);
+      else fields.managerId = manager.id;
+    }
+    if (values.skills) {
+      const names = splitList(values.skills);
+      const missing = names.filter(name => !findSkillByName(skills, name));
+      // Skills the user already had keep their level and certification; retired ones can be kept but not added
+      const current = getSkillEntries(existing);
+      const retired = names.filter(name => {
+        const skill = findSkillByName(skills, name);
+        return skill?.retired && !current.some(entry => entry.skillId === skill.id);
+      });
+      if (missing.length > 0) errors.push(`Unknown skills: ${missing.join(', ')}.`);
+      else if (retired.length > 0) errors.push(`Retired skills: ${retired.join(', ')}.`);
+      else {
+        const ids = [...new Set(names.map(name => findSkillByName(skills, name).id))];
+        Object.assign(fields, toSkillFields(ids.map(skillId => current.find(entry => entry.skillId === skillId) || toSkillEntry({ skillId }))));
+      }
+    }
+    if (values.srThreshold) {
+      const threshold = Number(values.srThreshold);
+      if (!Number.isInteger(threshold) || threshold < 0) errors.push(`SR threshold "${values.srThreshold}" is not a whole number.`);
+      else fields.srThreshold = threshold;
+    }
+    if (values.timeZone) {
+      const timeZone = normalizeTimeZone(values.timeZone);
+      if (!timeZone) errors.push(`Unknown time zone "${values.timeZone}".`);
+      else fields.workingSchedule = { ...(getWorkingSchedule(existing) || createDefaultSchedule(null)), timeZone };
+    }
+    if (values.shiftPattern) {
+      const pattern = (shiftPatterns || []).find(p => p.name.toLowerCase() === values.shiftPattern.toLowerCase());
+      if (!pattern) errors.push(`No shift pattern named "${values.shiftPattern}".`);
+      else fields.shiftPatternId = pattern.id;
+    }
+    if (values.leave) {
+      const { entries, error } = parseLeaveCell(values.leave);
+      if (error) errors.push(error);
+      // Imported leave is added to what the user already has; entries already present are skipped
+      const current = getLeaveEntries(existing);
+      const added = entries.filter(entry => !current.some(c => c.startDate === entry.startDate && c.endDate === entry.endDate));
+      const accepted = [...current];
+      added.forEach(entry => {
+        const clash = validateLeaveEntry(entry, accepted);
+        if (clash) errors.push(clash);
+        else accepted.push(entry);
+      });
+      if (added.length > 0) fields.leaveEntries = sortLeaveEntries(accepted);
+    }
+
+    if (errors.length > 0) return { ...draft, action: 'skip', data: null };
+    if (fields.managerId) reportingLines.find(line => line.id === draft.docId).managerId = fields.managerId;
+    if (existing) {
+      // Only fields that differ are written, so re-importing the same file changes nothing
+      const changes = Object.fromEntries(Object.entries(fields).filter(([key, value]) => JSON.stringify(existing[key]) !== JSON.stringify(value)));
+      return { ...draft, action: Object.keys(changes).length > 0 ? 'update' : 'unchanged', data: changes };
+    }
+    return {
+      ...draft,
+      action: 'create',
+      data: {
+        name: fields.name,
+        email: fields.email,
+        role: fields.role || 'Engineer',
+        managerId: fields.managerId || null,
+        // Without a Time Zone column the zone stays unset; the importing admin's zone says nothing about the user
+        workingSchedule: fields.workingSchedule || createDefaultSchedule(null),
+        shiftPatternId: fields.shiftPatternId || '',
+        shiftPatternOffset: 0,
+        leaveEntries: fields.leaveEntries || [],
+        skillEntries: fields.skillEntries || [],
+        skills: fields.skills || [],
+        srThreshold: fields.srThreshold || 0,
+        authUid: null, // Invited until claimed at sign-in
+      },
+    };
+  });
+};
+
+// Skills are matched by name or alias, case-insensitively; existing skills are left alone. A parent must
+// already exist or be created by an earlier row of the same file.
+const buildSkillImportPlan = (rows, mapping, { skills }, createId) => {
+  const seenNames = new Map();
+  const created = []; // { id, name, aliases } of earlier rows, for parent lookups
+  return rows.map((row, idx) => {
+    const rowNumber = idx + 2;
+    const values = readRow(row, mapping);
+    const { name } = values;
+    const key = name.toLowerCase();
+    const existing = findSkillByName(skills, name);
+    const errors = [];
+    if (!name) errors.push('Skill name is required.');
+    else if (seenNames.has(key)) errors.push(`Duplicate of row ${seenNames.get(key)} in this file.`);
+    if (name && !seenNames.has(key)) seenNames.set(key, rowNumber);
+    const parent = values.parent ? findSkillByName([...skills, ...created], values.parent) : null;
+    if (values.parent && !parent) errors.push(`No skill named "${values.parent}" (a parent must come before its sub-skills).`);
+    if (errors.length > 0) return { rowNumber, values, existing, errors, action: 'skip', data: null };
+    if (existing) return { rowNumber, values, existing, errors, docId: existing.id, action: 'unchanged', data: {} };
+    const data = {
+      name,
+      category: values.category || '',
+      parentId: parent?.id || null,
+      description: values.description || '',
+      aliases: parseAliases(values.aliases),
+    };
+    const docId = createId();
+    created.push({ id: docId, ...data });
+    return { rowNumber, values, existing, errors, docId, action: 'create', data };
+  });
+};
+
+// Each imported row is one document write plus one audit entry, so this keeps a batch well under
+// Firestore's 500-operation limit
+const IMPORT_BATCH_SIZE = 200;
+
+const chunkItems = (items, size = IMPORT_BATCH_SIZE) => (
+  Array.from({ length: Math.ceil(items.length / size) }, (_, idx) => items.slice(idx * size, (idx + 1) * size))
+);
+
+export {
+  USER_IMPORT_FIELDS,
+  SKILL_IMPORT_FIELDS,
+  guessColumnMapping,
+  buildUserImportPlan,
+  buildSkillImportPlan,
+  chunkItems,
+};
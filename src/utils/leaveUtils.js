@@ -0,0 +1,191 @@
+// --- Leave Helpers ---
+// Leave is stored on the user document as `leaveEntries`:
+//   { id, startDate, endDate, type, halfDay, note, requestId }
+// with dates as YYYY-MM-DD strings and `halfDay` ('AM' | 'PM' | null) only used for single-day entries.
+// Older documents carry a flat `vacationDates` array of YYYY-MM-DD strings; getLeaveEntries reads both,
+// and every write path stores `leaveEntries` and deletes `vacationDates`, so data migrates as it is touched.
+//
+// Leave requests live in the `leaveRequests` collection and carry the same entry fields. Only approved
+// requests are copied into the user's `leaveEntries`, which is what every roster view reads.
+
+const LEAVE_TYPES = [
+  { value: 'pto', label: 'PTO' },
+  { value: 'sick', label: 'Sick' },
+  { value: 'training', label: 'Training' },
+  { value: 'public-duty', label: 'Public Duty' },
+  { value: 'unpaid', label: 'Unpaid' },
+];
+
+const LEAVE_TYPE_STYLES = {
+  pto: 'bg-blue-100 text-blue-800',
+  sick: 'bg-red-100 text-red-800',
+  training: 'bg-purple-100 text-purple-800',
+  'public-duty': 'bg-teal-100 text-teal-800',
+  unpaid: 'bg-gray-100 text-gray-700',
+};
+
+const LEAVE_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+
+const LEAVE_STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800',
+  cancelled: 'bg-gray-100 text-gray-600',
+};
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const getLeaveTypeLabel = (type) => LEAVE_TYPES.find(t => t.value === type)?.label || type;
+
+const createLeaveId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Date strings are handled in UTC so adding days is not affected by DST changes
+const parseDateString = (dateString) => new Date(`${dateString}T00:00:00Z`);
+const formatDateString = (date) => date.toISOString().slice(0, 10);
+
+const addDays = (dateString, days) => {
+  const date = parseDateString(dateString);
+  date.setUTCDate(date.getUTCDate() + days);
+  return formatDateString(date);
+};
+
+// Inclusive list of YYYY-MM-DD strings between two dates
+const expandDateRange = (startDate, endDate) => {
+  const dates = [];
+  for (let current = startDate; current <= endDate; current = addDays(current, 1)) {
+    dates.push(current);
+  }
+  return dates;
+};
+
+// Collapses sorted legacy dates into contiguous PTO ranges
+const legacyDatesToEntries = (dates) => {
+  const sorted = [...new Set(dates || [])].filter(Boolean).sort();
+  const entries = [];
+  sorted.forEach(date => {
+    const last = entries[entries.length - 1];
+    if (last && addDays(last.endDate, 1) === date) {
+      last.endDate = date;
+    } else {
+      entries.push({ id: `legacy-${date}`, startDate: date, endDate: date, type: 'pto', halfDay: null, note: '', requestId: null });
+    }
+  });
+  return entries;
+};
+
+// Normalizes request/entry shapes, including legacy requests that only had `date`
+const toLeaveEntry = (source) => {
+  const startDate = source.startDate || source.date;
+  const endDate = source.endDate || startDate;
+  return {
+    id: source.id || createLeaveId(),
+    startDate,
+    endDate,
+    type: source.type || 'pto',
+    halfDay: startDate === endDate ? source.halfDay || null : null,
+    note: source.note || '',
+    requestId: source.requestId || null,
+  };
+};
+
+const sortLeaveEntries = (entries) => [...entries].sort((a, b) => a.startDate.localeCompare(b.startDate) || a.endDate.localeCompare(b.endDate));
+
+const getLeaveEntries = (user) => sortLeaveEntries([
+  ...(user?.leaveEntries || []).map(toLeaveEntry),
+  ...legacyDatesToEntries(user?.vacationDates),
+]);
+
+const entryCoversDate = (entry, dateString) => entry.startDate <= dateString && dateString <= entry.endDate;
+
+const getLeaveOnDate = (user, dateString) => getLeaveEntries(user).find(entry => entryCoversDate(entry, dateString)) || null;
+
+const rangesOverlap = (a, b) => a.startDate <= b.endDate && b.startDate <= a.endDate;
+
+// Half-day entries on the same date only clash when they cover the same half
+const entriesClash = (a, b) => {
+  if (!rangesOverlap(a, b)) return false;
+  if (a.halfDay && b.halfDay) return a.halfDay === b.halfDay;
+  return true;
+};
+
+const countLeaveDays = (entry) => (entry.halfDay ? 0.5 : expandDateRange(entry.startDate, entry.endDate).length);
+
+// Compact display: "3–14 Mar 2026", "28 Feb – 3 Mar 2026", "5 Mar 2026 (AM)"
+const formatLeaveRange = (entry) => {
+  const start = parseDateString(entry.startDate);
+  const end = parseDateString(entry.endDate);
+  const day = (d) => d.getUTCDate();
+  const month = (d) => MONTH_NAMES[d.getUTCMonth()];
+  const year = (d) => d.getUTCFullYear();
+  let text;
+  if (entry.startDate === entry.endDate) {
+    text = `${day(start)} ${month(start)} ${year(start)}`;
+  } else if (year(start) !== year(end)) {
+    text = `${day(start)} ${month(start)} ${year(start)} – ${day(end)} ${month(end)} ${year(end)}`;
+  } else if (month(start) !== month(end)) {
+    text = `${day(start)} ${month(start)} – ${day(end)} ${month(end)} ${year(end)}`;
+  } else {
+    text = `${day(start)}–${day(end)} ${month(end)} ${year(end)}`;
+  }
+  return entry.halfDay ? `${text} (${entry.halfDay})` : text;
+};
+
+const formatLeaveEntry = (entry) => `${formatLeaveRange(entry)} · ${getLeaveTypeLabel(entry.type)}`;
+
+// Validates a candidate entry against the user's existing entries; returns an error message or null
+const validateLeaveEntry = (entry, existingEntries) => {
+  if (!entry.startDate || !entry.endDate) return 'Please select a start and end date.';
+  if (entry.endDate < entry.startDate) return 'The end date cannot be before the start date.';
+  const clash = (existingEntries || []).find(existing => existing.id !== entry.id && entriesClash(existing, entry));
+  if (clash) return `This overlaps existing leave: ${formatLeaveEntry(clash)}.`;
+  return null;
+};
+
+const getLeaveRequestsForUser = (leaveRequests, userId) => (leaveRequests || []).filter(r => r.userId === userId);
+
+const getPendingRequestsForTeam = (leaveRequests, team) => {
+  const teamIds = (team || []).map(u => u.id);
+  return (leaveRequests || []).filter(r => r.status === 'pending' && teamIds.includes(r.userId));
+};
+
+// Pending or approved requests that clash with the candidate entry
+const getOverlappingRequest = (leaveRequests, userId, entry) => (
+  getLeaveRequestsForUser(leaveRequests, userId)
+    .filter(r => r.status === 'pending' || r.status === 'approved')
+    .find(r => entriesClash(toLeaveEntry(r), entry)) || null
+);
+
+// Leave overlapping the `days` days from `fromDate` across users: [{ user, entry }] by start date
+const getUpcomingLeave = (users, fromDate, days = 14) => {
+  const range = { startDate: fromDate, endDate: addDays(fromDate, days - 1) };
+  return (users || [])
+    .flatMap(user => getLeaveEntries(user).filter(entry => rangesOverlap(entry, range)).map(entry => ({ user, entry })))
+    .sort((a, b) => a.entry.startDate.localeCompare(b.entry.startDate) || (a.user.name || '').localeCompare(b.user.name || ''));
+};
+
+export {
+  LEAVE_TYPES,
+  LEAVE_TYPE_STYLES,
+  LEAVE_STATUSES,
+  LEAVE_STATUS_STYLES,
+  getLeaveTypeLabel,
+  createLeaveId,
+  addDays,
+  expandDateRange,
+  legacyDatesToEntries,
+  toLeaveEntry,
+  sortLeaveEntries,
+  getLeaveEntries,
+  entryCoversDate,
+  getLeaveOnDate,
+  rangesOverlap,
+  entriesClash,
+  countLeaveDays,
+  formatLeaveRange,
+  formatLeaveEntry,
+  validateLeaveEntry,
+  getLeaveRequestsForUser,
+  getPendingRequestsForTeam,
+  getOverlappingRequest,
+  getUpcomingLeave,
+};
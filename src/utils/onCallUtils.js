@@ -0,0 +1,110 @@
+import { addDays, getLeaveOnDate } from './leaveUtils.js';
+import { getLocalTimeParts, timeToMinutes } from './workingHoursUtils.js';
+import { daysBetween } from './shiftPatternUtils.js';
+
+// --- On-Call Schedules ---
+// Schedules live in the `onCallSchedules` collection:
+//   { name, skillId, participantIds: [userId, ...], rotationDays, handoffTime: 'HH:MM', timeZone,
+//     startDate: 'YYYY-MM-DD', overrides: [{ id, userId, startDate, endDate, note }] }
+// Everything is computed in "on-call days": on-call day D runs from D at handoffTime to D + 1 at handoffTime,
+// in the schedule's time zone. The rotation starts with the first participant on startDate and hands off
+// every rotationDays. Overrides replace whoever is on call for their (inclusive) range of on-call days.
+// A rotation participant on leave that day is skipped in favour of the next participant who is not.
+
+// Schedules saved without a zone are read as UTC, so every viewer sees the same handoffs (and the label says so)
+// instead of each one getting their own browser's zone
+const getScheduleTimeZone = (schedule) => schedule.timeZone || 'UTC';
+
+// The on-call day that contains `now`
+const getOnCallDay = (schedule, now = new Date()) => {
+  const local = getLocalTimeParts(now, getScheduleTimeZone(schedule));
+  return local.minutes < timeToMinutes(schedule.handoffTime || '09:00') ? addDays(local.date, -1) : local.date;
+};
+
+// { userId, source: 'override' | 'rotation' | 'cover', coveringFor } | null for a single on-call day
+const getOnCallForDay = (schedule, users, day) => {
+  const override = (schedule.overrides || []).find(o => o.startDate <= day && day <= o.endDate);
+  if (override) return { userId: override.userId, source: 'override', coveringFor: null };
+
+  const participantIds = schedule.participantIds || [];
+  if (participantIds.length === 0 || !schedule.startDate || day < schedule.startDate) return null;
+  const rotationDays = Math.max(1, parseInt(schedule.rotationDays, 10) || 7);
+  const slot = Math.floor(daysBetween(schedule.startDate, day) / rotationDays);
+  const scheduledId = participantIds[slot % participantIds.length];
+
+  for (let step = 0; step < participantIds.length; step++) {
+    const candidateId = participantIds[(slot + step) % participantIds.length];
+    const candidate = (users || []).find(u => u.id === candidateId);
+    if (candidate && !getLeaveOnDate(candidate, day)) {
+      return { userId: candidateId, source: step === 0 ? 'rotation' : 'cover', coveringFor: step === 0 ? null : scheduledId };
+    }
+  }
+  return { userId: scheduledId, source: 'rotation', coveringFor: null }; // Everyone is away; keep the rota
+};
+
+// Consecutive on-call days with the same person merged into periods:
+//   { userId, source, coveringFor, startDay, endDay } with endDay inclusive
+const getOnCallPeriods = (schedule, users, fromDay, toDay) => {
+  const periods = [];
+  for (let day = fromDay; day <= toDay; day = addDays(day, 1)) {
+    const assignment = getOnCallForDay(schedule, users, day);
+    if (!assignment) continue;
+    const last = periods[periods.length - 1];
+    if (last && last.userId === assignment.userId && last.source === assignment.source && addDays(last.endDay, 1) === day) {
+      last.endDay = day;
+    } else {
+      periods.push({ ...assignment, startDay: day, endDay: day });
+    }
+  }
+  return periods;
+};
+
+// Periods that end on or after the current on-call day; scanning starts a while back so the
+// current period reports when it really started
+const LOOKBACK_DAYS = 60;
+
+const getPeriodsFromNow = (schedule, users, now, horizonDays) => {
+  const today = getOnCallDay(schedule, now);
+  return getOnCallPeriods(schedule, users, addDays(today, -LOOKBACK_DAYS), addDays(today, horizonDays))
+    .filter(period => period.endDay >= today)
+    .map(period => ({ ...period, isCurrent: period.startDay <= today }));
+};
+
+// Who is on call right now, and since/until when
+const getCurrentOnCall = (schedule, users, now = new Date()) => {
+  try {
+    const period = getPeriodsFromNow(schedule, users, now, LOOKBACK_DAYS)[0];
+    return period?.isCurrent ? period : null;
+  } catch (error) {
+    return null; // Invalid zone name
+  }
+};
+
+// The user's current or next on-call periods across all schedules, soonest first
+const getUpcomingOnCallForUser = (schedules, users, userId, now = new Date(), horizonDays = 90) => (
+  (schedules || []).flatMap(schedule => {
+    try {
+      return getPeriodsFromNow(schedule, users, now, horizonDays)
+        .filter(period => period.userId === userId)
+        .map(period => ({ ...period, schedule }));
+    } catch (error) {
+      return [];
+    }
+  }).sort((a, b) => a.startDay.localeCompare(b.startDay))
+);
+
+// "2026-03-02 09:00" style boundaries for a period (the end is the handoff after the last day)
+const formatOnCallBoundary = (schedule, day) => `${day} ${schedule.handoffTime || '09:00'}`;
+
+const formatOnCallPeriod = (schedule, period) => (
+  `${formatOnCallBoundary(schedule, period.startDay)} to ${formatOnCallBoundary(schedule, addDays(period.endDay, 1))} (${schedule.timeZone || 'UTC, time zone not set'})`
+);
+
+export {
+  getOnCallDay,
+  getOnCallForDay,
+  getOnCallPeriods,
+  getCurrentOnCall,
+  getUpcomingOnCallForUser,
+  formatOnCallPeriod,
+};
@@ -0,0 +1,94 @@
+// --- Reporting Hierarchy ---
+// Anyone can report to a Manager through `managerId`, Managers included, so the org is a tree of any depth.
+// The editors refuse assignments that would close a loop; every walk here also stops at a repeated ID so a
+// cycle already in the data cannot hang the UI.
+
+// Security rules let a Manager act on reports down to this many levels below them (see managesUser)
+const MAX_MANAGED_LEVELS = 4;
+
+const getDirectReports = (users, managerId) => (users || []).filter(u => u.managerId && u.managerId === managerId);
+
+// Everyone below `managerId` down to `maxDepth` levels, nearest levels first. The default stops where a Manager's
+// rights stop; pass Infinity for the whole tree.
+const getAllReports = (users, managerId, maxDepth = MAX_MANAGED_LEVELS) => {
+  const reports = [];
+  const seen = new Set([managerId]);
+  for (let queue = [{ id: managerId, depth: 0 }]; queue.length > 0;) {
+    const { id, depth } = queue.shift();
+    if (depth >= maxDepth) continue;
+    getDirectReports(users, id).forEach(report => {
+      if (seen.has(report.id)) return;
+      seen.add(report.id);
+      reports.push(report);
+      queue.push({ id: report.id, depth: depth + 1 });
+    });
+  }
+  return reports;
+};
+
+// [manager, their manager, ...] above `userId`, up to the top of the tree
+const getManagerChain = (users, userId) => {
+  const chain = [];
+  const seen = new Set([userId]);
+  let current = (users || []).find(u => u.id === userId);
+  while (current?.managerId && !seen.has(current.managerId)) {
+    seen.add(current.managerId);
+    current = users.find(u => u.id === current.managerId);
+    if (current) chain.push(current);
+  }
+  return chain;
+};
+
+// True when `userId` reporting to `managerId` would make someone their own (indirect) manager
+const wouldCreateReportingCycle = (users, userId, managerId) => (
+  !!userId && !!managerId && (managerId === userId || getAllReports(users, userId, Infinity).some(u => u.id === managerId))
+);
+
+// Levels between a manager and someone in their tree: 1 for a direct report, 2 for a skip-level, ...
+const getReportingDepth = (users, managerId, userId) => {
+  const index = getManagerChain(users, userId).findIndex(u => u.id === managerId);
+  return index === -1 ? null : index + 1;
+};
+
+// Managers with nobody (or nobody known) above them
+const getTopLevelManagers = (users) => (users || []).filter(u => u.role === 'Manager'
+  && !(u.managerId && users.some(m => m.id === u.managerId && m.role === 'Manager')));
+
+// { manager, reports, subTeams: [node, ...] } for `manager` and every Manager below them; `reports` are their
+// direct reports other than Managers
+const buildManagerTree = (users, manager, seen = new Set()) => {
+  seen.add(manager.id);
+  const direct = getDirectReports(users, manager.id);
+  return {
+    manager,
+    reports: direct.filter(u => u.role !== 'Manager'),
+    subTeams: direct
+      .filter(u => u.role === 'Manager' && !seen.has(u.id))
+      .sort((a, b) => (a.name || '').localeCompare(b.name || ''))
+      .map(subManager => buildManagerTree(users, subManager, seen)),
+  };
+};
+
+// One tree per top-level Manager, sorted by name. Managers caught in a reporting loop have no top, so each
+// such loop is started from its first member instead and nobody goes missing.
+const buildOrgForest = (users) => {
+  const seen = new Set();
+  const byName = (a, b) => (a.name || '').localeCompare(b.name || '');
+  const trees = [...getTopLevelManagers(users)].sort(byName).map(manager => buildManagerTree(users, manager, seen));
+  (users || []).filter(u => u.role === 'Manager').sort(byName).forEach(manager => {
+    if (!seen.has(manager.id)) trees.push(buildManagerTree(users, manager, seen));
+  });
+  return trees;
+};
+
+export {
+  MAX_MANAGED_LEVELS,
+  getDirectReports,
+  getAllReports,
+  getManagerChain,
+  wouldCreateReportingCycle,
+  getReportingDepth,
+  getTopLevelManagers,
+  buildManagerTree,
+  buildOrgForest,
+};
@@ -0,0 +1,123 @@
+import { getLeaveEntries, formatLeaveEntry } from './leaveUtils.js';
+import { getOpenSrCount } from './srUtils.js';
+import { getSrCountingConfig, getPeriodSrCount } from './srPeriodUtils.js';
+import { describeShiftPattern } from './shiftPatternUtils.js';
+import { describeWorkingHours } from './workingHoursUtils.js';
+import { formatUserSkills } from './skillUtils.js';
+import { getAllReports } from './orgUtils.js';
+
+// --- Roster Export ---
+// Flattens roster users into rows with manager and skill names resolved, for CSV/XLSX downloads and the
+// printable layout. Callers pass the users already filtered and sorted the way the table shows them.
+
+const ROSTER_EXPORT_COLUMNS = [
+  { key: 'name', label: 'Name' },
+  { key: 'email', label: 'Email' },
+  { key: 'role', label: 'Role' },
+  { key: 'manager', label: 'Manager' },
+  { key: 'skills', label: 'Skills' },
+  { key: 'workingHours', label: 'Working Hours' },
+  { key: 'shiftPattern', label: 'Shift Pattern' },
+  { key: 'srsThisPeriod', label: 'SRs This Period' },
+  { key: 'srThreshold', label: 'SR Threshold' },
+  { key: 'openSrs', label: 'Open SRs' },
+  { key: 'upcomingLeave', label: 'Upcoming Leave' },
+];
+
+// Managers may only export their own reporting tree; Admins and Viewers can export everyone they can see.
+// `allUsers` resolves the tree when `users` is only the filtered rows.
+const getExportableUsers = (users, currentUser, allUsers = users) => {
+  if (currentUser?.role === 'Manager') {
+    const reportIds = getAllReports(allUsers, currentUser.id).map(u => u.id);
+    return users.filter(u => reportIds.includes(u.id));
+  }
+  if (currentUser?.role === 'Admin' || currentUser?.role === 'Viewer') return users;
+  return [];
+};
+
+// context: { allUsers, skills, srs, settings, shiftPatterns, today } where `today` is YYYY-MM-DD
+const buildRosterExportRows = (users, { allUsers, skills, srs, settings, shiftPatterns, today }) => users.map(user => {
+  const isEngineer = user.role === 'Engineer';
+  return {
+    name: user.name,
+    email: user.email || '',
+    role: user.role,
+    manager: allUsers.find(m => m.id === user.managerId)?.name || '',
+    skills: formatUserSkills(user, skills),
+    workingHours: describeWorkingHours(user),
+    shiftPattern: describeShiftPattern(user, shiftPatterns),
+    srsThisPeriod: isEngineer ? getPeriodSrCount(srs, user.id, getSrCountingConfig(settings, user.managerId || 'all')) : null,
+    srThreshold: isEngineer ? user.srThreshold || 0 : null,
+    openSrs: isEngineer ? getOpenSrCount(srs, user.id) : null,
+    upcomingLeave: getLeaveEntries(user).filter(entry => entry.endDate >= today).map(formatLeaveEntry).join('; '),
+  };
+});
+
+// [{ manager, rows }] in order of first appearance, with users that have no manager last
+const groupRowsByManager = (rows) => {
+  const groups = [];
+  rows.forEach(row => {
+    const manager = row.manager || '';
+    let group = groups.find(g => g.manager === manager);
+    if (!group) {
+      group = { manager, rows: [] };
+      groups.push(group);
+    }
+    group.rows.push(row);
+  });
+  return [...groups.filter(g => g.manager), ...groups.filter(g => !g.manager)];
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Standalone HTML page for the browser's print dialog ("Save as PDF"): one table per manager, landscape,
+// with headers repeated on every printed page
+const buildRosterPrintHtml = (rows, { title, subtitle }) => {
+  const columns = ROSTER_EXPORT_COLUMNS.filter(col => col.key !== 'manager');
+  const tables = groupRowsByManager(rows).map(group => `
+    <section>
+      <h2>${escapeHtml(group.manager ? `Manager: ${group.manager}` : 'No manager')} <span>(${group.rows.length})</span></h2>
+      <table>
+        <thead><tr>${columns.map(col => `<th>${escapeHtml(col.label)}</th>`).join('')}</tr></thead>
+        <tbody>${group.rows.map(row => `<tr>${columns.map(col => `<td>${escapeHtml(row[col.key])}</td>`).join('')}</tr>`).join('')}</tbody>
+      </table>
+    </section>`).join('');
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    @page { size: A4 landscape; margin: 12mm; }
+    body { font-family: Helvetica, Arial, sans-serif; font-size: 9pt; color: #111827; }
+    h1 { font-size: 16pt; margin: 0 0 2mm; }
+    p.subtitle { margin: 0 0 6mm; color: #4b5563; }
+    section { page-break-inside: avoid; margin-bottom: 6mm; }
+    h2 { font-size: 11pt; color: #1d4ed8; margin: 0 0 2mm; }
+    h2 span { color: #6b7280; font-weight: normal; }
+    table { width: 100%; border-collapse: collapse; }
+    thead { display: table-header-group; }
+    tr { page-break-inside: avoid; }
+    th, td { border: 1px solid #d1d5db; padding: 1.5mm 2mm; text-align: left; vertical-align: top; }
+    th { background: #f3f4f6; font-size: 8pt; text-transform: uppercase; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  <p class="subtitle">${escapeHtml(subtitle)}</p>
+  ${tables || '<p>No users to show.</p>'}
+</body>
+</html>`;
+};
+
+export {
+  ROSTER_EXPORT_COLUMNS,
+  getExportableUsers,
+  buildRosterExportRows,
+  groupRowsByManager,
+  buildRosterPrintHtml,
+};
@@ -0,0 +1,79 @@
+import { getDayAvailability } from './availabilityUtils.js';
+import { holdsSkill } from './skillUtils.js';
+
+// --- Roster Filtering and Sorting ---
+// Shared by every roster table. Filters apply to user documents; sorting works on any rows given
+// a map of column key -> value getter.
+
+const EMPTY_ROSTER_FILTERS = {
+  search: '',
+  role: '',
+  managerId: '',
+  skillId: '',
+  shiftPatternId: '', // '' = any, 'none' = no pattern assigned
+  availableToday: false,
+};
+
+const ROSTER_ROLES = ['Admin', 'Manager', 'Engineer', 'Viewer'];
+
+const hasActiveFilters = (filters) => Object.keys(EMPTY_ROSTER_FILTERS).some(key => filters[key] !== EMPTY_ROSTER_FILTERS[key]);
+
+// Free-text search matches name or email, case-insensitively
+const matchesSearch = (user, search) => {
+  const term = search.trim().toLowerCase();
+  if (!term) return true;
+  return (user.name || '').toLowerCase().includes(term) || (user.email || '').toLowerCase().includes(term);
+};
+
+// The skill filter also matches people who hold a skill nested under it, so it needs the skill catalogue
+const matchesRosterFilters = (user, filters, patterns, today, skills) => {
+  if (!matchesSearch(user, filters.search)) return false;
+  if (filters.role && user.role !== filters.role) return false;
+  if (filters.managerId && (user.managerId || 'none') !== filters.managerId) return false;
+  if (filters.skillId && !holdsSkill(user, filters.skillId, skills)) return false;
+  if (filters.shiftPatternId && (user.shiftPatternId || 'none') !== filters.shiftPatternId) return false;
+  if (filters.availableToday && getDayAvailability(user, today, patterns).availability === 0) return false;
+  return true;
+};
+
+const filterRoster = (users, filters, patterns, today, skills) => (
+  (users || []).filter(user => matchesRosterFilters(user, filters, patterns, today, skills))
+);
+
+const isEmptyValue = (value) => value === null || value === undefined || value === '';
+
+// Numbers compare numerically, everything else as text; empty values always sort last
+const compareValues = (a, b) => {
+  if (isEmptyValue(a) || isEmptyValue(b)) return Number(isEmptyValue(a)) - Number(isEmptyValue(b));
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b));
+};
+
+// sort: { key, direction: 'asc' | 'desc' } or null to keep the incoming order
+const sortRows = (rows, sort, getters) => {
+  const getter = sort && getters[sort.key];
+  if (!getter) return rows;
+  const factor = sort.direction === 'desc' ? -1 : 1;
+  return rows
+    .map(row => ({ row, value: getter(row) }))
+    .sort((a, b) => {
+      // Empty values stay last in both directions
+      if (isEmptyValue(a.value) || isEmptyValue(b.value)) return compareValues(a.value, b.value);
+      return compareValues(a.value, b.value) * factor;
+    })
+    .map(({ row }) => row);
+};
+
+// SRs this period as a share of the threshold; null when the user has no threshold
+const getSrUtilization = (periodCount, threshold) => (threshold > 0 ? periodCount / threshold : null);
+
+export {
+  EMPTY_ROSTER_FILTERS,
+  ROSTER_ROLES,
+  hasActiveFilters,
+  matchesRosterFilters,
+  filterRoster,
+  compareValues,
+  sortRows,
+  getSrUtilization,
+};
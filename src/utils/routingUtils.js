@@ -0,0 +1,77 @@
+import { getPeriodSrCount } from './srPeriodUtils.js';
+import { getUserLocalDate, isWithinWorkingHours } from './availabilityUtils.js';
+import { getLeaveOnDate } from './leaveUtils.js';
+import { findHeldSkillEntry, MAX_SKILL_LEVEL, getSkillLevelLabel } from './skillUtils.js';
+
+// --- SR Routing ---
+// Ranks candidate engineers for a new SR. Every score component is recorded as a
+// reason so the manager can see why someone was (or was not) recommended.
+
+const SKILL_WEIGHT = 50;
+const HEADROOM_WEIGHT = 30;
+const WORKING_HOURS_WEIGHT = 20;
+const VACATION_PENALTY = 100;
+
+const scoreCandidate = (engineer, requiredSkills, skills, srs, patterns, getCountingConfig, now) => {
+  const reasons = [];
+  let score = 0;
+
+  // Skill match: share of the required skills this engineer holds, each weighted by proficiency
+  // (an unrated skill counts as half an expert). A child skill satisfies a required parent ("BGP" for "Networking").
+  const matchedEntries = requiredSkills.map(skillId => findHeldSkillEntry(engineer, skillId, skills)).filter(Boolean);
+  const proficiency = matchedEntries.reduce((sum, entry) => sum + (entry.level ? entry.level / MAX_SKILL_LEVEL : 0.5), 0);
+  const skillRatio = requiredSkills.length > 0 ? proficiency / requiredSkills.length : 1;
+  const skillPoints = Math.round(skillRatio * SKILL_WEIGHT);
+  score += skillPoints;
+  const ratedEntries = matchedEntries.filter(entry => entry.level);
+  const levelNote = ratedEntries.length > 0
+    ? ` (${ratedEntries.map(entry => getSkillLevelLabel(entry.level)).join(', ')}${ratedEntries.length < matchedEntries.length ? ', some unrated' : ''})`
+    : '';
+  reasons.push({
+    label: requiredSkills.length > 0
+      ? `Has ${matchedEntries.length} of ${requiredSkills.length} required skills${levelNote}`
+      : 'No specific skills required',
+    points: skillPoints,
+  });
+
+  // Headroom against the SR threshold for the current counting period
+  const periodCount = getPeriodSrCount(srs, engineer.id, getCountingConfig(engineer), now);
+  const threshold = engineer.srThreshold || 0;
+  const headroom = threshold - periodCount;
+  const headroomPoints = threshold > 0 && headroom > 0 ? Math.round((headroom / threshold) * HEADROOM_WEIGHT) : 0;
+  score += headroomPoints;
+  reasons.push({
+    label: headroom > 0 ? `${periodCount} / ${threshold} SRs this period (${headroom} free)` : `At or over threshold (${periodCount} / ${threshold})`,
+    points: headroomPoints,
+  });
+
+  // Working hours
+  const inHours = isWithinWorkingHours(engineer, now, patterns);
+  const hoursPoints = inHours === true ? WORKING_HOURS_WEIGHT : inHours === null ? Math.round(WORKING_HOURS_WEIGHT / 2) : 0;
+  score += hoursPoints;
+  reasons.push({
+    label: inHours === true ? 'On shift now' : inHours === null ? 'Working hours unknown' : 'Off shift now',
+    points: hoursPoints,
+  });
+
+  // Leave today, on the engineer's own calendar; a half day costs half the penalty
+  const leave = getLeaveOnDate(engineer, getUserLocalDate(engineer, patterns, now));
+  if (leave) {
+    const penalty = leave.halfDay ? Math.round(VACATION_PENALTY / 2) : VACATION_PENALTY;
+    score -= penalty;
+    reasons.push({ label: leave.halfDay ? `On half-day leave today (${leave.halfDay})` : 'On vacation today', points: -penalty });
+  }
+
+  return { engineer, score, reasons, onVacation: !!leave && !leave.halfDay, halfDayLeave: leave?.halfDay || null, overThreshold: headroom <= 0 };
+};
+
+// Returns candidates sorted best-first; `skills` resolves the skill hierarchy, `patterns` are the shift patterns
+// used for "on shift" checks and `getCountingConfig(engineer)` gives the SR counting period that engineer's
+// threshold is measured over (see srPeriodUtils)
+const rankCandidates = (team, requiredSkills, skills, srs, patterns, getCountingConfig, now = new Date()) => (
+  (team || [])
+    .map(engineer => scoreCandidate(engineer, requiredSkills || [], skills || [], srs, patterns, getCountingConfig, now))
+    .sort((a, b) => b.score - a.score || (a.engineer.name || '').localeCompare(b.engineer.name || ''))
+);
+
+export { rankCandidates };
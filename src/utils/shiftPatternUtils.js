@@ -0,0 +1,140 @@
+import { addDays } from './leaveUtils.js';
+import { WEEKDAY_KEYS, getWorkingSchedule, getLocalTimeParts, isWithinDay, isInOvernightTail, getShiftStatus } from './workingHoursUtils.js';
+
+// --- Shift Patterns ---
+// Patterns live in the `shiftPatterns` collection:
+//   { name, timeZone, anchorDate: 'YYYY-MM-DD', cycle: [{ label, start, end } | null, ...] }
+// Day N of the cycle falls on anchorDate + N (repeating); null days are off. Users reference a pattern
+// with `shiftPatternId` and can be staggered with `shiftPatternOffset` (days). Per-day manual changes are
+// stored on the user as `shiftOverrides: { 'YYYY-MM-DD': { label, start, end } | { off: true } }`.
+
+const dayShift = { label: 'Day', start: '08:00', end: '16:00' };
+const nightShift = { label: 'Night', start: '20:00', end: '08:00' };
+const repeat = (value, times) => Array.from({ length: times }, () => value);
+
+// Templates with an empty timeZone leave the zone for the admin to pick: the zone of whoever happens to open
+// the page says nothing about where the shifts are worked
+const SHIFT_PATTERN_TEMPLATES = [
+  {
+    key: 'weekly-day-night',
+    name: 'Weekly rotating Day/Night',
+    timeZone: '',
+    cycle: [...repeat(dayShift, 5), null, null, ...repeat(nightShift, 5), null, null],
+  },
+  {
+    key: 'four-on-four-off',
+    name: '4-on-4-off',
+    timeZone: '',
+    cycle: [...repeat({ label: 'Long Day', start: '07:00', end: '19:00' }, 4), ...repeat(null, 4)],
+  },
+  {
+    // Three 8-hour UTC blocks; stagger regions with a user offset or give each region its own pattern
+    key: 'follow-the-sun',
+    name: 'Follow-the-sun (8h UTC blocks)',
+    timeZone: 'UTC',
+    cycle: [
+      ...repeat({ label: 'APAC', start: '00:00', end: '08:00' }, 5), null, null,
+      ...repeat({ label: 'EMEA', start: '08:00', end: '16:00' }, 5), null, null,
+      ...repeat({ label: 'AMER', start: '16:00', end: '00:00' }, 5), null, null,
+    ],
+  },
+];
+
+const daysBetween = (fromDate, toDate) => Math.round(
+  (new Date(`${toDate}T00:00:00Z`) - new Date(`${fromDate}T00:00:00Z`)) / 86400000
+);
+
+const getUserPattern = (user, patterns) => (
+  user?.shiftPatternId ? (patterns || []).find(p => p.id === user.shiftPatternId) || null : null
+);
+
+const getPatternShift = (pattern, offset, dateString) => {
+  const cycle = pattern.cycle || [];
+  if (cycle.length === 0 || !pattern.anchorDate) return null;
+  const index = (((daysBetween(pattern.anchorDate, dateString) + (offset || 0)) % cycle.length) + cycle.length) % cycle.length;
+  return cycle[index] || null;
+};
+
+// { shift: { label, start, end, timeZone } | null, source: 'override' | 'pattern' | 'schedule' | 'none' }
+const getShiftForDate = (user, patterns, dateString) => {
+  const override = user?.shiftOverrides?.[dateString];
+  const pattern = getUserPattern(user, patterns);
+  if (override) {
+    const timeZone = pattern?.timeZone || getWorkingSchedule(user)?.timeZone || null;
+    return { shift: override.off ? null : { ...override, timeZone }, source: 'override' };
+  }
+  if (pattern) {
+    const shift = getPatternShift(pattern, user.shiftPatternOffset, dateString);
+    return { shift: shift ? { ...shift, timeZone: pattern.timeZone } : null, source: 'pattern' };
+  }
+  const schedule = getWorkingSchedule(user);
+  if (schedule) {
+    const weekdayKey = WEEKDAY_KEYS[new Date(`${dateString}T00:00:00Z`).getUTCDay()];
+    const day = schedule.days?.[weekdayKey];
+    return { shift: day ? { label: 'Work', ...day, timeZone: schedule.timeZone } : null, source: 'schedule' };
+  }
+  return { shift: null, source: 'none' };
+};
+
+// Concrete shifts for every day in an inclusive date range
+const expandShifts = (user, patterns, startDate, endDate) => {
+  const shifts = [];
+  for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+    shifts.push({ date, ...getShiftForDate(user, patterns, date) });
+  }
+  return shifts;
+};
+
+// People with no schedule information at all are assumed to work weekdays
+const isScheduledToWork = (user, patterns, dateString) => {
+  const { shift, source } = getShiftForDate(user, patterns, dateString);
+  if (source === 'none') {
+    const weekday = new Date(`${dateString}T00:00:00Z`).getUTCDay();
+    return weekday !== 0 && weekday !== 6;
+  }
+  return shift !== null;
+};
+
+// Live status that honours patterns and overrides, falling back to the weekly working schedule
+const getCurrentShiftStatus = (user, patterns, now = new Date()) => {
+  const hasPatternOrOverrides = getUserPattern(user, patterns) || Object.keys(user?.shiftOverrides || {}).length > 0;
+  if (!hasPatternOrOverrides) return getShiftStatus(user, now);
+
+  // Without a zone of their own we cannot tell; the viewer's zone would give a different answer per viewer
+  const timeZone = getUserPattern(user, patterns)?.timeZone || getWorkingSchedule(user)?.timeZone;
+  if (!timeZone) return { onShift: null, localTime: null, timeZone: null };
+  let local;
+  try {
+    local = getLocalTimeParts(now, timeZone);
+  } catch (error) {
+    return { onShift: null, localTime: null, timeZone }; // Invalid zone name
+  }
+  const today = getShiftForDate(user, patterns, local.date).shift;
+  const yesterday = getShiftForDate(user, patterns, addDays(local.date, -1)).shift;
+  const inTodaysShift = isWithinDay(today, local.minutes);
+  const inYesterdaysTail = isInOvernightTail(yesterday, local.minutes);
+  const currentShift = inTodaysShift ? today : inYesterdaysTail ? yesterday : null;
+  return { onShift: inTodaysShift || inYesterdaysTail, localTime: local.time, timeZone, shiftLabel: currentShift?.label || null };
+};
+
+// Roster display text for a user's pattern, falling back to the legacy free-text label
+const describeShiftPattern = (user, patterns) => {
+  const pattern = getUserPattern(user, patterns);
+  if (pattern) return user.shiftPatternOffset ? `${pattern.name} (offset ${user.shiftPatternOffset}d)` : pattern.name;
+  return user?.shiftPattern || 'N/A';
+};
+
+const formatShift = (shift) => (shift ? `${shift.label} ${shift.start}–${shift.end}` : 'Off');
+
+export {
+  SHIFT_PATTERN_TEMPLATES,
+  daysBetween,
+  getUserPattern,
+  getPatternShift,
+  getShiftForDate,
+  expandShifts,
+  isScheduledToWork,
+  getCurrentShiftStatus,
+  describeShiftPattern,
+  formatShift,
+};
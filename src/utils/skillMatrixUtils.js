@@ -0,0 +1,165 @@
+import { doc, serverTimestamp } from 'firebase/firestore';
+import { appId } from '../config/firebase.js';
+import { addDays } from './leaveUtils.js';
+import { isOnVacation, isWeekend, toDateString } from './availabilityUtils.js';
+import { holdsSkill, getSkillPath } from './skillUtils.js';
+import { getAllReports } from './orgUtils.js';
+import { addAuditEntry } from './auditUtils.js';
+
+// --- Skills Matrix & Gap Analysis ---
+// Per-team skill depth: who holds each skill (sub-skills count toward their parents, as in coverage), how far
+// that is from the team's target headcount, and where the team depends on one person. Targets live in the
+// `settings/skillTargets` document under `targets[teamKey][skillId]`, where `teamKey` is the manager's ID
+// (or 'all' for the whole organisation). Monthly holder counts are kept in `skillSnapshots` for the trend.
+
+const LEAVE_LOOKAHEAD_OPTIONS = [2, 4, 8, 12]; // Weeks
+const DEFAULT_LEAVE_LOOKAHEAD_WEEKS = 4;
+const TREND_MONTHS = 6;
+
+// 'none': nobody holds a skill the team needs; 'single': one holder; 'leave': every holder is on leave on
+// some working day in the look-ahead window
+const SKILL_GAP_FLAGS = {
+  none: { label: 'No holder', style: 'bg-red-100 text-red-800' },
+  single: { label: 'Single holder', style: 'bg-orange-100 text-orange-800' },
+  leave: { label: 'All holders on leave', style: 'bg-yellow-100 text-yellow-800' },
+};
+
+const getSkillTargets = (settings, teamKey) => settings?.skillTargets?.targets?.[teamKey] || {};
+
+// Skills worth showing for a team: held by someone on it, given a target, or named by a coverage rule.
+// Retired skills are left out unless someone still holds them.
+const getRelevantSkills = (people, skills, { targets = {}, coverageRules = [] } = {}) => (skills || []).filter(skill => (
+  (people || []).some(person => holdsSkill(person, skill.id, skills))
+  || (!skill.retired && ((targets[skill.id] || 0) > 0 || coverageRules.some(rule => rule.skillId === skill.id)))
+));
+
+// Working days from tomorrow through `weeks` weeks ahead on which every holder is on leave, merged into
+// { startDate, endDate } ranges. Weekends neither end nor extend a range.
+const findAllHoldersAwayRanges = (holders, today, weeks) => {
+  if (holders.length === 0) return [];
+  const ranges = [];
+  let current = null;
+  for (let offset = 1; offset <= weeks * 7; offset++) {
+    const date = addDays(today, offset);
+    if (isWeekend(date)) continue;
+    if (holders.every(holder => isOnVacation(holder, date))) {
+      if (current) current.endDate = date;
+      else {
+        current = { startDate: date, endDate: date };
+        ranges.push(current);
+      }
+    } else {
+      current = null;
+    }
+  }
+  return ranges;
+};
+
+// One row per relevant skill, most fragile first:
+//   { skill, path, holders, target, gap, awayRanges, flags: ['none' | 'single' | 'leave'] }
+// `gap` is how many more holders the target needs (0 when met or unset)
+const analyzeSkillGaps = (people, skills, { targets = {}, coverageRules = [], today, weeks = DEFAULT_LEAVE_LOOKAHEAD_WEEKS }) => (
+  getRelevantSkills(people, skills, { targets, coverageRules })
+    .map(skill => {
+      const holders = (people || []).filter(person => holdsSkill(person, skill.id, skills));
+      const target = targets[skill.id] || 0;
+      const awayRanges = findAllHoldersAwayRanges(holders, today, weeks);
+      const flags = [];
+      if (holders.length === 0) flags.push('none');
+      if (holders.length === 1) flags.push('single');
+      if (awayRanges.length > 0) flags.push('leave');
+      return { skill, path: getSkillPath(skills, skill.id), holders, target, gap: Math.max(0, target - holders.length), awayRanges, flags };
+    })
+    .sort((a, b) => b.flags.length - a.flags.length || b.gap - a.gap || a.holders.length - b.holders.length || a.path.localeCompare(b.path))
+);
+
+// --- Trend ---
+// skillSnapshots/{teamKey}_{YYYY-MM} = { teamKey, month, holderCounts: { skillId: count }, headcount, updatedAt }
+// holds the latest counts of that month. The Admin writes that change people or skills update the current month's
+// document in the same batch (addSkillSnapshotUpdates), so a month without one kept the counts of the month before.
+
+const toSnapshotMonth = (dateString) => dateString.slice(0, 7);
+
+const getSnapshotId = (teamKey, month) => `${teamKey}_${month}`;
+
+// { skillId: holders } for the skills anyone in `people` holds
+const countSkillHolders = (people, skills) => Object.fromEntries((skills || [])
+  .map(skill => [skill.id, (people || []).filter(person => holdsSkill(person, skill.id, skills)).length])
+  .filter(([, count]) => count > 0));
+
+// The engineers whose skills the matrix shows for `teamKey`: everyone for 'all', else the manager's reports
+const getSkillMatrixPeople = (users, teamKey) => {
+  const engineers = (users || []).filter(u => u.role === 'Engineer');
+  if (teamKey === 'all') return engineers;
+  const reportIds = getAllReports(users, teamKey).map(u => u.id);
+  return engineers.filter(u => reportIds.includes(u.id));
+};
+
+// [{ teamKey, holderCounts, headcount }] for the organisation and every Manager's team
+const buildSkillSnapshots = (users, skills) => ['all', ...(users || []).filter(u => u.role === 'Manager').map(u => u.id)]
+  .map(teamKey => {
+    const people = getSkillMatrixPeople(users, teamKey);
+    return { teamKey, holderCounts: countSkillHolders(people, skills), headcount: people.length };
+  });
+
+// True when the stored snapshot for this month is missing or out of date
+const snapshotNeedsUpdate = (snapshot, holderCounts, headcount) => {
+  if (!snapshot || snapshot.headcount !== headcount) return true;
+  const stored = snapshot.holderCounts || {};
+  const keys = new Set([...Object.keys(stored), ...Object.keys(holderCounts)]);
+  return [...keys].some(key => (stored[key] || 0) !== (holderCounts[key] || 0));
+};
+
+// The last `months` months up to and including `month` (YYYY-MM), oldest first
+const getTrendMonths = (month, months = TREND_MONTHS) => {
+  const [year, monthIndex] = month.split('-').map(Number);
+  return Array.from({ length: months }, (_, idx) => {
+    const date = new Date(Date.UTC(year, monthIndex - 1 - (months - 1 - idx), 1));
+    return date.toISOString().slice(0, 7);
+  });
+};
+
+// [{ month, count }], carrying the latest earlier snapshot into months without one; null before the first snapshot
+const getSkillTrend = (snapshots, skillId, trendMonths) => trendMonths.map(month => {
+  const snapshot = [...(snapshots || [])]
+    .filter(s => s.month <= month)
+    .sort((a, b) => b.month.localeCompare(a.month))[0];
+  return { month, count: snapshot ? snapshot.holderCounts?.[skillId] || 0 : null };
+});
+
+// Queues this month's snapshot for every team whose counts differ between the data before a write
+// ({ users, skills }) and after it, each with its audit entry; commit it with the write. Returns the number queued.
+const addSkillSnapshotUpdates = (batch, db, actor, before, after, today = toDateString(new Date())) => {
+  const month = toSnapshotMonth(today);
+  const previous = buildSkillSnapshots(before.users, before.skills);
+  const changed = buildSkillSnapshots(after.users, after.skills).filter(snapshot => (
+    snapshotNeedsUpdate(previous.find(p => p.teamKey === snapshot.teamKey), snapshot.holderCounts, snapshot.headcount)
+  ));
+  changed.forEach(({ teamKey, holderCounts, headcount }) => {
+    const snapshotId = getSnapshotId(teamKey, month);
+    const data = { teamKey, month, holderCounts, headcount, updatedAt: serverTimestamp() };
+    batch.set(doc(db, `artifacts/${appId}/public/data/skillSnapshots`, snapshotId), data);
+    addAuditEntry(batch, db, actor, { action: 'skill-snapshot.update', targetType: 'skillSnapshot', targetId: snapshotId, targetLabel: `Skill holders (${teamKey}, ${month})`, after: data });
+  });
+  return changed.length;
+};
+
+export {
+  LEAVE_LOOKAHEAD_OPTIONS,
+  DEFAULT_LEAVE_LOOKAHEAD_WEEKS,
+  TREND_MONTHS,
+  SKILL_GAP_FLAGS,
+  getSkillTargets,
+  getRelevantSkills,
+  findAllHoldersAwayRanges,
+  analyzeSkillGaps,
+  toSnapshotMonth,
+  getSnapshotId,
+  countSkillHolders,
+  getSkillMatrixPeople,
+  buildSkillSnapshots,
+  snapshotNeedsUpdate,
+  getTrendMonths,
+  getSkillTrend,
+  addSkillSnapshotUpdates,
+};
@@ -0,0 +1,235 @@
+import { addDays } from './leaveUtils.js';
+
+// --- Skill Entries ---
+// A user's skills are stored as `skillEntries`:
+//   { skillId, level, certification, certificationExpiry, lastVerified }
+// with `level` 1–4 (null while unrated) and the dates as YYYY-MM-DD strings or null. Older documents only
+// have the flat `skills` array of skill IDs; getSkillEntries reads those as unrated entries. Every write
+// stores both `skillEntries` and `skills` (the IDs, kept in step), so checks that only need "has skill X"
+// keep reading `skills`; coverage and routing go through findHeldSkillEntry to follow the skill hierarchy.
+
+const SKILL_LEVELS = [
+  { value: 1, label: 'Beginner' },
+  { value: 2, label: 'Intermediate' },
+  { value: 3, label: 'Advanced' },
+  { value: 4, label: 'Expert' },
+];
+
+const MAX_SKILL_LEVEL = SKILL_LEVELS.length;
+
+const SKILL_LEVEL_STYLES = {
+  1: 'bg-gray-100 text-gray-700',
+  2: 'bg-blue-100 text-blue-800',
+  3: 'bg-indigo-100 text-indigo-800',
+  4: 'bg-purple-100 text-purple-800',
+};
+
+// Certifications expiring within this many days are flagged to the holder's manager
+const CERTIFICATION_WARNING_DAYS = 30;
+
+const getSkillLevelLabel = (level) => SKILL_LEVELS.find(l => l.value === level)?.label || 'Unrated';
+
+const toSkillEntry = (source) => ({
+  skillId: source.skillId,
+  level: source.level ? Number(source.level) : null,
+  certification: source.certification || '',
+  certificationExpiry: source.certification ? source.certificationExpiry || null : null, // Only a certification expires
+  lastVerified: source.lastVerified || null,
+});
+
+const getSkillEntries = (user) => (
+  Array.isArray(user?.skillEntries)
+    ? user.skillEntries.map(toSkillEntry)
+    : (user?.skills || []).map(skillId => toSkillEntry({ skillId }))
+);
+
+// The fields to write for a user's skills
+const toSkillFields = (entries) => {
+  const skillEntries = entries.map(toSkillEntry);
+  return { skillEntries, skills: skillEntries.map(entry => entry.skillId) };
+};
+
+const getUserSkillLevel = (user, skillId) => getSkillEntries(user).find(entry => entry.skillId === skillId)?.level || null;
+
+// "Kubernetes (Advanced)"; unrated entries show the name only
+const formatSkillEntry = (entry, skills) => {
+  const name = (skills || []).find(s => s.id === entry.skillId)?.name;
+  if (!name) return null;
+  return entry.level ? `${name} (${getSkillLevelLabel(entry.level)})` : name;
+};
+
+const formatUserSkills = (user, skills) => getSkillEntries(user).map(entry => formatSkillEntry(entry, skills)).filter(Boolean).join(', ');
+
+// 'expired' | 'expiring' (within `warningDays`) | 'valid', or null when there is no expiry date
+const getCertificationStatus = (entry, today, warningDays = CERTIFICATION_WARNING_DAYS) => {
+  if (!entry.certificationExpiry) return null;
+  if (entry.certificationExpiry < today) return 'expired';
+  if (entry.certificationExpiry <= addDays(today, warningDays)) return 'expiring';
+  return 'valid';
+};
+
+// [{ user, entry, skillName, status }] for every expired or soon-expiring certification, soonest first
+const getCertificationWarnings = (users, skills, today, warningDays = CERTIFICATION_WARNING_DAYS) => (
+  (users || [])
+    .flatMap(user => getSkillEntries(user).map(entry => ({
+      user,
+      entry,
+      skillName: (skills || []).find(s => s.id === entry.skillId)?.name || 'Unknown skill',
+      status: getCertificationStatus(entry, today, warningDays),
+    })))
+    .filter(warning => warning.status === 'expired' || warning.status === 'expiring')
+    .sort((a, b) => a.entry.certificationExpiry.localeCompare(b.entry.certificationExpiry))
+);
+
+// --- Skill Lifecycle ---
+// A retired skill (`retired: true` on the skill document) stays on the people who hold it and in history,
+// but is no longer offered in pickers.
+
+const getActiveSkills = (skills) => (skills || []).filter(skill => !skill.retired);
+
+const getSkillHolders = (users, skillId) => (users || []).filter(user => getSkillEntries(user).some(entry => entry.skillId === skillId));
+
+// Skill fields for `user` without `skillId`
+const removeSkillFromUser = (user, skillId) => toSkillFields(getSkillEntries(user).filter(entry => entry.skillId !== skillId));
+
+// Skill fields for `user` with `sourceId` replaced by `targetId`. Someone holding both keeps the higher
+// level, and whichever entry has a certification (the target's if both do).
+const mergeSkillForUser = (user, sourceId, targetId) => {
+  const entries = getSkillEntries(user);
+  const source = entries.find(entry => entry.skillId === sourceId);
+  const target = entries.find(entry => entry.skillId === targetId);
+  if (!source) return toSkillFields(entries);
+  if (!target) return toSkillFields(entries.map(entry => (entry.skillId === sourceId ? { ...entry, skillId: targetId } : entry)));
+  const certified = target.certification ? target : source;
+  const merged = {
+    ...target,
+    level: Math.max(source.level || 0, target.level || 0) || null,
+    certification: certified.certification,
+    certificationExpiry: certified.certificationExpiry,
+    lastVerified: [source.lastVerified, target.lastVerified].filter(Boolean).sort().pop() || null,
+  };
+  return toSkillFields(entries.filter(entry => entry.skillId !== sourceId).map(entry => (entry.skillId === targetId ? merged : entry)));
+};
+
+// --- Skill Taxonomy ---
+// Skill documents: { name, category, parentId, description, aliases: [string], retired }. `parentId` nests a
+// skill under another ("Networking > BGP"); someone holding a child skill counts as holding its ancestors.
+// Parent links are kept acyclic by the editor, but every walk here still stops at a repeated ID.
+
+const UNCATEGORIZED_LABEL = 'Uncategorized';
+
+// [skillId, parentId, grandparentId, ...] up to the root
+const getSkillAncestorIds = (skills, skillId) => {
+  const ids = [];
+  let current = (skills || []).find(s => s.id === skillId);
+  while (current && !ids.includes(current.id)) {
+    ids.push(current.id);
+    current = current.parentId ? skills.find(s => s.id === current.parentId) : null;
+  }
+  return ids;
+};
+
+// The skill and everything nested under it, at any depth
+const getSkillDescendantIds = (skills, skillId) => {
+  const ids = [skillId];
+  for (let idx = 0; idx < ids.length; idx++) {
+    (skills || []).forEach(skill => {
+      if (skill.parentId === ids[idx] && !ids.includes(skill.id)) ids.push(skill.id);
+    });
+  }
+  return ids;
+};
+
+// True when making `parentId` the parent of `skillId` would loop back to itself
+const wouldCreateSkillCycle = (skills, skillId, parentId) => !!parentId && getSkillDescendantIds(skills, skillId).includes(parentId);
+
+// "Networking > BGP"
+const getSkillPath = (skills, skillId) => getSkillAncestorIds(skills, skillId)
+  .reverse()
+  .map(id => skills.find(s => s.id === id).name)
+  .join(' > ');
+
+// The user's entry for `skillId`, or failing that their strongest entry for a skill nested under it
+const findHeldSkillEntry = (user, skillId, skills) => {
+  const entries = getSkillEntries(user);
+  const exact = entries.find(entry => entry.skillId === skillId);
+  if (exact) return exact;
+  const descendantIds = getSkillDescendantIds(skills, skillId);
+  return entries
+    .filter(entry => descendantIds.includes(entry.skillId))
+    .sort((a, b) => (b.level || 0) - (a.level || 0))[0] || null;
+};
+
+const holdsSkill = (user, skillId, skills) => !!findHeldSkillEntry(user, skillId, skills);
+
+// Exact name or alias, case-insensitively
+const findSkillByName = (skills, name) => {
+  const term = (name || '').trim().toLowerCase();
+  return (skills || []).find(s => s.name.toLowerCase() === term)
+    || (skills || []).find(s => (s.aliases || []).some(alias => alias.toLowerCase() === term))
+    || null;
+};
+
+// "k8s, kube" -> ['k8s', 'kube']
+const parseAliases = (text) => [...new Set((text || '').split(',').map(alias => alias.trim()).filter(Boolean))];
+
+const matchesSkillSearch = (skill, skills, term) => {
+  const needle = (term || '').trim().toLowerCase();
+  if (!needle) return true;
+  return [getSkillPath(skills, skill.id), skill.category, skill.description, ...(skill.aliases || [])]
+    .some(text => (text || '').toLowerCase().includes(needle));
+};
+
+// A sub-skill without its own category files under its nearest categorised ancestor's
+const getSkillCategory = (skills, skillId) => {
+  const categorised = getSkillAncestorIds(skills, skillId).map(id => skills.find(s => s.id === id)).find(s => (s.category || '').trim());
+  return categorised ? categorised.category.trim() : UNCATEGORIZED_LABEL;
+};
+
+const getSkillCategories = (skills) => [...new Set((skills || []).map(s => (s.category || '').trim()).filter(Boolean))].sort();
+
+// [{ category, skills: [{ ...skill, path }] }] sorted by category then path, uncategorized last
+const groupSkillsByCategory = (skills, allSkills = skills) => {
+  const groups = new Map();
+  (skills || []).forEach(skill => {
+    const category = getSkillCategory(allSkills, skill.id);
+    if (!groups.has(category)) groups.set(category, []);
+    groups.get(category).push({ ...skill, path: getSkillPath(allSkills, skill.id) });
+  });
+  return [...groups.entries()]
+    .sort(([a], [b]) => (a === UNCATEGORIZED_LABEL) - (b === UNCATEGORIZED_LABEL) || a.localeCompare(b))
+    .map(([category, members]) => ({ category, skills: members.sort((a, b) => a.path.localeCompare(b.path)) }));
+};
+
+export {
+  SKILL_LEVELS,
+  MAX_SKILL_LEVEL,
+  SKILL_LEVEL_STYLES,
+  CERTIFICATION_WARNING_DAYS,
+  getSkillLevelLabel,
+  toSkillEntry,
+  getSkillEntries,
+  toSkillFields,
+  getUserSkillLevel,
+  formatSkillEntry,
+  formatUserSkills,
+  getCertificationStatus,
+  getCertificationWarnings,
+  getActiveSkills,
+  getSkillHolders,
+  removeSkillFromUser,
+  mergeSkillForUser,
+  UNCATEGORIZED_LABEL,
+  getSkillAncestorIds,
+  getSkillDescendantIds,
+  wouldCreateSkillCycle,
+  getSkillPath,
+  findHeldSkillEntry,
+  holdsSkill,
+  findSkillByName,
+  parseAliases,
+  matchesSkillSearch,
+  getSkillCategory,
+  getSkillCategories,
+  groupSkillsByCategory,
+};
@@ -0,0 +1,107 @@
+import { addDays } from './leaveUtils.js';
+import { toDateString, getWeekday } from './availabilityUtils.js';
+import { daysBetween } from './shiftPatternUtils.js';
+
+// --- SR Counting Periods ---
+// `srThreshold` caps how many SRs an engineer is assigned per counting period. Each team (keyed by the
+// manager's id, 'all' for the org default) picks its period in the `settings/srCounting` document:
+//   { teams: { [teamKey]: { type, sprintLength, sprintStartDate, rollingDays } } }
+// Counts are derived from each SR's `createdAt`, so periods roll over on their own and every past
+// period's count stays available as history without a reset.
+
+const SR_COUNTING_TYPES = [
+  { value: 'daily', label: 'Daily' },
+  { value: 'weekly', label: 'Weekly (Mon–Sun)' },
+  { value: 'sprint', label: 'Sprint' },
+  { value: 'rolling', label: 'Rolling N days' },
+];
+
+const DEFAULT_SR_COUNTING = { type: 'weekly', sprintLength: 14, sprintStartDate: '2026-01-05', rollingDays: 7 };
+
+const getSrCountingConfig = (settings, teamKey) => ({
+  ...DEFAULT_SR_COUNTING,
+  ...(settings?.srCounting?.teams?.all || {}),
+  ...(settings?.srCounting?.teams?.[teamKey] || {}),
+});
+
+// { startDate, endDate } (inclusive) of the period containing `dateString`. Rolling windows end on the date.
+const getPeriodForDate = (config, dateString) => {
+  switch (config.type) {
+    case 'daily':
+      return { startDate: dateString, endDate: dateString };
+    case 'sprint': {
+      const length = Math.max(1, parseInt(config.sprintLength, 10) || 14);
+      const offset = daysBetween(config.sprintStartDate, dateString);
+      const startDate = addDays(config.sprintStartDate, Math.floor(offset / length) * length);
+      return { startDate, endDate: addDays(startDate, length - 1) };
+    }
+    case 'rolling': {
+      const length = Math.max(1, parseInt(config.rollingDays, 10) || 7);
+      return { startDate: addDays(dateString, -(length - 1)), endDate: dateString };
+    }
+    case 'weekly':
+    default: {
+      const startDate = addDays(dateString, -((getWeekday(dateString) + 6) % 7));
+      return { startDate, endDate: addDays(startDate, 6) };
+    }
+  }
+};
+
+// The current period and the `count - 1` before it, oldest first. Rolling history uses back-to-back windows.
+const getRecentPeriods = (config, count, now = new Date()) => {
+  const periods = [getPeriodForDate(config, toDateString(now))];
+  while (periods.length < count) {
+    const previousEnd = addDays(periods[0].startDate, -1);
+    // A rolling window ending on previousEnd is exactly the window before the current one
+    periods.unshift(getPeriodForDate(config, previousEnd));
+  }
+  return periods;
+};
+
+// Days covered by one period, used to scale `srThreshold` to arbitrary date ranges
+const getPeriodLengthDays = (config) => {
+  switch (config.type) {
+    case 'daily': return 1;
+    case 'sprint': return Math.max(1, parseInt(config.sprintLength, 10) || 14);
+    case 'rolling': return Math.max(1, parseInt(config.rollingDays, 10) || 7);
+    case 'weekly':
+    default: return 7;
+  }
+};
+
+const formatPeriod = (period) => (
+  period.startDate === period.endDate ? period.startDate : `${period.startDate} – ${period.endDate}`
+);
+
+// SRs still waiting for a server timestamp are counted as created now
+const getSrDate = (sr, now = new Date()) => toDateString(sr.createdAt?.toDate ? sr.createdAt.toDate() : now);
+
+const countSrsInPeriod = (srs, userId, period, now = new Date()) => (srs || []).filter(sr => {
+  if (sr.assigneeId !== userId) return false;
+  const date = getSrDate(sr, now);
+  return period.startDate <= date && date <= period.endDate;
+}).length;
+
+// SRs assigned to the user in the current counting period: what `srThreshold` is checked against
+const getPeriodSrCount = (srs, userId, config, now = new Date()) => (
+  countSrsInPeriod(srs, userId, getPeriodForDate(config, toDateString(now)), now)
+);
+
+// [{ period, count }] oldest first, ending with the current period
+const getSrCountHistory = (srs, userId, config, periodCount = 6, now = new Date()) => (
+  getRecentPeriods(config, periodCount, now).map(period => ({ period, count: countSrsInPeriod(srs, userId, period, now) }))
+);
+
+export {
+  SR_COUNTING_TYPES,
+  DEFAULT_SR_COUNTING,
+  getSrCountingConfig,
+  getPeriodForDate,
+  getRecentPeriods,
+  getPeriodLengthDays,
+  formatPeriod,
+  getSrDate,
+  countSrsInPeriod,
+  getPeriodSrCount,
+  getSrCountHistory,
+};
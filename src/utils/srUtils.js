@@ -0,0 +1,41 @@
+// --- Service Request Helpers ---
+// Shared constants and pure helpers for the `srs` collection.
+
+const SR_STATUSES = ['open', 'in-progress', 'resolved', 'closed'];
+const SR_PRIORITIES = ['P1', 'P2', 'P3', 'P4'];
+
+// Statuses that still count against an engineer's workload
+const OPEN_SR_STATUSES = ['open', 'in-progress'];
+
+const isOpenSr = (sr) => OPEN_SR_STATUSES.includes(sr.status);
+
+// SRs currently held by a user (open or in progress)
+const getOpenSrsForUser = (srs, userId) => (srs || []).filter(sr => sr.assigneeId === userId && isOpenSr(sr));
+
+// Replaces the old `currentSrCount` field: the count is derived from open SR records
+const getOpenSrCount = (srs, userId) => getOpenSrsForUser(srs, userId).length;
+
+// Firestore Timestamp -> readable string ('N/A' while a serverTimestamp is still pending)
+const formatTimestamp = (ts) => {
+  if (!ts) return 'N/A';
+  const date = typeof ts.toDate === 'function' ? ts.toDate() : new Date(ts);
+  return isNaN(date.getTime()) ? 'N/A' : date.toLocaleString();
+};
+
+// Sort comparator on `createdAt`, newest first. Pending serverTimestamps (null) sort to the top; documents with
+// equal (or both pending) timestamps fall back to their ID so the order is stable between snapshots.
+const compareByCreatedAtDesc = (a, b) => {
+  const aMillis = a.createdAt?.toMillis?.() ?? null;
+  const bMillis = b.createdAt?.toMillis?.() ?? null;
+  if (aMillis !== bMillis) {
+    if (aMillis === null) return -1;
+    if (bMillis === null) return 1;
+    return bMillis - aMillis;
+  }
+  return (a.id || '').localeCompare(b.id || '');
+};
+
+// As compareByCreatedAtDesc, oldest first (pending timestamps last)
+const compareByCreatedAtAsc = (a, b) => compareByCreatedAtDesc(b, a);
+
+export { SR_STATUSES, SR_PRIORITIES, OPEN_SR_STATUSES, isOpenSr, getOpenSrsForUser, getOpenSrCount, formatTimestamp, compareByCreatedAtDesc, compareByCreatedAtAsc };
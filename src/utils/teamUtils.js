@@ -0,0 +1,79 @@
+import { getSrCountingConfig } from './srPeriodUtils.js';
+
+// --- Teams ---
+// Teams are their own documents, independent of who reports to whom:
+//   teams/{teamId} = { name, description, leadIds: [userId], memberIds: [userId],
+//                      settings: { srThreshold, minimumHeadcount, srCounting } }
+// A person can be on any number of teams, and changing someone's manager leaves their teams alone.
+// `settings.srCounting` overrides the organisation's default counting period for the team; `srThreshold` is
+// the threshold given to members added without one of their own.
+
+const createEmptyTeam = () => ({
+  name: '',
+  description: '',
+  leadIds: [],
+  memberIds: [],
+  settings: { srThreshold: 0, minimumHeadcount: 0 },
+});
+
+const getTeamLeads = (team, users) => (users || []).filter(u => (team.leadIds || []).includes(u.id));
+
+const getTeamMembers = (team, users) => (users || []).filter(u => (team.memberIds || []).includes(u.id));
+
+// Teams `userId` belongs to, as a member or a lead
+const getTeamsForUser = (teams, userId) => (teams || []).filter(team => (
+  (team.memberIds || []).includes(userId) || (team.leadIds || []).includes(userId)
+));
+
+const formatUserTeams = (teams, userId) => getTeamsForUser(teams, userId).map(team => team.name).join(', ');
+
+const getTeamSrCountingConfig = (settings, team) => ({
+  ...getSrCountingConfig(settings, 'all'),
+  ...(team?.settings?.srCounting || {}),
+});
+
+// The counting period `user`'s SR threshold runs over: that of a team they are on which sets its own (the first
+// by name if several do), otherwise their manager's
+const getUserSrCountingConfig = (settings, teams, user) => {
+  const team = getTeamsForUser(teams, user.id)
+    .filter(t => t.settings?.srCounting)
+    .sort((a, b) => (a.name || '').localeCompare(b.name || ''))[0];
+  return team ? getTeamSrCountingConfig(settings, team) : getSrCountingConfig(settings, user.managerId || 'all');
+};
+
+const getTeamMinimumHeadcount = (team) => team?.settings?.minimumHeadcount ?? 0;
+
+// Members newly added to `team` who have no SR threshold yet, to be given the team's default
+const getMembersNeedingDefaultThreshold = (team, previousMemberIds, users) => {
+  const threshold = team.settings?.srThreshold || 0;
+  if (threshold === 0) return [];
+  return getTeamMembers(team, users).filter(u => !(previousMemberIds || []).includes(u.id) && !u.srThreshold);
+};
+
+// Drops `userId` from every team's leads and members: [{ team, updates }] for the teams that change
+const removeUserFromTeams = (teams, userId) => getTeamsForUser(teams, userId).map(team => ({
+  team,
+  updates: {
+    leadIds: (team.leadIds || []).filter(id => id !== userId),
+    memberIds: (team.memberIds || []).filter(id => id !== userId),
+  },
+}));
+
+// [{ team, members }] sorted by team name, each member listed under every team they are on
+const groupUsersByTeam = (users, teams) => [...(teams || [])]
+  .sort((a, b) => (a.name || '').localeCompare(b.name || ''))
+  .map(team => ({ team, members: getTeamMembers(team, users) }));
+
+export {
+  createEmptyTeam,
+  getTeamLeads,
+  getTeamMembers,
+  getTeamsForUser,
+  formatUserTeams,
+  getTeamSrCountingConfig,
+  getUserSrCountingConfig,
+  getTeamMinimumHeadcount,
+  getMembersNeedingDefaultThreshold,
+  removeUserFromTeams,
+  groupUsersByTeam,
+};
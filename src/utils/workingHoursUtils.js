@@ -0,0 +1,182 @@
+// --- Working Hours ---
+// Users carry a structured `workingSchedule`:
+//   { timeZone: 'Europe/London', days: { mon: { start: '09:00', end: '17:00' }, ..., sun: null } }
+// where a null day is a day off and an end before the start means the shift runs past midnight. A null
+// `timeZone` means nobody has set it yet: the hours are shown, but whether the person is on shift is unknown.
+// Older documents only have free-text `workingHours` ("9 AM - 5 PM"); getWorkingSchedule parses that
+// into a Monday–Friday schedule where possible, with the time zone unset.
+
+const WEEKDAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const WEEKDAY_LABELS = { sun: 'Sun', mon: 'Mon', tue: 'Tue', wed: 'Wed', thu: 'Thu', fri: 'Fri', sat: 'Sat' };
+// Display order, Monday first
+const WEEKDAY_ORDER = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+const getBrowserTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+const COMMON_TIME_ZONES = ['UTC', 'America/Los_Angeles', 'America/New_York', 'Europe/London', 'Europe/Berlin', 'Asia/Kolkata', 'Asia/Singapore', 'Australia/Sydney'];
+
+// Every IANA zone the browser knows, falling back to a short list on older engines
+const getTimeZoneOptions = () => (
+  typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : COMMON_TIME_ZONES
+);
+
+// The canonical IANA name for `text` ("europe/london" -> "Europe/London"), or null if it is not a zone
+const normalizeTimeZone = (text) => {
+  try {
+    return Intl.DateTimeFormat('en-US', { timeZone: text.trim() }).resolvedOptions().timeZone;
+  } catch (error) {
+    return null;
+  }
+};
+
+const minutesToTime = (minutes) => `${String(Math.floor(minutes / 60) % 24).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+const timeToMinutes = (time) => {
+  const [hours, minutes] = (time || '').split(':').map(Number);
+  return Number.isFinite(hours) && Number.isFinite(minutes) ? hours * 60 + minutes : null;
+};
+
+const buildWeekdaySchedule = (start, end, timeZone) => ({
+  timeZone,
+  days: WEEKDAY_KEYS.reduce((days, key) => ({
+    ...days,
+    [key]: key === 'sat' || key === 'sun' ? null : { start, end },
+  }), {}),
+});
+
+// Mon–Fri 09:00–17:00; pass null when the person's zone is not known (the browser's zone is the viewer's)
+const createDefaultSchedule = (timeZone = getBrowserTimeZone()) => buildWeekdaySchedule('09:00', '17:00', timeZone);
+
+// Parses a single time such as "9 AM", "5:30 pm" or "17:00" into minutes since midnight
+const parseTimeText = (text) => {
+  const match = text.trim().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i);
+  if (!match) return null;
+  let hours = parseInt(match[1], 10);
+  const minutes = match[2] ? parseInt(match[2], 10) : 0;
+  const meridiem = match[3]?.toLowerCase();
+  if (meridiem === 'pm' && hours < 12) hours += 12;
+  if (meridiem === 'am' && hours === 12) hours = 0;
+  if (hours > 24 || minutes > 59) return null;
+  return hours * 60 + minutes;
+};
+
+// Parses free-text working hours ("9 AM - 5 PM") into a Monday–Friday schedule, or null if unrecognised
+const parseLegacyWorkingHours = (text) => {
+  if (!text) return null;
+  const parts = text.split(/\s*(?:-|–|to)\s*/i);
+  if (parts.length !== 2) return null;
+  const start = parseTimeText(parts[0]);
+  const end = parseTimeText(parts[1]);
+  if (start === null || end === null) return null;
+  return buildWeekdaySchedule(minutesToTime(start), minutesToTime(end), null);
+};
+
+// Structured schedule for a user, or null when they only have unparseable free text (or nothing)
+const getWorkingSchedule = (user) => user?.workingSchedule || parseLegacyWorkingHours(user?.workingHours);
+
+// Local date (YYYY-MM-DD), weekday key and minutes since midnight for `date` as seen in `timeZone`
+const getLocalTimeParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+  const get = (type) => parts.find(p => p.type === type)?.value;
+  const weekday = get('weekday').toLowerCase().slice(0, 3);
+  const hours = parseInt(get('hour'), 10);
+  const minutes = parseInt(get('minute'), 10);
+  return {
+    date: `${get('year')}-${get('month')}-${get('day')}`,
+    weekday,
+    minutes: hours * 60 + minutes,
+    time: minutesToTime(hours * 60 + minutes),
+  };
+};
+
+// Whether `minutes` falls inside a { start, end } window on its own day
+const isWithinDay = (day, minutes) => {
+  if (!day) return false;
+  const start = timeToMinutes(day.start);
+  const end = timeToMinutes(day.end);
+  if (start === null || end === null) return false;
+  return start <= end ? minutes >= start && minutes < end : minutes >= start;
+};
+
+// Overnight shifts that started on the previous local day
+const isInOvernightTail = (day, minutes) => {
+  if (!day) return false;
+  const start = timeToMinutes(day.start);
+  const end = timeToMinutes(day.end);
+  return start !== null && end !== null && start > end && minutes < end;
+};
+
+// { onShift: true | false | null (unknown), localTime: 'HH:MM' | null, timeZone }
+const getShiftStatus = (user, now = new Date()) => {
+  const schedule = getWorkingSchedule(user);
+  if (!schedule?.timeZone) return { onShift: null, localTime: null, timeZone: null };
+  const { timeZone } = schedule;
+  let local;
+  try {
+    local = getLocalTimeParts(now, timeZone);
+  } catch (error) {
+    return { onShift: null, localTime: null, timeZone }; // Invalid zone name
+  }
+  const dayIndex = WEEKDAY_KEYS.indexOf(local.weekday);
+  const previousDay = WEEKDAY_KEYS[(dayIndex + 6) % 7];
+  const onShift = isWithinDay(schedule.days?.[local.weekday], local.minutes)
+    || isInOvernightTail(schedule.days?.[previousDay], local.minutes);
+  return { onShift, localTime: local.time, timeZone };
+};
+
+// "Mon–Fri 09:00–17:00 (Europe/London)"; days with different hours are listed separately
+const formatWorkingSchedule = (schedule) => {
+  if (!schedule) return 'N/A';
+  const segments = [];
+  WEEKDAY_ORDER.forEach(key => {
+    const day = schedule.days?.[key];
+    const hours = day ? `${day.start}–${day.end}` : null;
+    const last = segments[segments.length - 1];
+    if (hours && last && last.hours === hours && WEEKDAY_ORDER.indexOf(last.lastKey) === WEEKDAY_ORDER.indexOf(key) - 1) {
+      last.lastKey = key;
+    } else if (hours) {
+      segments.push({ firstKey: key, lastKey: key, hours });
+    }
+  });
+  const zoneLabel = schedule.timeZone || 'time zone not set';
+  if (segments.length === 0) return `No working days (${zoneLabel})`;
+  const text = segments.map(({ firstKey, lastKey, hours }) => (
+    firstKey === lastKey ? `${WEEKDAY_LABELS[firstKey]} ${hours}` : `${WEEKDAY_LABELS[firstKey]}–${WEEKDAY_LABELS[lastKey]} ${hours}`
+  )).join(', ');
+  return `${text} (${zoneLabel})`;
+};
+
+// Roster display text: the structured schedule, or the raw free text when it could not be parsed
+const describeWorkingHours = (user) => {
+  const schedule = getWorkingSchedule(user);
+  return schedule ? formatWorkingSchedule(schedule) : user?.workingHours || 'N/A';
+};
+
+export {
+  WEEKDAY_KEYS,
+  WEEKDAY_LABELS,
+  WEEKDAY_ORDER,
+  getBrowserTimeZone,
+  getTimeZoneOptions,
+  normalizeTimeZone,
+  createDefaultSchedule,
+  parseTimeText,
+  parseLegacyWorkingHours,
+  getWorkingSchedule,
+  timeToMinutes,
+  getLocalTimeParts,
+  isWithinDay,
+  isInOvernightTail,
+  getShiftStatus,
+  formatWorkingSchedule,
+  describeWorkingHours,
+};
@@ -0,0 +1,151 @@
+// --- XLSX Writer ---
+// Builds a single-sheet .xlsx workbook without a spreadsheet library: the Office Open XML parts are
+// written as strings and packed into an uncompressed ZIP archive. Cells are inline strings or numbers;
+// the header row is bold and frozen.
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  // Control characters other than tab and line breaks are not allowed in XML 1.0
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+
+// 0 -> A, 25 -> Z, 26 -> AA
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+const buildCell = (value, ref, style) => {
+  const styleAttr = style ? ` s="${style}"` : '';
+  if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"${styleAttr}><v>${value}</v></c>`;
+  if (value === null || value === undefined || value === '') return '';
+  return `<c r="${ref}"${styleAttr} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+};
+
+const buildSheetXml = (rows, columns) => {
+  const headerCells = columns.map((col, idx) => buildCell(col.label, `${columnName(idx)}1`, 1)).join('');
+  const bodyRows = rows.map((row, rowIdx) => {
+    const cells = columns.map((col, idx) => buildCell(row[col.key], `${columnName(idx)}${rowIdx + 2}`)).join('');
+    return `<row r="${rowIdx + 2}">${cells}</row>`;
+  }).join('');
+  const widths = columns.map((col, idx) => {
+    const longest = Math.max(String(col.label).length, ...rows.map(row => String(row[col.key] ?? '').length));
+    return `<col min="${idx + 1}" max="${idx + 1}" width="${Math.min(Math.max(longest + 2, 8), 60)}" customWidth="1"/>`;
+  }).join('');
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+    + `<cols>${widths}</cols>`
+    + `<sheetData><row r="1">${headerCells}</row>${bodyRows}</sheetData>`
+    + '</worksheet>';
+};
+
+const buildWorkbookParts = (sheetName, sheetXml) => ({
+  '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+    + '<Default Extension="xml" ContentType="application/xml"/>'
+    + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+    + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+    + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+    + '</Types>',
+  '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+    + '</Relationships>',
+  'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+    + `<sheets><sheet name="${escapeXml(sheetName.replace(/[\\/?*[\]:]/g, ' ').slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>`
+    + '</workbook>',
+  'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+    + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+    + '</Relationships>',
+  'xl/styles.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+    + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+    + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+    + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+    + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+    + '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>'
+    + '</styleSheet>',
+  'xl/worksheets/sheet1.xml': sheetXml,
+});
+
+// --- ZIP (stored, no compression) ---
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i += 1) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+const DOS_DATE_1980_01_01 = 0x21;
+
+// files: { path: string content } -> Uint8Array of a ZIP archive
+const buildZip = (files) => {
+  const encoder = new TextEncoder();
+  const entries = Object.entries(files).map(([path, content]) => ({ name: encoder.encode(path), data: encoder.encode(content) }));
+  const localSize = entries.reduce((sum, e) => sum + 30 + e.name.length + e.data.length, 0);
+  const centralSize = entries.reduce((sum, e) => sum + 46 + e.name.length, 0);
+  const buffer = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(buffer.buffer);
+  let offset = 0;
+  const writeHeader = (signature, fields) => {
+    view.setUint32(offset, signature, true);
+    offset += 4;
+    fields.forEach(([size, value]) => {
+      if (size === 2) view.setUint16(offset, value, true);
+      else view.setUint32(offset, value, true);
+      offset += size;
+    });
+  };
+
+  const localOffsets = entries.map(entry => {
+    const start = offset;
+    entry.crc = crc32(entry.data);
+    // version, flags (bit 11: UTF-8 names), method 0 (stored), time, date, crc, sizes, name length, extra length
+    writeHeader(0x04034B50, [[2, 20], [2, 0x0800], [2, 0], [2, 0], [2, DOS_DATE_1980_01_01], [4, entry.crc], [4, entry.data.length], [4, entry.data.length], [2, entry.name.length], [2, 0]]);
+    buffer.set(entry.name, offset);
+    offset += entry.name.length;
+    buffer.set(entry.data, offset);
+    offset += entry.data.length;
+    return start;
+  });
+
+  const centralStart = offset;
+  entries.forEach((entry, idx) => {
+    writeHeader(0x02014B50, [
+      [2, 20], [2, 20], [2, 0x0800], [2, 0], [2, 0], [2, DOS_DATE_1980_01_01], [4, entry.crc], [4, entry.data.length], [4, entry.data.length],
+      [2, entry.name.length], [2, 0], [2, 0], [2, 0], [2, 0], [4, 0], [4, localOffsets[idx]],
+    ]);
+    buffer.set(entry.name, offset);
+    offset += entry.name.length;
+  });
+
+  writeHeader(0x06054B50, [[2, 0], [2, 0], [2, entries.length], [2, entries.length], [4, offset - centralStart], [4, centralStart], [2, 0]]);
+  return buffer;
+};
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// rows: array of objects; columns: [{ key, label }] in output order (same shape as toCsv)
+const toXlsx = (rows, columns, sheetName = 'Sheet1') => new Blob(
+  [buildZip(buildWorkbookParts(sheetName, buildSheetXml(rows, columns)))],
+  { type: XLSX_MIME_TYPE },
+);
+
+export { XLSX_MIME_TYPE, columnName, buildZip, toXlsx };
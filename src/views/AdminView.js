@@ -2,10 +2,17 @@ import React, { useState } from 'react';
 import { UserManagement } from '../components/admin/UserManagement.js';
 import { SkillManagement } from '../components/admin/SkillManagement.js';
 import OverallRosterView from '../components/shared/OverallRosterView.js'; // Default import
+import TeamCalendarView from '../components/shared/TeamCalendarView.js'; // Default import
+import { ShiftPatternManagement } from '../components/admin/ShiftPatternManagement.js';
+import { TeamManagement } from '../components/admin/TeamManagement.js';
+import { OnCallScheduleManagement } from '../components/shared/OnCallScheduleManagement.js';
+import { AuditLog } from '../components/admin/AuditLog.js';
+import { WorkloadAnalytics } from '../components/shared/WorkloadAnalytics.js';
+import { SkillsMatrix } from '../components/shared/SkillsMatrix.js';
 
 // --- Admin View Components ---
-function AdminView({ currentUser, users, skills, db }) {
-  const [activeTab, setActiveTab] = useState('users'); // 'users' or 'skills' or 'roster'
+function AdminView({ currentUser, users, skills, srs, settings, coverageRules, shiftPatterns, onCallSchedules, teams, db }) {
+  const [activeTab, setActiveTab] = useState('users'); // 'users', 'teams', 'skills', 'shift-patterns', 'on-call', 'roster', 'calendar', 'analytics', 'skills-matrix' or 'audit'
 
   return (
     <div className="container mx-auto p-4 bg-white rounded-lg shadow-lg">
@@ -21,6 +28,13 @@ function AdminView({ currentUser, users, skills, db }) {
           >
             User Management
           </button>
+          <button
+            onClick={() => setActiveTab('teams')}
+            className={`whitespace-nowrap py-3 px-1 border-b-2 font-medium text-sm transition duration-200 ease-in-out
+              ${activeTab === 'teams' ? 'border-blue-600 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'}`}
+          >
+            Teams
+          </button>
           <button
             onClick={() => setActiveTab('skills')}
             className={`whitespace-nowrap py-3 px-1 border-b-2 font-medium text-sm transition duration-200 ease-in-out
@@ -28,6 +42,20 @@ function AdminView({ currentUser, users, skills, db }) {
           >
             Skill Management
           </button>
+          <button
+            onClick={() => setActiveTab('shift-patterns')}
+            className={`whitespace-nowrap py-3 px-1 border-b-2 font-medium text-sm transition duration-200 ease-in-out
+              ${activeTab === 'shift-patterns' ? 'border-blue-600 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'}`}
+          >
+            Shift Patterns
+          </button>
+          <button
+            onClick={() => setActiveTab('on-call')}
+            className={`whitespace-nowrap py-3 px-1 border-b-2 font-medium text-sm transition duration-200 ease-in-out
+              ${activeTab === 'on-call' ? 'border-blue-600 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'}`}
+          >
+            On-Call
+          </button>
           <button
             onClick={() => setActiveTab('roster')}
             className={`whitespace-nowrap py-3 px-1 border-b-2 font-medium text-sm transition duration-200 ease-in-out
@@ -35,14 +63,49 @@ function AdminView({ currentUser, users, skills, db }) {
           >
             Overall Roster View
           </button>
+          <button
+            onClick={() => setActiveTab('calendar')}
+            className={`whitespace-nowrap py-3 px-1 border-b-2 font-medium text-sm transition duration-200 ease-in-out
+              ${activeTab === 'calendar' ? 'border-blue-600 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'}`}
+          >
+            Team Calendar
+          </button>
+          <button
+            onClick={() => setActiveTab('analytics')}
+            className={`whitespace-nowrap py-3 px-1 border-b-2 font-medium text-sm transition duration-200 ease-in-out
+              ${activeTab === 'analytics' ? 'border-blue-600 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'}`}
+          >
+            Analytics
+          </button>
+          <button
+            onClick={() => setActiveTab('skills-matrix')}
+            className={`whitespace-nowrap py-3 px-1 border-b-2 font-medium text-sm transition duration-200 ease-in-out
+              ${activeTab === 'skills-matrix' ? 'border-blue-600 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'}`}
+          >
+            Skills Matrix
+          </button>
+          <button
+            onClick={() => setActiveTab('audit')}
+            className={`whitespace-nowrap py-3 px-1 border-b-2 font-medium text-sm transition duration-200 ease-in-out
+              ${activeTab === 'audit' ? 'border-blue-600 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'}`}
+          >
+            Audit Log
+          </button>
         </nav>
       </div>
 
       {/* Tab Content */}
       <div>
-        {activeTab === 'users' && <UserManagement users={users} skills={skills} db={db} />}
-        {activeTab === 'skills' && <SkillManagement skills={skills} db={db} />}
-        {activeTab === 'roster' && <OverallRosterView users={users} skills={skills} />}
+        {activeTab === 'users' && <UserManagement users={users} skills={skills} shiftPatterns={shiftPatterns} teams={teams} db={db} />}
+        {activeTab === 'teams' && <TeamManagement users={users} teams={teams} settings={settings} db={db} />}
+        {activeTab === 'skills' && <SkillManagement users={users} skills={skills} coverageRules={coverageRules} onCallSchedules={onCallSchedules} db={db} />}
+        {activeTab === 'shift-patterns' && <ShiftPatternManagement users={users} shiftPatterns={shiftPatterns} db={db} />}
+        {activeTab === 'on-call' && <OnCallScheduleManagement schedules={onCallSchedules} users={users} skills={skills} canEditSchedules db={db} />}
+        {activeTab === 'roster' && <OverallRosterView users={users} skills={skills} srs={srs} settings={settings} shiftPatterns={shiftPatterns} onCallSchedules={onCallSchedules} teams={teams} canEditSettings db={db} />}
+        {activeTab === 'calendar' && <TeamCalendarView people={users} users={users} settings={settings} settingsKey="all" shiftPatterns={shiftPatterns} canEditMinimum canEditShifts db={db} />}
+        {activeTab === 'analytics' && <WorkloadAnalytics engineers={users.filter(u => u.role === 'Engineer')} users={users} skills={skills} srs={srs} settings={settings} showTeams />}
+        {activeTab === 'skills-matrix' && <SkillsMatrix people={users.filter(u => u.role === 'Engineer')} users={users} skills={skills} settings={settings} coverageRules={coverageRules} teamKey="all" canPickTeam db={db} />}
+        {activeTab === 'audit' && <AuditLog users={users} db={db} />}
       </div>
     </div>
   );
@@ -1,62 +1,130 @@
 import React, { useState } from 'react';
-import { doc, updateDoc } from 'firebase/firestore';
-import { appId } from '../../config/firebase.js';
+import { doc, collection, writeBatch, serverTimestamp } from 'firebase/firestore';
+import { appId } from '../config/firebase.js';
 import { Modal } from '../components/Modal.js';
+import { getOpenSrsForUser, formatTimestamp } from '../utils/srUtils.js';
+import { findCoverageConflicts, summarizeConflicts } from '../utils/coverageUtils.js';
+import { CoverageConflictList } from '../components/shared/CoverageConflictList.js';
+import { ShiftStatusBadge } from '../components/shared/ShiftStatusBadge.js';
+import { describeWorkingHours } from '../utils/workingHoursUtils.js';
+import { getUserPattern, expandShifts, describeShiftPattern, formatShift } from '../utils/shiftPatternUtils.js';
+import { toDateString } from '../utils/availabilityUtils.js';
+import { getUpcomingOnCallForUser, formatOnCallPeriod } from '../utils/onCallUtils.js';
+import { addAuditEntry } from '../utils/auditUtils.js';
+import { getPeriodSrCount, getPeriodForDate, formatPeriod } from '../utils/srPeriodUtils.js';
+import { LeaveEntryForm } from '../components/shared/LeaveEntryForm.js';
+import { LeaveList } from '../components/shared/LeaveList.js';
+import { CalendarFeedPanel } from '../components/shared/CalendarFeedPanel.js';
+import { getSkillEntries, getSkillLevelLabel, getCertificationStatus, SKILL_LEVEL_STYLES } from '../utils/skillUtils.js';
+import { getUserSrCountingConfig } from '../utils/teamUtils.js';
+import {
+  LEAVE_STATUS_STYLES,
+  addDays,
+  getLeaveEntries,
+  entryCoversDate,
+  getLeaveRequestsForUser,
+  getOverlappingRequest,
+  toLeaveEntry,
+  validateLeaveEntry,
+  formatLeaveEntry,
+} from '../utils/leaveUtils.js';
 
 // --- Engineer/Individual View Components ---
-function EngineerView({ currentUser, users, skills, db }) { // users and skills might not be directly needed by EngineerView itself but passed down by App
-  const [newVacationDate, setNewVacationDate] = useState('');
+function EngineerView({ currentUser, users, skills, srs, leaveRequests, settings, coverageRules, shiftPatterns, onCallSchedules, teams, db }) { // users and skills might not be directly needed by EngineerView itself but passed down by App
   const [message, setMessage] = useState(''); // For general messages/feedback
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [modalMessage, setModalMessage] = useState('');
   const [modalAction, setModalAction] = useState(null);
+  const [modalConflicts, setModalConflicts] = useState([]); // Coverage conflicts shown with the confirmation
 
   const myManager = currentUser.managerId ? users.find(u => u.id === currentUser.managerId) : null;
+  const myOpenSrs = getOpenSrsForUser(srs, currentUser.id);
+  const myLeaveRequests = getLeaveRequestsForUser(leaveRequests, currentUser.id);
+  const today = toDateString(new Date());
+  const countingConfig = getUserSrCountingConfig(settings, teams, currentUser);
+  const myOnCall = getUpcomingOnCallForUser(onCallSchedules, users, currentUser.id).slice(0, 3);
 
-  const handleAddVacationRequest = async () => {
-    if (!newVacationDate) {
-      setMessage('Please select a date for your vacation request.');
-      return;
+  // Creates a pending request; the entry only reaches leaveEntries once a manager approves it.
+  // Returns an error message for LeaveEntryForm to show.
+  const handleAddVacationRequest = async (entry) => {
+    const validationError = validateLeaveEntry(entry, getLeaveEntries(currentUser));
+    if (validationError) return validationError;
+
+    const overlappingRequest = getOverlappingRequest(leaveRequests, currentUser.id, entry);
+    if (overlappingRequest) {
+      return `You already have a ${overlappingRequest.status} request for ${formatLeaveEntry(toLeaveEntry(overlappingRequest))}.`;
     }
 
-    if ((currentUser.vacationDates || []).includes(newVacationDate)) {
-      setModalMessage(`You already have vacation on ${newVacationDate}.`);
-      setModalAction(null); // No action, just info
+    const conflicts = findCoverageConflicts(coverageRules, users, skills, currentUser, entry, shiftPatterns);
+    if (conflicts.length > 0) {
+      setModalMessage('Submit this request anyway? Your manager will need to record a justification to approve it.');
+      setModalConflicts(conflicts);
+      setModalAction(() => () => submitVacationRequest(entry, conflicts));
       setIsModalOpen(true);
-      return;
+      return null;
     }
-
-    setModalMessage(`Request vacation on ${newVacationDate}?`);
-    setModalAction(() => () => confirmAddVacationRequest(newVacationDate));
-    setIsModalOpen(true);
+    return submitVacationRequest(entry, []);
   };
 
-  const confirmAddVacationRequest = async (dateToAdd) => {
+  const submitVacationRequest = async (entry, conflicts) => {
     try {
-      const userDocRef = doc(db, `artifacts/${appId}/public/data/users`, currentUser.id);
-      const updatedVacations = [...(currentUser.vacationDates || []), dateToAdd].sort();
-      await updateDoc(userDocRef, { vacationDates: updatedVacations });
-      setNewVacationDate('');
-      setMessage('Vacation request submitted successfully!'); // General feedback
+      const batch = writeBatch(db);
+      const requestDocRef = doc(collection(db, `artifacts/${appId}/public/data/leaveRequests`));
+      // Only the leave itself; the entry's ID and requestId are assigned when it is approved
+      const requestData = {
+        startDate: entry.startDate,
+        endDate: entry.endDate,
+        type: entry.type,
+        halfDay: entry.halfDay,
+        note: entry.note,
+        userId: currentUser.id,
+        status: 'pending',
+        requestedBy: currentUser.id,
+        approverId: null,
+        decisionComment: '',
+        coverageConflicts: summarizeConflicts(conflicts),
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp(),
+        decidedAt: null,
+      };
+      batch.set(requestDocRef, requestData);
+      addAuditEntry(batch, db, currentUser, { action: 'leave.request', targetType: 'leaveRequest', targetId: requestDocRef.id, targetLabel: `${currentUser.name}: ${formatLeaveEntry(entry)}`, after: requestData });
+      await batch.commit();
+      setMessage('Vacation request submitted for approval!'); // General feedback
       setTimeout(() => setMessage(''), 3000);
     } catch (error) {
       console.error("Error submitting vacation request:", error);
-      setMessage(`Error submitting vacation request: ${error.message}`); // General feedback
+      setMessage(`Error submitting vacation request: ${error.message}`);
+      return `Error submitting vacation request: ${error.message}`;
+    } finally {
+      setModalConflicts([]);
     }
-    setIsModalOpen(false); // Close modal after action
+    return null;
   };
 
-  const handleRemoveVacationRequest = (dateToRemove) => {
-    setModalMessage(`Remove your vacation on ${dateToRemove}?`);
-    setModalAction(() => () => confirmRemoveVacationRequest(dateToRemove));
+  const handleRemoveVacationRequest = (entry) => {
+    setModalMessage(`Remove your leave on ${formatLeaveEntry(entry)}?`);
+    setModalAction(() => () => confirmRemoveVacationRequest(entry));
     setIsModalOpen(true);
   };
 
-  const confirmRemoveVacationRequest = async (dateToRemove) => {
+  const confirmRemoveVacationRequest = async (entry) => {
     try {
+      const batch = writeBatch(db);
       const userDocRef = doc(db, `artifacts/${appId}/public/data/users`, currentUser.id);
-      const updatedVacations = (currentUser.vacationDates || []).filter(date => date !== dateToRemove);
-      await updateDoc(userDocRef, { vacationDates: updatedVacations });
+      // Only the field the entry came from is shrunk: security rules let engineers remove leave, never rewrite it
+      const isLegacy = !(currentUser.leaveEntries || []).some(e => e.id === entry.id);
+      const updates = isLegacy
+        ? { vacationDates: (currentUser.vacationDates || []).filter(date => !entryCoversDate(entry, date)) }
+        : { leaveEntries: currentUser.leaveEntries.filter(e => e.id !== entry.id) };
+      batch.update(userDocRef, updates);
+      addAuditEntry(batch, db, currentUser, { action: 'leave.remove', targetType: 'user', targetId: currentUser.id, targetLabel: currentUser.name, before: currentUser, after: updates });
+      if (entry.requestId) {
+        const cancellation = { status: 'cancelled', updatedAt: serverTimestamp() };
+        batch.update(doc(db, `artifacts/${appId}/public/data/leaveRequests`, entry.requestId), cancellation);
+        addAuditEntry(batch, db, currentUser, { action: 'leave.cancel', targetType: 'leaveRequest', targetId: entry.requestId, targetLabel: `${currentUser.name}: ${formatLeaveEntry(entry)}`, before: entry, after: cancellation });
+      }
+      await batch.commit();
       setMessage('Vacation removed successfully!'); // General feedback
       setTimeout(() => setMessage(''), 3000);
     } catch (error) {
@@ -66,6 +134,29 @@ function EngineerView({ currentUser, users, skills, db }) { // users and skills
     setIsModalOpen(false); // Close modal after action
   };
 
+  const handleWithdrawRequest = (request) => {
+    setModalMessage(`Withdraw your pending request for ${formatLeaveEntry(toLeaveEntry(request))}?`);
+    setModalAction(() => () => confirmWithdrawRequest(request));
+    setIsModalOpen(true);
+  };
+
+  const confirmWithdrawRequest = async (request) => {
+    try {
+      const batch = writeBatch(db);
+      const requestDocRef = doc(db, `artifacts/${appId}/public/data/leaveRequests`, request.id);
+      const updates = { status: 'cancelled', updatedAt: serverTimestamp() };
+      batch.update(requestDocRef, updates);
+      addAuditEntry(batch, db, currentUser, { action: 'leave.withdraw', targetType: 'leaveRequest', targetId: request.id, targetLabel: `${currentUser.name}: ${formatLeaveEntry(toLeaveEntry(request))}`, before: request, after: updates });
+      await batch.commit();
+      setMessage('Leave request withdrawn.');
+      setTimeout(() => setMessage(''), 3000);
+    } catch (error) {
+      console.error("Error withdrawing leave request:", error);
+      setMessage(`Error withdrawing leave request: ${error.message}`);
+    }
+    setIsModalOpen(false);
+  };
+
   return (
     <div className="container mx-auto p-4 bg-white rounded-lg shadow-lg">
       <h2 className="text-3xl font-bold mb-6 text-gray-800">My Dashboard</h2>
@@ -76,6 +167,17 @@ function EngineerView({ currentUser, users, skills, db }) { // users and skills
         </div>
       )}
 
+      {myOnCall.length > 0 && (
+        <div className="p-4 mb-6 rounded-md bg-purple-50 border border-purple-200 text-purple-900">
+          {myOnCall.map(period => (
+            <p key={`${period.schedule.id}-${period.startDay}`}>
+              {period.isCurrent ? 'You are on call' : 'You will be on call'} for <strong>{period.schedule.name}</strong> from {formatOnCallPeriod(period.schedule, period)}
+              {period.coveringFor && ` (covering for ${users.find(u => u.id === period.coveringFor)?.name || 'a colleague'})`}.
+            </p>
+          ))}
+        </div>
+      )}
+
       <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
         <div className="bg-gray-50 p-6 rounded-lg shadow-md border border-gray-200">
           <h3 className="text-xl font-semibold mb-4 text-gray-800">My Details</h3>
@@ -83,77 +185,130 @@ function EngineerView({ currentUser, users, skills, db }) { // users and skills
           <p><strong className="text-gray-700">Email:</strong> {currentUser.email}</p>
           <p><strong className="text-gray-700">Role:</strong> {currentUser.role}</p>
           <p><strong className="text-gray-700">Manager:</strong> {myManager?.name || 'None'}</p>
-          <p><strong className="text-gray-700">Working Hours:</strong> {currentUser.workingHours || 'N/A'}</p>
-          <p><strong className="text-gray-700">Shift Pattern:</strong> {currentUser.shiftPattern || 'N/A'}</p>
+          <p><strong className="text-gray-700">Working Hours:</strong> {describeWorkingHours(currentUser)} <ShiftStatusBadge user={currentUser} patterns={shiftPatterns} /></p>
+          <p><strong className="text-gray-700">Shift Pattern:</strong> {describeShiftPattern(currentUser, shiftPatterns)}</p>
+          {getUserPattern(currentUser, shiftPatterns) && (
+            <div className="flex flex-wrap gap-1 mt-1 text-xs">
+              {expandShifts(currentUser, shiftPatterns, today, addDays(today, 13)).map(({ date, shift, source }) => (
+                <span
+                  key={date}
+                  title={source === 'override' ? 'Manual override' : ''}
+                  className={`px-2 py-1 rounded ${shift ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-500'} ${source === 'override' ? 'italic' : ''}`}
+                >
+                  {date.slice(5)} {formatShift(shift)}
+                </span>
+              ))}
+            </div>
+          )}
           {currentUser.role === 'Engineer' && (
-            <p><strong className="text-gray-700">SRs:</strong> {currentUser.currentSrCount || 0} / {currentUser.srThreshold || 0}</p>
+            <p>
+              <strong className="text-gray-700">SRs this period:</strong> {getPeriodSrCount(srs, currentUser.id, countingConfig)} / {currentUser.srThreshold || 0}
+              <span className="text-sm text-gray-500"> ({formatPeriod(getPeriodForDate(countingConfig, today))}, {myOpenSrs.length} open)</span>
+            </p>
           )}
           <p className="mt-2"><strong className="text-gray-700">Skills:</strong></p>
           <div className="flex flex-wrap gap-2 mt-1">
-            {(currentUser.skills || []).map(skillId => {
-              const skill = skills.find(s => s.id === skillId);
+            {getSkillEntries(currentUser).map(entry => {
+              const skill = skills.find(s => s.id === entry.skillId);
+              const certificationStatus = getCertificationStatus(entry, today);
               return skill ? (
-                <span key={skill.id} className="px-2 py-0.5 rounded-full text-xs font-medium bg-purple-100 text-purple-800">
-                  {skill.name}
+                <span
+                  key={skill.id}
+                  title={entry.certification ? `${entry.certification}${entry.certificationExpiry ? `, expires ${entry.certificationExpiry}` : ''}` : ''}
+                  className={`px-2 py-0.5 rounded-full text-xs font-medium ${SKILL_LEVEL_STYLES[entry.level] || 'bg-purple-100 text-purple-800'}`}
+                >
+                  {skill.name}{entry.level && ` · ${getSkillLevelLabel(entry.level)}`}
+                  {certificationStatus === 'expired' && <span className="ml-1 text-red-700">(certification expired)</span>}
+                  {certificationStatus === 'expiring' && <span className="ml-1 text-yellow-700">(certification expiring)</span>}
                 </span>
               ) : null;
             })}
-            {(currentUser.skills || []).length === 0 && <span className="text-gray-500 text-sm">No skills assigned.</span>}
+            {getSkillEntries(currentUser).length === 0 && <span className="text-gray-500 text-sm">No skills assigned.</span>}
           </div>
         </div>
 
         <div className="bg-gray-50 p-6 rounded-lg shadow-md border border-gray-200">
           <h3 className="text-xl font-semibold mb-4 text-gray-800">My Vacations</h3>
           <div className="mb-4">
-            <label htmlFor="newVacationDate" className="block text-sm font-medium text-gray-700">Request New Vacation Date</label>
-            <div className="flex space-x-2 mt-1">
-              <input
-                type="date"
-                id="newVacationDate"
-                value={newVacationDate}
-                onChange={(e) => setNewVacationDate(e.target.value)}
-                className="flex-grow border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
-              />
-              <button
-                onClick={handleAddVacationRequest}
-                disabled={!newVacationDate}
-                className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition duration-200 ease-in-out shadow-md disabled:opacity-50"
-              >
-                Request
-              </button>
-            </div>
+            <h4 className="block text-sm font-medium text-gray-700 mb-1">Request Leave</h4>
+            <LeaveEntryForm onSubmit={handleAddVacationRequest} submitLabel="Request" />
+          </div>
+
+          <h4 className="text-lg font-semibold mb-2 text-gray-800">Approved Leave:</h4>
+          <div className="bg-white p-3 rounded-md shadow-sm border border-gray-200 text-gray-700">
+            <LeaveList
+              entries={getLeaveEntries(currentUser)}
+              onRemove={handleRemoveVacationRequest}
+              emptyText={<span className="text-gray-500 italic">No upcoming vacations planned.</span>}
+            />
           </div>
 
-          <h4 className="text-lg font-semibold mb-2 text-gray-800">Upcoming Vacations:</h4>
+          <h4 className="text-lg font-semibold mt-4 mb-2 text-gray-800">My Leave Requests:</h4>
           <ul className="space-y-2">
-            {(currentUser.vacationDates || []).length > 0 ? (
-              currentUser.vacationDates.map((date, idx) => (
-                <li key={idx} className="flex items-center justify-between bg-white p-3 rounded-md shadow-sm border border-gray-200">
-                  <span className="text-gray-700">{date}</span>
-                  <button
-                    onClick={() => handleRemoveVacationRequest(date)}
-                    className="ml-4 text-red-500 hover:text-red-700 focus:outline-none p-1 rounded-full hover:bg-red-100"
-                    title="Remove this vacation request"
-                  >
-                    <svg className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
-                    </svg>
-                  </button>
+            {myLeaveRequests.length > 0 ? (
+              myLeaveRequests.map(request => (
+                <li key={request.id} className="bg-white p-3 rounded-md shadow-sm border border-gray-200">
+                  <div className="flex items-center justify-between">
+                    <span className="text-gray-700">{formatLeaveEntry(toLeaveEntry(request))}</span>
+                    <span className="flex items-center">
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${LEAVE_STATUS_STYLES[request.status] || ''}`}>
+                        {request.status}
+                      </span>
+                      {request.status === 'pending' && (
+                        <button
+                          onClick={() => handleWithdrawRequest(request)}
+                          className="ml-3 text-sm text-red-500 hover:text-red-700"
+                        >
+                          Withdraw
+                        </button>
+                      )}
+                    </span>
+                  </div>
+                  {request.decisionComment && (
+                    <p className="text-sm text-gray-500 mt-1">
+                      {users.find(u => u.id === request.approverId)?.name || 'Manager'}: {request.decisionComment}
+                    </p>
+                  )}
                 </li>
               ))
             ) : (
-              <li className="text-gray-500 italic">No upcoming vacations planned.</li>
+              <li className="text-gray-500 italic">No leave requests yet.</li>
             )}
           </ul>
         </div>
       </div>
 
-      <Modal isOpen={isModalOpen} onClose={() => setIsModalOpen(false)} title={modalAction ? "Confirmation" : "Information"}>
+      {currentUser.role === 'Engineer' && (
+        <div className="mt-6 bg-gray-50 p-6 rounded-lg shadow-md border border-gray-200">
+          <h3 className="text-xl font-semibold mb-4 text-gray-800">My Open Service Requests</h3>
+          {myOpenSrs.length > 0 ? (
+            <ul className="space-y-2">
+              {myOpenSrs.map(sr => (
+                <li key={sr.id} className="flex items-center justify-between bg-white p-3 rounded-md shadow-sm border border-gray-200">
+                  <span className="text-gray-700">
+                    <strong>{sr.priority}</strong> {sr.title}{sr.customer ? ` (${sr.customer})` : ''}
+                  </span>
+                  <span className="text-sm text-gray-500">{sr.status} &middot; {formatTimestamp(sr.createdAt)}</span>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-gray-500 italic">No open service requests.</p>
+          )}
+        </div>
+      )}
+
+      <div className="mt-6">
+        <CalendarFeedPanel currentUser={currentUser} users={users} shiftPatterns={shiftPatterns} teams={teams} db={db} />
+      </div>
+
+      <Modal isOpen={isModalOpen} onClose={() => { setIsModalOpen(false); setModalConflicts([]); }} title={modalAction ? "Confirmation" : "Information"}>
+        <CoverageConflictList conflicts={modalConflicts} />
         <p className="text-gray-700 mb-6">{modalMessage}</p>
         <div className="flex justify-end space-x-3 mt-4">
           {modalAction && ( // Only show Cancel if there's an action to confirm
             <button
-              onClick={() => setIsModalOpen(false)}
+              onClick={() => { setIsModalOpen(false); setModalConflicts([]); }}
               className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 transition duration-200 ease-in-out shadow-sm"
             >
               Cancel
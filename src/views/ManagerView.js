@@ -2,18 +2,101 @@ import React, { useState } from 'react';
 import ManagerTeamRoster from '../components/manager/ManagerTeamRoster.js'; // Default import
 import { SRAssignment } from '../components/manager/SRAssignment.js';
 import { ManagerVacationManagement } from '../components/manager/ManagerVacationManagement.js';
+import TeamCalendarView from '../components/shared/TeamCalendarView.js'; // Default import
+import { OnCallScheduleManagement } from '../components/shared/OnCallScheduleManagement.js';
+import { WorkloadAnalytics } from '../components/shared/WorkloadAnalytics.js';
+import { CalendarFeedPanel } from '../components/shared/CalendarFeedPanel.js';
+import { SkillsMatrix } from '../components/shared/SkillsMatrix.js';
+import { getAllReports, getManagerChain, getReportingDepth } from '../utils/orgUtils.js';
+import { getTeamsForUser, getTeamMembers } from '../utils/teamUtils.js';
 
 // --- Manager View Components ---
-function ManagerView({ currentUser, users, skills, db }) {
-  const [activeTab, setActiveTab] = useState('team-roster'); // 'team-roster' or 'sr-management' or 'vacation-management'
+function ManagerView({ currentUser, users, skills, srs, leaveRequests, settings, coverageRules, shiftPatterns, onCallSchedules, teams, db }) {
+  const [activeTab, setActiveTab] = useState('team-roster'); // 'team-roster', 'team-calendar', 'sr-management', 'vacation-management', 'on-call', 'analytics', 'skills-matrix' or 'calendar-feeds'
 
-  // Filter users to get only engineers managed by the current user
-  const myTeam = users.filter(u => u.managerId === currentUser.id && u.role === 'Engineer');
+  const [scopeManagerId, setScopeManagerId] = useState(currentUser.id); // Whose team is shown; a manager below us when drilled down
+  const [scopeTeamId, setScopeTeamId] = useState(''); // A team entity shown instead of the reporting line, '' for none
+
+  // Managers of managers see their tree rolled up, as deep as they may manage it, and can drill down into any team below them
+  const allReports = getAllReports(users, currentUser.id);
+  const subManagers = allReports.filter(u => u.role === 'Manager');
+  const scopeManager = subManagers.find(u => u.id === scopeManagerId) || currentUser;
+  const isOwnScope = scopeManager.id === currentUser.id;
+  // Breadcrumb from the signed-in manager down to the team being viewed
+  const scopePath = isOwnScope ? [currentUser] : [...getManagerChain(users, scopeManager.id).slice(0, getReportingDepth(users, currentUser.id, scopeManager.id)).reverse(), scopeManager];
+
+  // Teams we lead or belong to can be viewed as well; their members need not report to us
+  const myTeams = getTeamsForUser(teams, currentUser.id);
+  const scopeTeam = myTeams.find(team => team.id === scopeTeamId) || null;
+  const leadsScopeTeam = !!scopeTeam && (scopeTeam.leadIds || []).includes(currentUser.id);
+
+  // Engineers on the selected team, or below the selected manager and still within our own reach
+  const myTeam = scopeTeam
+    ? getTeamMembers(scopeTeam, users).filter(u => u.role === 'Engineer')
+    : getAllReports(users, scopeManager.id).filter(u => u.role === 'Engineer' && (isOwnScope || allReports.some(report => report.id === u.id)));
+  // Assigning SRs and deciding leave stay limited to our own reports, whichever team is shown
+  const managedTeam = scopeTeam ? myTeam.filter(u => allReports.some(report => report.id === u.id)) : myTeam;
+
+  const handleScopeChange = (value) => {
+    if (value.startsWith('team:')) {
+      setScopeTeamId(value.slice('team:'.length));
+    } else {
+      setScopeTeamId('');
+      setScopeManagerId(value);
+    }
+  };
 
   return (
     <div className="container mx-auto p-4 bg-white rounded-lg shadow-lg">
       <h2 className="text-3xl font-bold mb-6 text-gray-800">Manager Dashboard</h2>
 
+      {(subManagers.length > 0 || myTeams.length > 0) && (
+        <div className="mb-6 p-4 rounded-lg bg-blue-50 border border-blue-200 flex flex-wrap items-center gap-3">
+          <nav className="text-sm text-gray-700" aria-label="Reporting line">
+            {scopeTeam ? (
+              <span className="font-semibold">{`Team: ${scopeTeam.name}`}</span>
+            ) : scopePath.map((manager, idx) => (
+              <span key={manager.id}>
+                {idx > 0 && <span className="mx-1 text-gray-400">›</span>}
+                {idx === scopePath.length - 1 ? (
+                  <span className="font-semibold">{manager.id === currentUser.id ? 'My organisation' : `${manager.name}'s team`}</span>
+                ) : (
+                  <button onClick={() => setScopeManagerId(manager.id)} className="text-blue-600 hover:text-blue-900 underline">
+                    {manager.id === currentUser.id ? 'My organisation' : manager.name}
+                  </button>
+                )}
+              </span>
+            ))}
+          </nav>
+          <label htmlFor="managerScope" className="text-sm font-medium text-gray-700 ml-auto">Show</label>
+          <select
+            id="managerScope"
+            value={scopeTeam ? `team:${scopeTeam.id}` : scopeManager.id}
+            onChange={(e) => handleScopeChange(e.target.value)}
+            className="border border-gray-300 rounded-md shadow-sm p-2 text-sm focus:ring-blue-500 focus:border-blue-500"
+          >
+            <optgroup label="By manager">
+              <option value={currentUser.id}>My whole organisation</option>
+              {subManagers.map(manager => (
+                <option key={manager.id} value={manager.id}>
+                  {`${'— '.repeat(getReportingDepth(users, currentUser.id, manager.id) - 1)}${manager.name}'s team`}
+                </option>
+              ))}
+            </optgroup>
+            {myTeams.length > 0 && (
+              <optgroup label="By team">
+                {myTeams.map(team => (
+                  <option key={team.id} value={`team:${team.id}`}>
+                    {`${team.name}${(team.leadIds || []).includes(currentUser.id) ? ' (lead)' : ''}`}
+                  </option>
+                ))}
+              </optgroup>
+            )}
+          </select>
+          <span className="text-sm text-gray-600">{myTeam.length} engineers</span>
+        </div>
+      )}
+
       <div className="mb-6 border-b border-gray-200">
         <nav className="-mb-px flex space-x-8" aria-label="Tabs">
           <button
@@ -23,6 +106,13 @@ function ManagerView({ currentUser, users, skills, db }) {
           >
             My Team Roster
           </button>
+          <button
+            onClick={() => setActiveTab('team-calendar')}
+            className={`whitespace-nowrap py-3 px-1 border-b-2 font-medium text-sm transition duration-200 ease-in-out
+              ${activeTab === 'team-calendar' ? 'border-blue-600 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'}`}
+          >
+            Team Calendar
+          </button>
           <button
             onClick={() => setActiveTab('sr-management')}
             className={`whitespace-nowrap py-3 px-1 border-b-2 font-medium text-sm transition duration-200 ease-in-out
@@ -37,13 +127,46 @@ function ManagerView({ currentUser, users, skills, db }) {
           >
             Manage Team Vacations
           </button>
+          <button
+            onClick={() => setActiveTab('on-call')}
+            className={`whitespace-nowrap py-3 px-1 border-b-2 font-medium text-sm transition duration-200 ease-in-out
+              ${activeTab === 'on-call' ? 'border-blue-600 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'}`}
+          >
+            On-Call
+          </button>
+          <button
+            onClick={() => setActiveTab('analytics')}
+            className={`whitespace-nowrap py-3 px-1 border-b-2 font-medium text-sm transition duration-200 ease-in-out
+              ${activeTab === 'analytics' ? 'border-blue-600 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'}`}
+          >
+            Analytics
+          </button>
+          <button
+            onClick={() => setActiveTab('skills-matrix')}
+            className={`whitespace-nowrap py-3 px-1 border-b-2 font-medium text-sm transition duration-200 ease-in-out
+              ${activeTab === 'skills-matrix' ? 'border-blue-600 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'}`}
+          >
+            Skills Matrix
+          </button>
+          <button
+            onClick={() => setActiveTab('calendar-feeds')}
+            className={`whitespace-nowrap py-3 px-1 border-b-2 font-medium text-sm transition duration-200 ease-in-out
+              ${activeTab === 'calendar-feeds' ? 'border-blue-600 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'}`}
+          >
+            Calendar Feeds
+          </button>
         </nav>
       </div>
 
       <div>
-        {activeTab === 'team-roster' && <ManagerTeamRoster myTeam={myTeam} skills={skills} />}
-        {activeTab === 'sr-management' && <SRAssignment myTeam={myTeam} db={db} />}
-        {activeTab === 'vacation-management' && <ManagerVacationManagement myTeam={myTeam} db={db} />}
+        {activeTab === 'team-roster' && <ManagerTeamRoster currentUser={currentUser} scopeManager={scopeManager} scopeTeam={scopeTeam} canEditTeamSettings={leadsScopeTeam} myTeam={myTeam} users={users} skills={skills} srs={srs} settings={settings} shiftPatterns={shiftPatterns} onCallSchedules={onCallSchedules} db={db} />}
+        {activeTab === 'team-calendar' && <TeamCalendarView people={myTeam} users={users} settings={settings} settingsKey={scopeManager.id} team={scopeTeam} shiftPatterns={shiftPatterns} canEditMinimum={scopeTeam ? leadsScopeTeam : isOwnScope} canEditShifts={!scopeTeam} db={db} />}
+        {activeTab === 'sr-management' && <SRAssignment currentUser={currentUser} myTeam={managedTeam} skills={skills} srs={srs} settings={settings} shiftPatterns={shiftPatterns} teams={teams} db={db} />}
+        {activeTab === 'vacation-management' && <ManagerVacationManagement currentUser={currentUser} myTeam={managedTeam} users={users} skills={skills} leaveRequests={leaveRequests} coverageRules={coverageRules} shiftPatterns={shiftPatterns} db={db} />}
+        {activeTab === 'on-call' && <OnCallScheduleManagement schedules={onCallSchedules} users={users} skills={skills} db={db} />}
+        {activeTab === 'analytics' && <WorkloadAnalytics engineers={myTeam} users={users} skills={skills} srs={srs} settings={settings} showTeams={subManagers.length > 0 || !!scopeTeam} />}
+        {activeTab === 'skills-matrix' && <SkillsMatrix people={myTeam} users={users} skills={skills} settings={settings} coverageRules={coverageRules} teamKey={scopeTeam ? scopeTeam.id : scopeManager.id} canEditTargets={!scopeTeam && isOwnScope} db={db} />}
+        {activeTab === 'calendar-feeds' && <CalendarFeedPanel currentUser={currentUser} users={users} shiftPatterns={shiftPatterns} teams={teams} db={db} />}
       </div>
     </div>
   );
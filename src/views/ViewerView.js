@@ -0,0 +1,68 @@
+import React, { useState } from 'react';
+import OverallRosterView from '../components/shared/OverallRosterView.js'; // Default import
+import TeamCalendarView from '../components/shared/TeamCalendarView.js'; // Default import
+import { TodayAvailability } from '../components/viewer/TodayAvailability.js';
+import { UpcomingLeaveSummary } from '../components/viewer/UpcomingLeaveSummary.js';
+import { SkillsDirectory } from '../components/viewer/SkillsDirectory.js';
+
+// --- Viewer View (read-only) ---
+// Nothing here writes: every child is rendered without its edit flags or a db handle.
+function ViewerView({ currentUser, users, skills, srs, settings, shiftPatterns, onCallSchedules, teams }) {
+  const [activeTab, setActiveTab] = useState('today'); // 'today', 'roster', 'skills' or 'calendar'
+
+  // People who are rostered: Engineers and Managers
+  const people = users.filter(u => u.role === 'Engineer' || u.role === 'Manager');
+
+  return (
+    <div className="container mx-auto p-4 bg-white rounded-lg shadow-lg">
+      <h2 className="text-3xl font-bold mb-6 text-gray-800">Team Overview</h2>
+
+      <div className="mb-6 border-b border-gray-200">
+        <nav className="-mb-px flex space-x-8" aria-label="Tabs">
+          <button
+            onClick={() => setActiveTab('today')}
+            className={`whitespace-nowrap py-3 px-1 border-b-2 font-medium text-sm transition duration-200 ease-in-out
+              ${activeTab === 'today' ? 'border-blue-600 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'}`}
+          >
+            Today
+          </button>
+          <button
+            onClick={() => setActiveTab('roster')}
+            className={`whitespace-nowrap py-3 px-1 border-b-2 font-medium text-sm transition duration-200 ease-in-out
+              ${activeTab === 'roster' ? 'border-blue-600 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'}`}
+          >
+            Roster
+          </button>
+          <button
+            onClick={() => setActiveTab('skills')}
+            className={`whitespace-nowrap py-3 px-1 border-b-2 font-medium text-sm transition duration-200 ease-in-out
+              ${activeTab === 'skills' ? 'border-blue-600 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'}`}
+          >
+            Skills Directory
+          </button>
+          <button
+            onClick={() => setActiveTab('calendar')}
+            className={`whitespace-nowrap py-3 px-1 border-b-2 font-medium text-sm transition duration-200 ease-in-out
+              ${activeTab === 'calendar' ? 'border-blue-600 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'}`}
+          >
+            Team Calendar
+          </button>
+        </nav>
+      </div>
+
+      <div>
+        {activeTab === 'today' && (
+          <>
+            <TodayAvailability people={people} shiftPatterns={shiftPatterns} />
+            <UpcomingLeaveSummary people={people} users={users} />
+          </>
+        )}
+        {activeTab === 'roster' && <OverallRosterView users={users} skills={skills} srs={srs} settings={settings} shiftPatterns={shiftPatterns} onCallSchedules={onCallSchedules} teams={teams} />}
+        {activeTab === 'skills' && <SkillsDirectory people={people} users={users} skills={skills} />}
+        {activeTab === 'calendar' && <TeamCalendarView people={people} users={users} settings={settings} settingsKey="all" shiftPatterns={shiftPatterns} />}
+      </div>
+    </div>
+  );
+}
+
+export default ViewerView;
@@ -0,0 +1,284 @@
+import { readFileSync } from 'node:fs';
+import { describe, test, before, after, beforeEach } from 'node:test';
+import { initializeTestEnvironment, assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+import { doc, getDoc, setDoc, updateDoc, deleteDoc, writeBatch } from 'firebase/firestore';
+
+// --- Firestore Security Rules ---
+// Runs against the Firestore emulator (`npm test` starts it). Each test starts from the same roster:
+//   admin, viewer and an unlinked invite; manager m1 → manager m2 → engineer e1, and m1 → engineer e2;
+//   a chain d1 → d2 → d3 → d4 → d5 → d6 for the four-level management limit; m3 (managerId '') → e3 and
+//   m4 (reporting to a deleted profile) → e4 for chains that end without a null managerId.
+const DATA = 'artifacts/test-app/public/data';
+
+const pto = (id, startDate, endDate = startDate) => ({ id, startDate, endDate, type: 'pto', halfDay: null, note: '', requestId: null });
+
+const USERS = {
+  admin: { name: 'Ada', email: 'ada@example.com', role: 'Admin', managerId: null },
+  viewer: { name: 'Vic', email: 'vic@example.com', role: 'Viewer', managerId: null },
+  m1: { name: 'Mona', email: 'mona@example.com', role: 'Manager', managerId: null },
+  m2: { name: 'Max', email: 'max@example.com', role: 'Manager', managerId: 'm1' },
+  e1: { name: 'Eve', email: 'eve@example.com', role: 'Engineer', managerId: 'm2', srThreshold: 5, leaveEntries: [pto('l1', '2026-11-02'), pto('l2', '2026-12-21', '2026-12-24')] },
+  e2: { name: 'Eli', email: 'eli@example.com', role: 'Engineer', managerId: 'm1', srThreshold: 5, vacationDates: ['2026-11-09', '2026-11-10'] },
+  invite: { name: 'Ivy', email: 'ivy@example.com', role: 'Engineer', managerId: 'm1', authUid: null },
+  d1: { name: 'D1', email: 'd1@example.com', role: 'Manager', managerId: null },
+  d2: { name: 'D2', email: 'd2@example.com', role: 'Manager', managerId: 'd1' },
+  d3: { name: 'D3', email: 'd3@example.com', role: 'Manager', managerId: 'd2' },
+  d4: { name: 'D4', email: 'd4@example.com', role: 'Manager', managerId: 'd3' },
+  d5: { name: 'D5', email: 'd5@example.com', role: 'Engineer', managerId: 'd4', srThreshold: 3 },
+  d6: { name: 'D6', email: 'd6@example.com', role: 'Engineer', managerId: 'd5', srThreshold: 3 },
+  m3: { name: 'Mia', email: 'mia@example.com', role: 'Manager', managerId: '' },
+  e3: { name: 'Ezra', email: 'ezra@example.com', role: 'Engineer', managerId: 'm3', srThreshold: 2 },
+  m4: { name: 'Milo', email: 'milo@example.com', role: 'Manager', managerId: 'deleted-profile' },
+  e4: { name: 'Enzo', email: 'enzo@example.com', role: 'Engineer', managerId: 'm4', srThreshold: 2 },
+};
+
+// What FirebaseProvider saves for a sign-in without a profile (its email defaults to the placeholder for anonymous sign-ins)
+const autoCreatedProfile = (uid, email = `${uid}@example.com`) => ({
+  name: 'New', email, role: 'Viewer', managerId: null, workingSchedule: {}, shiftPattern: 'Day Shift',
+  leaveEntries: [], skills: [], srThreshold: 0, autoCreated: true,
+});
+
+let testEnv;
+
+// Firestore for a sign-in whose uid is also its profile ID (or no sign-in for null)
+const dbAs = (uid, token = {}) => (uid ? testEnv.authenticatedContext(uid, token) : testEnv.unauthenticatedContext()).firestore();
+
+const userDoc = (db, id) => doc(db, `${DATA}/users`, id);
+
+before(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-team-roster',
+    firestore: { rules: readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8') },
+  });
+});
+
+after(async () => {
+  await testEnv.cleanup();
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    await Promise.all([
+      ...Object.entries(USERS).map(([id, data]) => setDoc(userDoc(db, id), data)),
+      setDoc(doc(db, `${DATA}/leaveRequests`, 'r1'), { userId: 'e1', requestedBy: 'e1', startDate: '2026-11-16', endDate: '2026-11-16', type: 'pto', status: 'pending', approverId: null }),
+      setDoc(doc(db, `${DATA}/srs`, 's1'), { title: 'Outage', assigneeId: 'e1', assignedBy: 'm2', status: 'open' }),
+      setDoc(doc(db, `${DATA}/teams`, 't1'), { name: 'Network', leadIds: ['m2'], memberIds: ['e1', 'e2'], settings: { srThreshold: 0 } }),
+      setDoc(doc(db, `${DATA}/auditLog`, 'a1'), { actorId: 'admin', action: 'user.update' }),
+    ]);
+  });
+});
+
+describe('unauthenticated', () => {
+  test('cannot read the roster', async () => {
+    await assertFails(getDoc(userDoc(dbAs(null), 'e1')));
+  });
+
+  test('cannot write anything', async () => {
+    await assertFails(setDoc(userDoc(dbAs(null), 'anon'), { role: 'Viewer', managerId: null, srThreshold: 0, skills: [] }));
+    await assertFails(setDoc(doc(dbAs(null), `${DATA}/auditLog`, 'x'), { actorId: null }));
+  });
+});
+
+describe('Viewer', () => {
+  test('reads the roster but not the audit log', async () => {
+    await assertSucceeds(getDoc(userDoc(dbAs('viewer'), 'e1')));
+    await assertFails(getDoc(doc(dbAs('viewer'), `${DATA}/auditLog`, 'a1')));
+  });
+
+  test('cannot change anyone, themselves included', async () => {
+    await assertFails(updateDoc(userDoc(dbAs('viewer'), 'e1'), { srThreshold: 99 }));
+    await assertFails(updateDoc(userDoc(dbAs('viewer'), 'viewer'), { role: 'Admin' }));
+    await assertFails(setDoc(doc(dbAs('viewer'), `${DATA}/skills`, 'k8s'), { name: 'Kubernetes' }));
+  });
+
+  test('a new sign-in may create only a plain Viewer profile for itself', async () => {
+    await assertSucceeds(setDoc(userDoc(dbAs('newcomer'), 'newcomer'), autoCreatedProfile('newcomer')));
+    await assertFails(setDoc(userDoc(dbAs('other'), 'other'), { ...autoCreatedProfile('other'), role: 'Admin' }));
+    await assertFails(setDoc(userDoc(dbAs('other'), 'other'), { ...autoCreatedProfile('other'), authUid: 'other' }));
+    await assertFails(setDoc(userDoc(dbAs('other'), 'other'), { ...autoCreatedProfile('other'), autoCreated: false }));
+    await assertFails(setDoc(userDoc(dbAs('other'), 'someone-else'), autoCreatedProfile('someone-else')));
+  });
+
+  test("a new sign-in's profile carries its own verified email", async () => {
+    const verified = { email: 'new@example.com', email_verified: true };
+    await assertFails(setDoc(userDoc(dbAs('anon'), 'anon'), autoCreatedProfile('anon', 'ada@example.com')));
+    await assertFails(setDoc(userDoc(dbAs('new-uid', verified), 'new-uid'), autoCreatedProfile('new-uid')));
+    await assertFails(setDoc(userDoc(dbAs('new-uid', { ...verified, email_verified: false }), 'new-uid'), autoCreatedProfile('new-uid', 'new@example.com')));
+    await assertSucceeds(setDoc(userDoc(dbAs('new-uid', verified), 'new-uid'), autoCreatedProfile('new-uid', 'new@example.com')));
+  });
+
+  test('claims an invite only with the matching verified email', async () => {
+    const claim = { authUid: 'ivy-uid' };
+    await assertFails(updateDoc(userDoc(dbAs('ivy-uid', { email: 'ivy@example.com', email_verified: false }), 'invite'), claim));
+    await assertFails(updateDoc(userDoc(dbAs('ivy-uid', { email: 'eve@example.com', email_verified: true }), 'invite'), claim));
+    await assertSucceeds(updateDoc(userDoc(dbAs('ivy-uid', { email: 'ivy@example.com', email_verified: true }), 'invite'), claim));
+  });
+});
+
+describe('Engineer', () => {
+  test('removes their own leave entries but never adds or edits them', async () => {
+    const db = dbAs('e1');
+    await assertFails(updateDoc(userDoc(db, 'e1'), { leaveEntries: [...USERS.e1.leaveEntries, pto('l3', '2027-01-04')] }));
+    await assertFails(updateDoc(userDoc(db, 'e1'), { leaveEntries: [{ ...USERS.e1.leaveEntries[0], endDate: '2026-11-06' }] }));
+    await assertSucceeds(updateDoc(userDoc(db, 'e1'), { leaveEntries: [USERS.e1.leaveEntries[1]] }));
+  });
+
+  test('shrinks legacy vacationDates but never adds to them', async () => {
+    const db = dbAs('e2');
+    await assertFails(updateDoc(userDoc(db, 'e2'), { vacationDates: [...USERS.e2.vacationDates, '2026-11-11'] }));
+    await assertSucceeds(updateDoc(userDoc(db, 'e2'), { vacationDates: ['2026-11-09'] }));
+  });
+
+  test('cannot change other fields or other people', async () => {
+    await assertFails(updateDoc(userDoc(dbAs('e1'), 'e1'), { srThreshold: 50 }));
+    await assertFails(updateDoc(userDoc(dbAs('e1'), 'e2'), { vacationDates: [] }));
+  });
+
+  test('requests leave as pending and can cancel it', async () => {
+    const db = dbAs('e1');
+    const request = { userId: 'e1', requestedBy: 'e1', startDate: '2026-11-23', endDate: '2026-11-23', type: 'pto', approverId: null };
+    await assertFails(setDoc(doc(db, `${DATA}/leaveRequests`, 'r2'), { ...request, status: 'approved' }));
+    await assertFails(setDoc(doc(db, `${DATA}/leaveRequests`, 'r3'), { ...request, userId: 'e2', status: 'pending' }));
+    await assertSucceeds(setDoc(doc(db, `${DATA}/leaveRequests`, 'r4'), { ...request, status: 'pending' }));
+    await assertFails(updateDoc(doc(db, `${DATA}/leaveRequests`, 'r1'), { status: 'approved' }));
+    await assertSucceeds(updateDoc(doc(db, `${DATA}/leaveRequests`, 'r1'), { status: 'cancelled' }));
+  });
+
+  test('cannot assign SRs', async () => {
+    await assertFails(setDoc(doc(dbAs('e1'), `${DATA}/srs`, 's2'), { title: 'Mine', assigneeId: 'e1', assignedBy: 'e1', status: 'open' }));
+  });
+});
+
+describe('Manager', () => {
+  test('updates SR and leave fields of direct and indirect reports', async () => {
+    await assertSucceeds(updateDoc(userDoc(dbAs('m1'), 'e2'), { srThreshold: 8 }));
+    await assertSucceeds(updateDoc(userDoc(dbAs('m1'), 'e1'), { srThreshold: 8, leaveEntries: [] }));
+  });
+
+  test('cannot touch other fields, currentSrCount included', async () => {
+    const db = dbAs('m1');
+    await assertFails(updateDoc(userDoc(db, 'e1'), { currentSrCount: 0 }));
+    await assertFails(updateDoc(userDoc(db, 'e1'), { role: 'Manager' }));
+    await assertFails(updateDoc(userDoc(db, 'e1'), { managerId: 'm1' }));
+  });
+
+  test('cannot update people outside their tree or above them', async () => {
+    await assertFails(updateDoc(userDoc(dbAs('m2'), 'e2'), { srThreshold: 1 }));
+    await assertFails(updateDoc(userDoc(dbAs('m2'), 'm1'), { srThreshold: 1 }));
+  });
+
+  test("still manages reports when the chain above them ends in '' or a deleted profile", async () => {
+    await assertSucceeds(updateDoc(userDoc(dbAs('m3'), 'e3'), { srThreshold: 4 }));
+    await assertSucceeds(updateDoc(userDoc(dbAs('m4'), 'e4'), { srThreshold: 4 }));
+    await assertFails(updateDoc(userDoc(dbAs('m3'), 'e4'), { srThreshold: 4 }));
+  });
+
+  test('manages up to four levels down', async () => {
+    await assertSucceeds(updateDoc(userDoc(dbAs('d1'), 'd5'), { srThreshold: 4 }));
+    await assertFails(updateDoc(userDoc(dbAs('d1'), 'd6'), { srThreshold: 4 }));
+  });
+
+  test('assigns SRs to reports only, as themselves', async () => {
+    const db = dbAs('m1');
+    const sr = { title: 'Escalation', assigneeId: 'e1', assignedBy: 'm1', status: 'open' };
+    await assertSucceeds(setDoc(doc(db, `${DATA}/srs`, 's2'), sr));
+    await assertFails(setDoc(doc(db, `${DATA}/srs`, 's3'), { ...sr, assignedBy: 'm2' }));
+    await assertFails(setDoc(doc(db, `${DATA}/srs`, 's4'), { ...sr, assigneeId: 'viewer' }));
+    await assertSucceeds(updateDoc(doc(db, `${DATA}/srs`, 's1'), { status: 'resolved' }));
+    await assertFails(updateDoc(doc(db, `${DATA}/srs`, 's1'), { assigneeId: 'e2' }));
+  });
+
+  test('cannot request leave for themselves', async () => {
+    const request = { userId: 'm1', requestedBy: 'm1', startDate: '2026-11-23', endDate: '2026-11-23', type: 'pto', status: 'pending', approverId: null };
+    await assertFails(setDoc(doc(dbAs('m1'), `${DATA}/leaveRequests`, 'r2'), request));
+  });
+
+  test("decides their reports' leave requests", async () => {
+    await assertFails(updateDoc(doc(dbAs('d1'), `${DATA}/leaveRequests`, 'r1'), { status: 'approved', approverId: 'd1' }));
+    await assertSucceeds(updateDoc(doc(dbAs('m2'), `${DATA}/leaveRequests`, 'r1'), { status: 'approved', approverId: 'm2', decisionComment: '' }));
+  });
+
+  test('writes only their own key in the settings documents', async () => {
+    const db = dbAs('m1');
+    await assertSucceeds(setDoc(doc(db, `${DATA}/settings`, 'srCounting'), { teams: { m1: { type: 'daily' } } }, { merge: true }));
+    await assertFails(setDoc(doc(db, `${DATA}/settings`, 'srCounting'), { teams: { m2: { type: 'daily' } } }, { merge: true }));
+    await assertFails(setDoc(doc(db, `${DATA}/settings`, 'other'), { anything: true }));
+  });
+
+  test("changes a team's settings only when leading it", async () => {
+    await assertSucceeds(updateDoc(doc(dbAs('m2'), `${DATA}/teams`, 't1'), { settings: { srThreshold: 4 } }));
+    await assertFails(updateDoc(doc(dbAs('m1'), `${DATA}/teams`, 't1'), { settings: { srThreshold: 4 } }));
+    await assertFails(updateDoc(doc(dbAs('m2'), `${DATA}/teams`, 't1'), { memberIds: ['e1'] }));
+  });
+
+  test('cannot write skill snapshots', async () => {
+    await assertFails(setDoc(doc(dbAs('m1'), `${DATA}/skillSnapshots`, 'm1_2026-10'), { teamKey: 'm1', month: '2026-10', holderCounts: {}, headcount: 0 }));
+  });
+});
+
+describe('Admin', () => {
+  test('writes any profile and the catalogue', async () => {
+    const db = dbAs('admin');
+    await assertSucceeds(updateDoc(userDoc(db, 'e1'), { role: 'Manager', managerId: null }));
+    await assertSucceeds(setDoc(doc(db, `${DATA}/skills`, 'k8s'), { name: 'Kubernetes' }));
+    await assertSucceeds(deleteDoc(userDoc(db, 'viewer')));
+  });
+
+  test('records skill snapshots under their team and month', async () => {
+    const db = dbAs('admin');
+    const snapshot = { teamKey: 'm1', month: '2026-10', holderCounts: {}, headcount: 2 };
+    await assertSucceeds(setDoc(doc(db, `${DATA}/skillSnapshots`, 'm1_2026-10'), snapshot));
+    await assertFails(setDoc(doc(db, `${DATA}/skillSnapshots`, 'm2_2026-10'), snapshot));
+  });
+
+  test('reads the audit log, which nobody can rewrite', async () => {
+    const db = dbAs('admin');
+    await assertSucceeds(getDoc(doc(db, `${DATA}/auditLog`, 'a1')));
+    await assertFails(updateDoc(doc(db, `${DATA}/auditLog`, 'a1'), { action: 'user.delete' }));
+    await assertFails(deleteDoc(doc(db, `${DATA}/auditLog`, 'a1')));
+  });
+});
+
+describe('audit log', () => {
+  const entryDoc = (db, id) => doc(db, `${DATA}/auditLog`, id);
+
+  test('entries must name the signed-in user as actor', async () => {
+    const db = dbAs('e1');
+    const batch = writeBatch(db);
+    batch.update(userDoc(db, 'e1'), { leaveEntries: [] });
+    batch.set(entryDoc(db, 'a2'), { actorId: 'e1', action: 'leave.remove', targetType: 'user', targetId: 'e1' });
+    await assertSucceeds(batch.commit());
+    await assertFails(setDoc(entryDoc(db, 'a3'), { actorId: 'admin', action: 'user.update', targetType: 'user', targetId: 'e1' }));
+  });
+
+  test('entries must describe a change made in the same batch', async () => {
+    await assertFails(setDoc(entryDoc(dbAs('e1'), 'a2'), { actorId: 'e1', action: 'leave.remove', targetType: 'user', targetId: 'e1' }));
+    await assertFails(setDoc(entryDoc(dbAs('m2'), 'a3'), { actorId: 'm2', action: 'sr.status', targetType: 'sr', targetId: 's1' }));
+    const db = dbAs('m2');
+    const batch = writeBatch(db);
+    batch.update(doc(db, `${DATA}/srs`, 's1'), { status: 'resolved' });
+    batch.set(entryDoc(db, 'a4'), { actorId: 'm2', action: 'sr.status', targetType: 'sr', targetId: 's1' });
+    await assertSucceeds(batch.commit());
+  });
+
+  test("entries are limited to the actions of the actor's role", async () => {
+    await assertFails(setDoc(entryDoc(dbAs('viewer'), 'a2'), { actorId: 'viewer', action: 'settings.update', targetType: 'settings', targetId: 'coverage' }));
+    await assertFails(setDoc(entryDoc(dbAs('e1'), 'a3'), { actorId: 'e1', action: 'user.delete', targetType: 'user', targetId: 'e2' }));
+    const db = dbAs('e1');
+    const batch = writeBatch(db);
+    batch.update(doc(db, `${DATA}/leaveRequests`, 'r1'), { status: 'cancelled' });
+    batch.set(entryDoc(db, 'a4'), { actorId: 'e1', action: 'leave.reject', targetType: 'leaveRequest', targetId: 'r1' });
+    await assertFails(batch.commit());
+  });
+
+  test('a new sign-in records creating its own profile, once', async () => {
+    const db = dbAs('newcomer');
+    const batch = writeBatch(db);
+    batch.set(userDoc(db, 'newcomer'), autoCreatedProfile('newcomer'));
+    batch.set(entryDoc(db, 'a2'), { actorId: 'newcomer', action: 'user.create', targetType: 'user', targetId: 'newcomer' });
+    await assertSucceeds(batch.commit());
+    await assertFails(setDoc(entryDoc(db, 'a3'), { actorId: 'newcomer', action: 'user.create', targetType: 'user', targetId: 'newcomer' }));
+  });
+});